@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { createSignalServer } from '../signal-server.js';
+
+const KEY = 'peerjs';
+
+let server;
+let clients;
+let port;
+const sockets = [];
+
+beforeEach(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  ({ server, clients } = createSignalServer({ port: 0, host: '127.0.0.1', key: KEY, staticDir: null }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+afterEach(async () => {
+  for (const socket of sockets.splice(0)) socket.destroy();
+  // Same as the CLI's shutdown
+  for (const client of clients.values()) client.ws.close(1001);
+  await new Promise(resolve => server.close(resolve));
+  vi.restoreAllMocks();
+});
+
+// ─── Minimal PeerJS-side WebSocket client ───────────────────────────
+
+function encodeFrame(text) {
+  const payload = Buffer.from(text, 'utf8');
+  const mask = crypto.randomBytes(4);
+  const header = payload.length < 126
+    ? Buffer.from([0x81, 0x80 | payload.length])
+    : Buffer.from([0x81, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+  const masked = Buffer.from(payload);
+  for (let i = 0; i < masked.length; i++) masked[i] ^= mask[i & 3];
+  return Buffer.concat([header, mask, masked]);
+}
+
+/** Open a signaling socket; `next()` resolves with each server message in turn */
+function connect(id, token, key = KEY) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path: `/peerjs?key=${key}&id=${id}&token=${token}`,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+        'Sec-WebSocket-Version': '13',
+      },
+    });
+    req.on('error', reject);
+    req.on('upgrade', (_res, socket, head) => {
+      sockets.push(socket);
+      const queue = [];
+      const waiters = [];
+      let buffer = Buffer.alloc(0);
+      let closed = false;
+      const closeWaiters = [];
+
+      const deliver = (msg) => {
+        const waiter = waiters.shift();
+        if (waiter) waiter(msg);
+        else queue.push(msg);
+      };
+
+      const receive = (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 2) {
+          const opcode = buffer[0] & 0x0f;
+          let length = buffer[1] & 0x7f;
+          let offset = 2;
+          if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+          }
+          if (buffer.length < offset + length) return;
+          const payload = buffer.subarray(offset, offset + length);
+          buffer = buffer.subarray(offset + length);
+          if (opcode === 0x1) deliver(JSON.parse(payload.toString('utf8')));
+        }
+      };
+      socket.on('data', receive);
+      socket.on('close', () => {
+        closed = true;
+        for (const fn of closeWaiters.splice(0)) fn();
+      });
+
+      // The server writes OPEN right behind the 101, so it can arrive with it
+      if (head.length > 0) receive(head);
+
+      resolve({
+        next: () => queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise(r => waiters.push(r)),
+        send: (msg) => socket.write(encodeFrame(JSON.stringify(msg))),
+        closed: () => closed ? Promise.resolve() : new Promise(r => closeWaiters.push(r)),
+      });
+    });
+    req.end();
+  });
+}
+
+// ─── Registration ───────────────────────────────────────────────────
+
+describe('signal server registration', () => {
+  it('opens a free ID and lists the client', async () => {
+    const host = await connect('123456', 'tok-a');
+    expect(await host.next()).toEqual({ type: 'OPEN' });
+    expect(clients.has('123456')).toBe(true);
+  });
+
+  it('answers ID-TAKEN to a second claim with a different token', async () => {
+    const host = await connect('123456', 'tok-a');
+    await host.next();
+    const owner = clients.get('123456');
+
+    const rival = await connect('123456', 'tok-b');
+    expect(await rival.next()).toMatchObject({ type: 'ID-TAKEN' });
+    await rival.closed();
+    expect(clients.get('123456')).toBe(owner);
+  });
+
+  it('lets the owner reconnect with the same token and drops its old socket', async () => {
+    const first = await connect('123456', 'tok-a');
+    await first.next();
+    const before = clients.get('123456');
+
+    const second = await connect('123456', 'tok-a');
+    expect(await second.next()).toEqual({ type: 'OPEN' });
+    await first.closed();
+    expect(clients.get('123456')).not.toBe(before);
+    expect(clients.get('123456').token).toBe('tok-a');
+  });
+
+  it('refuses a wrong key', async () => {
+    const client = await connect('123456', 'tok-a', 'other');
+    expect(await client.next()).toMatchObject({ type: 'INVALID-KEY' });
+    expect(clients.has('123456')).toBe(false);
+  });
+});
+
+// ─── Relay ──────────────────────────────────────────────────────────
+
+describe('signal server relay', () => {
+  it('relays an OFFER to the peer that holds the code, stamped with the sender', async () => {
+    const host = await connect('123456', 'tok-a');
+    await host.next();
+    const guest = await connect('guest-1', 'tok-g');
+    await guest.next();
+
+    guest.send({ type: 'OFFER', dst: '123456', payload: { sdp: 'v=0' } });
+
+    expect(await host.next()).toEqual({ type: 'OFFER', src: 'guest-1', dst: '123456', payload: { sdp: 'v=0' } });
+  });
+
+  it('answers EXPIRE at once for an OFFER to a code nobody holds', async () => {
+    const guest = await connect('guest-1', 'tok-g');
+    await guest.next();
+
+    guest.send({ type: 'OFFER', dst: '999999', payload: {} });
+
+    expect(await guest.next()).toEqual({ type: 'EXPIRE', src: '999999', dst: 'guest-1' });
+  });
+});
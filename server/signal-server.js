@@ -0,0 +1,444 @@
+#!/usr/bin/env node
+/**
+ * MUSIXQUARE — LAN Signaling Server
+ *
+ * A small, dependency-free stand-in for the public PeerJS server so a laptop on
+ * a hotspot with no uplink can host a full session. It speaks the PeerJS
+ * client protocol (id fetch, OPEN / ID-TAKEN / EXPIRE, OFFER / ANSWER /
+ * CANDIDATE relay) and, when a build exists, serves `dist/` with
+ * `window.__MUSIXQUARE_PEER_SERVER__` injected so guests opening the laptop's
+ * address signal through it automatically.
+ *
+ * Usage:
+ *   npm run build && npm run signal
+ *   node server/signal-server.js --port 9000 --static dist
+ *   node server/signal-server.js --tls-cert cert.pem --tls-key key.pem
+ *
+ * Options (or env): --port (PORT, 9000), --host (HOST, 0.0.0.0),
+ * --key (PEER_KEY, peerjs), --static (STATIC_DIR, dist; "none" disables),
+ * --tls-cert / --tls-key (TLS_CERT / TLS_KEY) for a secure context.
+ *
+ * Session codes: the first socket to register an ID owns it. A second claim
+ * gets ID-TAKEN (PeerJS reports 'unavailable-id'), which is what
+ * createHostSessionWithShortCode retries on. A host whose socket died without
+ * closing keeps its code until its heartbeats stop for ALIVE_TIMEOUT, which
+ * is the window claimSessionCode retries through during host migration.
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { fileURLToPath } from 'node:url';
+
+// ─── Config ─────────────────────────────────────────────────────────
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const ALIVE_TIMEOUT = 15000;   // PeerJS clients heartbeat every 5s
+const SWEEP_INTERVAL = 5000;
+const MAX_FRAME_BYTES = 1 << 20;
+const MAX_ID_LENGTH = 64;
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const RELAYED_TYPES = new Set(['OFFER', 'ANSWER', 'CANDIDATE', 'LEAVE']);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.woff': 'font/woff',
+  '.mp3': 'audio/mpeg',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml',
+  '.map': 'application/json',
+  '.wasm': 'application/wasm',
+};
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const eq = arg.indexOf('=');
+    if (eq > 0) args[arg.slice(2, eq)] = arg.slice(eq + 1);
+    else args[arg.slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : 'true';
+  }
+  return args;
+}
+
+function resolveConfig(argv = process.argv.slice(2), env = process.env) {
+  const args = parseArgs(argv);
+  const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+  const staticArg = args.static || env.STATIC_DIR || 'dist';
+  return {
+    port: Number(args.port || env.PORT) || 9000,
+    host: args.host || env.HOST || '0.0.0.0',
+    key: args.key || env.PEER_KEY || 'peerjs',
+    staticDir: staticArg === 'none' ? null : path.resolve(repoRoot, staticArg),
+    tlsCert: args['tls-cert'] || env.TLS_CERT || null,
+    tlsKey: args['tls-key'] || env.TLS_KEY || null,
+  };
+}
+
+// ─── WebSocket (RFC 6455, text frames only) ─────────────────────────
+
+class WebSocketConnection {
+  constructor(socket, onMessage, onClose) {
+    this._socket = socket;
+    this._onMessage = onMessage;
+    this._onClose = onClose;
+    this._buffer = Buffer.alloc(0);
+    this._fragments = [];
+    this._closed = false;
+
+    socket.setNoDelay(true);
+    socket.on('data', chunk => this._receive(chunk));
+    socket.on('close', () => this._finish());
+    socket.on('error', () => this._finish());
+  }
+
+  send(text) {
+    if (this._closed) return;
+    const payload = Buffer.from(text, 'utf8');
+    this._writeFrame(0x1, payload);
+  }
+
+  close(code = 1000) {
+    if (this._closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this._writeFrame(0x8, payload);
+    // end() flushes the close frame (and any ID-TAKEN before it); destroy only if the client lingers
+    this._socket.end();
+    setTimeout(() => this._socket.destroy(), 1000).unref();
+    this._finish(false);
+  }
+
+  _writeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    try { this._socket.write(Buffer.concat([header, payload])); } catch { /* noop */ }
+  }
+
+  _receive(chunk) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+
+    while (this._buffer.length >= 2) {
+      const first = this._buffer[0];
+      const second = this._buffer[1];
+      const fin = (first & 0x80) !== 0;
+      const opcode = first & 0x0f;
+      const masked = (second & 0x80) !== 0;
+      let length = second & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this._buffer.length < 4) return;
+        length = this._buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this._buffer.length < 10) return;
+        const big = this._buffer.readBigUInt64BE(2);
+        if (big > BigInt(MAX_FRAME_BYTES)) return this.close(1009);
+        length = Number(big);
+        offset = 10;
+      }
+      if (length > MAX_FRAME_BYTES) return this.close(1009);
+      // Clients must mask every frame
+      if (!masked) return this.close(1002);
+      if (this._buffer.length < offset + 4 + length) return;
+
+      const mask = this._buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this._buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      this._buffer = this._buffer.subarray(offset + 4 + length);
+
+      switch (opcode) {
+        case 0x0: // continuation
+        case 0x1: // text
+          this._fragments.push(payload);
+          if (this._fragments.reduce((n, p) => n + p.length, 0) > MAX_FRAME_BYTES) return this.close(1009);
+          if (fin) {
+            const text = Buffer.concat(this._fragments).toString('utf8');
+            this._fragments = [];
+            this._onMessage(text);
+          }
+          break;
+        case 0x8: // close
+          this.close();
+          return;
+        case 0x9: // ping
+          this._writeFrame(0xa, payload);
+          break;
+        case 0xa: // pong
+          break;
+        default: // binary and reserved opcodes are not part of the PeerJS protocol
+          return this.close(1003);
+      }
+      if (this._closed) return;
+    }
+  }
+
+  _finish(destroy = true) {
+    if (this._closed) return;
+    this._closed = true;
+    if (destroy) this._socket.destroy();
+    this._onClose();
+  }
+}
+
+function acceptUpgrade(req, socket) {
+  const wsKey = req.headers['sec-websocket-key'];
+  if (!wsKey || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return false;
+  }
+  const accept = crypto.createHash('sha1').update(wsKey + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+  );
+  return true;
+}
+
+// ─── Signaling ──────────────────────────────────────────────────────
+
+/**
+ * Create the PeerJS-compatible signaling server. Returns the http(s) server
+ * (not yet listening) and the client registry for inspection.
+ */
+export function createSignalServer(config) {
+  /** @type {Map<string, { ws: WebSocketConnection, token: string, lastSeen: number }>} */
+  const clients = new Map();
+
+  const server = config.tlsCert && config.tlsKey
+    ? https.createServer({ cert: fs.readFileSync(config.tlsCert), key: fs.readFileSync(config.tlsKey) })
+    : http.createServer();
+  const secure = server instanceof https.Server;
+
+  function sendTo(id, msg) {
+    const client = clients.get(id);
+    if (!client) return false;
+    client.ws.send(JSON.stringify(msg));
+    return true;
+  }
+
+  function handleMessage(id, client, text) {
+    let msg;
+    try { msg = JSON.parse(text); } catch { return; }
+    if (!msg || typeof msg !== 'object') return;
+    client.lastSeen = Date.now();
+
+    if (msg.type === 'HEARTBEAT') return;
+    if (!RELAYED_TYPES.has(msg.type) || typeof msg.dst !== 'string') return;
+
+    const delivered = sendTo(msg.dst, { type: msg.type, src: id, dst: msg.dst, payload: msg.payload });
+    // Joining a code nobody holds: fail the guest now instead of at its join timeout
+    if (!delivered && msg.type === 'OFFER') {
+      client.ws.send(JSON.stringify({ type: 'EXPIRE', src: msg.dst, dst: id }));
+    }
+  }
+
+  function handleSocket(req, socket, url) {
+    const id = url.searchParams.get('id') || '';
+    const token = url.searchParams.get('token') || '';
+    const key = url.searchParams.get('key') || '';
+
+    if (!acceptUpgrade(req, socket)) return;
+
+    const client = { ws: null, token, lastSeen: Date.now() };
+    const ws = new WebSocketConnection(
+      socket,
+      text => handleMessage(id, client, text),
+      () => { if (clients.get(id) === client) clients.delete(id); },
+    );
+    client.ws = ws;
+
+    if (key !== config.key) {
+      ws.send(JSON.stringify({ type: 'INVALID-KEY', payload: { msg: `Invalid key provided: ${key}` } }));
+      ws.close();
+      return;
+    }
+    if (!id || id.length > MAX_ID_LENGTH || !ID_PATTERN.test(id) || !token) {
+      ws.send(JSON.stringify({ type: 'ERROR', payload: { msg: 'No id, token, or key supplied to websocket server' } }));
+      ws.close();
+      return;
+    }
+
+    const existing = clients.get(id);
+    if (existing && existing.token !== token) {
+      ws.send(JSON.stringify({ type: 'ID-TAKEN', payload: { msg: 'ID is taken' } }));
+      ws.close();
+      return;
+    }
+    // Same token: the owner reconnecting after a Wi-Fi blip (peer.reconnect())
+    if (existing) existing.ws.close();
+
+    clients.set(id, client);
+    ws.send(JSON.stringify({ type: 'OPEN' }));
+    log(`+ ${id} (${clients.size} online)`);
+  }
+
+  function handleRequest(req, res) {
+    const url = new URL(req.url || '/', 'http://localhost');
+
+    // PeerJS asks for a random ID when none was requested (guests)
+    if (url.pathname === `/${config.key}/id`) {
+      res.writeHead(200, { 'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store' });
+      res.end(crypto.randomUUID());
+      return;
+    }
+    if (url.pathname === '/peerjs' || (url.pathname === '/' && !config.staticDir)) {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+      res.end(JSON.stringify({ name: 'MUSIXQUARE signaling', online: clients.size }));
+      return;
+    }
+    serveStatic(req, res, url);
+  }
+
+  function serveStatic(req, res, url) {
+    if (!config.staticDir || (req.method !== 'GET' && req.method !== 'HEAD')) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    let pathname;
+    try { pathname = decodeURIComponent(url.pathname); } catch { pathname = '/'; }
+    let filePath = path.join(config.staticDir, path.normalize(pathname));
+    if (filePath !== config.staticDir && !filePath.startsWith(config.staticDir + path.sep)) {
+      res.writeHead(403);
+      res.end();
+      return;
+    }
+    // SPA fallback, like netlify.toml's /* → /index.html
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+      filePath = path.join(config.staticDir, 'index.html');
+    }
+
+    const ext = path.extname(filePath).toLowerCase();
+    const headers = { 'Content-Type': MIME_TYPES[ext] || 'application/octet-stream' };
+    if (path.basename(filePath) === 'service-worker.js') headers['Cache-Control'] = 'no-cache';
+
+    if (ext === '.html') {
+      let html;
+      try { html = fs.readFileSync(filePath, 'utf8'); } catch {
+        res.writeHead(404);
+        res.end('Build not found — run `npm run build` first.');
+        return;
+      }
+      res.writeHead(200, { ...headers, 'Cache-Control': 'no-cache' });
+      res.end(req.method === 'HEAD' ? undefined : injectPeerServer(html, req));
+      return;
+    }
+
+    res.writeHead(200, headers);
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath).on('error', () => res.end()).pipe(res);
+  }
+
+  /** Point the app at this server, reached at whatever address the browser used */
+  function injectPeerServer(html, req) {
+    const hostHeader = String(req.headers.host || '');
+    const host = hostHeader.replace(/:\d+$/, '').replace(/^\[|\]$/g, '') || 'localhost';
+    const peerServer = { host, port: config.port, path: '/', key: config.key, secure, lan: true };
+    const script = `<script>window.__MUSIXQUARE_PEER_SERVER__ = ${JSON.stringify(peerServer)};</script>`;
+    return html.includes('</head>') ? html.replace('</head>', `${script}\n</head>`) : script + html;
+  }
+
+  server.on('request', handleRequest);
+  server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    if (url.pathname !== '/peerjs') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    handleSocket(req, socket, url);
+  });
+
+  // Drop sockets that stopped heartbeating so their codes can be claimed again
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [id, client] of clients) {
+      if (now - client.lastSeen <= ALIVE_TIMEOUT) continue;
+      clients.delete(id);
+      client.ws.close(1001);
+      log(`- ${id} (timed out)`);
+    }
+  }, SWEEP_INTERVAL);
+  sweep.unref();
+  server.on('close', () => clearInterval(sweep));
+
+  return { server, clients };
+}
+
+// ─── CLI ────────────────────────────────────────────────────────────
+
+function log(...args) {
+  console.log(`[Signal ${new Date().toISOString().slice(11, 19)}]`, ...args);
+}
+
+function lanAddresses() {
+  const addresses = [];
+  for (const list of Object.values(os.networkInterfaces())) {
+    for (const iface of list || []) {
+      if (iface.family === 'IPv4' && !iface.internal) addresses.push(iface.address);
+    }
+  }
+  return addresses;
+}
+
+function main() {
+  const config = resolveConfig();
+  if (config.staticDir && !fs.existsSync(path.join(config.staticDir, 'index.html'))) {
+    log(`No build at ${config.staticDir} — serving signaling only (run \`npm run build\` to serve the app)`);
+    config.staticDir = null;
+  }
+
+  const { server, clients } = createSignalServer(config);
+  server.listen(config.port, config.host, () => {
+    const scheme = server instanceof https.Server ? 'https' : 'http';
+    log(`Listening on ${config.host}:${config.port} (key "${config.key}")`);
+    for (const address of lanAddresses()) {
+      log(config.staticDir
+        ? `Open ${scheme}://${address}:${config.port}/ on every device`
+        : `Point the app at it with ?signal=${address}:${config.port}`);
+    }
+  });
+
+  const shutdown = () => {
+    for (const client of clients.values()) client.ws.close(1001);
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
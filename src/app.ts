@@ -25,13 +25,27 @@ import { BlobURLManager } from './core/blob-manager.ts';
 // ── Audio ──
 import { initAudio, isAudioReady } from './audio/engine.ts';
 import { applySettings, initEffectsHandlers } from './audio/effects.ts';
+import { initSoundPresets } from './audio/presets.ts';
+import { initBassManagement } from './audio/bass-management.ts';
 import { setChannelMode } from './audio/channel.ts';
 
 // ── Network ──
 import { initProtocol } from './network/protocol.ts';
 import { initPeerHandlers, leaveSession } from './network/peer.ts';
 import { initSync } from './network/sync.ts';
+import { initClock } from './network/clock.ts';
+import { initCalibration } from './network/calibration.ts';
+import { initSyncMonitor } from './network/sync-monitor.ts';
 import { initRelay } from './network/relay.ts';
+import { initTopology } from './network/topology.ts';
+import { initMigration } from './network/migration.ts';
+import { initTransport } from './network/transport.ts';
+import { initResume } from './network/resume.ts';
+import { initRecorder } from './network/recorder.ts';
+import { initHealth } from './network/health.ts';
+import { initRequests } from './network/requests.ts';
+import { initProfile } from './network/profile.ts';
+import { initOutputProfiles } from './network/output-profile.ts';
 
 // ── Storage ──
 import { setSyncWorker, setTransferWorker } from './storage/opfs.ts';
@@ -42,6 +56,7 @@ import { initRecovery } from './storage/recovery.ts';
 // ── Player ──
 import { initPlayback } from './player/playback.ts';
 import { initPlaylist } from './player/playlist.ts';
+import { initScheduledStart } from './player/scheduled-start.ts';
 import { initVideo } from './player/video.ts';
 import { initMediaSession } from './player/media-session.ts';
 
@@ -61,6 +76,8 @@ import { initChat } from './ui/chat.ts';
 import { initPlaylistView } from './ui/playlist-view.ts';
 import { initPlayerControls } from './ui/player-controls.ts';
 import { initSettings } from './ui/settings.ts';
+import { initEqEditor } from './ui/eq-editor.ts';
+import { initSyncMonitorView } from './ui/sync-monitor.ts';
 import { initSetup } from './ui/setup.ts';
 
 // ── Service Worker ──
@@ -195,19 +212,34 @@ function bootstrap(): void {
   // 3. Player & Media
   safeInit('Playback', initPlayback);
   safeInit('Playlist', initPlaylist);
+  safeInit('ScheduledStart', initScheduledStart);
   safeInit('Video', initVideo);
   safeInit('MediaSession', initMediaSession);
 
   // 4. Audio engine (deferred init — actual Tone.js init on user interaction)
   // Engine, effects, channel register bus listeners at import time
   safeInit('EffectsHandlers', initEffectsHandlers);
+  safeInit('SoundPresets', initSoundPresets);
+  safeInit('BassManagement', initBassManagement);
 
   // 5. Network (registers bus listeners; PeerJS init deferred to host/guest flow)
   // initNetwork() is called from setup.ts via createHostSessionWithShortCode() or joinSession()
+  safeInit('Transport', initTransport);
   safeInit('Protocol', initProtocol);
   safeInit('PeerHandlers', initPeerHandlers);
+  safeInit('Requests', initRequests);
+  safeInit('Profile', initProfile);
+  safeInit('OutputProfiles', initOutputProfiles);
   safeInit('Sync', initSync);
+  safeInit('Clock', initClock);
+  safeInit('Calibration', initCalibration);
+  safeInit('SyncMonitor', initSyncMonitor);
   safeInit('Relay', initRelay);
+  safeInit('Topology', initTopology);
+  safeInit('Health', initHealth);
+  safeInit('Migration', initMigration);
+  safeInit('Resume', initResume);
+  safeInit('Recorder', initRecorder);
 
   // 6. Workers & Storage
   try {
@@ -254,6 +286,8 @@ function bootstrap(): void {
   safeInit('PlaylistView', initPlaylistView);
   safeInit('PlayerControls', initPlayerControls);
   safeInit('Settings', initSettings);
+  safeInit('EqEditor', initEqEditor);
+  safeInit('SyncMonitorView', initSyncMonitorView);
   safeInit('Setup', initSetup);
 
   // 9. Service Worker
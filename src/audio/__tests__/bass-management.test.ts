@@ -0,0 +1,133 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG, CAP } from '../../core/constants.ts';
+import { handleData } from '../../network/protocol.ts';
+import { sessionCrossoverFreq, initBassManagement } from '../bass-management.ts';
+import { fakeConn } from '../../test/fake-conn.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  initBassManagement();
+});
+
+function addPeer(id: string, joinOrder: number, caps: string[] = [CAP.BASS_MANAGEMENT]) {
+  const conn = fakeConn(id);
+  setState('network.connectedPeers', [
+    ...getState('network.connectedPeers'),
+    { id, label: id, status: 'connected', conn, caps, joinOrder } as never,
+  ]);
+  return conn;
+}
+
+function sentCrossovers(conn: { send: ReturnType<typeof vi.fn> }): number[] {
+  return conn.send.mock.calls.map(([msg]) => msg).filter(m => m.type === MSG.CROSSOVER).map(m => m.freq);
+}
+
+// ─── Host ────────────────────────────────────────────────────────────
+
+describe('host', () => {
+  beforeEach(() => {
+    setState('network.appRole', 'host');
+  });
+
+  it('high-passes the other roles at a guest woofer\'s cutoff until it stops being one', async () => {
+    const woofer = addPeer('w', 1);
+    const speaker = addPeer('s', 2);
+    const legacy = addPeer('l', 3, []);
+
+    await handleData({ type: MSG.SPEAKER_ROLE, woofer: true, subFreq: 90 }, woofer);
+    expect(getState('audio.crossoverFreq')).toBe(90);
+    expect(sentCrossovers(speaker)).toEqual([90]);
+    expect(legacy.send).not.toHaveBeenCalled();
+
+    await handleData({ type: MSG.SPEAKER_ROLE, woofer: false, subFreq: 90 }, woofer);
+    expect(getState('audio.crossoverFreq')).toBe(0);
+    expect(sentCrossovers(speaker)).toEqual([90, 0]);
+  });
+
+  it('drops the crossover when the woofer leaves', async () => {
+    const woofer = addPeer('w', 1);
+    await handleData({ type: MSG.SPEAKER_ROLE, woofer: true, subFreq: 150 }, woofer);
+
+    setState('network.connectedPeers', []);
+    bus.emit('network:peer-disconnected', 'w');
+
+    expect(getState('audio.crossoverFreq')).toBe(0);
+  });
+
+  it('follows its own woofer role and cutoff ahead of any guest\'s', async () => {
+    const woofer = addPeer('w', 1);
+    await handleData({ type: MSG.SPEAKER_ROLE, woofer: true, subFreq: 150 }, woofer);
+
+    setState('audio.channelMode', 2);
+    expect(sessionCrossoverFreq()).toBe(120);
+    expect(getState('audio.crossoverFreq')).toBe(120);
+
+    setState('audio.subFreq', 80);
+    expect(getState('audio.crossoverFreq')).toBe(80);
+    expect(sentCrossovers(woofer)).toEqual([150, 120, 80]);
+  });
+
+  it('tells a late joiner the current crossover', () => {
+    setState('audio.isSurroundMode', true);
+    setState('audio.surroundChannelIndex', 3);
+
+    const conn = addPeer('n', 1);
+    bus.emit('network:peer-connected', conn);
+
+    expect(sentCrossovers(conn)).toEqual([120]);
+  });
+});
+
+// ─── Guest ───────────────────────────────────────────────────────────
+
+describe('guest', () => {
+  let host: ReturnType<typeof fakeConn>;
+
+  beforeEach(() => {
+    host = fakeConn('host');
+    setState('network.appRole', 'guest');
+    setState('network.hostConn', host);
+    setState('network.sessionCaps', [CAP.BASS_MANAGEMENT]);
+  });
+
+  it('reports its role on join and whenever it changes', () => {
+    bus.emit('setup:guest-join-success');
+    setState('audio.channelMode', 2);
+    setState('audio.subFreq', 100);
+    setState('audio.channelMode', -1);
+
+    const reports = host.send.mock.calls.map(([msg]) => msg);
+    expect(reports).toEqual([
+      { type: MSG.SPEAKER_ROLE, woofer: false, subFreq: 120 },
+      { type: MSG.SPEAKER_ROLE, woofer: true, subFreq: 120 },
+      { type: MSG.SPEAKER_ROLE, woofer: true, subFreq: 100 },
+      { type: MSG.SPEAKER_ROLE, woofer: false, subFreq: 100 },
+    ]);
+  });
+
+  it('stays quiet with a host that does not manage bass', () => {
+    setState('network.sessionCaps', []);
+    bus.emit('setup:guest-join-success');
+    setState('audio.channelMode', 2);
+    expect(host.send).not.toHaveBeenCalled();
+  });
+
+  it('takes the crossover from the host and clears it on leave', async () => {
+    await handleData({ type: MSG.CROSSOVER, freq: 110 }, host);
+    expect(getState('audio.crossoverFreq')).toBe(110);
+
+    bus.emit('network:before-leave');
+    expect(getState('audio.crossoverFreq')).toBe(0);
+  });
+
+  it('ignores a crossover from anyone but the host', async () => {
+    await handleData({ type: MSG.CROSSOVER, freq: 110 }, fakeConn('relay'));
+    expect(getState('audio.crossoverFreq')).toBe(0);
+  });
+});
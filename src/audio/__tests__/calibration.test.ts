@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateChirp, fft, nextPow2, crossCorrelate, detectArrival, CHIRP_DURATION,
+} from '../calibration.ts';
+
+const SR = 48000;
+
+/** Deterministic uniform noise in [-amp, amp] */
+function noise(length: number, amp: number, seed = 1): Float32Array {
+  let x = seed;
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    out[i] = amp * (2 * x / 2147483648 - 1);
+  }
+  return out;
+}
+
+function mixIn(target: Float32Array, src: Float32Array, at: number, gain: number): void {
+  for (let i = 0; i < src.length && at + i < target.length; i++) target[at + i] += gain * src[i];
+}
+
+describe('generateChirp', () => {
+  it('has the requested length and fades in and out', () => {
+    const chirp = generateChirp(SR);
+    expect(chirp.length).toBe(Math.round(SR * CHIRP_DURATION));
+    expect(chirp[0]).toBeCloseTo(0, 6);
+    expect(Math.abs(chirp[chirp.length - 1])).toBeLessThan(1e-3);
+    expect(Math.max(...chirp.map(Math.abs))).toBeLessThanOrEqual(0.8);
+  });
+});
+
+describe('fft', () => {
+  it('round-trips through the inverse', () => {
+    const re = Float64Array.from([1, 2, 3, 4, 0, -1, 0.5, 2]);
+    const im = new Float64Array(8);
+    fft(re, im);
+    expect(re[0]).toBeCloseTo(11.5, 9);
+    fft(re, im, true);
+    expect(Array.from(re)).toEqual([1, 2, 3, 4, 0, -1, 0.5, 2].map(v => expect.closeTo(v, 9)));
+  });
+
+  it('rejects lengths that are not powers of two', () => {
+    expect(() => fft(new Float64Array(6), new Float64Array(6))).toThrow('FFT_LENGTH');
+    expect(nextPow2(6)).toBe(8);
+  });
+});
+
+describe('crossCorrelate', () => {
+  it('matches the direct sum', () => {
+    const signal = noise(50, 1, 7);
+    const ref = noise(9, 1, 3);
+    const corr = crossCorrelate(signal, ref);
+    expect(corr.length).toBe(42);
+    for (const k of [0, 13, 41]) {
+      let sum = 0;
+      for (let j = 0; j < ref.length; j++) sum += signal[k + j] * ref[j];
+      expect(corr[k]).toBeCloseTo(sum, 4);
+    }
+  });
+
+  it('is empty when the reference does not fit', () => {
+    expect(crossCorrelate(new Float32Array(4), new Float32Array(8)).length).toBe(0);
+  });
+});
+
+describe('detectArrival', () => {
+  const chirp = generateChirp(SR);
+
+  it('finds a quiet chirp in noise to the sample', () => {
+    const rec = noise(SR / 2, 0.05);
+    mixIn(rec, chirp, 12345, 0.2);
+    const arrival = detectArrival(rec, chirp, SR)!;
+    expect(arrival).not.toBeNull();
+    expect(Math.abs(arrival.index - 12345)).toBeLessThan(1);
+    expect(arrival.confidence).toBeGreaterThan(10);
+  });
+
+  it('survives polarity inversion', () => {
+    const rec = noise(SR / 2, 0.02);
+    mixIn(rec, chirp, 5000, -0.5);
+    expect(Math.abs(detectArrival(rec, chirp, SR)!.index - 5000)).toBeLessThan(1);
+  });
+
+  it('takes the direct path over a louder reflection', () => {
+    const rec = noise(SR / 2, 0.02);
+    mixIn(rec, chirp, 10000, 0.4);
+    mixIn(rec, chirp, 10300, 0.7);
+    expect(Math.abs(detectArrival(rec, chirp, SR)!.index - 10000)).toBeLessThan(1);
+  });
+
+  it('reports nothing when only noise was recorded', () => {
+    expect(detectArrival(noise(SR / 2, 0.3), chirp, SR)).toBeNull();
+  });
+});
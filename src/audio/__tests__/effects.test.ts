@@ -1,9 +1,13 @@
 /**
  * @vitest-environment jsdom
  */
-import { describe, it, expect, beforeEach } from 'vitest';
-import { resetState, getState } from '../../core/state.ts';
-import { setPreamp, setStereoWidth, resetStereoWidth, setVirtualBass, resetVirtualBass } from '../effects.ts';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { MSG, CAP } from '../../core/constants.ts';
+import {
+  setPreamp, setStereoWidth, resetStereoWidth, setVirtualBass, resetVirtualBass, setEQ, resetEQ,
+  setFixedEQBand, broadcastEQ,
+} from '../effects.ts';
 
 beforeEach(() => {
   resetState();
@@ -81,3 +85,34 @@ describe('resetVirtualBass', () => {
     expect(getState('audio.virtualBass')).toBeCloseTo(0.0);
   });
 });
+
+describe('setEQ', () => {
+  it('stores the clamped band list', () => {
+    const applied = setEQ([{ type: 'highshelf', frequency: 8000, Q: 1, gain: 15 }, { type: 'bogus' }]);
+    expect(applied).toEqual([{ type: 'highshelf', frequency: 8000, Q: 1, gain: 12 }]);
+    expect(getState('audio.eqBands')).toEqual(applied);
+  });
+
+  it('resetEQ restores the default bands', () => {
+    setEQ([]);
+    resetEQ();
+    expect(getState('audio.eqBands').map(b => b.frequency)).toEqual([60, 230, 910, 3600, 14000]);
+  });
+});
+
+describe('older peers (no parametric EQ)', () => {
+  it('get one message per fixed band, the others the band list', () => {
+    const peer = (id: string, caps: string[]) =>
+      ({ id, label: id, status: 'connected', caps, conn: { peer: id, open: true, send: vi.fn() } });
+    const modern = peer('a', [CAP.PARAMETRIC_EQ]);
+    const legacy = peer('b', []);
+    setState('network.connectedPeers', [modern, legacy] as never);
+
+    broadcastEQ(setFixedEQBand(2, 5));
+
+    expect(modern.conn.send.mock.calls.map(([m]) => m)).toEqual([{ type: MSG.EQ_UPDATE, bands: getState('audio.eqBands') }]);
+    expect(legacy.conn.send.mock.calls.map(([m]) => m)).toEqual(
+      [0, 0, 5, 0, 0].map((value, band) => ({ type: MSG.EQ_UPDATE, band, value })),
+    );
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { EQ_LIMITS } from '../../core/constants.ts';
+import {
+  defaultEqBands, sanitizeEqBands, newEqBand, withEqBand, withoutEqBand, withAddedEqBand,
+  eqBandResponseDb, eqResponseDb, isFixedEqLayout, toFixedEqGains, fromFixedEqGains, withFixedEqGain,
+} from '../eq.ts';
+import type { EqBand } from '../../types/index.ts';
+
+const band = (type: EqBand['type'], frequency: number, gain = 0, Q = 1): EqBand => ({ type, frequency, Q, gain });
+
+describe('band list', () => {
+  it('defaults to flat peaking bands', () => {
+    const bands = defaultEqBands();
+    expect(bands.map(b => b.frequency)).toEqual([60, 230, 910, 3600, 14000]);
+    expect(bands.every(b => b.type === 'peaking' && b.gain === 0)).toBe(true);
+  });
+
+  it('clamps values and drops what is not a band', () => {
+    const bands = sanitizeEqBands([
+      { type: 'peaking', frequency: 5, Q: 40, gain: -30 },
+      { type: 'bandpass', frequency: 100, Q: 1, gain: 0 },
+      { type: 'notch', frequency: 'x', Q: 1, gain: 0 },
+      null,
+    ]);
+    expect(bands).toEqual([{ type: 'peaking', frequency: EQ_LIMITS.FREQ_MIN, Q: EQ_LIMITS.Q_MAX, gain: -EQ_LIMITS.GAIN_DB }]);
+    expect(sanitizeEqBands(Array(EQ_LIMITS.MAX_BANDS + 3).fill(band('notch', 50)))).toHaveLength(EQ_LIMITS.MAX_BANDS);
+    expect(sanitizeEqBands('nope')).toEqual([]);
+  });
+
+  it('adds new bands in the widest free gap, up to the limit', () => {
+    expect(newEqBand([]).frequency).toBe(632);
+    expect(newEqBand(defaultEqBands()).frequency).toBe(457);
+
+    const full = Array.from({ length: EQ_LIMITS.MAX_BANDS }, (_, i) => band('peaking', 100 * (i + 1)));
+    expect(withAddedEqBand(full)).toBeNull();
+    expect(withAddedEqBand(full.slice(1))).toHaveLength(EQ_LIMITS.MAX_BANDS);
+  });
+
+  it('edits and removes one band without touching the list passed in', () => {
+    const bands = defaultEqBands();
+    const edited = withEqBand(bands, 1, { type: 'lowshelf', gain: 20 })!;
+    expect(edited[1]).toEqual({ type: 'lowshelf', frequency: 230, Q: 1, gain: EQ_LIMITS.GAIN_DB });
+    expect(bands[1].type).toBe('peaking');
+
+    expect(withoutEqBand(bands, 0)!.map(b => b.frequency)).toEqual([230, 910, 3600, 14000]);
+    expect(withEqBand(bands, 9, { gain: 1 })).toBeNull();
+    expect(withoutEqBand(bands, 9)).toBeNull();
+  });
+});
+
+describe('frequency response', () => {
+  it('peaks at the centre and is flat far away', () => {
+    const peak = band('peaking', 1000, 6);
+    expect(eqBandResponseDb(peak, 1000)).toBeCloseTo(6, 6);
+    expect(Math.abs(eqBandResponseDb(peak, 30))).toBeLessThan(0.1);
+    expect(eqBandResponseDb(band('peaking', 1000, 0), 1000)).toBeCloseTo(0, 9);
+  });
+
+  it('shelves reach full gain on their side only', () => {
+    expect(eqBandResponseDb(band('lowshelf', 500, 6), 20)).toBeCloseTo(6, 1);
+    expect(Math.abs(eqBandResponseDb(band('lowshelf', 500, 6), 15000))).toBeLessThan(0.1);
+    expect(eqBandResponseDb(band('highshelf', 2000, -6), 18000)).toBeCloseTo(-6, 0);
+  });
+
+  it('passes and notches cut regardless of gain', () => {
+    expect(Math.abs(eqBandResponseDb(band('lowpass', 1000, 12), 100))).toBeLessThan(0.1);
+    expect(eqBandResponseDb(band('lowpass', 1000, 12), 10000)).toBeLessThan(-30);
+    expect(eqBandResponseDb(band('highpass', 1000), 50)).toBeLessThan(-40);
+    expect(eqBandResponseDb(band('notch', 1000, 0, 4), 1000)).toBeLessThan(-60);
+  });
+
+  it('adds up the bands in series', () => {
+    const bands = [band('peaking', 100, 4), band('peaking', 100, 2)];
+    expect(eqResponseDb(bands, 100)).toBeCloseTo(6, 6);
+    expect(eqResponseDb([], 100)).toBe(0);
+  });
+});
+
+describe('fixed five-band format', () => {
+  it('passes gains through on the default layout', () => {
+    const bands = fromFixedEqGains([3, -2, 0, 20, 'x']);
+    expect(isFixedEqLayout(bands)).toBe(true);
+    expect(toFixedEqGains(bands)).toEqual([3, -2, 0, 12, 0]);
+  });
+
+  it('samples any other list at the fixed centres', () => {
+    const gains = toFixedEqGains([band('lowshelf', 300, 6)]);
+    expect(gains[0]).toBeCloseTo(6, 0);
+    expect(gains[4]).toBe(0);
+  });
+
+  it('folds another layout onto the fixed bands before setting one', () => {
+    const bands = withFixedEqGain([band('lowshelf', 300, 6)], 4, -3)!;
+    expect(isFixedEqLayout(bands)).toBe(true);
+    expect(bands[0].gain).toBeCloseTo(6, 0);
+    expect(bands[4].gain).toBe(-3);
+    expect(withFixedEqGain(bands, 5, 1)).toBeNull();
+  });
+});
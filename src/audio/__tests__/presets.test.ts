@@ -0,0 +1,197 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG, CAP, MAX_SOUND_PRESETS } from '../../core/constants.ts';
+import { handleData } from '../../network/protocol.ts';
+import {
+  sanitizeFxSettings, readFxSettings, applyFxSettings, saveSoundPreset, deleteSoundPreset,
+  exportSoundPresets, importSoundPresets, applySoundPreset, initSoundPresets, PRESET_FILE_FORMAT,
+} from '../presets.ts';
+import { fakeConn } from '../../test/fake-conn.ts';
+import type { FxSettings } from '../../types/index.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  localStorage.clear();
+  initSoundPresets();
+});
+
+function addPeer(id: string, caps: string[]) {
+  const conn = fakeConn(id);
+  setState('network.connectedPeers', [
+    ...getState('network.connectedPeers'),
+    { id, label: id, status: 'connected', conn, caps } as never,
+  ]);
+  return conn;
+}
+
+const LATE_NIGHT: FxSettings = {
+  eqBands: [{ type: 'lowshelf', frequency: 120, Q: 1, gain: -6 }],
+  userPreampGain: 0.5,
+  reverbMix: 0.2,
+  reverbDecay: 1.5,
+  reverbPreDelay: 0.05,
+  reverbLowCut: 30,
+  reverbHighCut: 40,
+  stereoWidth: 0.8,
+  virtualBass: 0,
+  subFreq: 90,
+};
+
+describe('sanitizeFxSettings', () => {
+  it('clamps every field and fills in missing ones', () => {
+    const fx = sanitizeFxSettings({ eqBands: [], reverbMix: 5, stereoWidth: -1, subFreq: 'x' })!;
+    expect(fx).toMatchObject({ reverbMix: 1, stereoWidth: 0, subFreq: 120, reverbDecay: 5, userPreampGain: 1 });
+    expect(sanitizeFxSettings({ reverbMix: 0.5 })).toBeNull();
+  });
+});
+
+describe('applyFxSettings', () => {
+  it('replaces every setting in one batch and tells the controls', () => {
+    const applied = vi.fn();
+    bus.on('audio:fx-applied', applied);
+
+    applyFxSettings(LATE_NIGHT);
+
+    expect(readFxSettings()).toEqual(LATE_NIGHT);
+    expect(applied).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ─── Storage ─────────────────────────────────────────────────────────
+
+describe('saved presets', () => {
+  it('captures the current settings and restores them on init', () => {
+    applyFxSettings(LATE_NIGHT);
+    const saved = saveSoundPreset('Late night')!;
+    expect(saved.fx).toEqual(LATE_NIGHT);
+
+    resetState();
+    initSoundPresets();
+    expect(getState('audio.presets')).toEqual([saved]);
+  });
+
+  it('replaces a preset of the same name and stops at the limit', () => {
+    const first = saveSoundPreset('Outdoor')!;
+    setState('audio.reverbMix', 0.7);
+    expect(saveSoundPreset('outdoor')!.id).toBe(first.id);
+    expect(getState('audio.presets')[0].fx.reverbMix).toBe(0.7);
+
+    for (let i = 1; i < MAX_SOUND_PRESETS; i++) saveSoundPreset(`Room ${i}`);
+    expect(saveSoundPreset('One too many')).toBeNull();
+    expect(deleteSoundPreset(first.id)).toBe(true);
+    expect(saveSoundPreset('One too many')).not.toBeNull();
+  });
+
+  it('round-trips through an exported file', () => {
+    applyFxSettings(LATE_NIGHT);
+    saveSoundPreset('Late night');
+    const json = exportSoundPresets();
+    expect(JSON.parse(json).format).toBe(PRESET_FILE_FORMAT);
+
+    localStorage.clear();
+    resetState();
+    initSoundPresets();
+    expect(importSoundPresets(json)).toBe(1);
+    expect(getState('audio.presets')[0]).toMatchObject({ name: 'Late night', fx: LATE_NIGHT });
+    expect(importSoundPresets('{"presets": [{"name": "x"}]}')).toBeNull();
+    expect(importSoundPresets('not json')).toBeNull();
+  });
+});
+
+// ─── Session ─────────────────────────────────────────────────────────
+
+describe('applySoundPreset', () => {
+  it('host: one message to capable guests, per-setting messages to older ones', () => {
+    const modern = addPeer('a', [CAP.FX_PRESETS]);
+    const legacy = addPeer('b', []);
+    setState('audio.presets', [{ id: 'p1', name: 'Late night', fx: LATE_NIGHT }]);
+
+    applySoundPreset('p1');
+
+    expect(readFxSettings()).toEqual(LATE_NIGHT);
+    expect(modern.send).toHaveBeenCalledTimes(1);
+    expect(modern.send).toHaveBeenCalledWith({ type: MSG.FX_PRESET, name: 'Late night', fx: LATE_NIGHT });
+    const legacyMsgs = legacy.send.mock.calls.map(([msg]) => msg);
+    expect(legacyMsgs.map(m => m.type)).toContain(MSG.REVERB_DECAY);
+    expect(legacyMsgs.map(m => m.type)).not.toContain(MSG.FX_PRESET);
+    // Fixed five-band EQ, the only form these guests parse
+    const eq = legacyMsgs.filter(m => m.type === MSG.EQ_UPDATE);
+    expect(eq.map(m => m.band)).toEqual([0, 1, 2, 3, 4]);
+    expect(eq[0].value).toBeCloseTo(-6, 0);
+    expect(eq.some(m => 'bands' in m)).toBe(false);
+  });
+
+  it('host: band-list EQ for older guests that have parametric EQ', () => {
+    const guest = addPeer('b', [CAP.PARAMETRIC_EQ]);
+    setState('audio.presets', [{ id: 'p1', name: 'Late night', fx: LATE_NIGHT }]);
+
+    applySoundPreset('p1');
+
+    expect(guest.send).toHaveBeenCalledWith({ type: MSG.EQ_UPDATE, bands: LATE_NIGHT.eqBands });
+  });
+
+  it('operator guest asks the host instead of applying locally', () => {
+    const host = fakeConn('host');
+    setState('network.hostConn', host);
+    setState('network.isOperator', true);
+    setState('network.opPermissions', ['fx']);
+    setState('network.sessionCaps', [CAP.FX_PRESETS]);
+    const preset = saveSoundPreset('Outdoor')!;
+    setState('audio.reverbMix', 0.9);
+
+    applySoundPreset(preset.id);
+
+    expect(host.send).toHaveBeenCalledWith(expect.objectContaining({ type: MSG.REQUEST_FX_PRESET, name: 'Outdoor' }));
+    expect(getState('audio.reverbMix')).toBe(0.9);
+  });
+
+  it('operator guest on an older host sends one setting request at a time', () => {
+    const host = fakeConn('host');
+    setState('network.hostConn', host);
+    setState('network.isOperator', true);
+    setState('network.opPermissions', ['fx']);
+    setState('audio.presets', [{ id: 'p1', name: 'Late night', fx: LATE_NIGHT }]);
+
+    applySoundPreset('p1');
+
+    const msgs = host.send.mock.calls.map(([msg]) => msg);
+    expect(msgs.every(m => m.type === MSG.REQUEST_SETTING)).toBe(true);
+    expect(msgs).toContainEqual({ type: MSG.REQUEST_SETTING, settingType: 'stereo', value: 80 });
+    expect(msgs).toContainEqual({ type: MSG.REQUEST_SETTING, settingType: MSG.REVERB_DECAY, value: 1.5 });
+    expect(msgs.filter(m => m.settingType === 'eq').map(m => m.band)).toEqual([0, 1, 2, 3, 4]);
+    expect(getState('audio.reverbMix')).toBe(0);
+  });
+
+  it('bootstraps a late joiner with a single message', () => {
+    const conn = addPeer('c', [CAP.FX_PRESETS]);
+    bus.emit('network:peer-connected', conn);
+    expect(conn.send).toHaveBeenCalledTimes(1);
+    expect(conn.send.mock.calls[0][0]).toMatchObject({ type: MSG.FX_PRESET, name: '' });
+  });
+});
+
+describe('protocol handlers', () => {
+  it('guest applies an fx-preset from the host atomically', async () => {
+    setState('network.hostConn', fakeConn('host'));
+    const applied = vi.fn();
+    bus.on('audio:fx-applied', applied);
+
+    await handleData({ type: MSG.FX_PRESET, name: 'Late night', fx: LATE_NIGHT }, getState('network.hostConn')!);
+
+    expect(readFxSettings()).toEqual(LATE_NIGHT);
+    expect(applied).toHaveBeenCalledTimes(1);
+  });
+
+  it('host refuses presets from non-operators', async () => {
+    const guest = addPeer('g', [CAP.FX_PRESETS]);
+    await handleData({ type: MSG.REQUEST_FX_PRESET, name: 'x', fx: LATE_NIGHT, reqId: 'r1' }, guest);
+
+    expect(getState('audio.reverbMix')).toBe(0);
+    expect(guest.send).toHaveBeenCalledWith(expect.objectContaining({ type: MSG.COMMAND_RESULT, ok: false }));
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * MUSIXQUARE 2.0 — Bass Management
+ *
+ * Manages: the session crossover. Guests tell the host whether they play
+ * the woofer role (Sub mode or the LFE channel) and at which cutoff; while
+ * any device does, the host sends every guest that cutoff (CROSSOVER) and
+ * all other roles high-pass there, complementing the woofer's low-pass so
+ * the two sum flat. With several woofers the host's own, else the earliest
+ * joiner's, cutoff wins.
+ */
+
+import { log } from '../core/log.ts';
+import { bus } from '../core/events.ts';
+import { getState, setState } from '../core/state.ts';
+import { MSG, CAP } from '../core/constants.ts';
+import { registerHandlers } from '../network/protocol.ts';
+import { safeSend, sendToHost } from '../network/peer.ts';
+import { peerHasCapability, sessionHasCapability } from '../network/version.ts';
+import { formatPeerName } from '../network/profile.ts';
+import { applySettings, isWooferRole } from './effects.ts';
+import type { DataConnection } from '../types/index.ts';
+
+/** Guest: last role sent to the host ('' = none yet) */
+let _reportedRole = '';
+
+// ─── Crossover ──────────────────────────────────────────────────────
+
+/**
+ * Host: the cutoff non-woofer roles should high-pass at (0 = no woofer).
+ */
+export function sessionCrossoverFreq(): number {
+  if (isWooferRole()) return getState('audio.subFreq');
+  const woofer = getState('network.connectedPeers')
+    .filter(p => p.status === 'connected' && p.wooferFreq)
+    .sort((a, b) => a.joinOrder - b.joinOrder)[0];
+  return woofer?.wooferFreq ?? 0;
+}
+
+function setCrossover(freq: number): boolean {
+  if (getState('audio.crossoverFreq') === freq) return false;
+  setState('audio.crossoverFreq', freq);
+  applySettings();
+  log.info(`[BassManagement] Crossover ${freq ? `at ${freq}Hz` : 'off'}`);
+  return true;
+}
+
+function sendCrossover(conn: DataConnection | null, peerId: string): void {
+  if (!peerHasCapability(peerId, CAP.BASS_MANAGEMENT)) return;
+  safeSend(conn, { type: MSG.CROSSOVER, freq: getState('audio.crossoverFreq') });
+}
+
+/**
+ * Host: recompute the crossover and tell the guests when it moved.
+ * Returns whether it did.
+ */
+export function updateCrossover(): boolean {
+  if (getState('network.hostConn')) return false;
+  if (!setCrossover(sessionCrossoverFreq())) return false;
+  for (const p of getState('network.connectedPeers')) {
+    if (p.status === 'connected') sendCrossover(p.conn, p.id);
+  }
+  return true;
+}
+
+// ─── Guest: Role Report ─────────────────────────────────────────────
+
+function reportSpeakerRole(): void {
+  if (!getState('network.hostConn') || !sessionHasCapability(CAP.BASS_MANAGEMENT)) return;
+  const woofer = isWooferRole();
+  const subFreq = getState('audio.subFreq');
+  const role = `${woofer}:${subFreq}`;
+  if (role === _reportedRole) return;
+  if (sendToHost({ type: MSG.SPEAKER_ROLE, woofer, subFreq })) _reportedRole = role;
+}
+
+/** This device's role or cutoff changed */
+function onLocalRoleChange(): void {
+  if (getState('network.hostConn')) reportSpeakerRole();
+  else if (getState('network.appRole') === 'host') updateCrossover();
+}
+
+// ─── Network Protocol Handlers ──────────────────────────────────────
+
+function handleSpeakerRole(data: Record<string, unknown>, conn: DataConnection): void {
+  if (getState('network.hostConn')) return; // Only Host
+
+  const p = getState('network.connectedPeers').find(x => x.id === conn?.peer);
+  if (!p || p.conn !== conn) return;
+
+  const wooferFreq = data.woofer ? data.subFreq as number : undefined;
+  if (p.wooferFreq === wooferFreq) return;
+  p.wooferFreq = wooferFreq;
+  log.info(`[BassManagement] ${formatPeerName(p)} ${wooferFreq ? `is a woofer (${wooferFreq}Hz)` : 'is not a woofer'}`);
+  updateCrossover();
+}
+
+function handleCrossover(data: Record<string, unknown>, conn: DataConnection): void {
+  if (!conn || conn !== getState('network.hostConn')) return; // Only from our host
+  setCrossover(data.freq as number);
+}
+
+// ─── Initialize Bass Management ─────────────────────────────────────
+
+export function initBassManagement(): void {
+  registerHandlers({
+    [MSG.SPEAKER_ROLE]: handleSpeakerRole,
+    [MSG.CROSSOVER]: handleCrossover,
+  });
+
+  for (const path of ['audio.channelMode', 'audio.isSurroundMode', 'audio.surroundChannelIndex', 'audio.subFreq'] as const) {
+    bus.on(`state:${path}`, onLocalRoleChange);
+  }
+
+  // Host: a new guest hears the current crossover; a leaving woofer takes it along
+  bus.on('network:peer-connected', (conn) => {
+    if (getState('network.hostConn') || !conn?.open) return;
+    if (!updateCrossover()) sendCrossover(conn, conn.peer);
+  });
+  bus.on('network:peer-disconnected', () => updateCrossover());
+
+  // Guest: (re)joined a host, which has not heard our role yet
+  bus.on('setup:guest-join-success', () => {
+    _reportedRole = '';
+    reportSpeakerRole();
+  });
+  bus.on('network:before-leave', () => {
+    _reportedRole = '';
+    setCrossover(0);
+  });
+
+  log.info('[BassManagement] Handlers registered');
+}
@@ -0,0 +1,188 @@
+/**
+ * MUSIXQUARE 2.0 — Acoustic Calibration DSP
+ *
+ * Manages: the signal math behind microphone latency calibration: the
+ * test chirp, FFT cross-correlation and arrival detection. No Web Audio
+ * in here, so all of it runs on synthetic buffers in tests.
+ */
+
+// ─── Test Signal ────────────────────────────────────────────────────
+
+/** Linear sweep inside the band phone speakers and mics both handle */
+export const CHIRP_DURATION = 0.15;
+export const CHIRP_F0 = 800;
+export const CHIRP_F1 = 6000;
+const CHIRP_FADE = 0.005;
+const CHIRP_GAIN = 0.8;
+
+/** Correlation peak over RMS below which nothing was heard */
+export const MIN_CONFIDENCE = 10;
+/** An earlier peak this close to the strongest is the direct path (the later one a reflection) */
+const DIRECT_PATH_RATIO = 0.5;
+const DIRECT_PATH_SEARCH = 0.02;
+/** Skip the main lobe's own fine structure */
+const DIRECT_PATH_GUARD = 0.001;
+
+export interface Arrival {
+  /** Chirp start in the recording (fractional samples) */
+  index: number;
+  /** Peak over RMS of the correlation */
+  confidence: number;
+}
+
+/**
+ * Linear chirp from f0 to f1 with short fades (no clicks).
+ */
+export function generateChirp(
+  sampleRate: number,
+  duration: number = CHIRP_DURATION,
+  f0: number = CHIRP_F0,
+  f1: number = CHIRP_F1,
+): Float32Array {
+  const n = Math.max(1, Math.round(sampleRate * duration));
+  const fadeLen = Math.max(1, Math.round(sampleRate * CHIRP_FADE));
+  const k = (f1 - f0) / duration;
+  const out = new Float32Array(n);
+
+  for (let i = 0; i < n; i++) {
+    const t = i / sampleRate;
+    const phase = 2 * Math.PI * (f0 * t + k * t * t / 2);
+    const edge = Math.min(i, n - 1 - i);
+    const fade = edge < fadeLen ? 0.5 - 0.5 * Math.cos(Math.PI * edge / fadeLen) : 1;
+    out[i] = CHIRP_GAIN * fade * Math.sin(phase);
+  }
+  return out;
+}
+
+// ─── FFT ────────────────────────────────────────────────────────────
+
+export function nextPow2(n: number): number {
+  let p = 1;
+  while (p < n) p <<= 1;
+  return p;
+}
+
+/**
+ * In-place iterative radix-2 FFT. Length must be a power of two; the
+ * inverse is scaled by 1/n.
+ */
+export function fft(re: Float64Array, im: Float64Array, inverse = false): void {
+  const n = re.length;
+  if (n !== im.length || (n & (n - 1)) !== 0) throw new Error('FFT_LENGTH');
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (inverse ? 2 : -2) * Math.PI / len;
+    const wRe = Math.cos(ang);
+    const wIm = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cRe = 1;
+      let cIm = 0;
+      for (let j = 0; j < len / 2; j++) {
+        const a = i + j;
+        const b = a + len / 2;
+        const tRe = re[b] * cRe - im[b] * cIm;
+        const tIm = re[b] * cIm + im[b] * cRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nRe = cRe * wRe - cIm * wIm;
+        cIm = cRe * wIm + cIm * wRe;
+        cRe = nRe;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+// ─── Correlation ────────────────────────────────────────────────────
+
+/**
+ * corr[k] = Σ signal[k + j] · ref[j] for every lag where `ref` fits inside
+ * `signal` (length signal.length - ref.length + 1).
+ */
+export function crossCorrelate(signal: Float32Array, ref: Float32Array): Float32Array {
+  const lags = signal.length - ref.length + 1;
+  if (ref.length === 0 || lags <= 0) return new Float32Array(0);
+
+  const n = nextPow2(signal.length + ref.length - 1);
+  const sRe = new Float64Array(n);
+  const sIm = new Float64Array(n);
+  const rRe = new Float64Array(n);
+  const rIm = new Float64Array(n);
+  sRe.set(signal);
+  rRe.set(ref);
+  fft(sRe, sIm);
+  fft(rRe, rIm);
+
+  // S · conj(R)
+  for (let i = 0; i < n; i++) {
+    const re = sRe[i] * rRe[i] + sIm[i] * rIm[i];
+    const im = sIm[i] * rRe[i] - sRe[i] * rIm[i];
+    sRe[i] = re;
+    sIm[i] = im;
+  }
+  fft(sRe, sIm, true);
+
+  return Float32Array.from(sRe.subarray(0, lags));
+}
+
+/**
+ * Sub-sample position of the peak at `i` from its two neighbours.
+ */
+function interpolatePeak(values: Float32Array, i: number): number {
+  if (i <= 0 || i >= values.length - 1) return i;
+  const a = values[i - 1];
+  const b = values[i];
+  const c = values[i + 1];
+  const denom = a - 2 * b + c;
+  return denom === 0 ? i : i + 0.5 * (a - c) / denom;
+}
+
+/**
+ * Where `ref` starts in `recording`, or null when the correlation peak
+ * does not stand out from the noise (MIN_CONFIDENCE).
+ */
+export function detectArrival(recording: Float32Array, ref: Float32Array, sampleRate: number): Arrival | null {
+  const corr = crossCorrelate(recording, ref);
+  if (corr.length === 0) return null;
+
+  const mag = corr.map(Math.abs);
+  let peak = 0;
+  let sumSq = 0;
+  for (let i = 0; i < mag.length; i++) {
+    sumSq += mag[i] * mag[i];
+    if (mag[i] > mag[peak]) peak = i;
+  }
+  const rms = Math.sqrt(sumSq / mag.length);
+  const confidence = rms > 0 ? mag[peak] / rms : 0;
+  if (confidence < MIN_CONFIDENCE) return null;
+
+  // Prefer the direct path over a louder reflection that arrived later
+  const from = Math.max(1, peak - Math.round(DIRECT_PATH_SEARCH * sampleRate));
+  const to = peak - Math.round(DIRECT_PATH_GUARD * sampleRate);
+  for (let i = from; i < to; i++) {
+    if (mag[i] >= DIRECT_PATH_RATIO * mag[peak] && mag[i] >= mag[i - 1] && mag[i] >= mag[i + 1]) {
+      peak = i;
+      break;
+    }
+  }
+
+  return { index: interpolatePeak(mag, peak), confidence };
+}
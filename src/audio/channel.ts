@@ -17,6 +17,7 @@ import {
   getGainR,
   getPreamp,
   getGlobalLowPass,
+  getFullRangeHz,
   ensureSurroundNodes,
   getSurroundSplitter,
   getSurroundGain,
@@ -47,7 +48,7 @@ export function setChannelMode(mode: number): void {
   const ramp = 0.05;
 
   // Reset LowPass to full range
-  if (lowPass) (lowPass as { frequency: { value: number } }).frequency.value = 20000;
+  if (lowPass) (lowPass as { frequency: { value: number } }).frequency.value = getFullRangeHz();
 
   // Reset routing
   safeDisconnect(gL);
@@ -169,7 +170,7 @@ export function setSurroundChannel(idx: number): void {
     // LowPass for LFE channel (rampTo avoids click on active signal path)
     if (lowPass) {
       (lowPass as { frequency: { rampTo: (v: number, t: number) => void } }).frequency.rampTo(
-        idx === 3 ? subFreq : 20000, 0.02,
+        idx === 3 ? subFreq : getFullRangeHz(), 0.02,
       );
     }
 
@@ -191,6 +192,9 @@ export function setSurroundChannel(idx: number): void {
     log.warn('[Surround] setSurroundChannel error:', e);
   }
 
+  // LFE in or out of the woofer role: crossover high-pass
+  applySettings();
+
 }
 
 /**
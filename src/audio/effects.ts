@@ -2,18 +2,22 @@
  * MUSIXQUARE 2.0 — Audio Effects
  * Extracted from original app.js lines 5342-5640
  *
- * Manages: Reverb (wet/dry + damping), 5-band EQ, Virtual Bass,
- * Stereo Width, Preamp gain compensation.
+ * Manages: Reverb (wet/dry + damping), parametric EQ, Virtual Bass,
+ * Stereo Width, Preamp gain compensation, per-device trim gain.
  */
 
 import { log } from '../core/log.ts';
 import { bus } from '../core/events.ts';
 import { t } from '../i18n/index.ts';
 import { getState, setState } from '../core/state.ts';
-import { MSG } from '../core/constants.ts';
-import { registerHandlers, verifyOperator } from '../network/protocol.ts';
-import { broadcast } from '../network/peer.ts';
-import type { DataConnection, AnyProtocolMsg } from '../types/index.ts';
+import { MSG, CAP, REQUEST_ERROR, TRIM_GAIN_MAX_DB, CROSSOVER } from '../core/constants.ts';
+import { registerHandlers, verifyOperator, hasOpPermission } from '../network/protocol.ts';
+import { broadcast, safeSend } from '../network/peer.ts';
+import { requestFromControl, ackRequest, rejectRequest } from '../network/requests.ts';
+import { queueBroadcast, queueToHost, queueToPeer } from '../network/coalesce.ts';
+import { peerHasCapability, sessionHasCapability } from '../network/version.ts';
+import type { DataConnection, AnyProtocolMsg, EqBand } from '../types/index.ts';
+import { defaultEqBands, sanitizeEqBands, toFixedEqGains, withFixedEqGain } from './eq.ts';
 import {
   getMasterGain,
   getReverb,
@@ -21,9 +25,12 @@ import {
   getRvbHighCut,
   getRvbCrossFade,
   getEqNodes,
+  rebuildEqChain,
   getPreamp,
   getWidener,
   getGlobalLowPass,
+  getGlobalHighPass,
+  getFullRangeHz,
   getVbFilter,
   getVbPostFilter,
   getVbGain,
@@ -32,11 +39,16 @@ import {
 // ─── Constants ────────────────────────────────────────────────────
 const RAMP_TIME = 0.1; // seconds — standard audio parameter ramp duration
 
-// ─── Cached DOM Elements ──────────────────────────────────────────
-let _eqBandElements: Element[] = [];
-
 // ─── Apply All Settings ────────────────────────────────────────────
 
+/**
+ * This device plays the lows for the session (Sub mode or the LFE channel).
+ */
+export function isWooferRole(): boolean {
+  return getState('audio.channelMode') === 2 ||
+    (getState('audio.isSurroundMode') && getState('audio.surroundChannelIndex') === 3);
+}
+
 /**
  * Synchronize all audio effect parameters to the Tone.js nodes.
  * Call after any setting change.
@@ -51,12 +63,11 @@ export async function applySettings(): Promise<void> {
   const reverbHighCut = getState('audio.reverbHighCut');
   const stereoWidth = getState('audio.stereoWidth');
   const virtualBass = getState('audio.virtualBass');
-  const eqValues = getState('audio.eqValues');
+  const eqBands = getState('audio.eqBands');
   const userPreampGain = getState('audio.userPreampGain');
-  const channelMode = getState('audio.channelMode');
-  const isSurroundMode = getState('audio.isSurroundMode');
-  const surroundChannelIndex = getState('audio.surroundChannelIndex');
+  const trimGain = Math.pow(10, (getState('audio.trimDb') || 0) / 20);
   const subFreq = getState('audio.subFreq');
+  const crossoverFreq = getState('audio.crossoverFreq');
 
   // Reverb Mix (CrossFade)
   const crossFade = getRvbCrossFade();
@@ -91,18 +102,8 @@ export async function applySettings(): Promise<void> {
     rhc.frequency.rampTo(hFreq, RAMP_TIME);
   }
 
-  // EQ Sync (clamp to [-12, 12] dB for safety)
-  const nodes = getEqNodes();
-  if (nodes && nodes.length > 0 && eqValues) {
-    nodes.forEach((node, i) => {
-      if (!node?.gain) return;
-      const raw = eqValues[i] ?? 0;
-      const clamped = Math.max(-12, Math.min(12, raw));
-      if (node.gain.value !== clamped) {
-        node.gain.rampTo(clamped, RAMP_TIME);
-      }
-    });
-  }
+  // EQ Sync (bands are clamped on their way into state)
+  if (eqBands) syncEqNodes(eqBands);
 
   // Stereo Width & Gain Compensation
   let compensation = 1.0;
@@ -118,18 +119,18 @@ export async function applySettings(): Promise<void> {
     }
   }
 
-  // Preamp
+  // Preamp (host-controlled) × this device's trim
   const pre = getPreamp();
-  if (pre) pre.gain.rampTo(userPreampGain * compensation, RAMP_TIME);
+  if (pre) pre.gain.rampTo(userPreampGain * trimGain * compensation, RAMP_TIME);
 
   // Virtual Bass
-  const isWooferRole = channelMode === 2 || (isSurroundMode && surroundChannelIndex === 3);
+  const isWoofer = isWooferRole();
   const vbf = getVbFilter();
   if (vbf) vbf.frequency.rampTo(subFreq, RAMP_TIME);
   const vbpf = getVbPostFilter();
   const vbg = getVbGain();
   if (vbpf) {
-    const targetPostFreq = isWooferRole ? subFreq : 20000;
+    const targetPostFreq = isWoofer ? subFreq : 20000;
     const currentPostFreq = vbpf.frequency.value;
     // Large frequency jump (e.g. woofer mode toggle): ramp gain down first to avoid click
     if (Math.abs(currentPostFreq - targetPostFreq) > 5000 && vbg) {
@@ -150,7 +151,13 @@ export async function applySettings(): Promise<void> {
   // Global LowPass
   const lp = getGlobalLowPass();
   if (lp) {
-    lp.frequency.rampTo(isWooferRole ? subFreq : 20000, RAMP_TIME);
+    lp.frequency.rampTo(isWoofer ? subFreq : getFullRangeHz(), RAMP_TIME);
+  }
+
+  // Bass management: with a woofer in the session, the other roles hand it the lows
+  const hp = getGlobalHighPass();
+  if (hp) {
+    hp.frequency.rampTo(!isWoofer && crossoverFreq > 0 ? crossoverFreq : CROSSOVER.OFF_HZ, RAMP_TIME);
   }
 }
 
@@ -218,41 +225,47 @@ export function resetReverb(): void {
 
 // ─── EQ Controls ───────────────────────────────────────────────────
 
-export function setEQ(idx: number, val: number): void {
-  const bandIdx = Number(idx);
-  const bandVal = Number(val);
-
-  const eqValues = getState('audio.eqValues');
-  if (!eqValues || bandIdx < 0 || bandIdx >= eqValues.length) return;
-
-  const clamped = Math.max(-12, Math.min(12, bandVal));
-  const newValues = [...eqValues];
-  newValues[bandIdx] = clamped;
-  setState('audio.eqValues', newValues);
+/**
+ * Match the filter chain to the band list: rebuild when the count changed,
+ * otherwise retune the existing filters in place.
+ */
+function syncEqNodes(bands: readonly EqBand[]): void {
+  let nodes = getEqNodes();
+  if (nodes.length !== bands.length) nodes = rebuildEqChain(bands);
+
+  nodes.forEach((node, i) => {
+    const band = bands[i];
+    if (!band || !node) return;
+    if (node.type !== band.type) node.type = band.type;
+    if (node.frequency.value !== band.frequency) node.frequency.rampTo(band.frequency, RAMP_TIME);
+    if (node.Q.value !== band.Q) node.Q.rampTo(band.Q, RAMP_TIME);
+    if (node.gain.value !== band.gain) node.gain.rampTo(band.gain, RAMP_TIME);
+  });
+}
 
-  const nodes = getEqNodes();
-  if (nodes?.[bandIdx]) {
-    nodes[bandIdx].gain.rampTo(clamped, RAMP_TIME);
-  }
+/**
+ * Replace the EQ band list (invalid bands dropped, values clamped).
+ * Returns the list that was applied.
+ */
+export function setEQ(bands: unknown): EqBand[] {
+  const next = sanitizeEqBands(bands);
+  setState('audio.eqBands', next);
+  if (getMasterGain()) syncEqNodes(next);
+  return next;
+}
 
-  // Update DOM label + slider (for sync from network)
-  const label = document.getElementById(`eq-val-${bandIdx}`);
-  if (label) label.innerText = clamped > 0 ? `+${clamped}` : String(clamped);
-  if (!_eqBandElements || _eqBandElements.length === 0) {
-    _eqBandElements = Array.from(document.querySelectorAll('.eq-band'));
-  }
-  if (_eqBandElements[bandIdx]) {
-    const slider = _eqBandElements[bandIdx].querySelector('.eq-slider') as HTMLInputElement | null;
-    if (slider && parseFloat(slider.value) !== clamped) slider.value = String(clamped);
-  }
+/**
+ * Set one fixed band's gain from a peer without CAP.PARAMETRIC_EQ.
+ * Returns the list that was applied.
+ */
+export function setFixedEQBand(band: number, gain: number): EqBand[] {
+  const bands = getState('audio.eqBands');
+  return setEQ(withFixedEqGain(bands, band, gain) ?? bands);
 }
 
 export function resetEQ(): void {
-  const nodes = getEqNodes();
-  const count = nodes ? nodes.length : 5;
-  setState('audio.eqValues', Array(count).fill(0));
+  setState('audio.eqBands', defaultEqBands());
   setState('audio.userPreampGain', 1.0);
-  nodes?.forEach(node => node.gain.rampTo(0, RAMP_TIME));
   applySettings();
 }
 
@@ -265,6 +278,17 @@ export function setPreamp(valDb: number): void {
   applySettings();
 }
 
+// ─── Trim Gain ─────────────────────────────────────────────────────
+
+/**
+ * Local-only level match for this device's speaker; never broadcast.
+ */
+export function setTrimGain(valDb: number): void {
+  const db = Math.max(-TRIM_GAIN_MAX_DB, Math.min(TRIM_GAIN_MAX_DB, Number(valDb)));
+  setState('audio.trimDb', db);
+  applySettings();
+}
+
 // ─── Stereo Width ──────────────────────────────────────────────────
 
 export function setStereoWidth(val: number): void {
@@ -299,35 +323,67 @@ export function updateSubFreq(val: number): void {
 
 /**
  * Broadcast an audio setting change (Host) or send REQUEST_SETTING (OP Guest).
- * Called only on 'change' event (slider release), not during 'input' (dragging).
+ * Drag values (preview) go through the coalescing queue, so peers follow the
+ * slider at the flush interval; the release value is flushed at once.
+ */
+function _broadcastOrRequestSetting(msgType: string, value: number, isPreview = false): void {
+  _sendSetting(
+    { type: msgType, value } as AnyProtocolMsg,
+    { type: MSG.REQUEST_SETTING, settingType: msgType, value },
+    isPreview,
+  );
+}
+
+/**
+ * EQ_UPDATE in the form a peer understands: the band list with
+ * CAP.PARAMETRIC_EQ, else one message per fixed band.
+ */
+export function eqUpdateMessages(bands: readonly EqBand[], parametric: boolean): AnyProtocolMsg[] {
+  if (parametric) return [{ type: MSG.EQ_UPDATE, bands: [...bands] }];
+  return toFixedEqGains(bands).map((value, band) => ({ type: MSG.EQ_UPDATE, band, value }));
+}
+
+/**
+ * Host: send the band list to every peer in its wire form (queued when
+ * `immediate` is false, like a slider drag).
  */
-function _broadcastOrRequestSetting(msgType: string, value: number): void {
+export function broadcastEQ(bands: readonly EqBand[], immediate = true): void {
+  for (const p of getState('network.connectedPeers')) {
+    if (p.status !== 'connected') continue;
+    for (const msg of eqUpdateMessages(bands, peerHasCapability(p.id, CAP.PARAMETRIC_EQ))) {
+      queueToPeer(p.id, msg, immediate);
+    }
+  }
+}
+
+function _broadcastOrRequestSettingEQ(bands: EqBand[], isPreview = false): void {
   const hostConn = getState('network.hostConn');
   if (!hostConn) {
-    // Host: broadcast to all peers
-    broadcast({ type: msgType, value } as AnyProtocolMsg);
-  } else {
-    // Guest (OP): request Host to apply + broadcast
-    const isOperator = getState('network.isOperator');
-    if (isOperator) {
-      hostConn.send({ type: MSG.REQUEST_SETTING, settingType: msgType, value });
+    broadcastEQ(bands, !isPreview);
+  } else if (hasOpPermission('fx')) {
+    if (sessionHasCapability(CAP.PARAMETRIC_EQ)) {
+      queueToHost({ type: MSG.REQUEST_SETTING, settingType: 'eq', value: bands }, !isPreview);
     } else {
-      bus.emit('ui:show-toast', t('toast.operator_required'));
+      // Older host: one request per fixed band
+      toFixedEqGains(bands).forEach((value, band) => {
+        queueToHost({ type: MSG.REQUEST_SETTING, settingType: 'eq', band, value }, !isPreview);
+      });
     }
+  } else if (!isPreview) {
+    bus.emit('ui:show-toast', t('toast.operator_required'));
   }
 }
 
-function _broadcastOrRequestSettingEQ(band: number, value: number): void {
+function _sendSetting(hostMsg: AnyProtocolMsg, requestMsg: AnyProtocolMsg, isPreview: boolean): void {
   const hostConn = getState('network.hostConn');
   if (!hostConn) {
-    broadcast({ type: MSG.EQ_UPDATE, band, value });
-  } else {
-    const isOperator = getState('network.isOperator');
-    if (isOperator) {
-      hostConn.send({ type: MSG.REQUEST_SETTING, settingType: 'eq', band, value });
-    } else {
-      bus.emit('ui:show-toast', t('toast.operator_required'));
-    }
+    // Host: broadcast to all peers
+    queueBroadcast(hostMsg, !isPreview);
+  } else if (hasOpPermission('fx')) {
+    // Guest (OP): request Host to apply + broadcast
+    queueToHost(requestMsg, !isPreview);
+  } else if (!isPreview) {
+    bus.emit('ui:show-toast', t('toast.operator_required'));
   }
 }
 
@@ -338,38 +394,31 @@ bus.on('audio:update-effect', (type, param, value, isPreview) => {
   if (!Number.isFinite(value)) return;
 
   switch (type) {
-    case 'reverb':
+    case 'reverb': {
       setReverbParam(param, value);
-      // Broadcast on release only (not while dragging)
-      if (!isPreview) {
-        const REVERB_MSG_MAP: Record<string, string> = {
-          mix: MSG.REVERB, decay: MSG.REVERB_DECAY, predelay: MSG.REVERB_PREDELAY,
-          lowcut: MSG.REVERB_LOWCUT, highcut: MSG.REVERB_HIGHCUT,
-        };
-        const msgType = REVERB_MSG_MAP[param];
-        if (msgType) _broadcastOrRequestSetting(msgType, value);
-      }
+      const REVERB_MSG_MAP: Record<string, string> = {
+        mix: MSG.REVERB, decay: MSG.REVERB_DECAY, predelay: MSG.REVERB_PREDELAY,
+        lowcut: MSG.REVERB_LOWCUT, highcut: MSG.REVERB_HIGHCUT,
+      };
+      const msgType = REVERB_MSG_MAP[param];
+      if (msgType) _broadcastOrRequestSetting(msgType, value, isPreview);
       break;
+    }
     case 'stereo':
       if (param === 'mix') {
         setStereoWidth(value);
-        if (!isPreview) {
-          const hostConn = getState('network.hostConn');
-          if (!hostConn) {
-            broadcast({ type: MSG.STEREO_WIDTH, value });
-          } else {
-            const isOperator = getState('network.isOperator');
-            if (isOperator) {
-              hostConn.send({ type: MSG.REQUEST_SETTING, settingType: 'stereo', value });
-            }
-          }
+        const hostConn = getState('network.hostConn');
+        if (!hostConn) {
+          queueBroadcast({ type: MSG.STEREO_WIDTH, value }, !isPreview);
+        } else if (hasOpPermission('fx')) {
+          queueToHost({ type: MSG.REQUEST_SETTING, settingType: 'stereo', value }, !isPreview);
         }
       }
       break;
     case 'vbass':
       if (param === 'mix') {
         setVirtualBass(value);
-        if (!isPreview) _broadcastOrRequestSetting(MSG.VBASS, value);
+        _broadcastOrRequestSetting(MSG.VBASS, value, isPreview);
       }
       break;
     case 'cutoff':
@@ -384,16 +433,18 @@ bus.on('audio:update-effect', (type, param, value, isPreview) => {
 bus.on('audio:set-preamp', (value, isPreview) => {
   if (!Number.isFinite(value)) return;
   setPreamp(value);
-  if (!isPreview) _broadcastOrRequestSetting(MSG.PREAMP, value);
+  _broadcastOrRequestSetting(MSG.PREAMP, value, isPreview);
 });
 
-/** Set EQ band */
-bus.on('audio:set-eq', (band, value, isPreview) => {
-  if (!Number.isFinite(band) || !Number.isFinite(value)) return;
-  setEQ(band, value);
-  if (!isPreview) {
-    _broadcastOrRequestSettingEQ(band, value);
-  }
+/** Set this device's trim gain (dB) */
+bus.on('audio:set-trim', (value) => {
+  if (!Number.isFinite(value)) return;
+  setTrimGain(value);
+});
+
+/** Replace the EQ bands (edit, add or remove) */
+bus.on('audio:set-eq', (bands, isPreview) => {
+  _broadcastOrRequestSettingEQ(setEQ(bands), isPreview);
 });
 
 /** Reset handlers — with OP/Host routing */
@@ -408,9 +459,9 @@ bus.on('audio:reset-reverb', () => {
     broadcast({ type: MSG.REVERB_LOWCUT, value: 0 });
     broadcast({ type: MSG.REVERB_HIGHCUT, value: 0 });
   } else {
-    const isOperator = getState('network.isOperator');
+    const isOperator = hasOpPermission('fx');
     if (isOperator) {
-      hostConn.send({ type: MSG.REQUEST_REVERB_RESET });
+      void requestFromControl({ type: MSG.REQUEST_REVERB_RESET });
     }
   }
 });
@@ -422,9 +473,9 @@ bus.on('audio:reset-eq', () => {
     resetEQ();
     broadcast({ type: MSG.EQ_RESET });
   } else {
-    const isOperator = getState('network.isOperator');
+    const isOperator = hasOpPermission('fx');
     if (isOperator) {
-      hostConn.send({ type: MSG.REQUEST_EQ_RESET });
+      void requestFromControl({ type: MSG.REQUEST_EQ_RESET });
     }
   }
 });
@@ -435,9 +486,9 @@ bus.on('audio:reset-stereo', () => {
     resetStereoWidth();
     broadcast({ type: MSG.STEREO_WIDTH, value: 100 });
   } else {
-    const isOperator = getState('network.isOperator');
+    const isOperator = hasOpPermission('fx');
     if (isOperator) {
-      hostConn.send({ type: MSG.REQUEST_SETTING, settingType: 'stereo', value: 100 });
+      void requestFromControl({ type: MSG.REQUEST_SETTING, settingType: 'stereo', value: 100 });
     }
   }
 });
@@ -448,9 +499,9 @@ bus.on('audio:reset-vbass', () => {
     resetVirtualBass();
     broadcast({ type: MSG.VBASS, value: 0 });
   } else {
-    const isOperator = getState('network.isOperator');
+    const isOperator = hasOpPermission('fx');
     if (isOperator) {
-      hostConn.send({ type: MSG.REQUEST_SETTING, settingType: MSG.VBASS, value: 0 });
+      void requestFromControl({ type: MSG.REQUEST_SETTING, settingType: MSG.VBASS, value: 0 });
     }
   }
 });
@@ -461,8 +512,14 @@ bus.on('audio:ready', () => {
   applySettings();
 });
 
+/** Re-sync nodes after audio state was replaced wholesale (host migration) */
+bus.on('audio:apply-settings', () => {
+  applySettings();
+});
+
 /**
- * Host: Send all current audio settings to a newly connected peer (late-join bootstrap).
+ * Host: Send the master volume to a newly connected peer (late-join bootstrap).
+ * Effect settings follow from audio/presets.ts.
  */
 bus.on('network:peer-connected', (conn) => {
   if (!conn?.open) return;
@@ -473,40 +530,7 @@ bus.on('network:peer-connected', (conn) => {
 
   try {
     const masterVolume = getState('audio.masterVolume');
-    conn.send({ type: MSG.VOLUME, value: masterVolume });
-
-    const reverbMix = getState('audio.reverbMix');
-    conn.send({ type: MSG.REVERB, value: reverbMix * 100 });
-
-    const reverbDecay = getState('audio.reverbDecay');
-    conn.send({ type: MSG.REVERB_DECAY, value: reverbDecay });
-
-    const reverbPreDelay = getState('audio.reverbPreDelay');
-    conn.send({ type: MSG.REVERB_PREDELAY, value: reverbPreDelay });
-
-    const reverbLowCut = getState('audio.reverbLowCut');
-    conn.send({ type: MSG.REVERB_LOWCUT, value: reverbLowCut });
-
-    const reverbHighCut = getState('audio.reverbHighCut');
-    conn.send({ type: MSG.REVERB_HIGHCUT, value: reverbHighCut });
-
-    const eqValues = getState('audio.eqValues');
-    if (eqValues) {
-      eqValues.forEach((val, i) => {
-        conn.send({ type: MSG.EQ_UPDATE, band: i, value: val });
-      });
-    }
-
-    const userPreampGain = getState('audio.userPreampGain');
-    conn.send({ type: MSG.PREAMP, value: Math.round(20 * Math.log10(Math.max(userPreampGain, 1e-6))) });
-
-    const stereoWidth = getState('audio.stereoWidth');
-    conn.send({ type: MSG.STEREO_WIDTH, value: stereoWidth * 100 });
-
-    const virtualBass = getState('audio.virtualBass');
-    conn.send({ type: MSG.VBASS, value: virtualBass * 100 });
-
-    log.debug('[Effects] Bootstrap: sent audio settings to new peer');
+    safeSend(conn, { type: MSG.VOLUME, value: masterVolume });
   } catch (e) {
     log.warn('[Effects] Bootstrap send failed:', e);
   }
@@ -522,8 +546,8 @@ function handleVolume(data: Record<string, unknown>): void {
 }
 
 function handleEQUpdateMsg(data: Record<string, unknown>): void {
-  if (data.band === undefined || data.value === undefined) return;
-  setEQ(Number(data.band), Number(data.value));
+  if (Array.isArray(data.bands)) setEQ(data.bands);
+  else if (data.band !== undefined) setFixedEQBand(Number(data.band), Number(data.value)); // Older host
 }
 
 function handlePreampMsg(data: Record<string, unknown>): void {
@@ -599,21 +623,24 @@ function handleRequestEQReset(data: Record<string, unknown>, conn: DataConnectio
   const hostConn = getState('network.hostConn');
   if (hostConn) return; // Only Host
 
-  if (!verifyOperator(conn, data)) {
+  if (!verifyOperator(conn, data, 'fx')) {
     log.warn(`[Effects] Rejected request-eq-reset from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
     return;
   }
 
   resetEQ();
   broadcast({ type: MSG.EQ_RESET });
+  ackRequest(conn, data);
 }
 
 function handleRequestReverbReset(data: Record<string, unknown>, conn: DataConnection): void {
   const hostConn = getState('network.hostConn');
   if (hostConn) return;
 
-  if (!verifyOperator(conn, data)) {
+  if (!verifyOperator(conn, data, 'fx')) {
     log.warn(`[Effects] Rejected request-reverb-reset from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
     return;
   }
 
@@ -624,6 +651,7 @@ function handleRequestReverbReset(data: Record<string, unknown>, conn: DataConne
   broadcast({ type: MSG.REVERB_PREDELAY, value: 0.1 });
   broadcast({ type: MSG.REVERB_LOWCUT, value: 0 });
   broadcast({ type: MSG.REVERB_HIGHCUT, value: 0 });
+  ackRequest(conn, data);
 }
 
 // ─── Init Effects Protocol Handlers ──────────────────────────────
@@ -4,14 +4,15 @@
  *
  * Manages the entire Tone.js audio graph:
  *   Player → Widener → Preamp → Split → Channel Routing → Merge
- *     → GlobalLowPass → EQ(5-band) → Reverb(wet/dry) → MasterGain → Analyser → Destination
- *     + Virtual Bass parallel chain
+ *     → GlobalLowPass → EQ(parametric bands) → GlobalHighPass → Reverb(wet/dry) → MasterGain → Analyser → Destination
+ *     + Virtual Bass parallel chain (tapped before the high-pass)
  */
 
 import { log } from '../core/log.ts';
-import { EQ_FREQUENCIES } from '../core/constants.ts';
 import { bus } from '../core/events.ts';
 import { getState, setState } from '../core/state.ts';
+import { CROSSOVER } from '../core/constants.ts';
+import type { EqBand } from '../types/index.ts';
 
 // Tone.js — imported as `any` to keep our lightweight custom type stubs.
 // Real Tone.js types are far richer; a full type migration can happen later.
@@ -89,6 +90,7 @@ let eqNodes: ToneFilterNode[] = [];
 let preamp: ToneGainNode | null = null;
 let widener: ToneWidenerNode | null = null;
 let globalLowPass: ToneFilterNode | null = null;
+let globalHighPass: ToneFilterNode | null = null;
 let analyser: ToneAnalyserNode | null = null;
 let vbFilter: ToneFilterNode | null = null;
 let vbCheby: ToneNode | null = null;
@@ -114,6 +116,7 @@ export function getRvbHighCut(): ToneFilterNode | null { return rvbHighCut; }
 export function getRvbCrossFade(): ToneCrossFadeNode | null { return rvbCrossFade; }
 export function getEqNodes(): ToneFilterNode[] { return eqNodes; }
 export function getGlobalLowPass(): ToneFilterNode | null { return globalLowPass; }
+export function getGlobalHighPass(): ToneFilterNode | null { return globalHighPass; }
 export function getVbFilter(): ToneFilterNode | null { return vbFilter; }
 export function getVbPostFilter(): ToneFilterNode | null { return vbPostFilter; }
 export function getVbGain(): ToneGainNode | null { return vbGain; }
@@ -130,6 +133,15 @@ export function ensureSurroundNodes(): { splitter: ToneNode; gain: ToneGainNode
   return { splitter: surroundSplitter!, gain: surroundGain! };
 }
 
+/**
+ * Low-pass corner that lets everything through: Nyquist, where a biquad
+ * low-pass is the identity (20 kHz before the context exists).
+ */
+export function getFullRangeHz(): number {
+  const rate = Number(Tone?.context?.sampleRate);
+  return Number.isFinite(rate) && rate > 0 ? rate / 2 : 20000;
+}
+
 /**
  * Safely disconnect a Tone.js node (no-op if already disconnected).
  */
@@ -195,10 +207,8 @@ async function _doInitAudio(): Promise<void> {
   // ── Effects Chain ──
   masterGain = new Tone.Gain(1) as ToneGainNode;
 
-  // EQ (5-Band Peaking Filters)
-  eqNodes = EQ_FREQUENCIES.map(f =>
-    new Tone.Filter({ type: 'peaking', frequency: f, Q: 1.0, gain: 0 }) as ToneFilterNode
-  );
+  // EQ (one biquad per band)
+  eqNodes = getState('audio.eqBands').map(createEqNode);
 
   // Preamplifier + Stereo Widener
   preamp = new Tone.Gain(1) as ToneGainNode;
@@ -243,26 +253,27 @@ async function _doInitAudio(): Promise<void> {
   // 2. Channel Splitting
   preamp!.connect(toneSplit!);
 
-  // 3. Post-Processing: Merge → GlobalLowPass → EQ → Reverb → Master
-  globalLowPass = new Tone.Filter(20000, 'lowpass') as ToneFilterNode;
+  // 3. Post-Processing: Merge → GlobalLowPass → EQ → GlobalHighPass → Reverb → Master
+  // The woofer's low-pass and the other roles' high-pass meet as an LR4 crossover
+  globalLowPass = new Tone.Filter({
+    type: 'lowpass', frequency: getFullRangeHz(), rolloff: -24, Q: CROSSOVER.BUTTERWORTH_Q_DB,
+  }) as ToneFilterNode;
+  globalHighPass = new Tone.Filter({
+    type: 'highpass', frequency: CROSSOVER.OFF_HZ, rolloff: -24, Q: CROSSOVER.BUTTERWORTH_Q_DB,
+  }) as ToneFilterNode;
   toneMerge!.connect(globalLowPass);
 
-  let eqIn: ToneNode = globalLowPass;
-  for (const fx of eqNodes) {
-    eqIn.connect(fx);
-    eqIn = fx;
-  }
+  connectEqChain();
+  globalHighPass.connect(rvbCrossFade.a);      // Dry path
+  globalHighPass.connect(reverb);              // Wet path
 
   // Wet/Dry Routing with Damping
-  eqIn.connect(rvbCrossFade.a);              // Dry path
-  eqIn.connect(reverb);                       // Wet path
   reverb.connect(rvbLowCut);
   rvbLowCut.connect(rvbHighCut);
   rvbHighCut.connect(rvbCrossFade.b);
   rvbCrossFade!.connect(masterGain!);            // Output
 
-  // Virtual Bass (parallel tap after EQ)
-  eqIn.connect(vbFilter!);
+  // Virtual Bass (parallel tap after EQ, see connectEqChain)
   vbFilter!.connect(vbCheby!);
   vbCheby!.connect(vbPostFilter!);
   vbPostFilter!.connect(vbGain!);
@@ -297,6 +308,43 @@ async function _doInitAudio(): Promise<void> {
   bus.emit('audio:ready');
 }
 
+// ─── EQ Chain ──────────────────────────────────────────────────────
+
+function createEqNode(band: EqBand): ToneFilterNode {
+  return new Tone.Filter({ type: band.type, frequency: band.frequency, Q: band.Q, gain: band.gain }) as ToneFilterNode;
+}
+
+/**
+ * GlobalLowPass → EQ bands → GlobalHighPass (dry path, reverb send) and the
+ * virtual bass tap, which keeps the lows the high-pass hands to a woofer.
+ */
+function connectEqChain(): void {
+  let eqIn: ToneNode = globalLowPass!;
+  for (const fx of eqNodes) {
+    eqIn.connect(fx);
+    eqIn = fx;
+  }
+  eqIn.connect(globalHighPass!);
+  eqIn.connect(vbFilter!);
+}
+
+/**
+ * Replace the EQ filters with one per band (band count changed).
+ * Type and parameter edits go straight to the existing nodes instead.
+ */
+export function rebuildEqChain(bands: readonly EqBand[]): ToneFilterNode[] {
+  if (!globalLowPass || !globalHighPass || !vbFilter) return eqNodes;
+
+  globalLowPass.disconnect();
+  for (const n of eqNodes) {
+    try { n.dispose(); } catch { /* best-effort */ }
+  }
+  eqNodes = bands.map(createEqNode);
+  connectEqChain();
+  log.info(`[Audio] EQ chain rebuilt with ${eqNodes.length} bands`);
+  return eqNodes;
+}
+
 /**
  * Dispose all Tone.js audio nodes and reset module state.
  * Useful for testing cleanup or future app-reset feature.
@@ -305,7 +353,7 @@ export function disposeAudioGraph(): void {
   const nodes: (ToneNode | null)[] = [
     toneSplit, toneMerge, gainL, gainR, masterGain,
     reverb, rvbLowCut, rvbHighCut, rvbCrossFade,
-    preamp, widener, globalLowPass, analyser,
+    preamp, widener, globalLowPass, globalHighPass, analyser,
     vbFilter, vbCheby, vbPostFilter, vbGain,
     surroundSplitter, surroundGain,
   ];
@@ -319,7 +367,7 @@ export function disposeAudioGraph(): void {
   toneSplit = toneMerge = gainL = gainR = masterGain = null;
   reverb = null; rvbLowCut = rvbHighCut = null; rvbCrossFade = null;
   eqNodes = [];
-  preamp = widener = globalLowPass = analyser = null;
+  preamp = widener = globalLowPass = globalHighPass = analyser = null;
   vbFilter = null; vbCheby = null; vbPostFilter = null; vbGain = null;
   surroundSplitter = surroundGain = null;
   _initAudioPromise = null;
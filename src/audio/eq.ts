@@ -0,0 +1,197 @@
+/**
+ * MUSIXQUARE 2.0 — Parametric EQ Model
+ *
+ * Manages: the EQ band list (defaults, clamping, add/remove) and its
+ * frequency response. The response uses the BiquadFilterNode formulas from
+ * the Web Audio spec, so the settings curve is what the filters play.
+ */
+
+import { EQ_FREQUENCIES, EQ_FILTER_TYPES, EQ_LIMITS } from '../core/constants.ts';
+import type { EqFilterType } from '../core/constants.ts';
+import type { EqBand } from '../types/index.ts';
+
+/** Curve evaluation rate when the real context rate is not known */
+export const DEFAULT_SAMPLE_RATE = 48000;
+
+// ─── Band List ──────────────────────────────────────────────────────
+
+export function defaultEqBands(): EqBand[] {
+  return EQ_FREQUENCIES.map(frequency => ({ type: 'peaking', frequency, Q: EQ_LIMITS.DEFAULT_Q, gain: 0 }));
+}
+
+/** Types whose response depends on gain (pass and notch filters ignore it) */
+export function bandUsesGain(type: EqFilterType): boolean {
+  return type === 'peaking' || type === 'lowshelf' || type === 'highshelf';
+}
+
+/** Shelves ignore Q (the spec fixes their slope) */
+export function bandUsesQ(type: EqFilterType): boolean {
+  return type !== 'lowshelf' && type !== 'highshelf';
+}
+
+const clamp = (v: number, min: number, max: number) => Math.max(min, Math.min(max, v));
+
+/**
+ * A band with every field in range, or null when it is not a band at all.
+ */
+export function sanitizeEqBand(raw: unknown): EqBand | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const b = raw as Record<string, unknown>;
+  if (!(EQ_FILTER_TYPES as readonly unknown[]).includes(b.type)) return null;
+  const frequency = Number(b.frequency);
+  const Q = Number(b.Q);
+  const gain = Number(b.gain);
+  if (![frequency, Q, gain].every(Number.isFinite)) return null;
+  return {
+    type: b.type as EqFilterType,
+    frequency: clamp(frequency, EQ_LIMITS.FREQ_MIN, EQ_LIMITS.FREQ_MAX),
+    Q: clamp(Q, EQ_LIMITS.Q_MIN, EQ_LIMITS.Q_MAX),
+    gain: clamp(gain, -EQ_LIMITS.GAIN_DB, EQ_LIMITS.GAIN_DB),
+  };
+}
+
+/**
+ * Valid bands of a list, at most EQ_LIMITS.MAX_BANDS.
+ */
+export function sanitizeEqBands(raw: unknown): EqBand[] {
+  if (!Array.isArray(raw)) return [];
+  return raw.map(sanitizeEqBand).filter((b): b is EqBand => b !== null).slice(0, EQ_LIMITS.MAX_BANDS);
+}
+
+/**
+ * Flat peaking band for the widest gap (log scale) the list leaves open.
+ */
+export function newEqBand(bands: readonly EqBand[]): EqBand {
+  const edges = [EQ_LIMITS.FREQ_MIN, ...bands.map(b => b.frequency).sort((a, b) => a - b), EQ_LIMITS.FREQ_MAX];
+  let best = 0;
+  for (let i = 1; i < edges.length - 1; i++) {
+    if (edges[i + 1] / edges[i] > edges[best + 1] / edges[best]) best = i;
+  }
+  const frequency = Math.round(Math.sqrt(edges[best] * edges[best + 1]));
+  return { type: 'peaking', frequency, Q: EQ_LIMITS.DEFAULT_Q, gain: 0 };
+}
+
+/**
+ * `bands` with band `idx` changed (null if there is no such band).
+ */
+export function withEqBand(bands: readonly EqBand[], idx: number, patch: Partial<EqBand>): EqBand[] | null {
+  if (!bands[idx]) return null;
+  const band = sanitizeEqBand({ ...bands[idx], ...patch });
+  if (!band) return null;
+  return bands.map((b, i) => (i === idx ? band : b));
+}
+
+export function withoutEqBand(bands: readonly EqBand[], idx: number): EqBand[] | null {
+  if (!bands[idx]) return null;
+  return bands.filter((_, i) => i !== idx);
+}
+
+export function withAddedEqBand(bands: readonly EqBand[]): EqBand[] | null {
+  if (bands.length >= EQ_LIMITS.MAX_BANDS) return null;
+  return [...bands, newEqBand(bands)];
+}
+
+// ─── Frequency Response ─────────────────────────────────────────────
+
+interface Biquad { b0: number; b1: number; b2: number; a0: number; a1: number; a2: number }
+
+function biquadCoefficients(band: EqBand, sampleRate: number): Biquad {
+  const w0 = (2 * Math.PI * Math.min(band.frequency, sampleRate / 2 - 1)) / sampleRate;
+  const cos = Math.cos(w0);
+  const sin = Math.sin(w0);
+  const A = Math.pow(10, band.gain / 40);
+  const alphaQ = sin / (2 * band.Q);
+  // Web Audio takes lowpass/highpass Q in dB
+  const alphaQdB = sin / (2 * Math.pow(10, band.Q / 20));
+  // Shelf slope S = 1
+  const alphaS = (sin / 2) * Math.SQRT2;
+  const sqA = 2 * alphaS * Math.sqrt(A);
+
+  switch (band.type) {
+    case 'lowpass':
+      return { b0: (1 - cos) / 2, b1: 1 - cos, b2: (1 - cos) / 2, a0: 1 + alphaQdB, a1: -2 * cos, a2: 1 - alphaQdB };
+    case 'highpass':
+      return { b0: (1 + cos) / 2, b1: -(1 + cos), b2: (1 + cos) / 2, a0: 1 + alphaQdB, a1: -2 * cos, a2: 1 - alphaQdB };
+    case 'notch':
+      return { b0: 1, b1: -2 * cos, b2: 1, a0: 1 + alphaQ, a1: -2 * cos, a2: 1 - alphaQ };
+    case 'lowshelf':
+      return {
+        b0: A * ((A + 1) - (A - 1) * cos + sqA),
+        b1: 2 * A * ((A - 1) - (A + 1) * cos),
+        b2: A * ((A + 1) - (A - 1) * cos - sqA),
+        a0: (A + 1) + (A - 1) * cos + sqA,
+        a1: -2 * ((A - 1) + (A + 1) * cos),
+        a2: (A + 1) + (A - 1) * cos - sqA,
+      };
+    case 'highshelf':
+      return {
+        b0: A * ((A + 1) + (A - 1) * cos + sqA),
+        b1: -2 * A * ((A - 1) + (A + 1) * cos),
+        b2: A * ((A + 1) + (A - 1) * cos - sqA),
+        a0: (A + 1) - (A - 1) * cos + sqA,
+        a1: 2 * ((A - 1) - (A + 1) * cos),
+        a2: (A + 1) - (A - 1) * cos - sqA,
+      };
+    case 'peaking':
+    default:
+      return { b0: 1 + alphaQ * A, b1: -2 * cos, b2: 1 - alphaQ * A, a0: 1 + alphaQ / A, a1: -2 * cos, a2: 1 - alphaQ / A };
+  }
+}
+
+/**
+ * One band's gain at `freq` (dB).
+ */
+export function eqBandResponseDb(band: EqBand, freq: number, sampleRate: number = DEFAULT_SAMPLE_RATE): number {
+  const { b0, b1, b2, a0, a1, a2 } = biquadCoefficients(band, sampleRate);
+  const w = (2 * Math.PI * freq) / sampleRate;
+  const c1 = Math.cos(w), s1 = Math.sin(w);
+  const c2 = Math.cos(2 * w), s2 = Math.sin(2 * w);
+  const numRe = b0 + b1 * c1 + b2 * c2;
+  const numIm = b1 * s1 + b2 * s2;
+  const denRe = a0 + a1 * c1 + a2 * c2;
+  const denIm = a1 * s1 + a2 * s2;
+  const mag2 = (numRe * numRe + numIm * numIm) / (denRe * denRe + denIm * denIm);
+  return 10 * Math.log10(Math.max(mag2, 1e-12));
+}
+
+/**
+ * Whole-chain gain at `freq` (dB): the bands are in series, so dB add up.
+ */
+export function eqResponseDb(bands: readonly EqBand[], freq: number, sampleRate: number = DEFAULT_SAMPLE_RATE): number {
+  return bands.reduce((sum, b) => sum + eqBandResponseDb(b, freq, sampleRate), 0);
+}
+
+// ─── Fixed Five-Band Wire Format ────────────────────────────────────
+// Peers without CAP.PARAMETRIC_EQ know only the default layout and send /
+// expect one { band, value } gain per EQ_FREQUENCIES entry.
+
+/** Is `bands` the fixed layout (gains aside)? */
+export function isFixedEqLayout(bands: readonly EqBand[]): boolean {
+  return bands.length === EQ_FREQUENCIES.length && bands.every((b, i) =>
+    b.type === 'peaking' && b.frequency === EQ_FREQUENCIES[i] && b.Q === EQ_LIMITS.DEFAULT_Q);
+}
+
+/**
+ * Gains of the fixed bands closest to `bands`: their own on the fixed
+ * layout, else the list's response at each centre.
+ */
+export function toFixedEqGains(bands: readonly EqBand[]): number[] {
+  if (isFixedEqLayout(bands)) return bands.map(b => b.gain);
+  return EQ_FREQUENCIES.map(f => clamp(Math.round(eqResponseDb(bands, f) * 10) / 10, -EQ_LIMITS.GAIN_DB, EQ_LIMITS.GAIN_DB));
+}
+
+export function fromFixedEqGains(gains: readonly unknown[]): EqBand[] {
+  return defaultEqBands().map((b, i) => {
+    const gain = Number(gains[i]);
+    return Number.isFinite(gain) ? { ...b, gain: clamp(gain, -EQ_LIMITS.GAIN_DB, EQ_LIMITS.GAIN_DB) } : b;
+  });
+}
+
+/**
+ * `bands` with fixed band `idx` set to `gain`; a list of another layout is
+ * first folded onto the fixed bands. Null if there is no such band.
+ */
+export function withFixedEqGain(bands: readonly EqBand[], idx: number, gain: number): EqBand[] | null {
+  const base = isFixedEqLayout(bands) ? bands : fromFixedEqGains(toFixedEqGains(bands));
+  return withEqBand(base, idx, { gain });
+}
@@ -0,0 +1,388 @@
+/**
+ * MUSIXQUARE 2.0 — Sound Presets
+ *
+ * Manages: named snapshots of every session-wide effect ("Outdoor",
+ * "Late night") saved in localStorage, JSON export / import, and applying
+ * one to the whole session. Guests that negotiated CAP.FX_PRESETS get a
+ * single FX_PRESET and apply it atomically; older guests get the
+ * per-setting messages they understand. Late joiners are bootstrapped the
+ * same way.
+ */
+
+import { log } from '../core/log.ts';
+import { t } from '../i18n/index.ts';
+import { bus } from '../core/events.ts';
+import { getState, setState, batchSetState } from '../core/state.ts';
+import { MSG, CAP, REQUEST_ERROR, MAX_SOUND_PRESETS } from '../core/constants.ts';
+import { registerHandlers, verifyOperator, hasOpPermission } from '../network/protocol.ts';
+import { safeSend, sendToHost } from '../network/peer.ts';
+import { flushControl } from '../network/coalesce.ts';
+import { requestFromControl, ackRequest, rejectRequest } from '../network/requests.ts';
+import { peerHasCapability, sessionHasCapability } from '../network/version.ts';
+import { sanitizeDisplayName } from '../network/profile.ts';
+import { applySettings, eqUpdateMessages } from './effects.ts';
+import { sanitizeEqBands } from './eq.ts';
+import type { AnyProtocolMsg, DataConnection, FxSettings, SoundPreset } from '../types/index.ts';
+
+const SOUND_PRESETS_STORAGE_KEY = 'musixquare-sound-presets';
+
+/** `format` tag of exported files */
+export const PRESET_FILE_FORMAT = 'musixquare-presets';
+const PRESET_FILE_VERSION = 1;
+
+// ─── Sanitizing ─────────────────────────────────────────────────────
+
+function clamp(value: unknown, min: number, max: number, fallback: number): number {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+/**
+ * Settings with every field in range (missing ones at their defaults), or
+ * null when `raw` has no band list.
+ */
+export function sanitizeFxSettings(raw: unknown): FxSettings | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const r = raw as Record<string, unknown>;
+  if (!Array.isArray(r.eqBands)) return null;
+
+  return {
+    eqBands: sanitizeEqBands(r.eqBands),
+    userPreampGain: clamp(r.userPreampGain, 0, Math.pow(10, 12 / 20), 1),
+    reverbMix: clamp(r.reverbMix, 0, 1, 0),
+    reverbDecay: clamp(r.reverbDecay, 0.1, 30, 5.0),
+    reverbPreDelay: clamp(r.reverbPreDelay, 0, 1, 0.1),
+    reverbLowCut: clamp(r.reverbLowCut, 0, 100, 0),
+    reverbHighCut: clamp(r.reverbHighCut, 0, 100, 0),
+    stereoWidth: clamp(r.stereoWidth, 0, 2, 1),
+    virtualBass: clamp(r.virtualBass, 0, 1, 0),
+    subFreq: clamp(r.subFreq, 20, 500, 120),
+  };
+}
+
+/**
+ * A stored or imported preset, or null when it has no usable name or
+ * settings. Imported presets have no id yet (`id` is then '').
+ */
+export function sanitizeSoundPreset(raw: unknown): SoundPreset | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const r = raw as Record<string, unknown>;
+  const name = sanitizeDisplayName(r.name);
+  const fx = sanitizeFxSettings(r.fx);
+  if (!name || !fx) return null;
+  return { id: typeof r.id === 'string' ? r.id.slice(0, 32) : '', name, fx };
+}
+
+// ─── Current Settings ───────────────────────────────────────────────
+
+export function readFxSettings(): FxSettings {
+  return {
+    eqBands: getState('audio.eqBands').map(b => ({ ...b })),
+    userPreampGain: getState('audio.userPreampGain'),
+    reverbMix: getState('audio.reverbMix'),
+    reverbDecay: getState('audio.reverbDecay'),
+    reverbPreDelay: getState('audio.reverbPreDelay'),
+    reverbLowCut: getState('audio.reverbLowCut'),
+    reverbHighCut: getState('audio.reverbHighCut'),
+    stereoWidth: getState('audio.stereoWidth'),
+    virtualBass: getState('audio.virtualBass'),
+    subFreq: getState('audio.subFreq'),
+  };
+}
+
+/**
+ * Replace every effect setting in one state batch, then sync the nodes
+ * once. Returns the (clamped) settings applied, or null for junk.
+ */
+export function applyFxSettings(raw: unknown): FxSettings | null {
+  const fx = sanitizeFxSettings(raw);
+  if (!fx) return null;
+
+  batchSetState({
+    'audio.eqBands': fx.eqBands,
+    'audio.userPreampGain': fx.userPreampGain,
+    'audio.reverbMix': fx.reverbMix,
+    'audio.reverbDecay': fx.reverbDecay,
+    'audio.reverbPreDelay': fx.reverbPreDelay,
+    'audio.reverbLowCut': fx.reverbLowCut,
+    'audio.reverbHighCut': fx.reverbHighCut,
+    'audio.stereoWidth': fx.stereoWidth,
+    'audio.virtualBass': fx.virtualBass,
+    'audio.subFreq': fx.subFreq,
+  });
+  applySettings();
+  bus.emit('audio:fx-applied');
+  return fx;
+}
+
+// ─── Sending ────────────────────────────────────────────────────────
+
+/**
+ * The per-setting messages a guest without CAP.FX_PRESETS understands
+ * (wire units; EQ as a band list or per fixed band, see `parametricEq`;
+ * the subwoofer cutoff has no message).
+ */
+export function legacyFxMessages(fx: FxSettings, parametricEq: boolean): AnyProtocolMsg[] {
+  return [
+    { type: MSG.REVERB, value: fx.reverbMix * 100 },
+    { type: MSG.REVERB_DECAY, value: fx.reverbDecay },
+    { type: MSG.REVERB_PREDELAY, value: fx.reverbPreDelay },
+    { type: MSG.REVERB_LOWCUT, value: fx.reverbLowCut },
+    { type: MSG.REVERB_HIGHCUT, value: fx.reverbHighCut },
+    ...eqUpdateMessages(fx.eqBands, parametricEq),
+    { type: MSG.PREAMP, value: Math.round(20 * Math.log10(Math.max(fx.userPreampGain, 1e-6))) },
+    { type: MSG.STEREO_WIDTH, value: fx.stereoWidth * 100 },
+    { type: MSG.VBASS, value: fx.virtualBass * 100 },
+  ];
+}
+
+/**
+ * legacyFxMessages() as operator REQUEST_SETTINGs, for a host without
+ * CAP.FX_PRESETS.
+ */
+export function legacyFxRequests(fx: FxSettings, parametricEq: boolean): AnyProtocolMsg[] {
+  return legacyFxMessages(fx, parametricEq).map((msg): AnyProtocolMsg => {
+    const m = msg as Record<string, unknown>;
+    if (m.type === MSG.EQ_UPDATE) {
+      return m.bands
+        ? { type: MSG.REQUEST_SETTING, settingType: 'eq', value: m.bands }
+        : { type: MSG.REQUEST_SETTING, settingType: 'eq', band: m.band as number, value: m.value };
+    }
+    return { type: MSG.REQUEST_SETTING, settingType: m.type === MSG.STEREO_WIDTH ? 'stereo' : m.type as string, value: m.value };
+  });
+}
+
+function sendFxSettings(conn: DataConnection, peerId: string, name: string, fx: FxSettings): void {
+  if (peerHasCapability(peerId, CAP.FX_PRESETS)) {
+    safeSend(conn, { type: MSG.FX_PRESET, name, fx });
+  } else {
+    for (const msg of legacyFxMessages(fx, peerHasCapability(peerId, CAP.PARAMETRIC_EQ))) safeSend(conn, msg);
+  }
+}
+
+/**
+ * Host: send `fx` to every guest, one message each where they support it.
+ */
+export function broadcastFxSettings(name: string, fx: FxSettings): void {
+  flushControl(); // Queued slider values first, so they cannot overwrite the preset
+  for (const p of getState('network.connectedPeers')) {
+    if (p.status === 'connected' && p.conn?.open) sendFxSettings(p.conn, p.id, name, fx);
+  }
+}
+
+// ─── Storage ────────────────────────────────────────────────────────
+
+function loadSoundPresets(): void {
+  let presets: SoundPreset[] = [];
+  try {
+    const raw = localStorage.getItem(SOUND_PRESETS_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) as unknown : null;
+    if (Array.isArray(parsed)) {
+      presets = parsed
+        .map(sanitizeSoundPreset)
+        .filter((p): p is SoundPreset => !!p && !!p.id)
+        .slice(0, MAX_SOUND_PRESETS);
+    }
+  } catch { /* ignore */ }
+  setState('audio.presets', presets);
+}
+
+function persist(presets: SoundPreset[]): void {
+  setState('audio.presets', presets);
+  try { localStorage.setItem(SOUND_PRESETS_STORAGE_KEY, JSON.stringify(presets)); } catch { /* ignore */ }
+  bus.emit('audio:presets-changed');
+}
+
+function createPresetId(): string {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Add or replace (same name, any case) presets. Returns those stored;
+ * new names past MAX_SOUND_PRESETS are left out.
+ */
+function upsertPresets(incoming: Array<{ name: string; fx: FxSettings }>): SoundPreset[] {
+  const presets = [...getState('audio.presets')];
+  const stored: SoundPreset[] = [];
+  for (const { name, fx } of incoming) {
+    const idx = presets.findIndex(p => p.name.toLowerCase() === name.toLowerCase());
+    if (idx < 0 && presets.length >= MAX_SOUND_PRESETS) continue;
+    const preset = { id: idx >= 0 ? presets[idx].id : createPresetId(), name, fx };
+    if (idx >= 0) presets[idx] = preset;
+    else presets.push(preset);
+    stored.push(preset);
+  }
+  if (stored.length) persist(presets);
+  return stored;
+}
+
+/**
+ * Save the current effect settings under `name` (replacing a preset of the
+ * same name). Null when the name is unusable or the list is full.
+ */
+export function saveSoundPreset(name: string): SoundPreset | null {
+  const clean = sanitizeDisplayName(name);
+  if (!clean) return null;
+  const [preset] = upsertPresets([{ name: clean, fx: readFxSettings() }]);
+  if (preset) log.info(`[Presets] Saved "${preset.name}"`);
+  return preset ?? null;
+}
+
+export function deleteSoundPreset(id: string): boolean {
+  const presets = getState('audio.presets');
+  if (!presets.some(p => p.id === id)) return false;
+  persist(presets.filter(p => p.id !== id));
+  return true;
+}
+
+// ─── Export / Import ────────────────────────────────────────────────
+
+/**
+ * Saved presets (all, or those in `ids`) as a JSON file body.
+ */
+export function exportSoundPresets(ids?: readonly string[]): string {
+  const presets = getState('audio.presets')
+    .filter(p => !ids || ids.includes(p.id))
+    .map(({ name, fx }) => ({ name, fx }));
+  return JSON.stringify({ format: PRESET_FILE_FORMAT, version: PRESET_FILE_VERSION, presets }, null, 2);
+}
+
+/**
+ * Merge presets from an exported file (a bare preset or list is accepted
+ * too); same-name presets are replaced. Returns how many were stored, or
+ * null when the text is not a preset file.
+ */
+export function importSoundPresets(json: string): number | null {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return null;
+  }
+
+  const file = parsed as Record<string, unknown> | null;
+  const list = Array.isArray(parsed) ? parsed
+    : Array.isArray(file?.presets) ? file.presets as unknown[]
+    : [parsed];
+  const presets = list.map(sanitizeSoundPreset).filter((p): p is SoundPreset => !!p);
+  if (!presets.length) return null;
+
+  const stored = upsertPresets(presets);
+  log.info(`[Presets] Imported ${stored.length}/${presets.length}`);
+  return stored.length;
+}
+
+/**
+ * Save every preset as `musixquare-presets.json`.
+ */
+export function downloadSoundPresets(): boolean {
+  if (!getState('audio.presets').length) return false;
+  try {
+    const blob = new Blob([exportSoundPresets()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${PRESET_FILE_FORMAT}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return true;
+  } catch (e) {
+    log.warn('[Presets] Download failed:', e);
+    return false;
+  }
+}
+
+// ─── Applying ───────────────────────────────────────────────────────
+
+/**
+ * Apply a saved preset to the session: the host applies and sends it, an
+ * operator asks the host to.
+ */
+export function applySoundPreset(id: string): void {
+  const preset = getState('audio.presets').find(p => p.id === id);
+  if (!preset) return;
+
+  if (!getState('network.hostConn')) {
+    applyFxSettings(preset.fx);
+    broadcastFxSettings(preset.name, preset.fx);
+    bus.emit('ui:show-toast', t('toast.preset_applied', { name: preset.name }));
+  } else if (hasOpPermission('fx')) {
+    if (sessionHasCapability(CAP.FX_PRESETS)) {
+      void requestFromControl({ type: MSG.REQUEST_FX_PRESET, name: preset.name, fx: preset.fx });
+    } else {
+      // Older host: one setting at a time, fire-and-forget like a slider
+      for (const msg of legacyFxRequests(preset.fx, sessionHasCapability(CAP.PARAMETRIC_EQ))) sendToHost(msg);
+    }
+  } else {
+    bus.emit('ui:show-toast', t('toast.operator_required'));
+  }
+}
+
+// ─── Network Protocol Handlers ──────────────────────────────────────
+
+function handleFxPreset(data: Record<string, unknown>): void {
+  if (!applyFxSettings(data.fx)) return;
+  const name = sanitizeDisplayName(data.name);
+  if (name) bus.emit('ui:show-toast', t('toast.preset_applied', { name }));
+}
+
+function handleRequestFxPreset(data: Record<string, unknown>, conn: DataConnection): void {
+  if (getState('network.hostConn')) return; // Only Host
+
+  if (!verifyOperator(conn, data, 'fx')) {
+    log.warn(`[Presets] Rejected request-fx-preset from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
+    return;
+  }
+
+  const fx = applyFxSettings(data.fx);
+  if (!fx) {
+    rejectRequest(conn, data, REQUEST_ERROR.INVALID_VALUE);
+    return;
+  }
+  const name = sanitizeDisplayName(data.name);
+  broadcastFxSettings(name, fx);
+  if (name) bus.emit('ui:show-toast', t('toast.preset_applied', { name }));
+  ackRequest(conn, data);
+}
+
+/**
+ * Host: late-join bootstrap of every effect setting (volume: effects.ts).
+ */
+function bootstrapPeer(conn: DataConnection): void {
+  if (!conn?.open || getState('network.hostConn')) return;
+  sendFxSettings(conn, conn.peer, '', readFxSettings());
+  log.debug('[Presets] Bootstrap: sent effect settings to new peer');
+}
+
+// ─── Initialize Sound Presets ───────────────────────────────────────
+
+export function initSoundPresets(): void {
+  loadSoundPresets();
+  registerHandlers({
+    [MSG.FX_PRESET]: handleFxPreset,
+    [MSG.REQUEST_FX_PRESET]: handleRequestFxPreset,
+  });
+
+  bus.on('audio:save-preset', (name) => {
+    if (!sanitizeDisplayName(name)) return;
+    const preset = saveSoundPreset(name);
+    bus.emit('ui:show-toast', preset
+      ? t('toast.preset_saved', { name: preset.name })
+      : t('toast.preset_full', { max: MAX_SOUND_PRESETS }));
+  });
+  bus.on('audio:apply-preset', (id) => applySoundPreset(id));
+  bus.on('audio:delete-preset', (id) => { deleteSoundPreset(id); });
+  bus.on('audio:export-presets', () => { downloadSoundPresets(); });
+  bus.on('audio:import-presets', (json) => {
+    const count = importSoundPresets(json);
+    bus.emit('ui:show-toast', count === null
+      ? t('toast.preset_import_invalid')
+      : t('toast.preset_imported', { count }));
+  });
+  bus.on('network:peer-connected', bootstrapPeer);
+
+  log.info('[Presets] Handlers registered');
+}
@@ -32,6 +32,11 @@ export const WATCHDOG_TIMEOUT = 12000; // 12s chunk watchdog
 export const MAX_RECOVERY_RETRIES = 3;
 export const RECOVERY_BACKOFF = [2000, 5000, 10000] as const;
 
+export const SCHEMA_REJECT_WINDOW = 60000;   // Sliding window for per-peer schema rejections (ms)
+export const SCHEMA_REJECT_THRESHOLD = 10;   // Rejections within the window before a peer is flagged
+
+export const TRACE_MAX_ENTRIES = 20000;      // Protocol recorder keeps the most recent N messages
+
 // ─── Timing Constants (ms) ─────────────────────────────────────────
 export const DELAY = {
   TICK: 10,               // Micro-yield for main thread breathing
@@ -44,17 +49,123 @@ export const DELAY = {
   BLOB_REVOCATION: 10000, // BlobURL revocation safety delay
   JOIN_TIMEOUT: 10000,    // Max wait for peer.open
   RECOVERY_COOLDOWN: 5000,// Rate-limit recovery requests
+  RELAY_PROBE: 3000,      // Host → guest latency probe / relay rebalance interval
+  MIGRATION_RETRY: 1500,  // Host migration: session code claim / rejoin retry interval
+  SIGNAL_RECONNECT: 2000, // Re-register with the signaling server after a drop
+  CONTROL_FLUSH: 80,      // Max wait for coalesced control messages (slider drags)
+  PEER_HEALTH: 5000,      // Host: guest connection stats / health score sampling interval
+  REQUEST_TIMEOUT: 5000,  // Guest: give up on a request-* reply from the host
+  CLOCK_SYNC: 2000,       // Guest: host clock sampling interval (offset / skew tracking)
+  LEAVE_DRAIN: 1000,      // Leaving: max wait for final messages (HOST_HANDOFF) to clear the send buffers
+} as const;
+
+// ─── Soft Sync (playbackRate trimming) ─────────────────────────────
+export const SOFT_SYNC = {
+  MAX_RATE_DEVIATION: 0.01, // ±1% playbackRate at most (≈17 cents)
+  CONVERGE_SEC: 3,          // Rate deviation = error / this, so errors shrink with a ~3 s time constant
+  DEADBAND_SEC: 0.005,      // Back to 1.0 once within 5 ms
+  YOUTUBE_DEADBAND_SEC: 0.08, // getCurrentTime() on the iframe player is coarse
+  YOUTUBE_SEEK_SEC: 0.5,    // Iframe player offering no speed to trim with: seek past this instead
+  HARD_SEEK_SEC: 0.3,       // Larger errors still restart the source at the new offset
+  TICK: 250,                // Rate update interval while trimming (ms)
+} as const;
+
+// ─── Scheduled Start (track changes) ───────────────────────────────
+export const SCHEDULED_START = {
+  LEAD_MS: 400,             // Start instant this far past the PLAY broadcast (delivery + scheduling)
+  READY_TIMEOUT: 4000,      // Max wait for guests' decode-ready; later ones join mid-stream
+} as const;
+
+// ─── Sync Monitor (host view of guest alignment) ───────────────────
+export const SYNC_MONITOR = {
+  HISTORY: 60,              // Error samples kept per guest (~2 min of SYNC_REPORT at DELAY.CLOCK_SYNC)
+  TOLERANCE_MS: 40,         // Default error past which a guest is flagged
+  TOLERANCE_MIN_MS: 5,
+  TOLERANCE_MAX_MS: 200,
 } as const;
 
 // ─── Network ───────────────────────────────────────────────────────
-export const MAX_GUEST_SLOTS = 3;
+export const MAX_GUEST_SLOTS = 12;         // Total guests per session (direct + relayed)
+export const MAX_DIRECT_DATA_PEERS = 3;    // Guests fed file data directly by the host
+export const MAX_RELAY_FANOUT = 2;         // Downstream data peers per relay guest
 export const PEER_NAME_PREFIX = 'Peer';
+export const MAX_SPECTATORS = 24;          // Listen-only guests per session (outside the slot table)
+export const SPECTATOR_NAME_PREFIX = 'Spectator';
+export const DISPLAY_NAME_MAX = 24;        // Guest-chosen device name, in characters
+/** Avatar picker choices (any single emoji is accepted on the wire) */
+export const AVATAR_CHOICES = ['🎧', '🎸', '🥁', '🎹', '🎤', '🎷', '🎺', '🎻', '🐱', '🐶', '🦊', '🐼', '🌙', '⭐', '🔥', '🍀'];
+export const MAX_OUTPUT_PROFILES = 12;     // Saved output profiles per device
+export const OUTPUT_OFFSET_MAX_MS = 2000;  // Profile sync offset range (±ms)
+export const TRIM_GAIN_MAX_DB = 12;        // Per-device trim gain range (±dB)
+export const MAX_SOUND_PRESETS = 24;       // Saved sound presets per device
+export const MIGRATION_TIMEOUT = 60000;         // Give up host migration after this long (ms)
+export const MIGRATION_RESERVATION_TTL = 30000; // Hold former guests' slots for reconnect (ms)
+export const RESUME_TOKEN_TTL = 120000;         // Hold a dropped guest's slot for its resume token (ms)
+
+// ─── Operator Permissions ──────────────────────────────────────────
+/** What an operator may control; a plain GRANT gives all of them */
+export const OP_PERMISSIONS = ['transport', 'playlist', 'fx', 'youtube'] as const;
+
+export type OpPermission = (typeof OP_PERMISSIONS)[number];
+
+/** Why a guest request-* command did not go through (COMMAND_RESULT code) */
+export const REQUEST_ERROR = {
+  NOT_OPERATOR: 'not-operator',   // Missing the operator permission for this command
+  INVALID_INDEX: 'invalid-index', // Track index outside the playlist
+  BUSY: 'busy',                   // Host is still loading a track
+  INVALID_VALUE: 'invalid-value', // Settings the host cannot apply
+  TIMEOUT: 'timeout',             // Guest-side: no reply within DELAY.REQUEST_TIMEOUT
+  NOT_CONNECTED: 'not-connected', // Guest-side: no host link (or it dropped while waiting)
+} as const;
+
+export type RequestErrorCode = (typeof REQUEST_ERROR)[keyof typeof REQUEST_ERROR];
+
+// ─── Protocol Version & Capabilities ───────────────────────────────
+export const PROTOCOL_VERSION = 2;         // Bump on wire-incompatible ProtocolMap changes
+export const MIN_PROTOCOL_VERSION = 1;     // Oldest peer protocol still accepted (reduced features)
+export const LEGACY_PROTOCOL_VERSION = 1;  // Assumed for peers that predate the versioned handshake
+
+export const CAP = {
+  BASS_MANAGEMENT: 'bass-management',
+  BINARY_CHUNKS: 'binary-chunks',
+  CALIBRATION: 'calibration',
+  CLOCK_SYNC: 'clock-sync',
+  FX_PRESETS: 'fx-presets',
+  HOST_MIGRATION: 'host-migration',
+  OUTPUT_PROFILES: 'output-profiles',
+  PARAMETRIC_EQ: 'parametric-eq',
+  PRELOAD: 'preload',
+  PROFILES: 'profiles',
+  RELAY: 'relay',
+  REQUEST_ACK: 'request-ack',
+  SCHEDULED_START: 'scheduled-start',
+  SURROUND: 'surround',
+  SYNC_MONITOR: 'sync-monitor',
+  YOUTUBE: 'youtube',
+} as const;
+
+export type Capability = typeof CAP[keyof typeof CAP];
+
+/** Features this build implements */
+export const LOCAL_CAPABILITIES: Capability[] = [
+  CAP.BASS_MANAGEMENT, CAP.BINARY_CHUNKS, CAP.CALIBRATION, CAP.CLOCK_SYNC, CAP.FX_PRESETS, CAP.HOST_MIGRATION, CAP.OUTPUT_PROFILES, CAP.PARAMETRIC_EQ, CAP.PRELOAD, CAP.PROFILES, CAP.RELAY, CAP.REQUEST_ACK, CAP.SCHEDULED_START, CAP.SURROUND, CAP.SYNC_MONITOR, CAP.YOUTUBE,
+];
+
+/** Features assumed for legacy peers (no relay: they forward control to data-only leaves) */
+export const LEGACY_CAPABILITIES: Capability[] = [CAP.PRELOAD, CAP.SURROUND, CAP.YOUTUBE];
 
 // ─── Message Types (P2P Protocol) ──────────────────────────────────
 export const MSG = {
   ASSIGN_DATA_SOURCE: 'assign-data-source',
+  CALIBRATION_CHIRP: 'calibration-chirp',
+  CALIBRATION_RESULT: 'calibration-result',
   CHAT: 'chat',
+  CLOCK_PING: 'clock-ping',
+  CLOCK_PONG: 'clock-pong',
+  COMMAND_RESULT: 'command-result', // Host → guest reply to a request-* carrying reqId
+  CROSSOVER: 'crossover',
   DATA_RELAY: 'data-relay',
+  DECODE_READY: 'decode-ready',
   DEVICE_LIST_UPDATE: 'device-list-update',
   EQ_RESET: 'eq-reset',
   EQ_UPDATE: 'eq-update',
@@ -65,10 +176,12 @@ export const MSG = {
   FILE_START: 'file-start',
   FILE_WAIT: 'file-wait',
   FORCE_CLOSE_DUPLICATE: 'force-close-duplicate',
+  FX_PRESET: 'fx-preset',
   GET_SYNC_TIME: 'get-sync-time',
   GLOBAL_RESYNC_REQUEST: 'global-resync-request',
   HEARTBEAT: 'heartbeat',
   HEARTBEAT_ACK: 'heartbeat-ack',
+  OUTPUT_PROFILE: 'output-profile',
   PAUSE: 'pause',
   PING_LATENCY: 'ping-latency',
   PLAY: 'play',
@@ -81,10 +194,12 @@ export const MSG = {
   PRELOAD_CHUNK: 'preload-chunk',
   PRELOAD_END: 'preload-end',
   PRELOAD_START: 'preload-start',
+  PROFILE_UPDATE: 'profile-update',
   REPEAT_MODE: 'repeat-mode',
   REQUEST_CURRENT_FILE: 'request-current-file',
   REQUEST_DATA_RECOVERY: 'request-data-recovery',
   REQUEST_EQ_RESET: 'request-eq-reset',
+  REQUEST_FX_PRESET: 'request-fx-preset',
   REQUEST_REVERB_RESET: 'request-reverb-reset',
   REQUEST_NEXT_TRACK: 'request-next-track',
   REQUEST_PAUSE: 'request-pause',
@@ -105,8 +220,10 @@ export const MSG = {
   REVERB_PREDELAY: 'reverb-predelay',
   REVERB_TYPE: 'reverb-type',
   SHUFFLE_MODE: 'shuffle-mode',
+  SPEAKER_ROLE: 'speaker-role',
   STATUS_SYNC: 'status-sync',
   STEREO_WIDTH: 'stereo-width',
+  SYNC_REPORT: 'sync-report',
   SYNC_RESPONSE: 'sync-response',
   FORCE_SYNC_PLAY: 'force-sync-play',
   OPERATOR_GRANT: 'operator-grant',
@@ -116,6 +233,8 @@ export const MSG = {
   WELCOME: 'welcome',
   SESSION_START: 'session-start',
   SESSION_FULL: 'session-full',
+  SESSION_LOCKED: 'session-locked',
+  KICKED: 'kicked',
   YOUTUBE_PLAY: 'youtube-play',
   YOUTUBE_PLAYLIST_INFO: 'youtube-playlist-info',
   YOUTUBE_STATE: 'youtube-state',
@@ -123,13 +242,38 @@ export const MSG = {
   YOUTUBE_STOP: 'youtube-stop',
   YOUTUBE_SYNC: 'youtube-sync',
   SYS_TOAST: 'sys-toast',
+  VERSION_MISMATCH: 'version-mismatch',
+  HOST_HANDOFF: 'host-handoff',
 } as const;
 
 export type MsgType = (typeof MSG)[keyof typeof MSG];
 
 // ─── Audio ──────────────────────────────────────────────────────────
+/** Centres of the default EQ (peaking bands, flat) */
 export const EQ_FREQUENCIES = [60, 230, 910, 3600, 14000] as const;
 
+/** Parametric EQ band types (BiquadFilterNode names) */
+export const EQ_FILTER_TYPES = ['peaking', 'lowshelf', 'highshelf', 'lowpass', 'highpass', 'notch'] as const;
+export type EqFilterType = typeof EQ_FILTER_TYPES[number];
+
+export const EQ_LIMITS = {
+  MAX_BANDS: 10,
+  FREQ_MIN: 20,       // Hz
+  FREQ_MAX: 20000,    // Hz
+  Q_MIN: 0.1,
+  Q_MAX: 18,
+  GAIN_DB: 12,        // ± dB
+  DEFAULT_Q: 1.0,
+} as const;
+
+/** Bass management: woofer low-pass / other roles' high-pass (Linkwitz-Riley, 24 dB/oct) */
+export const CROSSOVER = {
+  /** Web Audio takes lowpass/highpass Q in dB; -3.01 dB is Butterworth (1/√2), two in series make LR4 */
+  BUTTERWORTH_Q_DB: -3.0103,
+  /** High-pass corner while no woofer is in the session (below any speaker's range) */
+  OFF_HZ: 10,
+} as const;
+
 // ─── Misc ──────────────────────────────────────────────────────────
 export const DEMO_FILE_NAME = 'demo_track.mp3';
 export const DEMO_TITLE = 'Sean Pitaro - Passport (NCS Release)';
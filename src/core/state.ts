@@ -7,9 +7,9 @@
  */
 
 import { bus } from './events.ts';
-import { APP_STATE, TRANSFER_STATE, EQ_FREQUENCIES } from './constants.ts';
-import type { AppStateValue, TransferStateValue } from './constants.ts';
-import type { FileMeta, PlaylistItem, PreloadSessionEntry, DeviceInfo, DataConnection } from '../types/index.ts';
+import { APP_STATE, TRANSFER_STATE, EQ_FREQUENCIES, EQ_LIMITS, MAX_GUEST_SLOTS, SYNC_MONITOR } from './constants.ts';
+import type { AppStateValue, TransferStateValue, OpPermission } from './constants.ts';
+import type { FileMeta, PlaylistItem, PreloadSessionEntry, DeviceInfo, DataConnection, PeerHealth, PeerProfile, OutputProfile, SyncQuality, EqBand, SoundPreset } from '../types/index.ts';
 
 // ─── State Tree ────────────────────────────────────────────────────
 
@@ -65,11 +65,17 @@ export interface StateTree {
     reverbPreDelay: number;
     reverbLowCut: number;
     reverbHighCut: number;
-    eqValues: number[];
+    eqBands: EqBand[];
     stereoWidth: number;
     virtualBass: number;
     subFreq: number;
     userPreampGain: number;
+    /** This device's own gain on top of the preamp (dB, not synced) */
+    trimDb: number;
+    /** Woofer cutoff somewhere in the session; other roles high-pass here (0 = none) */
+    crossoverFreq: number;
+    /** Saved sound presets (audio/presets.ts) */
+    presets: SoundPreset[];
     analyser: unknown | null;
   };
 
@@ -78,6 +84,15 @@ export interface StateTree {
     localOffset: number;
     autoSyncOffset: number;
     usePingCompensation: boolean;
+    /** Converge small sync changes by trimming playbackRate instead of re-seeking */
+    softCorrection: boolean;
+    /** Start track changes at a host-clock instant once guests have decoded */
+    scheduledStart: boolean;
+    /** Host: sync error (ms) past which the monitor flags a guest */
+    monitorToleranceMs: number;
+    /** Saved output profiles (network/output-profile.ts) and the selected one */
+    outputProfiles: OutputProfile[];
+    activeOutputProfile: string | null;
     lastLatencyMs: number;
     latencyHistory: number[];
     resyncTimer: ReturnType<typeof setTimeout> | null;
@@ -97,14 +112,48 @@ export interface StateTree {
       label: string;
       conn: DataConnection | null;
       isOp: boolean;
+      /** Narrowed operator permissions; absent with isOp = all of them */
+      perms?: OpPermission[];
       preloadedIndexes: Set<number>;
+      /** Track index the guest last reported decoded (DECODE_READY) */
+      decodedIndex?: number;
       status: string;
       isDataTarget: boolean;
+      dataSourceId: string | null;
+      /** Host: the relay planner has placed this guest (dataSourceId is its decision) */
+      dataSourcePlaced?: boolean;
       joinOrder: number;
       connectionType: 'local' | 'remote' | 'unknown';
       lastHeartbeat: number;
+      rttMs: number;
+      protocolVersion: number;
+      caps: string[];
+      flagged: boolean;
+      /** Secret the guest presents to resume this slot after a drop */
+      resumeToken: string;
+      /** Transfer session whose file the resumed guest still holds (0 = none) */
+      heldSessionId: number;
+      /** Last health sample (network/health.ts) */
+      health?: PeerHealth;
+      /** Last sync report (network/sync-monitor.ts) */
+      syncQuality?: SyncQuality;
+      /** Listen-only guest: slot 0, no file or preload data */
+      spectator?: boolean;
+      /** Guest-chosen name and emoji (network/profile.ts) */
+      displayName?: string;
+      avatar?: string;
+      /** Output profile the guest has selected (network/output-profile.ts) */
+      outputProfile?: string;
+      /** Cutoff the guest plays as woofer, absent otherwise (audio/bass-management.ts) */
+      wooferFreq?: number;
     }>;
     isOperator: boolean;
+    /** Guest: operator permissions granted by the host (empty when not OP) */
+    opPermissions: OpPermission[];
+    /** Guest joined (or is joining) as a listen-only spectator */
+    isSpectator: boolean;
+    /** This device's name and avatar as a guest (kept across sessions) */
+    myProfile: PeerProfile;
     isConnecting: boolean;
     isIntentionalDisconnect: boolean;
     lastKnownDeviceList: DeviceInfo[] | null;
@@ -112,7 +161,17 @@ export interface StateTree {
     peerSlots: (string | null)[];
     peerSlotByPeerId: Map<string, number>;
     activeHostConnByPeerId: Map<string, DataConnection>;
+    /** Host: peer IDs refused for the rest of the session */
+    bannedPeerIds: Set<string>;
+    /** Host: refuse new joiners (resuming guests still get back in) */
+    sessionLocked: boolean;
     connectionType: 'local' | 'remote' | 'unknown';
+    /** Guest: capabilities negotiated with the host in WELCOME */
+    sessionCaps: string[];
+    /** Peer ID of the host being migrated to (null when no migration is in progress) */
+    migratingTo: string | null;
+    /** Guest: resume token issued by the current host (null before WELCOME) */
+    resumeToken: string | null;
   };
 
   // Relay
@@ -239,11 +298,14 @@ function createInitialState(): StateTree {
       reverbPreDelay: 0.1,
       reverbLowCut: 0,
       reverbHighCut: 0,
-      eqValues: Array(EQ_FREQUENCIES.length).fill(0) as number[],
+      eqBands: EQ_FREQUENCIES.map((frequency): EqBand => ({ type: 'peaking', frequency, Q: EQ_LIMITS.DEFAULT_Q, gain: 0 })),
       stereoWidth: 1.0,
       virtualBass: 0,
       subFreq: 120,
       userPreampGain: 1.0,
+      trimDb: 0,
+      crossoverFreq: 0,
+      presets: [],
       analyser: null,
     },
 
@@ -251,6 +313,11 @@ function createInitialState(): StateTree {
       localOffset: 0,
       autoSyncOffset: 0,
       usePingCompensation: false, // 로컬 네트워크 전용 — RTT 보정 비활성화
+      softCorrection: true,
+      scheduledStart: true,
+      monitorToleranceMs: SYNC_MONITOR.TOLERANCE_MS,
+      outputProfiles: [],
+      activeOutputProfile: null,
       lastLatencyMs: 0,
       latencyHistory: [],
       resyncTimer: null,
@@ -265,14 +332,22 @@ function createInitialState(): StateTree {
       hostConn: null,
       connectedPeers: [],
       isOperator: false,
+      opPermissions: [],
+      isSpectator: false,
+      myProfile: { displayName: '', avatar: '' },
       isConnecting: false,
       isIntentionalDisconnect: false,
       lastKnownDeviceList: null,
       peerLabels: {},
-      peerSlots: [null, null, null, null], // index 0 unused, 1-3 for guests
+      peerSlots: Array(MAX_GUEST_SLOTS + 1).fill(null) as (string | null)[], // index 0 unused
       peerSlotByPeerId: new Map(),
       activeHostConnByPeerId: new Map(),
+      bannedPeerIds: new Set(),
+      sessionLocked: false,
       connectionType: 'unknown' as const,
+      sessionCaps: [],
+      migratingTo: null,
+      resumeToken: null,
     },
 
     relay: {
@@ -68,6 +68,7 @@ const en: Record<I18nKey, string> = {
   'player.play_speakers': 'Play through speakers',
   'player.demo_track': 'Demo Track',
   'player.manual_sync_title': 'Manual Sync',
+  'player.spectator_title': 'Spectating — no audio on this device',
 
   // ─── Playlist ────────────────────────────────────────────────────
   'playlist.toggle': 'Expand/collapse playlist',
@@ -102,10 +103,52 @@ const en: Record<I18nKey, string> = {
 
   // ─── Settings ────────────────────────────────────────────────────
   'settings.theme': 'Theme',
+  'settings.my_profile': 'My name',
+  'settings.calibration': 'Latency Calibration',
+  'settings.calibration_start': 'Calibrate',
+  'settings.calibration_desc': 'Hold this phone where people will listen and keep the room quiet. Each speaker plays a short chirp, and the mic measures how late it sounds.',
+  'settings.sync_monitor': 'Sync Monitor',
+  'settings.sync_monitor_empty': 'Waiting for guests to report...',
+  'settings.sync_monitor_desc': 'How far each speaker is from this phone, updated every few seconds. Speakers past the tolerance are flagged; Resync realigns just that one.',
+  'settings.sync_tolerance': 'Tolerance',
+  'settings.sync_resync': 'Resync',
+  'settings.sync_out_of_tolerance': 'More than {{ms}}ms off',
+  'settings.sync_details': 'Clock offset {{clock}}ms · RTT {{rtt}}ms · applied offset {{offset}}',
+  'settings.output_profile': 'Output Profile',
+  'settings.output_profile_none': 'No profile',
+  'settings.output_profile_name': 'Profile name (e.g. JBL over BT)',
+  'settings.output_profile_save': 'Save',
+  'settings.output_profile_delete': 'Delete',
+  'settings.output_profile_desc': 'Saves this sync offset, speaker role and trim for this phone and speaker, and applies them the next time you join.',
+  'settings.trim_gain': 'Trim (this device)',
+  'settings.presets': 'Sound Presets',
+  'settings.preset_none': 'No saved presets',
+  'settings.preset_choose': 'Choose a preset',
+  'settings.preset_apply': 'Apply',
+  'settings.preset_delete': 'Delete',
+  'settings.preset_name': 'Preset name (e.g. Late night)',
+  'settings.preset_save': 'Save',
+  'settings.preset_export': 'Export',
+  'settings.preset_import': 'Import',
+  'settings.preset_desc': 'Saves reverb, EQ, preamp, stereo width, virtual bass and subwoofer cutoff together. Applying one changes every speaker in the session at once.',
   'settings.dark': 'Dark',
   'settings.light': 'Light',
   'settings.system': 'System',
   'settings.language': 'Language · 언어',
+  'settings.via_relay': 'via {{name}}',
+  'settings.peer_flagged': 'Sending invalid messages',
+  'settings.perm_transport': 'Play',
+  'settings.perm_playlist': 'Tracks',
+  'settings.perm_fx': 'FX',
+  'settings.perm_youtube': 'YouTube',
+  'settings.kick': 'KICK',
+  'settings.ban': 'BAN',
+  'settings.kick_hint': 'Disconnect this device. It can join again with the code.',
+  'settings.ban_hint': 'Disconnect this device and refuse it until the session ends.',
+  'settings.lock_session': 'Lock session',
+  'settings.unlock_session': 'Unlock session',
+  'settings.lock_hint': 'Refuse new devices. Devices that dropped can still reconnect.',
+  'settings.peer_health': 'RTT {{rtt}} ms · buffer {{buffered}} KB · path {{path}} · ↑{{up}} ↓{{down}} kbps · heartbeat {{heartbeat}}s ago',
   'settings.advanced_audio': 'Advanced audio',
   'settings.spatial_audio': 'Spatial audio',
   'settings.reverb_host_ctrl': 'Reverb (host-ctrl)',
@@ -117,6 +160,19 @@ const en: Record<I18nKey, string> = {
   'settings.decay_time': 'Decay time',
   'settings.predelay': 'Pre-delay',
   'settings.eq_host_ctrl': 'Equalizer (host-ctrl)',
+  'settings.eq_curve': 'EQ frequency response',
+  'settings.eq_band_gain': '{{freq}}Hz gain',
+  'settings.eq_type': 'Filter type',
+  'settings.eq_freq': 'Frequency',
+  'settings.eq_q': 'Q',
+  'settings.eq_add_band': 'Add band',
+  'settings.eq_remove_band': 'Remove band',
+  'settings.eq_type_peaking': 'Peak',
+  'settings.eq_type_lowshelf': 'Low shelf',
+  'settings.eq_type_highshelf': 'High shelf',
+  'settings.eq_type_lowpass': 'Low-pass',
+  'settings.eq_type_highpass': 'High-pass',
+  'settings.eq_type_notch': 'Notch',
   'settings.preamp': 'Preamp',
   'settings.preamp_gain': 'Preamp gain',
   'settings.lowpass': 'Low-pass',
@@ -150,6 +206,7 @@ const en: Record<I18nKey, string> = {
   'setup.woofer_bass': 'Feel powerful bass with Woofer mode.',
   'setup.host_button': "I'll host",
   'setup.guest_button': 'Join a session',
+  'setup.spectate_button': 'Just watch',
   'setup.demo_button': 'Try it (Demo)',
   'setup.demo_label': 'Try the app:',
   'setup.demo_desc': 'Test the app with demo media',
@@ -171,6 +228,10 @@ const en: Record<I18nKey, string> = {
   'setup.connect_devices': 'Now connect your other devices.',
   'setup.enter_code_connect': 'Enter this code on your other devices',
   'setup.last_step': 'Last step!',
+  'setup.display_name': 'Your name (optional)',
+  'setup.display_name_placeholder': 'e.g. Kitchen speaker',
+  'setup.avatar': 'Avatar',
+  'setup.avatar_none': 'No avatar',
   'setup.host_label': 'Host:',
   'setup.guest_label': 'Guest:',
   'setup.id_generating': 'Generating ID...',
@@ -179,7 +240,7 @@ const en: Record<I18nKey, string> = {
   'setup.six_digit_code': '6-digit code',
   'setup.six_digit_connect': 'You can connect with a 6-digit code.',
   'setup.six_digit_enter': 'Please enter the 6-digit code',
-  'setup.max_devices': '3 devices excluding the host',
+  'setup.max_devices': '12 devices excluding the host',
   'setup.host_three_options': 'Hosts see three options.',
 
   // ─── Help ────────────────────────────────────────────────────────
@@ -283,7 +344,18 @@ const en: Record<I18nKey, string> = {
   'network.cant_join': "Can't join",
   'network.cant_join_wifi': "Couldn't join. Make sure you're connected to the same Wi\u2011Fi.",
   'network.session_full': 'Session is full',
-  'network.session_full_detail': 'This session has reached the device limit (3 excluding the host).',
+  'network.session_locked': 'The host has locked this session. Ask them to unlock it, then try again.',
+  'network.removed_title': 'Disconnected by the host',
+  'network.removed_kicked': 'The host removed this device from the session. You can join again with the code.',
+  'network.removed_banned': "The host removed this device and won't let it back into this session.",
+  'network.session_full_detail': 'This session has reached the device limit (12 excluding the host).',
+  'network.migration_started': 'Host left — switching to a new host...',
+  'network.migration_now_host': 'You are now the host',
+  'network.migration_done': 'Reconnected to the new host',
+  'network.session_resumed': 'Back in the session',
+  'network.version_update_title': 'Update required',
+  'network.version_self_outdated': 'The host is running a newer version. Refresh to update, then join again.',
+  'network.version_host_outdated': 'The host is running an older version. Ask the host to refresh the app.',
   'network.session_reset': 'Session has been reset.',
   'network.host_disconnected': 'The host ended the connection. Returning to Home.',
   'network.host_no_connection': 'No host connection. Local reset complete.',
@@ -297,11 +369,29 @@ const en: Record<I18nKey, string> = {
   'network.try_again': 'Please try again in a moment.',
   'network.op_granted': 'Operator permission granted.',
   'network.op_revoked': 'Operator permission revoked.',
+  'network.op_perms_changed': 'The host changed what you can control.',
   'network.grant_op': 'Grant OP',
   'network.revoke_op': 'Revoke OP',
 
   // ─── Toast (dynamic) ────────────────────────────────────────────
   'toast.device_connected': '{{name}} connected',
+  'toast.peer_renamed': '{{old}} is now {{name}}',
+  'toast.profile_saved': 'Name updated',
+  'toast.calibration_no_guests': 'No connected speakers to calibrate',
+  'toast.calibration_mic_denied': 'Calibration needs microphone access',
+  'toast.calibration_running': 'Calibrating... keep the room quiet',
+  'toast.calibration_failed': "Couldn't hear this phone's chirp. Turn the volume up and try again",
+  'toast.calibration_done': 'Calibrated {{ok}} of {{total}} speakers',
+  'toast.calibration_applied': 'Speaker latency calibrated ({{ms}}ms)',
+  'toast.output_profile_saved': 'Saved output profile "{{name}}"',
+  'toast.output_profile_full': 'You can save up to {{max}} output profiles',
+  'toast.output_profile_applied': 'Output profile "{{name}}" applied',
+  'toast.preset_saved': 'Saved preset "{{name}}"',
+  'toast.preset_full': 'You can save up to {{max}} presets',
+  'toast.preset_applied': 'Preset "{{name}}" applied',
+  'toast.preset_imported': 'Imported {{count}} presets',
+  'toast.preset_import_invalid': 'Not a preset file',
+  'toast.device_resumed': '{{name}} reconnected',
   'toast.device_disconnected': '{{name}} disconnected',
   'toast.device_conn_error': '{{name}} connection error',
   'toast.invite_code': 'Invite code: {{code}}',
@@ -323,7 +413,13 @@ const en: Record<I18nKey, string> = {
   'toast.seek_to': 'Seek to {{time}}',
   'toast.preparing_next': 'Preparing next track... ({{name}})',
   'toast.preparing_next_pct': 'Preparing next track... {{pct}}%',
+  'toast.op_permission': '{{label}} {{perm}} permission {{status}}',
   'toast.op_status': '{{label}} permission {{status}}',
+  'toast.peer_kicked': '{{label}} was removed',
+  'toast.peer_banned': '{{label}} was removed and banned',
+  'toast.session_locked': 'Session locked — new devices are refused',
+  'toast.session_unlocked': 'Session unlocked',
+  'toast.peer_flagged': '{{label}} is sending invalid messages ({{count}} rejected)',
   'toast.file_read_error': 'File read error: {{name}}',
   'toast.host_ended_connection': 'The host has ended the connection',
 
@@ -340,6 +436,7 @@ const en: Record<I18nKey, string> = {
   'toast.click_copy_invite': 'Click to copy invite code',
   'toast.cant_select_file': "Can't select a file",
   'toast.resync_all': 'Requesting resync on all devices...',
+  'toast.resync_peer': 'Requesting resync on {{name}}...',
   'toast.auto_sync_all': 'Requesting Auto Sync on all devices...',
   'toast.optimal_sync': 'Applying optimal sync calibration...',
   'toast.host_reset_sync': 'Host request: reset and recalibrate sync...',
@@ -354,6 +451,12 @@ const en: Record<I18nKey, string> = {
   'toast.invalid_time': 'Invalid time',
   'toast.conn_error_file': 'Connection error: file transfer failed',
   'toast.host_ad': 'The host seems to be watching an ad',
+  'toast.request_not_operator': "You don't have permission for that anymore",
+  'toast.request_invalid_index': "That track isn't in the playlist anymore",
+  'toast.request_busy': 'The host is still loading a track — try again in a moment',
+  'toast.request_timeout': "The host didn't respond. Check the connection and try again",
+  'toast.request_not_connected': 'Not connected to the host',
+  'toast.request_failed': "The host couldn't do that",
   'toast.operator_required': 'Only the operator can change audio settings',
   'toast.download_complete_play': 'Will play after download completes',
   'toast.session_mismatch': 'Session mismatch detected — file transfer will retry.',
@@ -434,7 +537,7 @@ const en: Record<I18nKey, string> = {
 
   // ─── HTML Blocks (used with data-i18n-html) ────────────────────
   'help.local_recommended_html': 'All features are available when connected to the same network.<ul class="help-list"><li>Connect all devices to the <strong>same Wi\u2011Fi</strong>.</li><li>A VPN or corporate firewall may block the connection.</li><li>If it doesn\'t connect, join the host\'s hotspot and refresh the app.</li></ul>',
-  'setup.how_to_connect_html': 'Enter the <strong>6-digit code</strong> from the host to connect.<ul class="help-list"><li><strong>Host:</strong> \u201CI\'ll be the host\u201D \u2192 check code \u2192 \u201CLet\'s go!\u201D</li><li><strong>Guest:</strong> \u201CJoin a session\u201D \u2192 enter code \u2192 choose role (Original/Left/Right/Bass)</li><li>Up to <strong>3 devices</strong> can connect (excluding the host).</li></ul>',
+  'setup.how_to_connect_html': 'Enter the <strong>6-digit code</strong> from the host to connect.<ul class="help-list"><li><strong>Host:</strong> \u201CI\'ll be the host\u201D \u2192 check code \u2192 \u201CLet\'s go!\u201D</li><li><strong>Guest:</strong> \u201CJoin a session\u201D \u2192 enter code \u2192 choose role (Original/Left/Right/Bass)</li><li>Up to <strong>12 devices</strong> can connect (excluding the host). From the 4th device on, files are relayed through other guests.</li></ul>',
   'player.play_speakers_html': 'Each guest selects a <strong>role (output channel)</strong>.<ul class="help-list"><li><strong>Center speaker:</strong> Stereo (default) output</li><li><strong>Left speaker:</strong> L channel output</li><li><strong>Right speaker:</strong> R channel output</li><li><strong>Subwoofer:</strong> Low-frequency mix output</li></ul>You can change roles anytime in <strong>Settings</strong>.',
   'player.play_media_action_html': 'The host has 3 options.<ul class="help-list"><li><strong>Load local file:</strong> Pick music/video from your device</li><li><strong>YouTube (no channel split):</strong> Paste a link to add to the playlist</li><li><strong>Try the app:</strong> Test with a demo track</li></ul>',
   'help.need_help_html': '<ul class="help-list"><li><strong>Entered the code but can\'t connect:</strong> It might be a server issue. Connect both devices to the same network.</li><li><strong>Unstable connection:</strong> Network quality may be low. Move closer to the router.</li><li><strong>Demo track info:</strong> Sean Pitaro - Passport [NCS Release]</li><li><strong>Other inquiries:</strong> musixentre@gmail.com</li></ul>',
@@ -66,6 +66,7 @@ const ko = {
   'player.play_speakers': '스피커로 재생하기',
   'player.demo_track': '데모 트랙 정보',
   'player.manual_sync_title': '수동 싱크 조절',
+  'player.spectator_title': '구경 중 — 이 기기에서는 소리가 나지 않아요',
 
   // ─── Playlist ────────────────────────────────────────────────────
   'playlist.toggle': '플레이리스트 펼치기/접기',
@@ -100,10 +101,52 @@ const ko = {
 
   // ─── Settings ────────────────────────────────────────────────────
   'settings.theme': '테마',
+  'settings.my_profile': '내 이름',
+  'settings.calibration': '지연 보정',
+  'settings.calibration_start': '보정하기',
+  'settings.calibration_desc': '이 폰을 듣는 자리에 두고 주변을 조용히 해주세요. 스피커마다 짧은 신호음을 내고, 마이크로 얼마나 늦게 들리는지 측정해요.',
+  'settings.sync_monitor': '싱크 모니터',
+  'settings.sync_monitor_empty': '게스트의 보고를 기다리는 중...',
+  'settings.sync_monitor_desc': '스피커마다 이 폰과 얼마나 어긋나 있는지 몇 초마다 보여줘요. 허용 범위를 넘은 스피커는 표시되고, 재동기화로 그 스피커만 다시 맞출 수 있어요.',
+  'settings.sync_tolerance': '허용 범위',
+  'settings.sync_resync': '재동기화',
+  'settings.sync_out_of_tolerance': '{{ms}}ms 넘게 어긋남',
+  'settings.sync_details': '시계 오프셋 {{clock}}ms · RTT {{rtt}}ms · 적용 오프셋 {{offset}}',
+  'settings.output_profile': '출력 프로필',
+  'settings.output_profile_none': '프로필 없음',
+  'settings.output_profile_name': '프로필 이름 (예: 블루투스 JBL)',
+  'settings.output_profile_save': '저장',
+  'settings.output_profile_delete': '삭제',
+  'settings.output_profile_desc': '지금의 싱크 오프셋, 스피커 역할, 트림을 이 폰과 스피커 조합으로 저장하고, 다음에 참여할 때 자동으로 적용해요.',
+  'settings.trim_gain': '트림 (이 기기)',
+  'settings.presets': '사운드 프리셋',
+  'settings.preset_none': '저장된 프리셋 없음',
+  'settings.preset_choose': '프리셋 선택',
+  'settings.preset_apply': '적용',
+  'settings.preset_delete': '삭제',
+  'settings.preset_name': '프리셋 이름 (예: 심야 모드)',
+  'settings.preset_save': '저장',
+  'settings.preset_export': '내보내기',
+  'settings.preset_import': '가져오기',
+  'settings.preset_desc': '리버브, EQ, 프리앰프, 스테레오 폭, 가상 베이스, 서브우퍼 컷오프를 한꺼번에 저장해요. 적용하면 세션의 모든 스피커가 한 번에 바뀌어요.',
   'settings.dark': '다크',
   'settings.light': '라이트',
   'settings.system': '시스템',
   'settings.language': '언어 · Language',
+  'settings.via_relay': '{{name}} 경유',
+  'settings.peer_flagged': '잘못된 메시지 전송 중',
+  'settings.perm_transport': '재생',
+  'settings.perm_playlist': '곡',
+  'settings.perm_fx': '효과',
+  'settings.perm_youtube': 'YouTube',
+  'settings.kick': '내보내기',
+  'settings.ban': '차단',
+  'settings.kick_hint': '이 기기의 연결을 끊어요. 코드로 다시 참가할 수 있어요.',
+  'settings.ban_hint': '이 기기의 연결을 끊고 세션이 끝날 때까지 다시 받지 않아요.',
+  'settings.lock_session': '세션 잠그기',
+  'settings.unlock_session': '세션 잠금 해제',
+  'settings.lock_hint': '새 기기를 받지 않아요. 잠깐 끊긴 기기는 다시 연결할 수 있어요.',
+  'settings.peer_health': 'RTT {{rtt}}ms · 버퍼 {{buffered}}KB · 경로 {{path}} · ↑{{up}} ↓{{down}}kbps · 하트비트 {{heartbeat}}초 전',
   'settings.advanced_audio': '고급 음향',
   'settings.spatial_audio': '입체 음향',
   'settings.reverb_host_ctrl': '리버브(방장 제어)',
@@ -115,6 +158,19 @@ const ko = {
   'settings.decay_time': '반사 시간',
   'settings.predelay': '반사 지연',
   'settings.eq_host_ctrl': '이퀄라이저 (방장 제어)',
+  'settings.eq_curve': 'EQ 주파수 응답',
+  'settings.eq_band_gain': '{{freq}}Hz 게인',
+  'settings.eq_type': '필터 유형',
+  'settings.eq_freq': '주파수',
+  'settings.eq_q': 'Q',
+  'settings.eq_add_band': '밴드 추가',
+  'settings.eq_remove_band': '밴드 삭제',
+  'settings.eq_type_peaking': '피크',
+  'settings.eq_type_lowshelf': '로우 셸프',
+  'settings.eq_type_highshelf': '하이 셸프',
+  'settings.eq_type_lowpass': '로우패스',
+  'settings.eq_type_highpass': '하이패스',
+  'settings.eq_type_notch': '노치',
   'settings.preamp': '프리앰프',
   'settings.preamp_gain': '프리앰프 게인',
   'settings.lowpass': '로우패스',
@@ -148,6 +204,7 @@ const ko = {
   'setup.woofer_bass': '우퍼 모드로 웅장한 저음을 느껴보세요.',
   'setup.host_button': '제가 방장할래요',
   'setup.guest_button': '모임에 참여할래요',
+  'setup.spectate_button': '구경만 할래요',
   'setup.demo_button': '앱 체험하기 (데모)',
   'setup.demo_label': '앱 체험하기:',
   'setup.demo_desc': '데모 미디어로 프로그램 테스트',
@@ -169,6 +226,10 @@ const ko = {
   'setup.connect_devices': '이제 다른 기기들과 연결해주세요.',
   'setup.enter_code_connect': '이 코드를 다른 기기에 입력해주세요',
   'setup.last_step': '마지막이에요!',
+  'setup.display_name': '내 이름 (선택)',
+  'setup.display_name_placeholder': '예: 주방 스피커',
+  'setup.avatar': '아바타',
+  'setup.avatar_none': '아바타 없음',
   'setup.host_label': '방장:',
   'setup.guest_label': '참가자:',
   'setup.id_generating': 'ID 생성 중...',
@@ -177,7 +238,7 @@ const ko = {
   'setup.six_digit_code': '6자리 코드',
   'setup.six_digit_connect': '6자리 숫자 코드로 연결할 수 있어요.',
   'setup.six_digit_enter': '6자리 코드를 입력해 주세요',
-  'setup.max_devices': '방장 제외 최대 3대',
+  'setup.max_devices': '방장 제외 최대 12대',
   'setup.host_three_options': '방장에게는 3가지 선택지가 나와요.',
 
   // ─── Help ────────────────────────────────────────────────────────
@@ -281,7 +342,18 @@ const ko = {
   'network.cant_join': '참가할 수 없어요',
   'network.cant_join_wifi': '참가하지 못했어요. 같은 Wi‑Fi에 연결되어 있는지 확인해 보세요.',
   'network.session_full': '세션이 가득 찼어요',
-  'network.session_full_detail': '현재 세션은 연결 가능한 기기 수(방장 제외 3대)에 도달했어요.',
+  'network.session_locked': '방장이 세션을 잠갔어요. 잠금을 풀어 달라고 한 뒤 다시 시도해 주세요.',
+  'network.removed_title': '방장이 연결을 끊었어요',
+  'network.removed_kicked': '방장이 이 기기를 세션에서 내보냈어요. 코드로 다시 참가할 수 있어요.',
+  'network.removed_banned': '방장이 이 기기를 내보냈고, 이번 세션에는 다시 참가할 수 없어요.',
+  'network.session_full_detail': '현재 세션은 연결 가능한 기기 수(방장 제외 12대)에 도달했어요.',
+  'network.migration_started': '호스트가 나갔습니다 — 새 호스트로 전환 중...',
+  'network.migration_now_host': '이제 이 기기가 호스트입니다',
+  'network.migration_done': '새 호스트에 다시 연결됨',
+  'network.session_resumed': '세션에 다시 연결됐어요',
+  'network.version_update_title': '업데이트가 필요해요',
+  'network.version_self_outdated': '방장의 앱이 더 최신 버전이에요. 새로고침해서 업데이트한 뒤 다시 참여해주세요.',
+  'network.version_host_outdated': '방장의 앱이 이전 버전이에요. 방장에게 새로고침을 요청해주세요.',
   'network.session_reset': '세션이 초기화되었습니다.',
   'network.host_disconnected': '호스트에서 연결이 종료되었습니다. 메인 화면으로 이동합니다.',
   'network.host_no_connection': '호스트 연결 없음. 로컬 초기화 완료.',
@@ -295,11 +367,29 @@ const ko = {
   'network.try_again': '잠시 후 다시 시도해주세요.',
   'network.op_granted': 'Operator 권한이 부여되었습니다.',
   'network.op_revoked': 'Operator 권한이 해제되었습니다.',
+  'network.op_perms_changed': '방장이 조작 권한을 변경했습니다.',
   'network.grant_op': 'OP 권한 부여',
   'network.revoke_op': 'OP 권한 회수',
 
   // ─── Toast (dynamic) ────────────────────────────────────────────
   'toast.device_connected': '{{name}}가 연결됐어요',
+  'toast.peer_renamed': '{{old}}의 이름이 {{name}}(으)로 바뀌었어요',
+  'toast.profile_saved': '이름을 바꿨어요',
+  'toast.calibration_no_guests': '보정할 스피커가 연결되어 있지 않아요',
+  'toast.calibration_mic_denied': '보정하려면 마이크 권한이 필요해요',
+  'toast.calibration_running': '보정 중... 조용히 해주세요',
+  'toast.calibration_failed': '이 폰의 신호음이 들리지 않았어요. 볼륨을 올리고 다시 시도해주세요',
+  'toast.calibration_done': '스피커 {{total}}대 중 {{ok}}대 보정 완료',
+  'toast.calibration_applied': '스피커 지연 보정 완료 ({{ms}}ms)',
+  'toast.output_profile_saved': '출력 프로필 "{{name}}" 저장됨',
+  'toast.output_profile_full': '출력 프로필은 최대 {{max}}개까지 저장할 수 있어요',
+  'toast.output_profile_applied': '출력 프로필 "{{name}}" 적용됨',
+  'toast.preset_saved': '프리셋 "{{name}}" 저장됨',
+  'toast.preset_full': '프리셋은 최대 {{max}}개까지 저장할 수 있어요',
+  'toast.preset_applied': '프리셋 "{{name}}" 적용됨',
+  'toast.preset_imported': '프리셋 {{count}}개를 가져왔어요',
+  'toast.preset_import_invalid': '프리셋 파일이 아니에요',
+  'toast.device_resumed': '{{name}}가 다시 연결됐어요',
   'toast.device_disconnected': '{{name}} 연결이 끊겼어요',
   'toast.device_conn_error': '{{name}} 연결 오류',
   'toast.invite_code': '초대 코드: {{code}}',
@@ -321,7 +411,13 @@ const ko = {
   'toast.seek_to': '{{time}}로 이동',
   'toast.preparing_next': '다음 곡 준비 중... ({{name}})',
   'toast.preparing_next_pct': '다음 곡 준비 중... {{pct}}%',
+  'toast.op_permission': '{{label}} {{perm}} 권한 {{status}}',
   'toast.op_status': '{{label}} 권한 {{status}}',
+  'toast.peer_kicked': '{{label}}을(를) 내보냈어요',
+  'toast.peer_banned': '{{label}}을(를) 내보내고 차단했어요',
+  'toast.session_locked': '세션을 잠갔어요 — 새 기기는 참가할 수 없어요',
+  'toast.session_unlocked': '세션 잠금을 풀었어요',
+  'toast.peer_flagged': '{{label}}에서 잘못된 메시지가 계속 수신됨 ({{count}}건 차단)',
   'toast.file_read_error': '파일 읽기 오류: {{name}}',
   'toast.host_ended_connection': '호스트에서 연결이 종료되었습니다',
 
@@ -338,6 +434,7 @@ const ko = {
   'toast.click_copy_invite': '클릭하여 초대코드 복사',
   'toast.cant_select_file': '파일을 선택할 수 없어요',
   'toast.resync_all': '모든 기기 재동기화 요청...',
+  'toast.resync_peer': '{{name}} 재동기화 요청...',
   'toast.auto_sync_all': '모든 기기 Auto Sync 요청...',
   'toast.optimal_sync': '최적 싱크 보정 적용 중...',
   'toast.host_reset_sync': 'Host 요청: 싱크 초기화 및 재설정...',
@@ -352,6 +449,12 @@ const ko = {
   'toast.invalid_time': '유효하지 않은 시간입니다',
   'toast.conn_error_file': '연결 오류: 파일 전송 실패',
   'toast.host_ad': '호스트가 광고를 보고 있는 것 같아요',
+  'toast.request_not_operator': '이제 그 작업을 할 권한이 없어요',
+  'toast.request_invalid_index': '그 곡은 이제 재생목록에 없어요',
+  'toast.request_busy': '방장이 아직 곡을 불러오는 중이에요 — 잠시 후 다시 시도해 주세요',
+  'toast.request_timeout': '방장이 응답하지 않아요. 연결을 확인하고 다시 시도해 주세요',
+  'toast.request_not_connected': '방장과 연결되어 있지 않아요',
+  'toast.request_failed': '방장이 요청을 처리하지 못했어요',
   'toast.operator_required': '오퍼레이터만 오디오 설정을 변경할 수 있어요',
   'toast.download_complete_play': '다운로드 완료 후 재생됩니다',
   'toast.session_mismatch': '세션 불일치 감지 — 파일 전송이 재시도됩니다.',
@@ -432,7 +535,7 @@ const ko = {
 
   // ─── HTML Blocks (used with data-i18n-html) ────────────────────
   'help.local_recommended_html': '동일한 네트워크에 연결하면 모든 기능을 이용할 수 있어요.<ul class="help-list"><li>모든 기기를 <strong>동일한 Wi‑Fi</strong>에 연결해주세요.</li><li>VPN/사내 보안망이 켜져 있으면 연결이 안 될 수 있어요.</li><li>연결이 안 되면 호스트의 핫스팟에 연결 후 앱을 새로고침해주세요.</li></ul>',
-  'setup.how_to_connect_html': '방장이 알려주는 <strong>6자리 코드</strong>를 입력해 연결해요.<ul class="help-list"><li><strong>방장:</strong> \u201C제가 방장할래요\u201D → 코드 확인 → \u201C시작할래요!\u201D</li><li><strong>참가자:</strong> \u201C모임에 참여할래요\u201D → 코드 입력 → 역할 선택(원본/왼쪽/오른쪽/저음)</li><li>연결할 수 있는 기기는 <strong>방장 제외 최대 3대</strong>예요.</li></ul>',
+  'setup.how_to_connect_html': '방장이 알려주는 <strong>6자리 코드</strong>를 입력해 연결해요.<ul class="help-list"><li><strong>방장:</strong> \u201C제가 방장할래요\u201D → 코드 확인 → \u201C시작할래요!\u201D</li><li><strong>참가자:</strong> \u201C모임에 참여할래요\u201D → 코드 입력 → 역할 선택(원본/왼쪽/오른쪽/저음)</li><li>연결할 수 있는 기기는 <strong>방장 제외 최대 12대</strong>예요. 4번째 기기부터는 다른 참가자를 거쳐 파일을 받아요.</li></ul>',
   'player.play_speakers_html': '참가자가 <strong>역할(출력 채널)</strong>을 선택해요.<ul class="help-list"><li><strong>중앙 스피커:</strong> 스테레오(기본) 출력</li><li><strong>왼쪽 스피커:</strong> L 채널 출력</li><li><strong>오른쪽 스피커:</strong> R 채널 출력</li><li><strong>서브우퍼:</strong> 저역 믹스 출력</li></ul>필요하면 <strong>설정</strong>에서 역할을 언제든 바꿀 수 있어요.',
   'player.play_media_action_html': '방장에게는 3가지 선택지가 나와요.<ul class="help-list"><li><strong>로컬파일 불러오기:</strong> 기기 파일에서 음악/영상을 선택</li><li><strong>유튜브(채널분리 미지원):</strong> 링크를 붙여넣어 재생 목록에 추가</li><li><strong>앱 체험하기:</strong> 데모 미디어로 프로그램 테스트</li></ul>',
   'help.need_help_html': '<ul class="help-list"><li><strong>코드를 입력했는데 연결이 안 돼요:</strong> 서버 오류일 수 있어요. 이런 경우 두 기기를 같은 네트워크에 연결해주세요.</li><li><strong>연결이 불안정해요:</strong> 네트워크 품질이 낮을 수 있어요. 공유기 가까이로 이동해 보세요.</li><li><strong>데모 트랙 정보:</strong> Sean Pitaro - Passport [NCS Release]</li><li><strong>기타 문의:</strong> musixentre@gmail.com</li></ul>',
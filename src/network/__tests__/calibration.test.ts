@@ -0,0 +1,68 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resetState, setState, getState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG } from '../../core/constants.ts';
+import { handleData } from '../protocol.ts';
+import { generateChirp } from '../../audio/calibration.ts';
+import { measureLag, runCalibration, initCalibration } from '../calibration.ts';
+import { fakeConn } from '../../test/fake-conn.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  initCalibration();
+});
+
+describe('measureLag', () => {
+  const SR = 16000;
+  const chirp = generateChirp(SR);
+
+  it('measures how late a chirp landed after its slot', () => {
+    const rec = new Float32Array(SR * 2);
+    rec.set(chirp.map(v => v * 0.3), 8000 + 0.25 * SR);
+    expect(measureLag(rec, chirp, 8000, SR)).toBeCloseTo(0.25, 3);
+  });
+
+  it('is null when nothing was heard in the window', () => {
+    const rec = new Float32Array(SR * 2);
+    rec.set(chirp, 100); // long before the slot's window
+    expect(measureLag(rec, chirp, 16000, SR)).toBeNull();
+  });
+});
+
+describe('guest calibration result', () => {
+  it('sets the local offset pushed by the host', async () => {
+    const host = fakeConn('host');
+    setState('network.hostConn', host);
+    const toasts: string[] = [];
+    bus.on('ui:show-toast', m => toasts.push(m));
+
+    await handleData({ type: MSG.CALIBRATION_RESULT, offsetMs: 240 }, host);
+
+    expect(getState('sync.localOffset')).toBeCloseTo(0.24, 6);
+    expect(toasts).toHaveLength(1);
+  });
+
+  it('ignores results from anyone but the host', async () => {
+    setState('network.hostConn', fakeConn('host'));
+    await handleData({ type: MSG.CALIBRATION_RESULT, offsetMs: 240 }, fakeConn('other'));
+    expect(getState('sync.localOffset')).toBe(0);
+  });
+});
+
+describe('runCalibration', () => {
+  it('does not ask for the mic without guests to calibrate', async () => {
+    const getUserMedia = vi.fn();
+    Object.defineProperty(navigator, 'mediaDevices', { value: { getUserMedia }, configurable: true });
+    const toasts: string[] = [];
+    bus.on('ui:show-toast', m => toasts.push(m));
+
+    await runCalibration();
+
+    expect(getUserMedia).not.toHaveBeenCalled();
+    expect(toasts).toHaveLength(1);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resetState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG, APP_STATE } from '../../core/constants.ts';
+import { handleData } from '../protocol.ts';
+import {
+  clockSample, fitClock, addClockSample, resetClock, toHostTime, toLocalTime,
+  isClockSynced, measureDrift, localNow, initClock,
+} from '../clock.ts';
+import { fakeConn } from '../../test/fake-conn.ts';
+import type { ClockSample } from '../clock.ts';
+import type { DataConnection } from '../../types/index.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  resetClock();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+/** Samples every 2 s of a host clock `offset` ms ahead running `ppm` fast */
+function synthetic(offset: number, ppm: number, count: number, jitter = (_i: number) => 0): ClockSample[] {
+  return Array.from({ length: count }, (_, i) => ({
+    at: 1_000_000 + i * 2000,
+    offsetMs: offset + ppm * 1e-6 * i * 2000 + jitter(i),
+    rttMs: 20,
+  }));
+}
+
+describe('clockSample', () => {
+  it('computes NTP offset and round trip', () => {
+    // Host 500 ms ahead, 10 ms each way, 2 ms host processing
+    const s = clockSample(1000, 1510, 1512, 1022)!;
+    expect(s.offsetMs).toBe(500);
+    expect(s.rttMs).toBe(20);
+    expect(s.at).toBe(1011);
+  });
+
+  it('rejects inconsistent timestamps', () => {
+    expect(clockSample(1000, 1500, 1600, 1050)).toBeNull();
+    expect(clockSample(1000, 1500, 1499, 1050)).toBeNull();
+  });
+});
+
+describe('fitClock', () => {
+  it('recovers offset and skew through symmetric jitter', () => {
+    const samples = synthetic(1234, 80, 30, i => (i % 2 ? 1 : -1));
+    const est = fitClock(samples)!;
+    const last = samples[samples.length - 1];
+    expect(est.refAt).toBe(last.at);
+    expect(est.offsetMs).toBeCloseTo(1234 + 80e-6 * 29 * 2000, 0);
+    expect(est.skewPpm).toBeGreaterThan(60);
+    expect(est.skewPpm).toBeLessThan(100);
+    expect(est.errorMs).toBeLessThan(1.5);
+  });
+
+  it('drops queued samples with slow round trips', () => {
+    const samples = synthetic(300, 0, 10).map((s, i) =>
+      i % 3 === 0 ? { ...s, rttMs: 200, offsetMs: s.offsetMs + 90 } : s);
+    const est = fitClock(samples)!;
+    expect(est.samples).toBe(6);
+    expect(est.offsetMs).toBeCloseTo(300, 6);
+  });
+
+  it('holds skew at zero until the samples span long enough', () => {
+    const est = fitClock(synthetic(50, 200, 4))!;
+    expect(est.skewPpm).toBe(0);
+    expect(est.offsetMs).toBeCloseTo(50 + 200e-6 * 3000, 6);
+  });
+
+  it('ignores an implausible skew', () => {
+    expect(fitClock(synthetic(0, 5000, 20))!.skewPpm).toBe(0);
+  });
+
+  it('returns null without samples', () => {
+    expect(fitClock([])).toBeNull();
+  });
+});
+
+describe('host clock API', () => {
+  it('is the identity on the host', () => {
+    addClockSample({ at: 0, offsetMs: 100, rttMs: 10 });
+    expect(toHostTime(5000)).toBe(5000);
+    expect(isClockSynced()).toBe(true);
+  });
+
+  it('maps guest time to host time and back', () => {
+    setState('network.hostConn', fakeConn('host'));
+    expect(isClockSynced()).toBe(false);
+    synthetic(2500, 100, 20).forEach(addClockSample);
+    expect(isClockSynced()).toBe(true);
+
+    const local = 1_000_000 + 60_000;
+    const host = toHostTime(local);
+    expect(host - local).toBeCloseTo(2500 + 100e-6 * 60_000, 0);
+    expect(toLocalTime(host)).toBeCloseTo(local, 6);
+  });
+});
+
+describe('measureDrift', () => {
+  it('extrapolates the host position while playing', () => {
+    const anchor = { hostAt: 10_000, pos: 30, playing: true, index: 0 };
+    expect(measureDrift(anchor, 12_000, 32.05)).toBeCloseTo(50, 6);
+    expect(measureDrift({ ...anchor, playing: false }, 12_000, 30)).toBeCloseTo(0, 6);
+  });
+});
+
+// ─── Guest: Automatic Correction ────────────────────────────────────
+
+describe('drift correction', () => {
+  const HOST_AHEAD_MS = 5000;
+  let nowMs = 0;
+  let guestAheadSec = 0;
+
+  beforeEach(() => {
+    nowMs = 10_000;
+    guestAheadSec = 0;
+    vi.spyOn(performance, 'now').mockImplementation(() => nowMs);
+    initClock();
+    setState('appState', APP_STATE.PLAYING_AUDIO);
+    setState('playlist.currentTrackIndex', 0);
+    // Guest track position follows the host's (which starts at 0 s at nowMs = 10 s)
+    bus.on('sync:get-position', cb => cb((nowMs - 10_000) / 1000 + guestAheadSec));
+  });
+
+  /** One ping/pong exchange with a 20 ms round trip, then 2 s of playback */
+  async function exchange(host: DataConnection): Promise<void> {
+    const t0 = localNow();
+    const t1 = t0 + HOST_AHEAD_MS + 10;
+    const pos = (nowMs + 10 - 10_000) / 1000;
+    nowMs += 20;
+    await handleData({ type: MSG.CLOCK_PONG, t0, t1, t2: t1, pos, playing: true, index: 0 }, host);
+    nowMs += 1980;
+  }
+
+  it('corrects after repeated drift past the threshold', async () => {
+    const host = fakeConn('host');
+    setState('network.hostConn', host);
+    guestAheadSec = 0.1;
+    const corrections: Array<[number, number]> = [];
+    bus.on('sync:clock-correction', (t, d) => corrections.push([t, d]));
+
+    for (let i = 0; i < 6; i++) await exchange(host);
+
+    expect(corrections).toHaveLength(1);
+    const [hostTime, drift] = corrections[0];
+    expect(drift).toBeCloseTo(100, 0);
+    expect(hostTime).toBeCloseTo(8.02, 2);
+  });
+
+  it('leaves small drift alone', async () => {
+    const host = fakeConn('host');
+    setState('network.hostConn', host);
+    guestAheadSec = 0.01;
+    const onCorrection = vi.fn();
+    bus.on('sync:clock-correction', onCorrection);
+
+    for (let i = 0; i < 8; i++) await exchange(host);
+
+    expect(onCorrection).not.toHaveBeenCalled();
+  });
+
+  it('ignores pongs from anything but the host link', async () => {
+    setState('network.hostConn', fakeConn('host'));
+    await exchange(fakeConn('other'));
+    expect(isClockSynced()).toBe(false);
+  });
+
+  it('host answers a ping with its position', async () => {
+    const guest = fakeConn('guest');
+    setState('network.connectedPeers', [{ id: 'guest', conn: guest } as never]);
+    await handleData({ type: MSG.CLOCK_PING, t0: 123 }, guest);
+    expect(guest.send).toHaveBeenCalledWith(expect.objectContaining({
+      type: MSG.CLOCK_PONG, t0: 123, playing: true, index: 0, pos: 0,
+    }));
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resetState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { DELAY, MSG } from '../../core/constants.ts';
+import {
+  queueBroadcast, queueToHost, flushControl, hasPendingControl, clearControlQueue,
+  setControlFlushInterval, controlKey,
+} from '../coalesce.ts';
+import { broadcast, sendToHost } from '../peer.ts';
+import { fakeConn } from '../../test/fake-conn.ts';
+import type { AnyProtocolMsg } from '../../types/index.ts';
+
+let guestA: ReturnType<typeof fakeConn>;
+let guestB: ReturnType<typeof fakeConn>;
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  clearControlQueue();
+  setControlFlushInterval(DELAY.CONTROL_FLUSH);
+  vi.useFakeTimers();
+  guestA = fakeConn('a');
+  guestB = fakeConn('b');
+  setState('network.connectedPeers', [
+    { id: 'a', status: 'connected', conn: guestA },
+    { id: 'b', status: 'connected', conn: guestB },
+  ] as any);
+});
+
+afterEach(() => {
+  clearControlQueue();
+  vi.useRealTimers();
+});
+
+const sentTypes = (conn: ReturnType<typeof fakeConn>) =>
+  conn.send.mock.calls.map(([m]) => [m.type, m.value ?? null]);
+
+const eqBands = (gain: number) => [{ type: 'peaking' as const, frequency: 1000, Q: 1, gain }];
+
+// ─── Keys ────────────────────────────────────────────────────────────
+
+describe('controlKey', () => {
+  it('separates message and request setting types', () => {
+    expect(controlKey('broadcast', { type: MSG.EQ_UPDATE, bands: eqBands(1) })).toBe('broadcast:eq-update');
+    expect(controlKey('host', { type: MSG.REQUEST_SETTING, settingType: 'eq', value: eqBands(1) }))
+      .toBe('host:request-setting:eq');
+    expect(controlKey('broadcast', { type: MSG.PREAMP, value: 3 })).toBe('broadcast:preamp');
+  });
+
+  it('keeps one slot per fixed EQ band and per peer', () => {
+    expect(controlKey('peer', { type: MSG.EQ_UPDATE, band: 2, value: 1 }, 'g1')).toBe('peer:g1:eq-update:2');
+    expect(controlKey('host', { type: MSG.REQUEST_SETTING, settingType: 'eq', band: 0, value: 1 }))
+      .toBe('host:request-setting:eq:0');
+  });
+});
+
+// ─── Coalescing ──────────────────────────────────────────────────────
+
+describe('queueBroadcast', () => {
+  it('sends only the latest value per key once per interval', () => {
+    for (let v = 0; v <= 10; v++) queueBroadcast({ type: MSG.REVERB, value: v });
+    queueBroadcast({ type: MSG.REVERB_DECAY, value: 2 });
+    queueBroadcast({ type: MSG.PREAMP, value: 4 });
+    expect(guestA.send).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(DELAY.CONTROL_FLUSH);
+    expect(sentTypes(guestA)).toEqual([[MSG.REVERB, 10], [MSG.REVERB_DECAY, 2], [MSG.PREAMP, 4]]);
+    expect(sentTypes(guestB)).toEqual(sentTypes(guestA));
+    expect(hasPendingControl()).toBe(false);
+  });
+
+  it('keeps flushing at the interval during a continuous drag', () => {
+    for (let t = 0; t < 5 * DELAY.CONTROL_FLUSH; t += 10) {
+      queueBroadcast({ type: MSG.REVERB, value: t });
+      vi.advanceTimersByTime(10);
+    }
+    expect(guestA.send.mock.calls.length).toBe(5);
+  });
+
+  it('sends the release value at once and converges on it', () => {
+    queueBroadcast({ type: MSG.STEREO_WIDTH, value: 140 });
+    queueBroadcast({ type: MSG.STEREO_WIDTH, value: 150 }, true);
+    expect(sentTypes(guestA)).toEqual([[MSG.STEREO_WIDTH, 150]]);
+    vi.advanceTimersByTime(DELAY.CONTROL_FLUSH);
+    expect(guestA.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips closed connections', () => {
+    guestB.open = false;
+    queueBroadcast({ type: MSG.VBASS, value: 20 }, true);
+    expect(guestA.send).toHaveBeenCalledTimes(1);
+    expect(guestB.send).not.toHaveBeenCalled();
+  });
+
+  it('sends immediately with a zero interval', () => {
+    setControlFlushInterval(0);
+    queueBroadcast({ type: MSG.PREAMP, value: 1 });
+    expect(guestA.send).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ─── Ordering ────────────────────────────────────────────────────────
+
+describe('ordering with direct sends', () => {
+  it('broadcast() flushes queued values before its own message', () => {
+    queueBroadcast({ type: MSG.EQ_UPDATE, bands: eqBands(6) });
+    broadcast({ type: MSG.EQ_RESET } as AnyProtocolMsg);
+    expect(guestA.send.mock.calls.map(([m]) => m.type)).toEqual([MSG.EQ_UPDATE, MSG.EQ_RESET]);
+    expect(guestA.send.mock.calls[0][0].bands).toEqual(eqBands(6));
+
+    vi.advanceTimersByTime(DELAY.CONTROL_FLUSH);
+    expect(guestA.send).toHaveBeenCalledTimes(2);
+  });
+
+  it('sendToHost() flushes queued OP requests first', () => {
+    const hostConn = fakeConn('host');
+    setState('network.hostConn', hostConn as any);
+    queueToHost({ type: MSG.REQUEST_SETTING, settingType: 'eq', value: eqBands(5) });
+    sendToHost({ type: MSG.REQUEST_EQ_RESET } as AnyProtocolMsg);
+    expect(hostConn.send.mock.calls.map(([m]) => m.type)).toEqual([MSG.REQUEST_SETTING, MSG.REQUEST_EQ_RESET]);
+    expect(guestA.send).not.toHaveBeenCalled();
+  });
+
+  it('clearControlQueue drops pending values', () => {
+    queueBroadcast({ type: MSG.PREAMP, value: 2 });
+    clearControlQueue();
+    flushControl();
+    vi.advanceTimersByTime(DELAY.CONTROL_FLUSH);
+    expect(guestA.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resetState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG, CAP } from '../../core/constants.ts';
+import {
+  encodeChunkFrame, decodeChunkFrame, isChunkFrame, supportsChunkFrames, prepareChunk,
+  FRAME_HEADER_BYTES, FRAME_FLAG,
+} from '../framing.ts';
+import { handleData, registerHandler, getRejectionStats, clearRejectionStats } from '../protocol.ts';
+import type { DataConnection } from '../../types/index.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  clearRejectionStats();
+});
+
+function conn(caps?: string[]): DataConnection {
+  return { peer: 'p1', open: true, metadata: caps ? { caps } : {}, send: vi.fn() } as unknown as DataConnection;
+}
+
+const payload = new Uint8Array([1, 2, 3, 4, 5]);
+
+// ─── Encode / Decode ─────────────────────────────────────────────────
+
+describe('chunk frames', () => {
+  it('round-trips a file chunk with a fixed header', () => {
+    const frame = encodeChunkFrame({ type: MSG.FILE_CHUNK, chunk: payload, index: 7, sessionId: 1_700_000_123, total: 20 });
+    expect(frame.byteLength).toBe(FRAME_HEADER_BYTES + payload.byteLength);
+    expect(isChunkFrame(frame)).toBe(true);
+
+    const msg = decodeChunkFrame(frame.buffer)!;
+    expect(msg).toMatchObject({ type: MSG.FILE_CHUNK, index: 7, sessionId: 1_700_000_123, total: 20 });
+    expect(Array.from(msg.chunk)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('drops file metadata and preload totals', () => {
+    const frame = encodeChunkFrame({ type: MSG.PRELOAD_CHUNK, chunk: payload, index: 0, sessionId: 9, total: 3 } as never);
+    expect(decodeChunkFrame(frame)).toEqual({ type: MSG.PRELOAD_CHUNK, chunk: expect.any(Uint8Array), index: 0, sessionId: 9 });
+  });
+
+  it('flags the last chunk', () => {
+    const last = encodeChunkFrame({ type: MSG.FILE_CHUNK, chunk: payload, index: 4, sessionId: 1, total: 5 });
+    const middle = encodeChunkFrame({ type: MSG.FILE_CHUNK, chunk: payload, index: 3, sessionId: 1, total: 5 });
+    expect(last[4] & FRAME_FLAG.LAST).toBe(FRAME_FLAG.LAST);
+    expect(middle[4] & FRAME_FLAG.LAST).toBe(0);
+  });
+
+  it('decodes frames inside a larger buffer', () => {
+    const frame = encodeChunkFrame({ type: MSG.FILE_CHUNK, chunk: payload, index: 1, sessionId: 2 });
+    const padded = new Uint8Array(frame.byteLength + 8);
+    padded.set(frame, 8);
+    expect(decodeChunkFrame(padded.subarray(8))).toMatchObject({ index: 1, sessionId: 2 });
+  });
+
+  it('rejects objects, short buffers, unknown versions and kinds', () => {
+    expect(isChunkFrame({ type: MSG.FILE_CHUNK })).toBe(false);
+    expect(isChunkFrame(new Uint8Array([0x4d, 0x58, 1]))).toBe(false);
+
+    const frame = encodeChunkFrame({ type: MSG.FILE_CHUNK, chunk: payload, index: 0, sessionId: 1 });
+    const badVersion = frame.slice();
+    badVersion[2] = 99;
+    expect(decodeChunkFrame(badVersion)).toBeNull();
+    const badKind = frame.slice();
+    badKind[3] = 42;
+    expect(decodeChunkFrame(badKind)).toBeNull();
+  });
+});
+
+// ─── Negotiation ─────────────────────────────────────────────────────
+
+describe('prepareChunk', () => {
+  it('sends frames only to peers that advertised the capability', () => {
+    expect(supportsChunkFrames(conn([CAP.BINARY_CHUNKS]))).toBe(true);
+    expect(supportsChunkFrames(conn([CAP.RELAY]))).toBe(false);
+    expect(supportsChunkFrames(conn())).toBe(false);
+
+    const msg = { type: MSG.FILE_CHUNK, chunk: payload, index: 0, sessionId: 5, total: 1, name: 'a.mp3' };
+    const payloadFor = prepareChunk(msg);
+    const framed = payloadFor(conn([CAP.BINARY_CHUNKS]));
+    expect(isChunkFrame(framed)).toBe(true);
+    expect(payloadFor(conn([CAP.BINARY_CHUNKS]))).toBe(framed); // encoded once
+    expect(payloadFor(conn())).toBe(msg);
+  });
+});
+
+// ─── Dispatch ────────────────────────────────────────────────────────
+
+describe('handleData with frames', () => {
+  it('dispatches a decoded frame to the chunk handler', async () => {
+    const handler = vi.fn();
+    registerHandler(MSG.PRELOAD_CHUNK, handler);
+    const frame = encodeChunkFrame({ type: MSG.PRELOAD_CHUNK, chunk: payload, index: 2, sessionId: 77 });
+
+    await handleData(frame.buffer, conn());
+    expect(handler).toHaveBeenCalledWith(
+      expect.objectContaining({ type: MSG.PRELOAD_CHUNK, index: 2, sessionId: 77 }),
+      expect.anything(),
+    );
+  });
+
+  it('counts malformed frames as schema rejections', async () => {
+    const frame = encodeChunkFrame({ type: MSG.FILE_CHUNK, chunk: payload, index: 0, sessionId: 1 });
+    frame[3] = 42;
+    await handleData(frame, conn());
+    expect(getRejectionStats('p1').total).toBe(1);
+  });
+
+  it('applies the payload schema to decoded frames', async () => {
+    const handler = vi.fn();
+    registerHandler(MSG.FILE_CHUNK, handler);
+    const oversized = encodeChunkFrame({ type: MSG.FILE_CHUNK, chunk: new Uint8Array(64 * 1024), index: 0, sessionId: 1 });
+    await handleData(oversized, conn());
+    expect(handler).not.toHaveBeenCalled();
+    expect(getRejectionStats('p1').total).toBe(1);
+  });
+});
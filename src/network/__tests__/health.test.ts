@@ -0,0 +1,125 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG } from '../../core/constants.ts';
+import {
+  scoreHealth, healthLevel, summarizeHealth, readLinkStats, samplePeerHealth,
+} from '../health.ts';
+import type { LinkStats } from '../health.ts';
+import type { DataConnection } from '../../types/index.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+});
+
+const healthy = { rttMs: 20, heartbeatAgeMs: 800, bufferedAmount: 0, candidateType: 'host' };
+
+function fakeStats(reports: Array<Record<string, unknown>>) {
+  return new Map(reports.map(r => [r.id as string, r]));
+}
+
+function statsConn(reports: Array<Record<string, unknown>>, bufferedAmount = 0) {
+  return {
+    peer: 'g1', open: true, send: vi.fn(),
+    dataChannel: { bufferedAmount },
+    peerConnection: { getStats: vi.fn(async () => fakeStats(reports)) },
+  } as unknown as DataConnection & { send: ReturnType<typeof vi.fn> };
+}
+
+const PAIR_REPORTS = [
+  { id: 'T1', type: 'transport', selectedCandidatePairId: 'CP1' },
+  {
+    id: 'CP1', type: 'candidate-pair', state: 'succeeded', nominated: true,
+    localCandidateId: 'L1', remoteCandidateId: 'R1',
+    currentRoundTripTime: 0.042, bytesSent: 50000, bytesReceived: 2000,
+  },
+  { id: 'L1', type: 'local-candidate', candidateType: 'host' },
+  { id: 'R1', type: 'remote-candidate', candidateType: 'host' },
+];
+
+// ─── Scoring ─────────────────────────────────────────────────────────
+
+describe('scoreHealth', () => {
+  it('gives a fast, chatty LAN guest full marks', () => {
+    expect(scoreHealth(healthy)).toBe(100);
+    expect(healthLevel(100)).toBe('good');
+  });
+
+  it('penalizes RTT, silence, backlog and TURN relay', () => {
+    expect(scoreHealth({ ...healthy, rttMs: 150 })).toBe(80);
+    expect(scoreHealth({ ...healthy, heartbeatAgeMs: 4000 })).toBe(80);
+    expect(scoreHealth({ ...healthy, bufferedAmount: 1024 * 1024 })).toBe(80);
+    expect(scoreHealth({ ...healthy, candidateType: 'relay' })).toBe(90);
+  });
+
+  it('flags a guest that went quiet on a slow path as poor', () => {
+    const score = scoreHealth({ rttMs: 400, heartbeatAgeMs: 6000, bufferedAmount: 0, candidateType: 'relay' });
+    expect(score).toBe(10);
+    expect(healthLevel(score)).toBe('poor');
+    expect(healthLevel(55)).toBe('fair');
+  });
+
+  it('ignores an unmeasured RTT', () => {
+    expect(scoreHealth({ ...healthy, rttMs: -1 })).toBe(100);
+  });
+});
+
+describe('summarizeHealth', () => {
+  it('takes the worse RTT and derives throughput from the previous sample', () => {
+    const prev: LinkStats = { rttMs: 30, bytesSent: 0, bytesReceived: 0, candidateType: 'host', at: 1000 };
+    const cur: LinkStats = { rttMs: 30, bytesSent: 125000, bytesReceived: 1250, candidateType: 'host', at: 2000 };
+    const h = summarizeHealth(cur, prev, 90, 500, 0);
+    expect(h).toMatchObject({ rttMs: 90, sendKbps: 1000, recvKbps: 10, candidateType: 'host', level: 'good' });
+  });
+
+  it('falls back to pong RTT without stats', () => {
+    expect(summarizeHealth(null, null, 75, 0, 0)).toMatchObject({
+      rttMs: 75, candidateType: null, sendKbps: 0, recvKbps: 0, score: 95,
+    });
+  });
+});
+
+// ─── Collection ──────────────────────────────────────────────────────
+
+describe('readLinkStats', () => {
+  it('reads the selected candidate pair', async () => {
+    const stats = await readLinkStats(statsConn(PAIR_REPORTS));
+    expect(stats).toMatchObject({ rttMs: 42, bytesSent: 50000, bytesReceived: 2000, candidateType: 'host' });
+  });
+
+  it('reports relay when either side uses TURN', async () => {
+    const reports = PAIR_REPORTS.map(r => (r.id === 'R1' ? { ...r, candidateType: 'relay' } : r));
+    expect((await readLinkStats(statsConn(reports)))?.candidateType).toBe('relay');
+  });
+
+  it('returns null without an RTCPeerConnection', async () => {
+    expect(await readLinkStats({ peer: 'x', open: true } as unknown as DataConnection)).toBeNull();
+  });
+});
+
+describe('samplePeerHealth', () => {
+  it('stores a health sample per guest and pushes it in the device list', async () => {
+    setState('network.appRole', 'host');
+    setState('network.myId', '123456');
+    const conn = statsConn(PAIR_REPORTS, 2048);
+    setState('network.connectedPeers', [{
+      id: 'g1', slot: 1, label: 'Peer 1', conn, isOp: false,
+      preloadedIndexes: new Set<number>(), status: 'connected', isDataTarget: true,
+      dataSourceId: null, joinOrder: 1, connectionType: 'local', lastHeartbeat: Date.now(),
+      rttMs: 60, protocolVersion: 2, caps: [], flagged: false, resumeToken: 't', heldSessionId: 0,
+    }]);
+    const lists: unknown[][] = [];
+    bus.on('network:device-list', list => lists.push(list));
+
+    await samplePeerHealth();
+
+    const health = getState('network.connectedPeers')[0].health;
+    expect(health).toMatchObject({ rttMs: 60, bufferedAmount: 2048, candidateType: 'host', level: 'good' });
+    expect(lists.at(-1)?.[1]).toMatchObject({ id: 'g1', health });
+    expect(conn.send).toHaveBeenCalledWith(expect.objectContaining({ type: MSG.DEVICE_LIST_UPDATE }));
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG, PROTOCOL_VERSION } from '../../core/constants.ts';
+import { createLoopbackTransport } from '../loopback.ts';
+import { getTransport, setTransport, peerJsTransport } from '../transport.ts';
+import {
+  initNetwork, joinSession, leaveSession, initPeerHandlers, createHostSessionWithShortCode,
+  canSendFileTo, filterEligiblePeers, kickPeer, setSessionLocked,
+} from '../peer.ts';
+import { initProtocol } from '../protocol.ts';
+import { getHandshakeMetadata } from '../version.ts';
+import type { Transport } from '../transport.ts';
+import type { DataConnection, PeerInstance } from '../../types/index.ts';
+
+let transport: Transport;
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  transport = createLoopbackTransport();
+  setTransport(transport);
+});
+
+afterEach(() => {
+  try { leaveSession(); } catch { /* noop */ }
+  setTransport(peerJsTransport);
+});
+
+function openPeer(id: string | null = null, t: Transport = transport): Promise<PeerInstance> {
+  return new Promise((resolve, reject) => {
+    const peer = t.createPeer(id, {});
+    peer.on('open', () => resolve(peer));
+    peer.on('error', reject);
+  });
+}
+
+function nextEvent<T = unknown>(target: { once(event: string, fn: (...args: any[]) => void): void }, event: string): Promise<T> {
+  return new Promise(resolve => target.once(event, resolve));
+}
+
+// ─── Loopback Peers ──────────────────────────────────────────────────
+
+describe('loopback transport', () => {
+  it('connects two peers and carries data both ways', async () => {
+    const a = await openPeer('a');
+    const b = await openPeer('b');
+    const incoming = nextEvent<DataConnection>(b, 'connection');
+
+    const conn = a.connect('b', { metadata: { label: 'hi' } });
+    await nextEvent(conn, 'open');
+    const remote = await incoming;
+    expect(remote.peer).toBe('a');
+    expect(remote.metadata).toEqual({ label: 'hi' });
+
+    await vi.waitFor(() => expect(remote.open).toBe(true));
+    const gotAtB = nextEvent<{ type: string; buf: Uint8Array }>(remote, 'data');
+    conn.send({ type: 'ping', buf: new Uint8Array([1, 2]) });
+    const msg = await gotAtB;
+    expect(msg.type).toBe('ping');
+    expect(Array.from(msg.buf)).toEqual([1, 2]);
+
+    const gotAtA = nextEvent(conn, 'data');
+    remote.send('pong');
+    expect(await gotAtA).toBe('pong');
+  });
+
+  it('propagates close to the other side', async () => {
+    const a = await openPeer('a');
+    const b = await openPeer('b');
+    const incoming = nextEvent<DataConnection>(b, 'connection');
+    const conn = a.connect('b');
+    await nextEvent(conn, 'open');
+    const remote = await incoming;
+
+    const closed = nextEvent(remote, 'close');
+    conn.close();
+    await closed;
+    expect(remote.open).toBe(false);
+  });
+
+  it('rejects an ID that is already open', async () => {
+    await openPeer('123456');
+    await expect(openPeer('123456')).rejects.toMatchObject({ type: 'unavailable-id' });
+  });
+
+  it('reports unknown peers as unavailable', async () => {
+    const a = await openPeer('a');
+    const err = nextEvent(a, 'error');
+    a.connect('nobody');
+    expect(await err).toMatchObject({ type: 'peer-unavailable' });
+  });
+
+  it('keeps separate transports isolated', async () => {
+    await openPeer('123456');
+    await expect(openPeer('123456', createLoopbackTransport())).resolves.toBeDefined();
+  });
+});
+
+// ─── Session Flow ────────────────────────────────────────────────────
+
+describe('session flow over loopback', () => {
+  beforeEach(() => {
+    initProtocol();
+    initPeerHandlers();
+  });
+
+  it('host welcomes a guest and lists it', async () => {
+    setState('network.appRole', 'host');
+    expect(getTransport()).toBe(transport);
+    await initNetwork('123456');
+
+    const guest = await openPeer('guest-1');
+    const conn = guest.connect('123456', { metadata: { label: 'mode-0', ...getHandshakeMetadata() } });
+    const welcome = nextEvent<Record<string, unknown>>(conn, 'data');
+
+    expect(await welcome).toMatchObject({
+      type: MSG.WELCOME, label: 'Peer 1', protocolVersion: PROTOCOL_VERSION, resumed: false,
+    });
+    const peers = getState('network.connectedPeers');
+    expect(peers.map(p => [p.id, p.status])).toEqual([['guest-1', 'connected']]);
+  });
+
+  it('host admits a spectator outside the slot table and sends it no file data', async () => {
+    setState('network.appRole', 'host');
+    await initNetwork('123456');
+    const lists: Array<Array<Record<string, unknown>>> = [];
+    bus.on('network:device-list', list => lists.push(list as Array<Record<string, unknown>>));
+
+    const guest = await openPeer('watcher');
+    const conn = guest.connect('123456', { metadata: { label: 'spectator', spectator: true, ...getHandshakeMetadata() } });
+    const welcome = nextEvent<Record<string, unknown>>(conn, 'data');
+
+    expect(await welcome).toMatchObject({ type: MSG.WELCOME, label: 'Spectator 1', resumeToken: '' });
+    const [p] = getState('network.connectedPeers');
+    expect(p).toMatchObject({ id: 'watcher', slot: 0, spectator: true, isDataTarget: false });
+    expect(getState('network.peerSlots').every(s => s === null)).toBe(true);
+
+    p.connectionType = 'local';
+    expect(filterEligiblePeers()).toEqual([]);
+    expect(await canSendFileTo(p.conn as DataConnection)).toBe(false);
+    expect(lists.at(-1)?.[1]).toMatchObject({ id: 'watcher', spectator: true, canHost: false });
+  });
+
+  it('guest joins as a spectator when asked to', async () => {
+    const host = await openPeer('654321');
+    const metadata = new Promise<Record<string, unknown>>(resolve => {
+      host.on('connection', (conn: DataConnection) => resolve(conn.metadata || {}));
+    });
+
+    setState('network.appRole', 'guest');
+    setState('network.isSpectator', true);
+    setState('network.resumeToken', 'stale');
+    joinSession('654321');
+
+    const meta = await metadata;
+    expect(meta).toMatchObject({ spectator: true, protocolVersion: PROTOCOL_VERSION });
+    expect(meta.resumeToken).toBeUndefined();
+  });
+
+  it('host bans a guest, frees its slot and refuses its peer ID afterwards', async () => {
+    setState('network.appRole', 'host');
+    await initNetwork('123456');
+
+    const guest = await openPeer('guest-1');
+    const conn = guest.connect('123456', { metadata: { label: 'mode-0', ...getHandshakeMetadata() } });
+    await nextEvent(conn, 'data');
+    const received: unknown[] = [];
+    conn.on('data', (d: unknown) => received.push(d));
+
+    const closed = nextEvent(conn, 'close');
+    kickPeer('guest-1', true);
+    await closed;
+
+    expect(received).toContainEqual({ type: MSG.KICKED, banned: true });
+    await vi.waitFor(() => expect(getState('network.connectedPeers')).toEqual([]));
+    expect(getState('network.peerSlots').every(s => s === null)).toBe(true);
+
+    const retry = guest.connect('123456', { metadata: { label: 'mode-0', ...getHandshakeMetadata() } });
+    expect(await nextEvent(retry, 'data')).toEqual({ type: MSG.KICKED, banned: true });
+  });
+
+  it('host refuses new joiners while locked', async () => {
+    setState('network.appRole', 'host');
+    await initNetwork('123456');
+    setSessionLocked(true);
+
+    const guest = await openPeer('guest-2');
+    const refused = guest.connect('123456', { metadata: { label: 'mode-0', ...getHandshakeMetadata() } });
+    expect(await nextEvent(refused, 'data')).toEqual({ type: MSG.SESSION_LOCKED });
+    expect(getState('network.connectedPeers')).toEqual([]);
+
+    setSessionLocked(false);
+    const other = await openPeer('guest-3');
+    const admitted = other.connect('123456', { metadata: { label: 'mode-0', ...getHandshakeMetadata() } });
+    expect(await nextEvent(admitted, 'data')).toMatchObject({ type: MSG.WELCOME, label: 'Peer 1' });
+  });
+
+  it('host shows a guest-chosen name and avatar, sanitized', async () => {
+    setState('network.appRole', 'host');
+    await initNetwork('123456');
+    const lists: Array<Array<Record<string, unknown>>> = [];
+    bus.on('network:device-list', list => lists.push(list as Array<Record<string, unknown>>));
+    const toasts: string[] = [];
+    bus.on('ui:show-toast', msg => toasts.push(msg));
+
+    const guest = await openPeer('guest-1');
+    const metadata = { label: 'mode-0', displayName: '  Kitchen\u202E  ', avatar: '🎸', ...getHandshakeMetadata() };
+    const conn = guest.connect('123456', { metadata });
+    expect(await nextEvent(conn, 'data')).toMatchObject({ type: MSG.WELCOME, label: 'Peer 1' });
+
+    expect(getState('network.connectedPeers')[0]).toMatchObject({ label: 'Peer 1', displayName: 'Kitchen', avatar: '🎸' });
+    expect(lists.at(-1)?.[1]).toMatchObject({ id: 'guest-1', label: 'Peer 1', displayName: 'Kitchen', avatar: '🎸' });
+    expect(toasts.some(msg => msg.includes('🎸 Kitchen'))).toBe(true);
+  });
+
+  it('guest sends its saved name in the join handshake', async () => {
+    const host = await openPeer('654321');
+    const metadata = new Promise<Record<string, unknown>>(resolve => {
+      host.on('connection', (conn: DataConnection) => resolve(conn.metadata || {}));
+    });
+
+    setState('network.appRole', 'guest');
+    setState('network.myProfile', { displayName: 'Alice', avatar: '' });
+    joinSession('654321');
+
+    const meta = await metadata;
+    expect(meta).toMatchObject({ displayName: 'Alice' });
+    expect(meta).not.toHaveProperty('avatar');
+  });
+
+  it('guest leaves quietly and says why when the host removes it', async () => {
+    const host = await openPeer('654321');
+    host.on('connection', (conn: DataConnection) => {
+      conn.on('open', () => conn.send({ type: MSG.KICKED, banned: false }));
+    });
+
+    setState('network.appRole', 'guest');
+    const removed = nextEvent<boolean>(bus, 'network:removed-by-host');
+    joinSession('654321');
+
+    expect(await removed).toBe(false);
+    expect(getState('network.hostConn')).toBeNull();
+  });
+
+  it('host draws a new code when its first one is taken', async () => {
+    await openPeer('100000');
+    const random = vi.spyOn(Math, 'random').mockReturnValueOnce(0).mockReturnValueOnce(0.5);
+    setState('network.appRole', 'host');
+    const errors = vi.fn();
+    bus.on('network:error', errors);
+
+    await expect(createHostSessionWithShortCode()).resolves.toBe('550000');
+    expect(getState('network.myId')).toBe('550000');
+    expect(errors).not.toHaveBeenCalled();
+    random.mockRestore();
+  });
+
+  it('guest joins a host and adopts its label', async () => {
+    const host = await openPeer('654321');
+    host.on('connection', (conn: DataConnection) => {
+      conn.on('open', () => conn.send({
+        type: MSG.WELCOME, lockChannel: false, label: 'Peer 3',
+        protocolVersion: PROTOCOL_VERSION, minProtocolVersion: 1, caps: [], resumeToken: 'tok',
+      }));
+    });
+
+    setState('network.appRole', 'guest');
+    const joined = nextEvent(bus, 'setup:guest-join-success');
+    joinSession('654321');
+    await joined;
+
+    await vi.waitFor(() => expect(getState('network.myDeviceLabel')).toBe('Peer 3'));
+    expect(getState('network.resumeToken')).toBe('tok');
+  });
+
+  it('guest fails fast when no host holds the code', async () => {
+    setState('network.appRole', 'guest');
+    const failed = nextEvent<Record<string, unknown>>(bus, 'network:error');
+    joinSession('000000');
+    expect(await failed).toMatchObject({ type: 'peer-unavailable' });
+  });
+});
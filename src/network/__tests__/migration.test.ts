@@ -0,0 +1,162 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { clearAllManagedTimers } from '../../core/timers.ts';
+import { MSG } from '../../core/constants.ts';
+import { electNewHost, buildHostSnapshot, handOffHost, beginHostMigration, initMigration } from '../migration.ts';
+import { handleData } from '../protocol.ts';
+import type { DeviceInfo } from '../../types/index.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+});
+
+afterEach(() => {
+  clearAllManagedTimers();
+});
+
+function device(id: string, extra: Partial<DeviceInfo> = {}): DeviceInfo {
+  return { id, label: id, isOp: false, isHost: false, status: 'connected', canHost: true, ...extra };
+}
+
+// ─── electNewHost ────────────────────────────────────────────────────
+
+describe('electNewHost', () => {
+  const host = device('123456', { isHost: true });
+
+  it('picks the earliest joined guest', () => {
+    expect(electNewHost([host, device('a'), device('b')])).toBe('a');
+  });
+
+  it('prefers operators', () => {
+    expect(electNewHost([host, device('a'), device('b', { isOp: true })])).toBe('b');
+  });
+
+  it('skips guests that cannot host or are not connected', () => {
+    const list = [host, device('a', { canHost: false }), device('b', { status: 'connecting' }), device('c')];
+    expect(electNewHost(list)).toBe('c');
+  });
+
+  it('honours exclusions and empty lists', () => {
+    expect(electNewHost([host, device('a')], ['a'])).toBeNull();
+    expect(electNewHost(null)).toBeNull();
+  });
+});
+
+// ─── buildHostSnapshot ───────────────────────────────────────────────
+
+describe('buildHostSnapshot', () => {
+  it('captures playlist, FX and the host roster', () => {
+    setState('network.appRole', 'host');
+    setState('network.sessionCode', '654321');
+    setState('playlist.items', [{ type: 'file', name: 'a.mp3', file: new File([], 'a.mp3') }]);
+    setState('playlist.currentTrackIndex', 0);
+    setState('player.pausedAt', 42);
+    setState('network.connectedPeers', [{ id: 'g1', label: 'Peer 2', slot: 2, isOp: true } as any]);
+
+    const snap = buildHostSnapshot();
+    expect(snap.code).toBe('654321');
+    expect(snap.playlistMeta).toEqual([
+      { type: 'file', name: 'a.mp3', title: 'a.mp3', videoId: null, playlistId: null },
+    ]);
+    expect(snap.time).toBe(42);
+    expect(snap.isPlaying).toBe(false);
+    expect(snap.fx.eqBands).toEqual(getState('audio.eqBands'));
+    expect(snap.fx.eqValues).toEqual([0, 0, 0, 0, 0]);
+    expect(snap.peers).toEqual([{ id: 'g1', label: 'Peer 2', slot: 2, isOp: true }]);
+  });
+
+  it('carries bans and the session lock from the host only', () => {
+    setState('network.appRole', 'host');
+    getState('network.bannedPeerIds').add('troll');
+    setState('network.sessionLocked', true);
+    expect(buildHostSnapshot()).toMatchObject({ banned: ['troll'], locked: true });
+
+    setState('network.appRole', 'guest');
+    setState('network.hostConn', { peer: '123456' } as any);
+    expect(buildHostSnapshot().banned).toBeUndefined();
+  });
+
+  it('uses the device list for the roster on guests', () => {
+    setState('network.appRole', 'guest');
+    setState('network.lastKnownDeviceList', [
+      device('123456', { isHost: true }), device('g1', { slot: 1, label: 'Peer 1' }),
+    ]);
+    expect(buildHostSnapshot().peers).toEqual([{ id: 'g1', label: 'Peer 1', slot: 1, isOp: false }]);
+  });
+});
+
+// ─── Handoff ─────────────────────────────────────────────────────────
+
+describe('handOffHost', () => {
+  it('broadcasts HOST_HANDOFF with the elected successor', () => {
+    const send = vi.fn();
+    setState('network.appRole', 'host');
+    setState('network.connectedPeers', [
+      { id: 'g1', label: 'Peer 1', slot: 1, isOp: false, status: 'connected', conn: { open: true, send } } as any,
+    ]);
+    setState('network.lastKnownDeviceList', [device('123456', { isHost: true }), device('g1')]);
+
+    expect(handOffHost()).toBe('g1');
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ type: MSG.HOST_HANDOFF, newHostId: 'g1' }));
+  });
+
+  it('does nothing on guests', () => {
+    setState('network.hostConn', { open: true } as any);
+    expect(handOffHost('g1')).toBeNull();
+  });
+});
+
+describe('beginHostMigration', () => {
+  it('detaches from the old host and waits to rejoin the successor', () => {
+    const close = vi.fn();
+    setState('network.myId', 'me');
+    setState('network.lastJoinCode', '123456');
+    setState('network.hostConn', { open: true, close } as any);
+
+    beginHostMigration('g1');
+    expect(close).toHaveBeenCalled();
+    expect(getState('network.hostConn')).toBeNull();
+    expect(getState('network.migratingTo')).toBe('g1');
+  });
+
+  it('reports a disconnect when nobody can take over', () => {
+    const onError = vi.fn();
+    bus.on('network:error', onError);
+    setState('network.lastJoinCode', '123456');
+
+    beginHostMigration(null);
+    expect(onError).toHaveBeenCalledWith(new Error('HOST_DISCONNECTED'));
+    expect(getState('network.migratingTo')).toBeNull();
+  });
+
+  it('ignores HOST_HANDOFF from anyone but the host', async () => {
+    initMigration();
+    setState('network.lastJoinCode', '123456');
+    setState('network.hostConn', { open: true, close: vi.fn() } as any);
+
+    await handleData({ type: MSG.HOST_HANDOFF, newHostId: 'g1', snapshot: {} }, { peer: 'rogue' } as any);
+    expect(getState('network.migratingTo')).toBeNull();
+  });
+});
+
+describe('host-lost with a resume token', () => {
+  it('tries the old host before electing a successor', () => {
+    initMigration();
+    setState('network.myId', 'me');
+    setState('network.lastJoinCode', '123456');
+    setState('network.resumeToken', 'tok');
+    setState('network.hostConn', { open: true, close: vi.fn() } as any);
+    setState('network.lastKnownDeviceList', [device('123456', { isHost: true }), device('g1')]);
+
+    bus.emit('network:host-lost');
+    expect(getState('network.migratingTo')).toBe('123456');
+
+    bus.emit('network:error', new Error('HOST_UNREACHABLE'));
+    expect(getState('network.migratingTo')).toBe('g1');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG, CAP, MAX_OUTPUT_PROFILES } from '../../core/constants.ts';
+import { handleData } from '../protocol.ts';
+import {
+  sanitizeOutputProfile, saveOutputProfile, selectOutputProfile, deleteOutputProfile,
+  getBaseSyncOffset, getOutputProfileMetadata, initOutputProfiles,
+} from '../output-profile.ts';
+import { fakeConn } from '../../test/fake-conn.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  localStorage.clear();
+  initOutputProfiles();
+});
+
+describe('sanitizeOutputProfile', () => {
+  it('clamps offset and trim and falls back to stereo for unknown roles', () => {
+    expect(sanitizeOutputProfile({ id: 'a', name: ' JBL ', offsetMs: 9999.4, role: 7, trimDb: -40 }))
+      .toEqual({ id: 'a', name: 'JBL', offsetMs: 2000, role: 0, trimDb: -12 });
+  });
+
+  it('rejects profiles without an id or name', () => {
+    expect(sanitizeOutputProfile({ name: 'JBL' })).toBeNull();
+    expect(sanitizeOutputProfile({ id: 'a', name: '  ' })).toBeNull();
+    expect(sanitizeOutputProfile('JBL')).toBeNull();
+  });
+});
+
+// ─── Guest ───────────────────────────────────────────────────────────
+
+describe('saveOutputProfile', () => {
+  it('captures offset, role and trim, and restores them on init', () => {
+    setState('sync.localOffset', 0.185);
+    setState('audio.channelMode', -1);
+    setState('audio.trimDb', 3.5);
+
+    const saved = saveOutputProfile('JBL over BT')!;
+    expect(saved).toMatchObject({ name: 'JBL over BT', offsetMs: 185, role: -1, trimDb: 3.5 });
+
+    resetState();
+    initOutputProfiles();
+    expect(getState('sync.outputProfiles')).toEqual([saved]);
+    expect(getState('sync.activeOutputProfile')).toBe(saved.id);
+  });
+
+  it('replaces a profile of the same name and stops at the limit', () => {
+    const first = saveOutputProfile('Phone')!;
+    setState('sync.localOffset', 0.02);
+    expect(saveOutputProfile('phone')!.id).toBe(first.id);
+    expect(getState('sync.outputProfiles')).toHaveLength(1);
+
+    for (let i = 1; i < MAX_OUTPUT_PROFILES; i++) saveOutputProfile(`Speaker ${i}`);
+    expect(saveOutputProfile('One too many')).toBeNull();
+    expect(saveOutputProfile('Phone')).not.toBeNull();
+  });
+
+  it('tells a host that negotiated output profiles', () => {
+    const host = fakeConn('host');
+    setState('network.hostConn', host);
+    setState('network.sessionCaps', [CAP.OUTPUT_PROFILES]);
+
+    saveOutputProfile('Phone');
+
+    expect(host.send).toHaveBeenCalledWith({ type: MSG.OUTPUT_PROFILE, name: 'Phone' });
+  });
+});
+
+describe('selectOutputProfile', () => {
+  it('applies offset, role and trim', () => {
+    setState('sync.localOffset', 0.25);
+    setState('audio.channelMode', 2);
+    setState('audio.trimDb', -6);
+    const { id } = saveOutputProfile('Woofer')!;
+    setState('sync.localOffset', 0);
+    selectOutputProfile(null);
+
+    const roles: number[] = [];
+    const trims: number[] = [];
+    bus.on('audio:set-channel-mode', m => roles.push(m));
+    bus.on('audio:set-trim', db => trims.push(db));
+
+    selectOutputProfile(id);
+
+    expect(getState('sync.localOffset')).toBeCloseTo(0.25, 6);
+    expect(roles).toEqual([2]);
+    expect(trims).toEqual([-6]);
+  });
+
+  it('deleting the selected profile clears the selection', () => {
+    const { id } = saveOutputProfile('Phone')!;
+    expect(deleteOutputProfile(id)).toBe(true);
+    expect(getState('sync.activeOutputProfile')).toBeNull();
+    expect(getOutputProfileMetadata()).toEqual({});
+  });
+});
+
+describe('on join', () => {
+  it('applies the selected offset once per session', () => {
+    setState('sync.localOffset', 0.12);
+    saveOutputProfile('Phone');
+    setState('sync.localOffset', 0);
+    setState('network.hostConn', fakeConn('host'));
+
+    bus.emit('setup:guest-join-success');
+    expect(getState('sync.localOffset')).toBeCloseTo(0.12, 6);
+    expect(getBaseSyncOffset()).toBeCloseTo(0.12, 6);
+
+    // Migration rejoin keeps a later nudge
+    setState('sync.localOffset', 0.15);
+    bus.emit('setup:guest-join-success');
+    expect(getState('sync.localOffset')).toBeCloseTo(0.15, 6);
+  });
+
+  it('leaves the host at zero', () => {
+    setState('sync.localOffset', 0.12);
+    saveOutputProfile('Phone');
+    expect(getBaseSyncOffset()).toBe(0);
+  });
+});
+
+// ─── Host ────────────────────────────────────────────────────────────
+
+describe('output-profile', () => {
+  it('records the guest profile and pushes the device list', async () => {
+    setState('network.myId', '123456');
+    const conn = fakeConn('g1');
+    setState('network.connectedPeers', [{ id: 'g1', label: 'Peer 1', conn, isOp: false, caps: [] } as never]);
+    const lists: unknown[][] = [];
+    bus.on('network:device-list', list => lists.push(list));
+
+    await handleData({ type: MSG.OUTPUT_PROFILE, name: 'JBL over BT' }, conn);
+
+    expect(getState('network.connectedPeers')[0].outputProfile).toBe('JBL over BT');
+    expect(lists.at(-1)?.[1]).toMatchObject({ id: 'g1', outputProfile: 'JBL over BT' });
+  });
+
+  it('ignores updates from connections that are not the guest', async () => {
+    setState('network.connectedPeers', [{ id: 'g1', label: 'Peer 1', conn: fakeConn('g1'), caps: [] } as never]);
+
+    await handleData({ type: MSG.OUTPUT_PROFILE, name: 'Spoof' }, fakeConn('g1'));
+
+    expect(getState('network.connectedPeers')[0].outputProfile).toBeUndefined();
+  });
+});
@@ -1,10 +1,11 @@
 /**
  * @vitest-environment jsdom
  */
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { resetState, setState } from '../../core/state.ts';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resetState, setState, getState } from '../../core/state.ts';
 import { bus } from '../../core/events.ts';
-import { safeSend, isRemoteGuest } from '../peer.ts';
+import { MSG, DELAY } from '../../core/constants.ts';
+import { safeSend, isRemoteGuest, setOperatorPermissions, leaveSession } from '../peer.ts';
 
 beforeEach(() => {
   resetState();
@@ -50,3 +51,81 @@ describe('isRemoteGuest', () => {
     expect(isRemoteGuest()).toBe(false);
   });
 });
+
+describe('setOperatorPermissions', () => {
+  function addGuest() {
+    const conn = { peer: 'g1', open: true, send: vi.fn() };
+    setState('network.connectedPeers', [{
+      id: 'g1', slot: 1, label: 'Peer 1', conn, isOp: false, status: 'connected', joinOrder: 1, caps: [],
+    } as never]);
+    return conn;
+  }
+
+  it('narrows a grant, tells the guest and lists it', () => {
+    const conn = addGuest();
+    const lists: unknown[][] = [];
+    bus.on('network:device-list', list => lists.push(list));
+
+    expect(setOperatorPermissions('g1', ['playlist', 'transport'])).toBe(true);
+
+    expect(getState('network.connectedPeers')[0]).toMatchObject({ isOp: true, perms: ['transport', 'playlist'] });
+    expect(conn.send).toHaveBeenCalledWith({ type: MSG.OPERATOR_GRANT, perms: ['transport', 'playlist'] });
+    expect(lists.at(-1)?.[1]).toMatchObject({ id: 'g1', isOp: true, perms: ['transport', 'playlist'] });
+  });
+
+  it('stores a full set as a plain grant and an empty one as a revoke', () => {
+    const conn = addGuest();
+    setOperatorPermissions('g1', ['transport', 'playlist', 'fx', 'youtube']);
+    expect(getState('network.connectedPeers')[0].perms).toBeUndefined();
+
+    setOperatorPermissions('g1', []);
+    expect(getState('network.connectedPeers')[0].isOp).toBe(false);
+    expect(conn.send).toHaveBeenCalledWith({ type: MSG.OPERATOR_REVOKE });
+  });
+
+  it('does nothing on guests', () => {
+    addGuest();
+    setState('network.hostConn', { peer: 'h' } as never);
+    expect(setOperatorPermissions('g1', ['fx'])).toBe(false);
+  });
+});
+
+describe('leaveSession', () => {
+  function addGuest(id: string, bufferedAmount: number) {
+    const conn = { peer: id, open: true, send: vi.fn(), close: vi.fn(), dataChannel: { bufferedAmount } };
+    setState('network.connectedPeers', [
+      ...getState('network.connectedPeers'),
+      { id, conn, isOp: false, status: 'connected', caps: [] } as never,
+    ]);
+    return conn;
+  }
+
+  beforeEach(() => { vi.useFakeTimers(); });
+  afterEach(() => { vi.useRealTimers(); });
+
+  it('lets the last messages drain before closing guest connections', () => {
+    const idle = addGuest('g1', 0);
+    const busy = addGuest('g2', 4096);
+
+    leaveSession();
+    expect(getState('network.connectedPeers')).toEqual([]);
+    expect(busy.close).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(DELAY.BACKPRESSURE * 2);
+    expect(busy.close).not.toHaveBeenCalled();
+
+    busy.dataChannel.bufferedAmount = 0;
+    vi.advanceTimersByTime(DELAY.BACKPRESSURE);
+    expect(busy.close).toHaveBeenCalledTimes(1);
+    expect(idle.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up waiting after DELAY.LEAVE_DRAIN', () => {
+    const stuck = addGuest('g1', 4096);
+
+    leaveSession();
+    vi.advanceTimersByTime(DELAY.LEAVE_DRAIN + DELAY.BACKPRESSURE);
+
+    expect(stuck.close).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG, CAP, DISPLAY_NAME_MAX } from '../../core/constants.ts';
+import { handleData } from '../protocol.ts';
+import {
+  sanitizeDisplayName, sanitizeAvatar, formatPeerName, setMyProfile, initProfile,
+} from '../profile.ts';
+import { fakeConn } from '../../test/fake-conn.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  localStorage.clear();
+});
+
+// ─── Sanitizing ──────────────────────────────────────────────────────
+
+describe('sanitizeDisplayName', () => {
+  it('trims, collapses whitespace and strips control and bidi characters', () => {
+    expect(sanitizeDisplayName('  Living \n\t room ')).toBe('Living room');
+    expect(sanitizeDisplayName('evil\u202Eeman')).toBe('evil eman');
+  });
+
+  it('clips to DISPLAY_NAME_MAX characters, counting emoji once', () => {
+    expect([...sanitizeDisplayName('🎵'.repeat(40))]).toHaveLength(DISPLAY_NAME_MAX);
+  });
+
+  it('refuses non-strings and the host label', () => {
+    expect(sanitizeDisplayName(42)).toBe('');
+    expect(sanitizeDisplayName('host')).toBe('');
+  });
+});
+
+describe('sanitizeAvatar', () => {
+  it('accepts a single emoji, including ZWJ sequences and flags', () => {
+    expect(sanitizeAvatar('🎧')).toBe('🎧');
+    expect(sanitizeAvatar('👩‍🎤')).toBe('👩‍🎤');
+    expect(sanitizeAvatar('🇰🇷')).toBe('🇰🇷');
+  });
+
+  it('rejects text and more than one emoji', () => {
+    expect(sanitizeAvatar('A')).toBe('');
+    expect(sanitizeAvatar('🎧🎸')).toBe('');
+    expect(sanitizeAvatar('🎧 x')).toBe('');
+  });
+});
+
+describe('formatPeerName', () => {
+  it('prefers the chosen name and falls back to the slot label', () => {
+    expect(formatPeerName({ label: 'Peer 2', displayName: 'Alice', avatar: '🦊' })).toBe('🦊 Alice');
+    expect(formatPeerName({ label: 'Peer 2', avatar: '🦊' })).toBe('🦊 Peer 2');
+    expect(formatPeerName({ label: 'Peer 2' })).toBe('Peer 2');
+  });
+});
+
+// ─── Guest ───────────────────────────────────────────────────────────
+
+describe('setMyProfile', () => {
+  it('persists the profile and restores it on init', () => {
+    setMyProfile({ displayName: ' Bob ', avatar: '🎹' });
+    expect(getState('network.myProfile')).toEqual({ displayName: 'Bob', avatar: '🎹' });
+
+    resetState();
+    initProfile();
+    expect(getState('network.myProfile')).toEqual({ displayName: 'Bob', avatar: '🎹' });
+  });
+
+  it('tells a host that negotiated profiles, and only on a change', () => {
+    const host = fakeConn('654321');
+    setState('network.hostConn', host);
+    setState('network.sessionCaps', [CAP.PROFILES]);
+
+    setMyProfile({ displayName: 'Bob' });
+    setMyProfile({ displayName: 'Bob' });
+
+    expect(host.send).toHaveBeenCalledTimes(1);
+    expect(host.send).toHaveBeenCalledWith({ type: MSG.PROFILE_UPDATE, displayName: 'Bob', avatar: '' });
+  });
+
+  it('stays local with a host that does not know profiles', () => {
+    const host = fakeConn('654321');
+    setState('network.hostConn', host);
+
+    setMyProfile({ displayName: 'Bob' });
+
+    expect(host.send).not.toHaveBeenCalled();
+  });
+});
+
+// ─── Host ────────────────────────────────────────────────────────────
+
+describe('profile-update', () => {
+  it('renames the sending guest and pushes the device list', async () => {
+    initProfile();
+    setState('network.myId', '123456');
+    const conn = fakeConn('g1');
+    setState('network.connectedPeers', [{ id: 'g1', label: 'Peer 1', conn, isOp: false, caps: [] } as never]);
+    const lists: unknown[][] = [];
+    bus.on('network:device-list', list => lists.push(list));
+
+    await handleData({ type: MSG.PROFILE_UPDATE, displayName: 'Alice', avatar: 'nope' }, conn);
+
+    expect(getState('network.connectedPeers')[0]).toMatchObject({ displayName: 'Alice', avatar: undefined });
+    expect(lists.at(-1)?.[1]).toMatchObject({ id: 'g1', label: 'Peer 1', displayName: 'Alice' });
+  });
+
+  it('ignores updates from connections that are not the guest', async () => {
+    initProfile();
+    setState('network.connectedPeers', [{ id: 'g1', label: 'Peer 1', conn: fakeConn('g1'), caps: [] } as never]);
+
+    await handleData({ type: MSG.PROFILE_UPDATE, displayName: 'Mallory', avatar: '' }, fakeConn('g1'));
+
+    expect(getState('network.connectedPeers')[0].displayName).toBeUndefined();
+  });
+});
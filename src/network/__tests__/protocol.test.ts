@@ -1,7 +1,7 @@
 /**
  * @vitest-environment jsdom
  */
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { resetState, getState } from '../../core/state.ts';
 import { bus } from '../../core/events.ts';
 import {
@@ -10,12 +10,19 @@ import {
   registerHandler,
   hasHandler,
   verifyOperator,
+  readPermissions,
+  peerPermissions,
   RELAYABLE_COMMANDS,
+  handleData,
+  getRejectionStats,
+  clearRejectionStats,
 } from '../protocol.ts';
+import { MSG, SCHEMA_REJECT_THRESHOLD, OP_PERMISSIONS } from '../../core/constants.ts';
 
 beforeEach(() => {
   resetState();
   bus.clear();
+  clearRejectionStats();
 });
 
 // ─── validateMessage ──────────────────────────────────────────────────
@@ -135,22 +142,22 @@ describe('RELAYABLE_COMMANDS', () => {
 
 describe('verifyOperator', () => {
   it('returns false when connection is null', () => {
-    expect(verifyOperator(null as any)).toBe(false);
+    expect(verifyOperator(null as any, undefined, 'transport')).toBe(false);
   });
 
   it('returns false when connection is undefined', () => {
-    expect(verifyOperator(undefined as any)).toBe(false);
+    expect(verifyOperator(undefined as any, undefined, 'transport')).toBe(false);
   });
 
   it('returns false when conn.peer is empty', () => {
     const conn = { peer: '' } as any;
-    expect(verifyOperator(conn)).toBe(false);
+    expect(verifyOperator(conn, undefined, 'transport')).toBe(false);
   });
 
   it('returns false when no operator in connectedPeers', () => {
     const conn = { peer: 'peer-123' } as any;
     // Default connectedPeers is empty, so no match
-    expect(verifyOperator(conn)).toBe(false);
+    expect(verifyOperator(conn, undefined, 'transport')).toBe(false);
   });
 
   it('returns false when peer is found but isOp is false', () => {
@@ -158,13 +165,60 @@ describe('verifyOperator', () => {
     // Manually set state to include a non-operator peer
     const peers = getState('network.connectedPeers');
     peers.push({ id: 'peer-456', isOp: false } as any);
-    expect(verifyOperator(conn)).toBe(false);
+    expect(verifyOperator(conn, undefined, 'transport')).toBe(false);
   });
 
   it('returns true when peer is found and isOp is true', () => {
     const conn = { peer: 'peer-789' } as any;
     const peers = getState('network.connectedPeers');
     peers.push({ id: 'peer-789', isOp: true } as any);
-    expect(verifyOperator(conn)).toBe(true);
+    expect(verifyOperator(conn, undefined, 'transport')).toBe(true);
+  });
+
+  it('checks the requested permission when the grant was narrowed', () => {
+    const conn = { peer: 'dj' } as any;
+    getState('network.connectedPeers').push({ id: 'dj', isOp: true, perms: ['transport', 'playlist'] } as any);
+    expect(verifyOperator(conn, undefined, 'playlist')).toBe(true);
+    expect(verifyOperator(conn, undefined, 'fx')).toBe(false);
+    // Relay-forwarded requests are judged by the original sender
+    expect(verifyOperator({ peer: 'relay' } as any, { _originPeer: 'dj' }, 'transport')).toBe(true);
+  });
+});
+
+describe('readPermissions', () => {
+  it('treats a missing list as a full grant and drops unknown entries', () => {
+    expect(readPermissions(undefined)).toEqual([...OP_PERMISSIONS]);
+    expect(readPermissions(['fx', 'root', 'transport'])).toEqual(['transport', 'fx']);
+    expect(peerPermissions({ isOp: false, perms: ['fx'] })).toEqual([]);
+  });
+});
+
+// ─── handleData schema enforcement ────────────────────────────────────
+
+describe('handleData schema enforcement', () => {
+  it('drops malformed payloads before dispatch', async () => {
+    const handler = vi.fn();
+    registerHandler(MSG.PREAMP, handler);
+    const conn = { peer: 'bad-peer' } as any;
+
+    await handleData({ type: MSG.PREAMP, value: 'loud' }, conn);
+    expect(handler).not.toHaveBeenCalled();
+    expect(getRejectionStats('bad-peer').total).toBe(1);
+
+    await handleData({ type: MSG.PREAMP, value: 3 }, conn);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('flags a peer once after repeated rejections', async () => {
+    const flagged = vi.fn();
+    bus.on('network:peer-flagged', flagged);
+    const conn = { peer: 'spammer' } as any;
+
+    for (let i = 0; i < SCHEMA_REJECT_THRESHOLD + 3; i++) {
+      await handleData({ type: MSG.VOLUME, value: -1 }, conn);
+    }
+    expect(flagged).toHaveBeenCalledTimes(1);
+    expect(flagged).toHaveBeenCalledWith('spammer', SCHEMA_REJECT_THRESHOLD);
+    expect(getRejectionStats('spammer').flagged).toBe(true);
   });
 });
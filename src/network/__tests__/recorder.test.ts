@@ -0,0 +1,220 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG, CHUNK_SIZE, TRACE_MAX_ENTRIES } from '../../core/constants.ts';
+import { registerHandler, handleData } from '../protocol.ts';
+import { broadcast, safeSend } from '../peer.ts';
+import { initSync } from '../sync.ts';
+import { broadcastFile } from '../../storage/transfer.ts';
+import { encodeChunkFrame } from '../framing.ts';
+import {
+  startRecording, stopRecording, isRecording, getTrace, recordOutbound, elidePayload, fnv1a,
+} from '../recorder.ts';
+import { replayTrace, parseTrace } from '../replay.ts';
+import { fakeConn } from '../../test/fake-conn.ts';
+import type { Trace } from '../recorder.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+});
+
+afterEach(() => {
+  stopRecording();
+});
+
+// ─── Elision ─────────────────────────────────────────────────────────
+
+describe('elidePayload', () => {
+  it('replaces binary fields with length and hash', () => {
+    const bytes = new Uint8Array([1, 2, 3, 4]);
+    const out = elidePayload({ type: MSG.FILE_CHUNK, chunk: bytes, index: 2, nested: { buf: bytes.buffer } });
+    expect(out).toEqual({
+      type: MSG.FILE_CHUNK,
+      chunk: { $bin: 4, fnv: fnv1a(bytes) },
+      index: 2,
+      nested: { buf: { $bin: 4, fnv: fnv1a(bytes) } },
+    });
+  });
+
+  it('hashes content, not identity', () => {
+    expect(fnv1a(new Uint8Array([9, 9]))).toBe(fnv1a(new Uint8Array([9, 9])));
+    expect(fnv1a(new Uint8Array([9, 9]))).not.toBe(fnv1a(new Uint8Array([9, 8])));
+    expect(fnv1a(new Uint8Array(0))).toBe('811c9dc5');
+  });
+});
+
+// ─── Recording ───────────────────────────────────────────────────────
+
+describe('recorder', () => {
+  it('captures nothing until started', async () => {
+    await handleData({ type: MSG.VOLUME, value: 0.5 }, fakeConn('g1'));
+    expect(isRecording()).toBe(false);
+    expect(getTrace()?.entries ?? []).toEqual([]);
+  });
+
+  it('records inbound and outbound traffic with peer ids', async () => {
+    setState('network.appRole', 'host');
+    setState('network.myId', '123456');
+    const conn = fakeConn('g1');
+    registerHandler(MSG.VOLUME, (_msg, c) => { safeSend(c, { type: MSG.HEARTBEAT }); });
+
+    startRecording();
+    await handleData({ type: MSG.VOLUME, value: 0.5 }, conn);
+    broadcast({ type: MSG.EQ_RESET });
+    const trace = stopRecording()!;
+
+    expect(trace).toMatchObject({ role: 'host', myId: '123456', hostId: null, dropped: 0 });
+    expect(trace.entries.map(e => [e.dir, e.peer, (e.msg as { type: string }).type])).toEqual([
+      ['in', 'g1', MSG.VOLUME],
+      ['out', 'g1', MSG.HEARTBEAT],
+      ['out', '*', MSG.EQ_RESET],
+    ]);
+    expect(conn.send).toHaveBeenCalledWith({ type: MSG.HEARTBEAT });
+  });
+
+  it('records chunk frames decoded, with the payload elided', async () => {
+    const chunk = new Uint8Array(CHUNK_SIZE).fill(7);
+    startRecording();
+    await handleData(encodeChunkFrame({ type: MSG.PRELOAD_CHUNK, chunk, index: 3, sessionId: 42 }), fakeConn('h'));
+    const [entry] = getTrace()!.entries;
+    expect(entry.msg).toEqual({
+      type: MSG.PRELOAD_CHUNK, index: 3, sessionId: 42, chunk: { $bin: CHUNK_SIZE, fnv: fnv1a(chunk) },
+    });
+  });
+
+  it('records a broadcast file transfer, header to end', async () => {
+    setState('network.appRole', 'host');
+    const conn = fakeConn('g1');
+    setState('network.connectedPeers', [{
+      id: 'g1', conn, status: 'connected', isDataTarget: true, connectionType: 'local', caps: [],
+    } as never]);
+    const file = new File([new Uint8Array(CHUNK_SIZE * 2 + 10)], 'song.mp3', { type: 'audio/mpeg' });
+
+    startRecording();
+    await broadcastFile(file, 7);
+    const entries = stopRecording()!.entries;
+
+    expect(entries.map(e => [e.peer, (e.msg as { type: string }).type])).toEqual([
+      ['g1', MSG.FILE_START],
+      ['g1', MSG.FILE_CHUNK],
+      ['g1', MSG.FILE_CHUNK],
+      ['g1', MSG.FILE_CHUNK],
+      ['g1', MSG.FILE_END],
+    ]);
+    expect(entries[3].msg).toMatchObject({ index: 2, sessionId: 7, chunk: { $bin: 10 } });
+    expect(conn.send).toHaveBeenCalledTimes(entries.length);
+  });
+
+  it('records the sync exchange on both ends', async () => {
+    initSync();
+    bus.on('sync:get-position', reply => reply(12.5));
+    const guest = fakeConn('g1');
+
+    startRecording();
+    await handleData({ type: MSG.GET_SYNC_TIME, ts: 100 }, guest);
+    await handleData({ type: MSG.HEARTBEAT }, guest);
+    await handleData({ type: MSG.PING_LATENCY, timestamp: 200 }, guest);
+    setState('network.hostConn', fakeConn('654321'));
+    bus.emit('worker:timer-tick', 'heartbeat');
+    bus.emit('worker:timer-tick', 'ping');
+    const out = stopRecording()!.entries.filter(e => e.dir === 'out');
+
+    expect(out.map(e => [e.peer, (e.msg as { type: string }).type])).toEqual([
+      ['g1', MSG.SYNC_RESPONSE],
+      ['g1', MSG.HEARTBEAT_ACK],
+      ['g1', MSG.PONG_LATENCY],
+      ['654321', MSG.HEARTBEAT],
+      ['654321', MSG.PING_LATENCY],
+    ]);
+    expect(out[0].msg).toMatchObject({ time: 12.5, reqTs: 100 });
+  });
+
+  it('keeps the header of the session it saw after leaving', () => {
+    setState('network.appRole', 'guest');
+    setState('network.myId', 'me');
+    setState('network.hostConn', fakeConn('654321'));
+    startRecording();
+    resetState();
+    expect(stopRecording()).toMatchObject({ role: 'guest', myId: 'me', hostId: '654321' });
+  });
+
+  it('drops the oldest entries past TRACE_MAX_ENTRIES', () => {
+    startRecording();
+    for (let i = 0; i < TRACE_MAX_ENTRIES + 5; i++) recordOutbound({ type: MSG.HEARTBEAT, i }, 'g1');
+    const trace = getTrace()!;
+    expect(trace.entries).toHaveLength(TRACE_MAX_ENTRIES);
+    expect(trace.dropped).toBe(5);
+    expect((trace.entries[0].msg as { i: number }).i).toBe(5);
+  });
+});
+
+// ─── Replay ──────────────────────────────────────────────────────────
+
+describe('replayTrace', () => {
+  it('reproduces a recorded host session from its JSON', async () => {
+    setState('network.appRole', 'host');
+    setState('network.myId', '123456');
+    setState('network.connectedPeers', [{
+      id: 'g1', slot: 1, label: 'Peer 1', conn: fakeConn('g1'), isOp: true,
+      preloadedIndexes: new Set<number>(), status: 'connected', isDataTarget: true,
+      dataSourceId: null, joinOrder: 1, connectionType: 'local', lastHeartbeat: 0,
+      rttMs: 5, protocolVersion: 2, caps: [], flagged: false, resumeToken: 't', heldSessionId: 0,
+    }]);
+    const seen: unknown[] = [];
+    registerHandler(MSG.VOLUME, (msg, c) => {
+      seen.push({ value: msg.value, op: getState('network.connectedPeers').find(p => p.id === c.peer)?.isOp });
+      safeSend(c, { type: MSG.HEARTBEAT });
+    });
+
+    startRecording();
+    await handleData({ type: MSG.VOLUME, value: 0.3 }, fakeConn('g1'));
+    await handleData({ type: MSG.VOLUME, value: 0.6 }, fakeConn('g1'));
+    const json = JSON.stringify(stopRecording());
+
+    const live = [...seen];
+    seen.length = 0;
+    const result = await replayTrace(parseTrace(json));
+
+    expect(seen).toEqual(live);
+    expect(result.delivered).toBe(2);
+    expect(result.sent).toEqual([
+      { peer: 'g1', msg: { type: MSG.HEARTBEAT } },
+      { peer: 'g1', msg: { type: MSG.HEARTBEAT } },
+    ]);
+    expect(getState('network.myId')).toBe('123456');
+  });
+
+  it('restores elided chunks, points a guest at its host and paces with advance', async () => {
+    const trace: Trace = {
+      format: 'musixquare-trace', version: 1, protocolVersion: 2, startedAt: 0,
+      role: 'guest', myId: 'me', hostId: '654321', peers: [], dropped: 0,
+      entries: [
+        { t: 100, dir: 'in', peer: '654321', msg: { type: MSG.PRELOAD_CHUNK, index: 0, sessionId: 1, chunk: { $bin: 8, fnv: 'x' } } },
+        { t: 150, dir: 'out', peer: '654321', msg: { type: MSG.HEARTBEAT } },
+        { t: 400, dir: 'in', peer: '654321', msg: { type: MSG.PRELOAD_CHUNK, index: 1, sessionId: 1, chunk: { $bin: 8, fnv: 'x' } } },
+        { t: 900, dir: 'in', peer: '654321', msg: { type: MSG.PRELOAD_CHUNK, index: 2, sessionId: 1, chunk: { $bin: 8, fnv: 'x' } } },
+      ],
+    };
+    const chunks: unknown[] = [];
+    registerHandler(MSG.PRELOAD_CHUNK, (msg, c) => {
+      chunks.push([msg.index, msg.chunk, c === getState('network.hostConn')]);
+    });
+    const advance = vi.fn();
+
+    const result = await replayTrace(trace, { advance, until: 500 });
+
+    expect(result.delivered).toBe(2);
+    expect(chunks).toEqual([[0, new Uint8Array(8), true], [1, new Uint8Array(8), true]]);
+    expect(advance.mock.calls).toEqual([[100], [300]]);
+    expect(getState('network.appRole')).toBe('guest');
+  });
+
+  it('rejects files that are not traces', () => {
+    expect(() => parseTrace('{"entries":[]}')).toThrow('Not a MUSIXQUARE trace');
+    expect(() => parseTrace('{"format":"musixquare-trace","version":9,"entries":[]}')).toThrow('version 9');
+  });
+});
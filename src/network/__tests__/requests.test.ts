@@ -0,0 +1,142 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resetState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG, CAP, REQUEST_ERROR } from '../../core/constants.ts';
+import { handleData } from '../protocol.ts';
+import {
+  requestHost, requestFromControl, rejectPendingRequests, getPendingRequestCount,
+  ackRequest, rejectRequest, initRequests,
+} from '../requests.ts';
+import { fakeConn } from '../../test/fake-conn.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  initRequests();
+  setState('network.sessionCaps', [CAP.REQUEST_ACK]);
+});
+
+afterEach(() => {
+  rejectPendingRequests();
+  vi.useRealTimers();
+});
+
+function sentReqId(conn: ReturnType<typeof fakeConn>): string {
+  return conn.send.mock.calls.at(-1)![0].reqId;
+}
+
+// ─── Guest ───────────────────────────────────────────────────────────
+
+describe('requestHost', () => {
+  it('tags the request with an id and resolves on the host ack', async () => {
+    const host = fakeConn('654321');
+    setState('network.hostConn', host);
+    const counts: number[] = [];
+    bus.on('network:request-pending', n => counts.push(n));
+
+    const pending = requestHost({ type: MSG.REQUEST_PAUSE });
+    const reqId = sentReqId(host);
+    expect(host.send).toHaveBeenCalledWith({ type: MSG.REQUEST_PAUSE, reqId });
+    expect(getPendingRequestCount()).toBe(1);
+
+    await handleData({ type: MSG.COMMAND_RESULT, reqId, ok: true }, host);
+
+    await expect(pending).resolves.toBeUndefined();
+    expect(counts).toEqual([1, 0]);
+  });
+
+  it('sends fire-and-forget to a host that never acks', async () => {
+    const host = fakeConn('654321');
+    setState('network.hostConn', host);
+    setState('network.sessionCaps', []);
+
+    await expect(requestHost({ type: MSG.REQUEST_PAUSE })).resolves.toBeUndefined();
+    expect(host.send).toHaveBeenCalledWith({ type: MSG.REQUEST_PAUSE });
+    expect(getPendingRequestCount()).toBe(0);
+  });
+
+  it('rejects with the host error code', async () => {
+    const host = fakeConn('654321');
+    setState('network.hostConn', host);
+
+    const pending = requestHost({ type: MSG.REQUEST_TRACK_CHANGE, index: 9 });
+    await handleData({ type: MSG.COMMAND_RESULT, reqId: sentReqId(host), ok: false, code: REQUEST_ERROR.INVALID_INDEX }, host);
+
+    await expect(pending).rejects.toThrow(REQUEST_ERROR.INVALID_INDEX);
+  });
+
+  it('ignores results that do not come from the host', async () => {
+    const host = fakeConn('654321');
+    setState('network.hostConn', host);
+
+    void requestHost({ type: MSG.REQUEST_PAUSE }).catch(() => { /* noop */ });
+    await handleData({ type: MSG.COMMAND_RESULT, reqId: sentReqId(host), ok: true }, fakeConn('g2'));
+
+    expect(getPendingRequestCount()).toBe(1);
+  });
+
+  it('times out when the host never answers', async () => {
+    vi.useFakeTimers();
+    setState('network.hostConn', fakeConn('654321'));
+
+    const pending = requestHost({ type: MSG.REQUEST_PAUSE }, 1000);
+    const check = expect(pending).rejects.toThrow(REQUEST_ERROR.TIMEOUT);
+    vi.advanceTimersByTime(1000);
+
+    await check;
+    expect(getPendingRequestCount()).toBe(0);
+  });
+
+  it('fails fast without a host, and fails pending requests when the host is lost', async () => {
+    await expect(requestHost({ type: MSG.REQUEST_PAUSE })).rejects.toThrow(REQUEST_ERROR.NOT_CONNECTED);
+
+    setState('network.hostConn', fakeConn('654321'));
+    const pending = requestHost({ type: MSG.REQUEST_PAUSE });
+    bus.emit('network:host-lost');
+
+    await expect(pending).rejects.toThrow(REQUEST_ERROR.NOT_CONNECTED);
+  });
+});
+
+describe('requestFromControl', () => {
+  it('toasts the refusal reason', async () => {
+    const host = fakeConn('654321');
+    setState('network.hostConn', host);
+    const toasts: string[] = [];
+    bus.on('ui:show-toast', msg => toasts.push(msg));
+
+    const pending = requestFromControl({ type: MSG.REQUEST_PLAY });
+    await handleData({ type: MSG.COMMAND_RESULT, reqId: sentReqId(host), ok: false, code: REQUEST_ERROR.BUSY }, host);
+
+    expect(await pending).toBe(false);
+    expect(toasts).toHaveLength(1);
+  });
+});
+
+// ─── Host ────────────────────────────────────────────────────────────
+
+describe('ackRequest / rejectRequest', () => {
+  it('replies on the incoming connection, or to the origin of a relayed request', () => {
+    const relay = fakeConn('r1');
+    const origin = fakeConn('g9');
+    setState('network.connectedPeers', [{ id: 'g9', conn: origin } as never]);
+
+    ackRequest(relay, { type: MSG.REQUEST_PAUSE, reqId: 'x' });
+    rejectRequest(relay, { type: MSG.REQUEST_PAUSE, reqId: 'y', _originPeer: 'g9' }, REQUEST_ERROR.NOT_OPERATOR);
+
+    expect(relay.send).toHaveBeenCalledWith({ type: MSG.COMMAND_RESULT, reqId: 'x', ok: true });
+    expect(origin.send).toHaveBeenCalledWith({
+      type: MSG.COMMAND_RESULT, reqId: 'y', ok: false, code: REQUEST_ERROR.NOT_OPERATOR,
+    });
+  });
+
+  it('does nothing for requests without an id', () => {
+    const conn = fakeConn('g1');
+    ackRequest(conn, { type: MSG.REQUEST_PAUSE });
+    rejectRequest(conn, { type: MSG.REQUEST_PAUSE }, REQUEST_ERROR.BUSY);
+    expect(conn.send).not.toHaveBeenCalled();
+  });
+});
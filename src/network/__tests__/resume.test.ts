@@ -0,0 +1,135 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { RESUME_TOKEN_TTL } from '../../core/constants.ts';
+import {
+  createResumeToken, parkPeer, claimParkedPeer, takeExpiredParkedPeers, clearParkedPeers,
+  loadResumeRecord, saveResumeRecord, clearResumeRecord, getResumeMetadata, handleResumeWelcome,
+} from '../resume.ts';
+import type { ResumeRecord } from '../resume.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  clearParkedPeers();
+  clearResumeRecord();
+});
+
+function record(extra: Partial<ResumeRecord> = {}): ResumeRecord {
+  return { code: '123456', token: 'tok', role: 1, savedAt: Date.now(), file: null, ...extra };
+}
+
+// ─── Host: Parked Peers ──────────────────────────────────────────────
+
+describe('createResumeToken', () => {
+  it('returns distinct 32-char hex tokens', () => {
+    const a = createResumeToken();
+    expect(a).toMatch(/^[0-9a-f]{32}$/);
+    expect(createResumeToken()).not.toBe(a);
+  });
+});
+
+describe('parked peers', () => {
+  const entry = { peerId: 'g1', slot: 2, isOp: true, preloadedIndexes: [3] };
+
+  it('hands the entry back once per token', () => {
+    parkPeer('tok', entry);
+    expect(claimParkedPeer('tok')).toMatchObject(entry);
+    expect(claimParkedPeer('tok')).toBeNull();
+    expect(claimParkedPeer('unknown')).toBeNull();
+  });
+
+  it('refuses expired tokens but keeps them for slot release', () => {
+    parkPeer('tok', entry);
+    const later = Date.now() + RESUME_TOKEN_TTL + 1;
+    expect(claimParkedPeer('tok', later)).toBeNull();
+    expect(takeExpiredParkedPeers(later)).toEqual([expect.objectContaining({ peerId: 'g1', slot: 2 })]);
+    expect(takeExpiredParkedPeers(later)).toEqual([]);
+  });
+
+  it('keeps live entries when pruning', () => {
+    parkPeer('tok', entry);
+    expect(takeExpiredParkedPeers()).toEqual([]);
+    expect(claimParkedPeer('tok')).not.toBeNull();
+  });
+});
+
+// ─── Guest: Resume Record ────────────────────────────────────────────
+
+describe('loadResumeRecord', () => {
+  it('round-trips through sessionStorage', () => {
+    saveResumeRecord(record());
+    expect(loadResumeRecord()).toEqual(record({ savedAt: expect.any(Number) }));
+  });
+
+  it('ignores stale or malformed records', () => {
+    saveResumeRecord(record({ savedAt: Date.now() - RESUME_TOKEN_TTL - 1 }));
+    expect(loadResumeRecord()).toBeNull();
+    sessionStorage.setItem('musixquare-resume', '{not json');
+    expect(loadResumeRecord()).toBeNull();
+    sessionStorage.setItem('musixquare-resume', JSON.stringify({ code: 123456 }));
+    expect(loadResumeRecord()).toBeNull();
+  });
+
+  it('is cleared on an explicit leave', () => {
+    saveResumeRecord(record());
+    clearResumeRecord();
+    expect(loadResumeRecord()).toBeNull();
+  });
+});
+
+describe('getResumeMetadata', () => {
+  it('is empty without a token', () => {
+    expect(getResumeMetadata()).toEqual({});
+  });
+
+  it('reports the transfer session of the file we hold', () => {
+    setState('network.resumeToken', 'tok');
+    expect(getResumeMetadata()).toEqual({ resumeToken: 'tok', heldSessionId: 0 });
+
+    setState('transfer.meta', { name: 'a.mp3', sessionId: 77 });
+    setState('files.currentFileBlob', new Blob(['x']));
+    expect(getResumeMetadata()).toEqual({ resumeToken: 'tok', heldSessionId: 77 });
+  });
+});
+
+describe('handleResumeWelcome', () => {
+  beforeEach(() => {
+    setState('network.lastJoinCode', '123456');
+    setState('audio.channelMode', 2);
+  });
+
+  it('stores the token and role for a later reload', () => {
+    handleResumeWelcome('fresh', false);
+    expect(getState('network.resumeToken')).toBe('fresh');
+    expect(loadResumeRecord()).toMatchObject({ code: '123456', token: 'fresh', role: 2, file: null });
+  });
+
+  it('keeps the recorded file only when the host resumed us', () => {
+    const file = { opfsName: 'current_a.mp3_x', name: 'a.mp3', index: 0, sessionId: 5, size: 10, mime: 'audio/mpeg' };
+    saveResumeRecord(record({ file }));
+    handleResumeWelcome('tok', true);
+    expect(loadResumeRecord()?.file).toEqual(file);
+
+    handleResumeWelcome('other', false);
+    expect(loadResumeRecord()?.file).toBeNull();
+  });
+
+  it('announces a resumed session', () => {
+    const toast = vi.fn();
+    bus.on('ui:show-toast', toast);
+    handleResumeWelcome('tok', true);
+    expect(toast).toHaveBeenCalledTimes(1);
+  });
+
+  it('forgets the record when the host issues no token', () => {
+    saveResumeRecord(record());
+    setState('network.resumeToken', 'tok');
+    handleResumeWelcome(null, false);
+    expect(getState('network.resumeToken')).toBeNull();
+    expect(loadResumeRecord()).toBeNull();
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG, CHUNK_SIZE, EQ_LIMITS } from '../../core/constants.ts';
+import { PROTOCOL_SCHEMA, validatePayload, checkField } from '../schema.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+});
+
+const BAND = { type: 'peaking', frequency: 1000, Q: 1, gain: 3 };
+
+// ─── Coverage ────────────────────────────────────────────────────────
+
+describe('PROTOCOL_SCHEMA', () => {
+  it('has an entry for every MSG type', () => {
+    for (const type of Object.values(MSG)) {
+      expect(PROTOCOL_SCHEMA[type], type).toBeDefined();
+    }
+  });
+});
+
+// ─── checkField ──────────────────────────────────────────────────────
+
+describe('checkField', () => {
+  it('rejects non-finite numbers', () => {
+    expect(checkField(NaN, { type: 'number' })).not.toBeNull();
+    expect(checkField(Infinity, { type: 'number' })).not.toBeNull();
+    expect(checkField('5', { type: 'number' })).not.toBeNull();
+  });
+
+  it('enforces ranges and integers', () => {
+    const rule = { type: 'number' as const, integer: true, min: 0, max: 2 };
+    expect(checkField(1, rule)).toBeNull();
+    expect(checkField(3, rule)).not.toBeNull();
+    expect(checkField(1.5, rule)).not.toBeNull();
+  });
+
+  it('treats optional fields as nullable on the wire', () => {
+    expect(checkField(undefined, { type: 'string', optional: true })).toBeNull();
+    expect(checkField(undefined, { type: 'string' })).toBe('missing');
+    expect(checkField(null, { type: 'string' })).toBe('null');
+  });
+
+  it('accepts ArrayBuffer and typed-array chunks', () => {
+    const rule = { type: 'binary' as const, maxLength: 4 };
+    expect(checkField(new ArrayBuffer(4), rule)).toBeNull();
+    expect(checkField(new Uint8Array(2), rule)).toBeNull();
+    expect(checkField(new Uint8Array(8), rule)).not.toBeNull();
+    expect(checkField([1, 2], rule)).not.toBeNull();
+  });
+});
+
+// ─── validatePayload ─────────────────────────────────────────────────
+
+describe('validatePayload', () => {
+  it('accepts well-formed messages with extra fields', () => {
+    expect(validatePayload({ type: MSG.VOLUME, value: 0.5 })).toBeNull();
+    expect(validatePayload({ type: MSG.PLAY, time: 12.3, index: 0, extra: 'ok' })).toBeNull();
+    expect(validatePayload({ type: MSG.HEARTBEAT })).toBeNull();
+  });
+
+  it('passes unknown message types through', () => {
+    expect(validatePayload({ type: 'not-a-real-type' })).toBeNull();
+  });
+
+  it('rejects out-of-range audio values', () => {
+    expect(validatePayload({ type: MSG.VOLUME, value: 5 })).toMatch(/^value/);
+    expect(validatePayload({ type: MSG.REVERB_TYPE, value: 'cathedral' })).toMatch(/^value/);
+  });
+
+  it('rejects missing required fields and wrong types', () => {
+    expect(validatePayload({ type: MSG.REQUEST_SEEK })).toBe('time: missing');
+    expect(validatePayload({ type: MSG.REQUEST_TRACK_CHANGE, index: '2' })).toMatch(/^index/);
+    expect(validatePayload({ type: MSG.CHAT, senderId: null, sender: 'a', senderLabel: 'a', senderRole: 'L', text: 5, ts: 1 }))
+      .toMatch(/^text/);
+  });
+
+  it('checks every EQ band', () => {
+    expect(validatePayload({ type: MSG.EQ_UPDATE, bands: [BAND, { ...BAND, type: 'bandpass' }] })).toBe('bands: [1].type: not allowed');
+    expect(validatePayload({ type: MSG.EQ_UPDATE, bands: [{ ...BAND, gain: 30 }] })).toBe('bands: [0].gain: > 12');
+    expect(validatePayload({ type: MSG.EQ_UPDATE, bands: Array(EQ_LIMITS.MAX_BANDS + 1).fill(BAND) })).toMatch(/^bands: too many/);
+    expect(validatePayload({ type: MSG.EQ_UPDATE, bands: [] })).toBeNull();
+  });
+
+  it('accepts the fixed-band EQ form of older peers', () => {
+    expect(validatePayload({ type: MSG.EQ_UPDATE, band: 4, value: -3 })).toBeNull();
+    expect(validatePayload({ type: MSG.EQ_UPDATE, band: 5, value: -3 })).toMatch(/^band/);
+    expect(validatePayload({ type: MSG.EQ_UPDATE, band: 1 })).toBe('bands: missing');
+    expect(validatePayload({ type: MSG.REQUEST_SETTING, settingType: 'eq', band: 1, value: 6 })).toBeNull();
+    expect(validatePayload({ type: MSG.REQUEST_SETTING, settingType: 'eq', band: 1, value: [BAND] })).toMatch(/^value/);
+  });
+
+  it('checks every setting of an fx preset', () => {
+    const fx = {
+      eqBands: [BAND], userPreampGain: 1, reverbMix: 0.3, reverbDecay: 2, reverbPreDelay: 0.05,
+      reverbLowCut: 10, reverbHighCut: 20, stereoWidth: 1.2, virtualBass: 0.4, subFreq: 100,
+    };
+    expect(validatePayload({ type: MSG.FX_PRESET, name: 'Outdoor', fx })).toBeNull();
+    expect(validatePayload({ type: MSG.FX_PRESET, name: 'Outdoor', fx: { ...fx, reverbMix: 30 } })).toBe('fx.reverbMix: > 1');
+    expect(validatePayload({ type: MSG.REQUEST_FX_PRESET, name: 'x', fx: { ...fx, eqBands: [{ ...BAND, Q: 0 }] } }))
+      .toBe('fx.eqBands: [0].Q: < 0.1');
+    expect(validatePayload({ type: MSG.REQUEST_FX_PRESET, name: 'x', fx: 'loud' })).toMatch(/^fx/);
+  });
+
+  it('rejects oversized chunks', () => {
+    const ok = { type: MSG.FILE_CHUNK, chunk: new ArrayBuffer(CHUNK_SIZE), index: 0, sessionId: 1 };
+    expect(validatePayload(ok)).toBeNull();
+    expect(validatePayload({ ...ok, chunk: new ArrayBuffer(CHUNK_SIZE + 1) })).toMatch(/^chunk/);
+  });
+
+  it('validates request-setting value by settingType', () => {
+    expect(validatePayload({ type: MSG.REQUEST_SETTING, settingType: 'repeat-mode', value: 2 })).toBeNull();
+    expect(validatePayload({ type: MSG.REQUEST_SETTING, settingType: 'repeat-mode', value: 7 })).toMatch(/^value/);
+    expect(validatePayload({ type: MSG.REQUEST_SETTING, settingType: 'shuffle-mode', value: 'yes' })).toMatch(/^value/);
+    expect(validatePayload({ type: MSG.REQUEST_SETTING, settingType: 'eq', value: 3 })).toMatch(/^value/);
+    expect(validatePayload({ type: MSG.REQUEST_SETTING, settingType: 'eq', value: [BAND] })).toBeNull();
+    expect(validatePayload({ type: MSG.REQUEST_SETTING, settingType: 'bogus', value: 1 })).toMatch(/^settingType/);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { resetState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { parseSignalParam, resolvePeerServer } from '../signaling.ts';
+
+const win = window as unknown as Record<string, unknown>;
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+});
+
+afterEach(() => {
+  delete win.__MUSIXQUARE_PEER_SERVER__;
+  window.history.replaceState(null, '', '/');
+});
+
+// ─── ?signal= ────────────────────────────────────────────────────────
+
+describe('parseSignalParam', () => {
+  it('reads host and port, defaulting the port', () => {
+    expect(parseSignalParam('192.168.0.10:9100', false)).toEqual({
+      host: '192.168.0.10', port: 9100, path: '/', secure: false, lan: true,
+    });
+    expect(parseSignalParam('laptop.local', true)).toMatchObject({ host: 'laptop.local', port: 9000, secure: true });
+    expect(parseSignalParam('[fe80::1]:9001', false)).toMatchObject({ host: 'fe80::1', port: 9001 });
+  });
+
+  it('rejects anything that is not a bare host', () => {
+    expect(parseSignalParam('http://evil.example/x', false)).toBeNull();
+    expect(parseSignalParam('host:99999', false)).toBeNull();
+    expect(parseSignalParam('', false)).toBeNull();
+  });
+});
+
+// ─── Resolution ──────────────────────────────────────────────────────
+
+describe('resolvePeerServer', () => {
+  it('uses the PeerJS default when nothing is configured', () => {
+    expect(resolvePeerServer()).toBeNull();
+  });
+
+  it('takes the config injected by the LAN server', () => {
+    win.__MUSIXQUARE_PEER_SERVER__ = { host: '10.0.0.2', port: 9000, path: '/', key: 'peerjs', secure: false, lan: true, extra: 1 };
+    expect(resolvePeerServer()).toEqual({ host: '10.0.0.2', port: 9000, path: '/', key: 'peerjs', secure: false, lan: true });
+  });
+
+  it('keeps public ICE for a custom server not marked lan', () => {
+    win.__MUSIXQUARE_PEER_SERVER__ = { host: 'signal.example.com', secure: true };
+    expect(resolvePeerServer()).toEqual({ host: 'signal.example.com', secure: true, lan: false });
+  });
+
+  it('prefers ?signal= over the injected config', () => {
+    win.__MUSIXQUARE_PEER_SERVER__ = { host: '10.0.0.2', lan: true };
+    window.history.replaceState(null, '', '/?signal=10.0.0.9:9100');
+    expect(resolvePeerServer()).toMatchObject({ host: '10.0.0.9', port: 9100, lan: true });
+  });
+});
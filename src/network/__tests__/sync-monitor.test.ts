@@ -0,0 +1,122 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG, CAP, APP_STATE, SYNC_MONITOR } from '../../core/constants.ts';
+import { handleData } from '../protocol.ts';
+import { localNow } from '../clock.ts';
+import { syncError, resyncPeer, setSyncTolerance, initSyncMonitor } from '../sync-monitor.ts';
+import { fakeConn } from '../../test/fake-conn.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  localStorage.clear();
+  initSyncMonitor();
+});
+
+const REPORT = {
+  hostAt: 50_000, pos: 10, index: 2, playing: true, clockOffsetMs: 12, rttMs: 8, localOffsetMs: 0,
+};
+
+describe('syncError', () => {
+  it('compares against the host position at the report instant', () => {
+    // Host is at 11 s now, half a second after the report: it was at 10.5 s
+    expect(syncError(REPORT, 11, true, 2, 50_500)).toBeCloseTo(-500, 6);
+    expect(syncError({ ...REPORT, pos: 10.53 }, 11, true, 2, 50_500)).toBeCloseTo(30, 6);
+  });
+
+  it('removes the offset the guest applies on purpose', () => {
+    expect(syncError({ ...REPORT, pos: 10.62, localOffsetMs: 120 }, 10.5, true, 2, 50_000)).toBeCloseTo(0, 6);
+  });
+
+  it('is null unless both play the same track', () => {
+    expect(syncError({ ...REPORT, playing: false }, 10, true, 2, 50_000)).toBeNull();
+    expect(syncError(REPORT, 10, false, 2, 50_000)).toBeNull();
+    expect(syncError(REPORT, 10, true, 3, 50_000)).toBeNull();
+  });
+});
+
+// ─── Host ────────────────────────────────────────────────────────────
+
+describe('sync-report', () => {
+  function hostPlaying(pos: number) {
+    setState('appState', APP_STATE.PLAYING_AUDIO);
+    setState('playlist.currentTrackIndex', 2);
+    bus.on('sync:get-position', cb => cb(pos));
+  }
+
+  it('records the error and keeps a bounded history', async () => {
+    hostPlaying(11);
+    const conn = fakeConn('g1');
+    setState('network.connectedPeers', [{ id: 'g1', label: 'Peer 1', conn, status: 'connected', caps: [] } as never]);
+    const updates = vi.fn();
+    bus.on('sync:monitor-update', updates);
+
+    // 1 s ago the host was at 10 s; this guest is 50 ms ahead after its 100 ms offset
+    await handleData({ type: MSG.SYNC_REPORT, ...REPORT, hostAt: localNow() - 1000, pos: 10.15, localOffsetMs: 100 }, conn);
+
+    const q = getState('network.connectedPeers')[0].syncQuality!;
+    expect(q.errorMs).toBeCloseTo(50, -1);
+    expect(q).toMatchObject({ clockOffsetMs: 12, rttMs: 8, localOffsetMs: 100 });
+    expect(updates).toHaveBeenCalledTimes(1);
+
+    for (let i = 0; i < SYNC_MONITOR.HISTORY + 5; i++) {
+      await handleData({ type: MSG.SYNC_REPORT, ...REPORT, playing: false }, conn);
+    }
+    expect(getState('network.connectedPeers')[0].syncQuality!.history).toHaveLength(SYNC_MONITOR.HISTORY);
+  });
+
+  it('ignores reports from connections that are not the guest', async () => {
+    hostPlaying(11);
+    setState('network.connectedPeers', [{ id: 'g1', label: 'Peer 1', conn: fakeConn('g1'), status: 'connected', caps: [] } as never]);
+
+    await handleData({ type: MSG.SYNC_REPORT, ...REPORT }, fakeConn('g1'));
+
+    expect(getState('network.connectedPeers')[0].syncQuality).toBeUndefined();
+  });
+});
+
+describe('resyncPeer', () => {
+  it('sends the resync request to that guest only', () => {
+    const a = fakeConn('a');
+    const b = fakeConn('b');
+    setState('network.connectedPeers', [
+      { id: 'a', label: 'Peer 1', conn: a, status: 'connected', caps: [] } as never,
+      { id: 'b', label: 'Peer 2', conn: b, status: 'connected', caps: [] } as never,
+    ]);
+
+    expect(resyncPeer('b')).toBe(true);
+
+    expect(a.send).not.toHaveBeenCalled();
+    expect(b.send).toHaveBeenCalledWith({ type: MSG.GLOBAL_RESYNC_REQUEST });
+    expect(resyncPeer('gone')).toBe(false);
+  });
+});
+
+describe('setSyncTolerance', () => {
+  it('clamps and survives a reload', () => {
+    expect(setSyncTolerance(1000)).toBe(SYNC_MONITOR.TOLERANCE_MAX_MS);
+    setSyncTolerance(25);
+
+    resetState();
+    initSyncMonitor();
+    expect(getState('sync.monitorToleranceMs')).toBe(25);
+  });
+});
+
+// ─── Guest ───────────────────────────────────────────────────────────
+
+describe('guest reports', () => {
+  it('stay silent until the host clock is estimated', () => {
+    const host = fakeConn('host');
+    setState('network.hostConn', host);
+    setState('network.sessionCaps', [CAP.SYNC_MONITOR]);
+
+    bus.emit('worker:timer-tick', 'clock');
+
+    expect(host.send).not.toHaveBeenCalled();
+  });
+});
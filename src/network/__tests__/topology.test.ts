@@ -0,0 +1,196 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { planRelayTopology, rebalanceRelayTopology } from '../topology.ts';
+import type { TopologyNode } from '../topology.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+});
+
+const OPTS = { maxDirect: 3, maxFanout: 2 };
+
+/** `parentId` undefined = a new peer, not placed yet */
+function node(id: string, rttMs: number, joinOrder: number, parentId?: string | null): TopologyNode {
+  return { id, rttMs, joinOrder, parentId: parentId ?? null, placed: parentId !== undefined };
+}
+
+// ─── planRelayTopology ───────────────────────────────────────────────
+
+describe('planRelayTopology', () => {
+  it('keeps everyone direct when under the direct limit', () => {
+    const plan = planRelayTopology([node('a', 10, 1), node('b', 20, 2)], OPTS);
+    expect(plan.get('a')).toBeNull();
+    expect(plan.get('b')).toBeNull();
+  });
+
+  it('puts the fastest peers direct and relays the rest', () => {
+    const nodes = [
+      node('a', 80, 1), node('b', 10, 2), node('c', 20, 3),
+      node('d', 30, 4), node('e', 40, 5),
+    ];
+    const plan = planRelayTopology(nodes, OPTS);
+    const direct = [...plan].filter(([, p]) => p === null).map(([id]) => id);
+    expect(direct.sort()).toEqual(['b', 'c', 'd']);
+    // Faster newcomers pick the fastest relay first
+    expect(plan.get('e')).toBe('b');
+    expect(plan.get('a')).toBe('c');
+  });
+
+  it('spreads load across relays before going deeper', () => {
+    const nodes = [
+      node('a', 10, 1), node('b', 20, 2), node('c', 30, 3),
+      node('d', 40, 4, 'x'), node('e', 50, 5, 'x'), node('f', 60, 6, 'x'),
+    ];
+    const plan = planRelayTopology(nodes, OPTS);
+    const parents = ['d', 'e', 'f'].map(id => plan.get(id));
+    expect(new Set(parents).size).toBe(3);
+    parents.forEach(p => expect(['a', 'b', 'c']).toContain(p));
+  });
+
+  it('respects relay fanout and grows a second level when full', () => {
+    const nodes = Array.from({ length: 12 }, (_, i) => node(`p${i}`, 10 + i, i + 1));
+    const plan = planRelayTopology(nodes, OPTS);
+    const load = new Map<string, number>();
+    for (const [, parent] of plan) {
+      if (parent) load.set(parent, (load.get(parent) || 0) + 1);
+    }
+    expect([...plan.values()].filter(p => p === null)).toHaveLength(3);
+    for (const n of load.values()) expect(n).toBeLessThanOrEqual(2);
+    expect(plan.size).toBe(12);
+  });
+
+  it('keeps valid existing assignments to avoid churn', () => {
+    const nodes = [
+      node('a', 30, 1, null), node('b', 20, 2, null), node('c', 10, 3, null),
+      node('d', 5, 4, 'a'),
+    ];
+    const plan = planRelayTopology(nodes, OPTS);
+    expect(plan.get('d')).toBe('a');
+  });
+
+  it('reassigns orphans whose relay left', () => {
+    const nodes = [
+      node('a', 10, 1), node('b', 20, 2), node('c', 30, 3),
+      node('d', 40, 4, 'gone'),
+    ];
+    const plan = planRelayTopology(nodes, OPTS);
+    expect(['a', 'b', 'c']).toContain(plan.get('d'));
+  });
+
+  it('promotes a much faster relayed peer over a slow direct one', () => {
+    const nodes = [
+      node('a', 10, 1, null), node('b', 20, 2, null), node('slow', 300, 3, null),
+      node('fast', 15, 4, 'a'),
+    ];
+    const plan = planRelayTopology(nodes, OPTS);
+    expect(plan.get('fast')).toBeNull();
+    expect(plan.get('slow')).not.toBeNull();
+  });
+
+  it('does not hand a kept direct slot to a faster newcomer short of the swap margin', () => {
+    const nodes = [
+      node('a', 10, 1, null), node('b', 20, 2, null), node('c', 30, 3, null),
+      node('d', 40, 4, 'a'), node('new', 5, 5),
+    ];
+    const plan = planRelayTopology(nodes, OPTS);
+    expect(['a', 'b', 'c'].map(id => plan.get(id))).toEqual([null, null, null]);
+    expect(plan.get('d')).toBe('a');
+    expect(plan.get('new')).toBe('b');
+  });
+
+  it('lets a newcomer replace a slow direct peer through the swap', () => {
+    const nodes = [node('a', 10, 1, null), node('b', 20, 2, null), node('slow', 300, 3, null), node('new', 15, 4)];
+    const plan = planRelayTopology(nodes, OPTS);
+    expect(plan.get('new')).toBeNull();
+    expect(plan.get('slow')).not.toBeNull();
+  });
+
+  it('never produces a cycle', () => {
+    const nodes = [
+      node('a', 10, 1), node('b', 20, 2), node('c', 30, 3),
+      node('d', 40, 4, 'e'), node('e', 50, 5, 'd'),
+    ];
+    const plan = planRelayTopology(nodes, OPTS);
+    for (const id of plan.keys()) {
+      const seen = new Set<string>();
+      let cur: string | null | undefined = id;
+      while (cur) {
+        expect(seen.has(cur)).toBe(false);
+        seen.add(cur);
+        cur = plan.get(cur);
+      }
+    }
+  });
+});
+
+// ─── rebalanceRelayTopology ──────────────────────────────────────────
+
+describe('rebalanceRelayTopology', () => {
+  function addPeer(id: string, joinOrder: number, extra: Record<string, unknown> = {}) {
+    const conn = { peer: id, open: true, send: vi.fn() };
+    const peers = getState('network.connectedPeers');
+    setState('network.connectedPeers', [...peers, {
+      id, slot: joinOrder, label: `Peer ${joinOrder}`, conn, isOp: false,
+      preloadedIndexes: new Set<number>(), status: 'connected', isDataTarget: true,
+      dataSourceId: null, joinOrder, connectionType: 'local', lastHeartbeat: Date.now(),
+      rttMs: 10 * joinOrder, protocolVersion: 2, caps: ['relay'], ...extra,
+    } as any]);
+    return conn;
+  }
+
+  it('assigns a relay to the fourth local guest', () => {
+    addPeer('a', 1); addPeer('b', 2); addPeer('c', 3);
+    const d = addPeer('d', 4);
+    rebalanceRelayTopology();
+
+    expect(d.send).toHaveBeenCalledWith({ type: 'assign-data-source', targetId: 'a' });
+    const peerD = getState('network.connectedPeers').find(p => p.id === 'd')!;
+    expect(peerD.isDataTarget).toBe(false);
+    expect(peerD.dataSourceId).toBe('a');
+  });
+
+  it('keeps placed direct guests when a faster one joins', () => {
+    addPeer('a', 1); addPeer('b', 2); addPeer('c', 3);
+    rebalanceRelayTopology();
+    const late = addPeer('late', 4, { rttMs: 5 });
+    rebalanceRelayTopology();
+
+    expect(late.send).toHaveBeenCalledWith({ type: 'assign-data-source', targetId: 'a' });
+    const direct = getState('network.connectedPeers').filter(p => p.dataSourceId === null).map(p => p.id);
+    expect(direct).toEqual(['a', 'b', 'c']);
+  });
+
+  it('does not message peers whose source is unchanged', () => {
+    const a = addPeer('a', 1);
+    rebalanceRelayTopology();
+    expect(a.send).not.toHaveBeenCalled();
+  });
+
+  it('ignores remote guests', () => {
+    addPeer('a', 1); addPeer('b', 2); addPeer('c', 3);
+    const r = addPeer('r', 4, { connectionType: 'remote' });
+    rebalanceRelayTopology();
+    expect(r.send).not.toHaveBeenCalled();
+  });
+
+  it('keeps peers without the relay capability direct', () => {
+    addPeer('a', 1); addPeer('b', 2); addPeer('c', 3);
+    const legacy = addPeer('l', 4, { caps: ['preload'] });
+    rebalanceRelayTopology();
+    expect(legacy.send).not.toHaveBeenCalled();
+    expect(getState('network.connectedPeers').find(p => p.id === 'l')!.isDataTarget).toBe(true);
+  });
+
+  it('is a no-op on guests', () => {
+    setState('network.hostConn', { open: true } as any);
+    addPeer('a', 1); addPeer('b', 2); addPeer('c', 3);
+    const d = addPeer('d', 4);
+    rebalanceRelayTopology();
+    expect(d.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import {
+  PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, LEGACY_PROTOCOL_VERSION,
+  LOCAL_CAPABILITIES, LEGACY_CAPABILITIES,
+} from '../../core/constants.ts';
+import {
+  getHandshakeMetadata, readProtocolVersion, checkProtocolCompat,
+  negotiateCapabilities, peerHasCapability, sessionHasCapability,
+} from '../version.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+});
+
+describe('getHandshakeMetadata', () => {
+  it('advertises local version and capabilities', () => {
+    const meta = getHandshakeMetadata();
+    expect(meta.protocolVersion).toBe(PROTOCOL_VERSION);
+    expect(meta.minProtocolVersion).toBe(MIN_PROTOCOL_VERSION);
+    expect(meta.caps).toEqual(LOCAL_CAPABILITIES);
+  });
+});
+
+describe('readProtocolVersion', () => {
+  it('falls back to legacy for missing or invalid values', () => {
+    expect(readProtocolVersion(undefined)).toBe(LEGACY_PROTOCOL_VERSION);
+    expect(readProtocolVersion('abc')).toBe(LEGACY_PROTOCOL_VERSION);
+    expect(readProtocolVersion(0)).toBe(LEGACY_PROTOCOL_VERSION);
+    expect(readProtocolVersion(1.5)).toBe(LEGACY_PROTOCOL_VERSION);
+  });
+
+  it('accepts positive integers', () => {
+    expect(readProtocolVersion(3)).toBe(3);
+  });
+});
+
+describe('checkProtocolCompat', () => {
+  it('accepts the current version', () => {
+    expect(checkProtocolCompat(PROTOCOL_VERSION, MIN_PROTOCOL_VERSION)).toBe('ok');
+  });
+
+  it('flags peers older than our minimum', () => {
+    expect(checkProtocolCompat(MIN_PROTOCOL_VERSION - 1, 1)).toBe('peer-outdated');
+  });
+
+  it('flags ourselves when the peer requires a newer version', () => {
+    expect(checkProtocolCompat(PROTOCOL_VERSION + 1, PROTOCOL_VERSION + 1)).toBe('self-outdated');
+  });
+});
+
+describe('negotiateCapabilities', () => {
+  it('intersects with the remote set', () => {
+    expect(negotiateCapabilities(['preload', 'unknown-future-cap'])).toEqual(['preload']);
+  });
+
+  it('assumes the legacy set when caps are missing', () => {
+    expect(negotiateCapabilities(undefined)).toEqual(
+      LOCAL_CAPABILITIES.filter(c => LEGACY_CAPABILITIES.includes(c)),
+    );
+    expect(negotiateCapabilities(undefined)).not.toContain('relay');
+  });
+});
+
+describe('capability lookups', () => {
+  it('peerHasCapability reads the host-side peer record', () => {
+    setState('network.connectedPeers', [{ id: 'p1', caps: ['relay'] } as any]);
+    expect(peerHasCapability('p1', 'relay')).toBe(true);
+    expect(peerHasCapability('p1', 'preload')).toBe(false);
+    expect(peerHasCapability('missing', 'relay')).toBe(false);
+  });
+
+  it('sessionHasCapability reads the negotiated guest set', () => {
+    expect(sessionHasCapability('preload')).toBe(false);
+    setState('network.sessionCaps', ['preload']);
+    expect(sessionHasCapability('preload')).toBe(true);
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * MUSIXQUARE 2.0 — Acoustic Latency Calibration
+ *
+ * Manages: the host's mic calibration run and the guest side of it. The
+ * host records one continuous take while it and then each guest in turn
+ * play the test chirp at slots on the host clock (guests schedule theirs
+ * through the clock-sync estimate). Each device's arrival is found by
+ * cross-correlation; its lag past the host's own arrival is how much later
+ * that speaker sounds, and is pushed to the guest as sync.localOffset.
+ *
+ * The host's own chirp is the reference, so its output and mic latency,
+ * and any fixed error in mapping the recording onto the clock, cancel out.
+ */
+
+import { log } from '../core/log.ts';
+import { t } from '../i18n/index.ts';
+import { bus } from '../core/events.ts';
+import { getState, setState } from '../core/state.ts';
+import { MSG, CAP } from '../core/constants.ts';
+import { generateChirp, detectArrival, CHIRP_DURATION } from '../audio/calibration.ts';
+import { registerHandlers } from './protocol.ts';
+import { safeSend } from './peer.ts';
+import { peerHasCapability } from './version.ts';
+import { localNow, toLocalTime, isClockSynced } from './clock.ts';
+import type { DataConnection } from '../types/index.ts';
+
+import * as _Tone from 'tone';
+const Tone = _Tone as any;
+
+/** Time for CALIBRATION_CHIRP to reach every guest before the first slot */
+const LEAD_MS = 1000;
+/** Gap between chirps: longest expected latency plus room decay */
+const SLOT_MS = 1200;
+/**
+ * Search window around each guest slot (s), relative to the host's own
+ * arrival: devices quicker than the host before, Bluetooth latency after
+ */
+const WINDOW_BEFORE = 0.2;
+const WINDOW_AFTER = 0.6;
+/** The host's arrival also carries its mic/output latency and recorder buffering */
+const REFERENCE_WINDOW_AFTER = 1.0;
+const RECORDER_BUFFER = 4096;
+
+let _running = false;
+
+// ─── Audio I/O ──────────────────────────────────────────────────────
+
+function rawContext(): AudioContext {
+  return Tone.context.rawContext as AudioContext;
+}
+
+/**
+ * Play `samples` straight to the output at context time `when`, bypassing
+ * the effect chain (a woofer role would low-pass the chirp away).
+ */
+function playChirp(ctx: AudioContext, samples: Float32Array, when: number): void {
+  const buffer = ctx.createBuffer(1, samples.length, ctx.sampleRate);
+  buffer.getChannelData(0).set(samples);
+  const src = ctx.createBufferSource();
+  src.buffer = buffer;
+  src.connect(ctx.destination);
+  src.onended = () => { try { src.disconnect(); } catch { /* noop */ } };
+  src.start(Math.max(ctx.currentTime, when));
+}
+
+interface MicRecorder {
+  /** Context time of recording[0] (up to a constant processing offset) */
+  startTime(): number;
+  stop(): Float32Array;
+}
+
+/**
+ * Record the mic into memory. Blocks are placed by their context time, so
+ * a dropped callback leaves silence instead of shifting later slots.
+ */
+function startRecording(ctx: AudioContext, stream: MediaStream): MicRecorder {
+  const source = ctx.createMediaStreamSource(stream);
+  const proc = ctx.createScriptProcessor(RECORDER_BUFFER, 1, 1);
+  const mute = ctx.createGain();
+  mute.gain.value = 0;
+
+  const blocks: Array<{ at: number; data: Float32Array }> = [];
+  proc.onaudioprocess = (e: AudioProcessingEvent) => {
+    blocks.push({ at: e.playbackTime, data: new Float32Array(e.inputBuffer.getChannelData(0)) });
+  };
+  source.connect(proc);
+  proc.connect(mute);
+  mute.connect(ctx.destination);
+
+  return {
+    startTime: () => (blocks.length ? blocks[0].at : ctx.currentTime),
+    stop: () => {
+      try { source.disconnect(); proc.disconnect(); mute.disconnect(); } catch { /* noop */ }
+      proc.onaudioprocess = null;
+      if (blocks.length === 0) return new Float32Array(0);
+
+      const first = blocks[0].at;
+      const last = blocks[blocks.length - 1];
+      const out = new Float32Array(Math.round((last.at - first) * ctx.sampleRate) + last.data.length);
+      for (const b of blocks) {
+        const at = Math.round((b.at - first) * ctx.sampleRate);
+        out.set(b.data.subarray(0, Math.max(0, out.length - at)), at);
+      }
+      return out;
+    },
+  };
+}
+
+// ─── Measurement ────────────────────────────────────────────────────
+
+/**
+ * Lag (s) of the chirp expected at `expectedIndex` in `recording`, or null
+ * when it was not heard.
+ */
+export function measureLag(
+  recording: Float32Array,
+  chirp: Float32Array,
+  expectedIndex: number,
+  sampleRate: number,
+  before: number = WINDOW_BEFORE,
+  after: number = WINDOW_AFTER,
+): number | null {
+  const from = Math.max(0, Math.round(expectedIndex - before * sampleRate));
+  const to = Math.min(recording.length, Math.round(expectedIndex + after * sampleRate) + chirp.length);
+  if (to - from < chirp.length) return null;
+
+  const arrival = detectArrival(recording.subarray(from, to), chirp, sampleRate);
+  return arrival ? (from + arrival.index - expectedIndex) / sampleRate : null;
+}
+
+// ─── Host: Calibration Run ──────────────────────────────────────────
+
+export function isCalibrating(): boolean {
+  return _running;
+}
+
+function wait(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Host: measure every calibration-capable guest's acoustic latency and
+ * send each its offset. Needs a user gesture (mic permission).
+ */
+export async function runCalibration(): Promise<void> {
+  if (getState('network.hostConn') || _running) return; // Only Host
+
+  const guests = getState('network.connectedPeers').filter(p =>
+    p.status === 'connected' && p.conn && peerHasCapability(p.id, CAP.CALIBRATION));
+  if (guests.length === 0) {
+    bus.emit('ui:show-toast', t('toast.calibration_no_guests'));
+    return;
+  }
+
+  let stream: MediaStream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+    });
+  } catch (e) {
+    log.warn('[Calibration] Mic unavailable:', e);
+    bus.emit('ui:show-toast', t('toast.calibration_mic_denied'));
+    return;
+  }
+
+  _running = true;
+  bus.emit('sync:calibration-state', true);
+  bus.emit('ui:show-toast', t('toast.calibration_running'));
+
+  try {
+    if (Tone.context.state !== 'running') await Tone.start();
+    const ctx = rawContext();
+    const sr = ctx.sampleRate;
+    const chirp = generateChirp(sr);
+    const recorder = startRecording(ctx, stream);
+
+    // Slot 0 is the host itself; host clock = local clock here
+    const t0 = localNow();
+    const t0Ctx = ctx.currentTime;
+    const slots = [0, ...guests.map((_, i) => i + 1)].map(i => t0 + LEAD_MS + i * SLOT_MS);
+    const slotCtxTime = (at: number) => t0Ctx + (at - t0) / 1000;
+
+    playChirp(ctx, chirp, slotCtxTime(slots[0]));
+    guests.forEach((p, i) => safeSend(p.conn, { type: MSG.CALIBRATION_CHIRP, at: slots[i + 1] }));
+
+    await wait(LEAD_MS + guests.length * SLOT_MS + (REFERENCE_WINDOW_AFTER + WINDOW_AFTER + CHIRP_DURATION) * 1000);
+    const startTime = recorder.startTime();
+    const recording = recorder.stop();
+    const slotIndex = (at: number) => (slotCtxTime(at) - startTime) * sr;
+
+    const reference = measureLag(recording, chirp, slotIndex(slots[0]), sr, 0, REFERENCE_WINDOW_AFTER);
+    if (reference === null) {
+      log.warn('[Calibration] Host chirp not heard');
+      bus.emit('ui:show-toast', t('toast.calibration_failed'));
+      return;
+    }
+
+    let calibrated = 0;
+    guests.forEach((p, i) => {
+      // Relative to the host's arrival: this is the extra latency itself
+      const lag = measureLag(recording, chirp, slotIndex(slots[i + 1]) + reference * sr, sr);
+      if (lag === null) {
+        log.warn(`[Calibration] ${p.label}: not heard`);
+        return;
+      }
+      const offsetMs = Math.round(lag * 1000);
+      log.info(`[Calibration] ${p.label}: ${offsetMs}ms`);
+      if (safeSend(p.conn, { type: MSG.CALIBRATION_RESULT, offsetMs })) calibrated++;
+    });
+
+    bus.emit('ui:show-toast', t('toast.calibration_done', { ok: calibrated, total: guests.length }));
+  } catch (e) {
+    log.error('[Calibration] Run failed:', e);
+    bus.emit('ui:show-toast', t('toast.calibration_failed'));
+  } finally {
+    stream.getTracks().forEach(track => track.stop());
+    _running = false;
+    bus.emit('sync:calibration-state', false);
+  }
+}
+
+// ─── Guest: Chirp & Result ──────────────────────────────────────────
+
+function handleCalibrationChirp(data: Record<string, unknown>, conn: DataConnection): void {
+  if (!conn || conn !== getState('network.hostConn')) return;
+  if (!isClockSynced()) {
+    log.warn('[Calibration] Host clock not synced yet, skipping chirp');
+    return;
+  }
+
+  const ctx = rawContext();
+  const when = ctx.currentTime + (toLocalTime(data.at as number) - localNow()) / 1000;
+  if (when < ctx.currentTime) {
+    log.warn('[Calibration] Chirp slot already passed');
+    return;
+  }
+  playChirp(ctx, generateChirp(ctx.sampleRate), when);
+}
+
+function handleCalibrationResult(data: Record<string, unknown>, conn: DataConnection): void {
+  if (!conn || conn !== getState('network.hostConn')) return;
+  const offsetMs = data.offsetMs as number;
+
+  setState('sync.localOffset', offsetMs / 1000);
+  bus.emit('sync:display-update');
+  bus.emit('sync:nudge-apply', offsetMs);
+  bus.emit('ui:show-toast', t('toast.calibration_applied', { ms: offsetMs }));
+  log.info(`[Calibration] Offset set to ${offsetMs}ms`);
+}
+
+// ─── Initialize Calibration ─────────────────────────────────────────
+
+export function initCalibration(): void {
+  registerHandlers({
+    [MSG.CALIBRATION_CHIRP]: handleCalibrationChirp,
+    [MSG.CALIBRATION_RESULT]: handleCalibrationResult,
+  });
+
+  bus.on('sync:calibrate', () => {
+    runCalibration().catch(e => log.error('[Calibration] Run failed:', e));
+  });
+
+  log.info('[Calibration] Handlers registered');
+}
@@ -0,0 +1,313 @@
+/**
+ * MUSIXQUARE 2.0 — Host Clock Synchronization
+ *
+ * Manages: a background model of the host's clock on every guest. The guest
+ * sends CLOCK_PING on the worker 'clock' timer; the host answers with its
+ * receive/send timestamps and a playback anchor (track position at send
+ * time). NTP-style samples go through an RTT filter (queueing delay skews
+ * the offset) and a least-squares fit of offset against local time, so the
+ * estimate carries both offset and skew between the two crystals.
+ *
+ * The same anchor tells how far this guest's playback has wandered from
+ * the host's; past DRIFT_THRESHOLD_MS (twice in a row) a correction is
+ * requested from playback.
+ *
+ * Timebase is performance.timeOrigin + performance.now(): monotonic, so
+ * wall-clock adjustments on either phone do not show up as drift.
+ */
+
+import { log } from '../core/log.ts';
+import { bus } from '../core/events.ts';
+import { getState } from '../core/state.ts';
+import { MSG, CAP, APP_STATE } from '../core/constants.ts';
+import { registerHandlers } from './protocol.ts';
+import { safeSend, sendToHost } from './peer.ts';
+import { sessionHasCapability } from './version.ts';
+import type { DataConnection, ClockEstimate } from '../types/index.ts';
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+/** One ping/pong exchange, in local time */
+export interface ClockSample {
+  /** Midpoint of send and receive (ms) */
+  at: number;
+  /** Host minus local clock (ms) */
+  offsetMs: number;
+  /** Round trip minus host processing time (ms) */
+  rttMs: number;
+}
+
+/** Host playback position as of host time `hostAt` */
+export interface PlaybackAnchor {
+  hostAt: number;
+  pos: number;
+  playing: boolean;
+  index: number;
+}
+
+export const CLOCK_TIMER = 'clock';
+
+/** ~1 minute of history at DELAY.CLOCK_SYNC */
+const WINDOW_SIZE = 32;
+/** Samples slower than the best round trip by more than this are queueing noise */
+const RTT_SLACK_MIN_MS = 5;
+const RTT_SLACK_RATIO = 0.5;
+/** Skew is only fitted over a long enough baseline */
+const MIN_FIT_SAMPLES = 4;
+const MIN_SKEW_SPAN_MS = 10000;
+/** Cheap crystals are within ~100 ppm; beyond this the fit is noise */
+const MAX_SKEW_PPM = 500;
+
+/** Playback error that triggers a correction, and the fit quality needed to trust it */
+const DRIFT_THRESHOLD_MS = 30;
+const DRIFT_CONFIRMATIONS = 2;
+const CORRECTION_COOLDOWN_MS = 15000;
+
+let _samples: ClockSample[] = [];
+let _estimate: ClockEstimate | null = null;
+let _anchor: PlaybackAnchor | null = null;
+let _overThreshold = 0;
+let _lastCorrectionAt = 0;
+let _lastDriftMs: number | null = null;
+
+// ─── Estimation ─────────────────────────────────────────────────────
+
+export function localNow(): number {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * NTP sample from guest send (t0), host receive (t1), host send (t2) and
+ * guest receive (t3). Null when the timestamps are inconsistent.
+ */
+export function clockSample(t0: number, t1: number, t2: number, t3: number): ClockSample | null {
+  const rttMs = (t3 - t0) - (t2 - t1);
+  if (!Number.isFinite(rttMs) || rttMs < 0 || t2 < t1) return null;
+  return {
+    at: (t0 + t3) / 2,
+    offsetMs: ((t1 - t0) + (t2 - t3)) / 2,
+    rttMs,
+  };
+}
+
+/**
+ * Keep the samples whose round trip is close to the best one.
+ */
+export function filterSamples(samples: ClockSample[]): ClockSample[] {
+  if (samples.length === 0) return [];
+  const minRtt = Math.min(...samples.map(s => s.rttMs));
+  const limit = minRtt + Math.max(RTT_SLACK_MIN_MS, minRtt * RTT_SLACK_RATIO);
+  return samples.filter(s => s.rttMs <= limit);
+}
+
+/**
+ * Fit offset(t) = offsetMs + skew * (t - refAt) over the filtered samples,
+ * anchored at the newest one. Skew stays 0 until the samples span
+ * MIN_SKEW_SPAN_MS, and a fit beyond MAX_SKEW_PPM falls back to it.
+ */
+export function fitClock(samples: ClockSample[]): ClockEstimate | null {
+  const kept = filterSamples(samples);
+  const n = kept.length;
+  if (n === 0) return null;
+
+  const rttMs = Math.min(...kept.map(s => s.rttMs));
+  const refAt = Math.max(...kept.map(s => s.at));
+  const span = refAt - Math.min(...kept.map(s => s.at));
+  const meanX = kept.reduce((sum, s) => sum + (s.at - refAt), 0) / n;
+  const meanY = kept.reduce((sum, s) => sum + s.offsetMs, 0) / n;
+
+  let slope = 0;
+  if (n >= MIN_FIT_SAMPLES && span >= MIN_SKEW_SPAN_MS) {
+    let sxx = 0;
+    let sxy = 0;
+    for (const s of kept) {
+      const dx = s.at - refAt - meanX;
+      sxx += dx * dx;
+      sxy += dx * (s.offsetMs - meanY);
+    }
+    slope = sxx > 0 ? sxy / sxx : 0;
+    if (Math.abs(slope * 1e6) > MAX_SKEW_PPM) slope = 0;
+  }
+
+  const offsetMs = meanY - slope * meanX;
+  const dof = n - (slope !== 0 ? 2 : 1);
+  let errorMs = rttMs / 2;
+  if (dof > 0) {
+    const rss = kept.reduce((sum, s) => {
+      const r = s.offsetMs - (offsetMs + slope * (s.at - refAt));
+      return sum + r * r;
+    }, 0);
+    errorMs = Math.sqrt(rss / dof);
+  }
+
+  return { offsetMs, skewPpm: slope * 1e6, refAt, errorMs, rttMs, samples: n };
+}
+
+/**
+ * Add a sample to the rolling window and refit.
+ */
+export function addClockSample(sample: ClockSample): ClockEstimate | null {
+  _samples.push(sample);
+  if (_samples.length > WINDOW_SIZE) _samples.shift();
+  _estimate = fitClock(_samples);
+  if (_estimate) bus.emit('sync:clock-update', _estimate);
+  return _estimate;
+}
+
+export function resetClock(): void {
+  _samples = [];
+  _estimate = null;
+  _anchor = null;
+  _overThreshold = 0;
+  _lastCorrectionAt = 0;
+  _lastDriftMs = null;
+}
+
+// ─── Host Clock API ─────────────────────────────────────────────────
+
+export function getClockEstimate(): ClockEstimate | null {
+  return _estimate;
+}
+
+/**
+ * Whether this device can use hostNow(): the host itself, or a guest with
+ * enough samples for a fitted estimate.
+ */
+export function isClockSynced(): boolean {
+  if (!getState('network.hostConn')) return true;
+  return !!_estimate && _estimate.samples >= MIN_FIT_SAMPLES;
+}
+
+/**
+ * Local time (localNow() timebase) as read on the host's clock. Identity on
+ * the host and before the first sample.
+ */
+export function toHostTime(localMs: number): number {
+  if (!_estimate || !getState('network.hostConn')) return localMs;
+  const { offsetMs, skewPpm, refAt } = _estimate;
+  return localMs + offsetMs + skewPpm * 1e-6 * (localMs - refAt);
+}
+
+/**
+ * Inverse of toHostTime(): when a host-clock instant happens locally.
+ */
+export function toLocalTime(hostMs: number): number {
+  if (!_estimate || !getState('network.hostConn')) return hostMs;
+  const { offsetMs, skewPpm, refAt } = _estimate;
+  const skew = skewPpm * 1e-6;
+  return (hostMs - offsetMs + skew * refAt) / (1 + skew);
+}
+
+export function hostNow(): number {
+  return toHostTime(localNow());
+}
+
+// ─── Playback Drift ─────────────────────────────────────────────────
+
+/**
+ * Guest playback error against the host (ms, positive = guest ahead).
+ * `localPos` is this device's track position with the manual nudge removed.
+ */
+export function measureDrift(anchor: PlaybackAnchor, hostNowMs: number, localPos: number): number {
+  const expected = anchor.pos + (anchor.playing ? (hostNowMs - anchor.hostAt) / 1000 : 0);
+  return (localPos - expected) * 1000;
+}
+
+/** Last measured playback error (ms), null when not playing in step with the host */
+export function getLastDriftMs(): number | null {
+  return _lastDriftMs;
+}
+
+function readTrackPosition(): number {
+  let pos = 0;
+  bus.emit('sync:get-position', (p: number) => { pos = p; });
+  return pos;
+}
+
+function checkDrift(): void {
+  _lastDriftMs = null;
+  const anchor = _anchor;
+  const est = _estimate;
+  const state = getState('appState');
+  if (!anchor?.playing || !est) return;
+  if (state !== APP_STATE.PLAYING_AUDIO && state !== APP_STATE.PLAYING_VIDEO) return;
+  if (anchor.index !== getState('playlist.currentTrackIndex')) return;
+  if (est.samples < MIN_FIT_SAMPLES || est.errorMs > DRIFT_THRESHOLD_MS / 2) return;
+
+  const localOffset = getState('sync.localOffset') || 0;
+  const now = hostNow();
+  const drift = measureDrift(anchor, now, readTrackPosition() - localOffset);
+  _lastDriftMs = drift;
+
+  if (Math.abs(drift) <= DRIFT_THRESHOLD_MS) {
+    _overThreshold = 0;
+    return;
+  }
+  if (++_overThreshold < DRIFT_CONFIRMATIONS) return;
+  if (now - _lastCorrectionAt < CORRECTION_COOLDOWN_MS) return;
+
+  _overThreshold = 0;
+  _lastCorrectionAt = now;
+  const hostTime = anchor.pos + (now - anchor.hostAt) / 1000;
+  log.info(`[Clock] Drift ${drift.toFixed(1)}ms (skew ${est.skewPpm.toFixed(1)}ppm) — correcting to ${hostTime.toFixed(3)}s`);
+  bus.emit('sync:clock-correction', hostTime, drift);
+}
+
+// ─── Protocol Handlers ──────────────────────────────────────────────
+
+function sendClockPing(): void {
+  if (!sessionHasCapability(CAP.CLOCK_SYNC)) return;
+  sendToHost({ type: MSG.CLOCK_PING, t0: localNow() });
+}
+
+function handleClockPing(data: Record<string, unknown>, conn: DataConnection): void {
+  if (getState('network.hostConn')) return; // Only Host
+  const t1 = localNow();
+  const state = getState('appState');
+  safeSend(conn, {
+    type: MSG.CLOCK_PONG,
+    t0: data.t0 as number,
+    t1,
+    pos: Math.max(0, readTrackPosition()),
+    playing: state === APP_STATE.PLAYING_AUDIO || state === APP_STATE.PLAYING_VIDEO,
+    index: getState('playlist.currentTrackIndex'),
+    t2: localNow(),
+  });
+}
+
+function handleClockPong(data: Record<string, unknown>, conn: DataConnection): void {
+  if (!conn || conn !== getState('network.hostConn')) return;
+  const sample = clockSample(data.t0 as number, data.t1 as number, data.t2 as number, localNow());
+  if (!sample) return;
+
+  addClockSample(sample);
+  _anchor = {
+    hostAt: data.t2 as number,
+    pos: data.pos as number,
+    playing: data.playing === true,
+    index: data.index as number,
+  };
+  checkDrift();
+}
+
+// ─── Initialize Clock ───────────────────────────────────────────────
+
+export function initClock(): void {
+  registerHandlers({
+    [MSG.CLOCK_PING]: handleClockPing,
+    [MSG.CLOCK_PONG]: handleClockPong,
+  });
+
+  bus.on('worker:timer-tick', (id) => {
+    if (id === CLOCK_TIMER) sendClockPing();
+  });
+
+  // A new host (join, migration) is a different clock
+  bus.on('network:peer-connected', () => {
+    if (getState('network.hostConn')) resetClock();
+  });
+  bus.on('network:host-lost', resetClock);
+  bus.on('network:before-leave', resetClock);
+
+  log.info('[Clock] Handlers registered');
+}
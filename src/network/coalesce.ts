@@ -0,0 +1,149 @@
+/**
+ * MUSIXQUARE 2.0 — Control Message Coalescing
+ *
+ * Manages: a send-side queue for high-frequency control messages (slider
+ * drags: eq-update, preamp, reverb-*, stereo-width, vbass and the matching
+ * OP request-setting). Each (route, peer, type, settingType, band) key keeps only
+ * its latest message and the queue is flushed every flush interval, so a
+ * drag costs a handful of messages instead of one per input event.
+ *
+ * Ordering: broadcast() and sendToHost() flush the queue before sending, so a
+ * queued value never lands after a later message. Bulk transfer loops flush
+ * before every chunk, so control values enter the DataChannel ahead of the
+ * next chunk instead of queueing behind more file data. The last value of a
+ * drag is sent with `immediate`, so guests converge on it exactly.
+ */
+
+import { log } from '../core/log.ts';
+import { getState } from '../core/state.ts';
+import { DELAY } from '../core/constants.ts';
+import { setManagedTimer, clearManagedTimer, getManagedTimer } from '../core/timers.ts';
+import { recordOutbound } from './recorder.ts';
+import type { AnyProtocolMsg, DataConnection } from '../types/index.ts';
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+type Route = 'broadcast' | 'host' | 'peer';
+
+interface PendingControl {
+  route: Route;
+  msg: AnyProtocolMsg;
+  /** 'peer' route: the one guest to send to */
+  peerId?: string;
+}
+
+const FLUSH_TIMER = 'controlFlush';
+
+/** Insertion-ordered: first-queued keys go out first */
+const _pending = new Map<string, PendingControl>();
+
+let _flushInterval: number = DELAY.CONTROL_FLUSH;
+
+// ─── Configuration ──────────────────────────────────────────────────
+
+export function getControlFlushInterval(): number {
+  return _flushInterval;
+}
+
+/**
+ * Change how long queued control messages may wait (ms, 0 = send at once).
+ */
+export function setControlFlushInterval(ms: number): void {
+  _flushInterval = Math.max(0, Number.isFinite(ms) ? ms : DELAY.CONTROL_FLUSH);
+}
+
+// ─── Queue ──────────────────────────────────────────────────────────
+
+/**
+ * Latest-value-wins key: one slot per setting, per fixed EQ band (a
+ * band-list eq-update carries every band and has one slot).
+ */
+export function controlKey(route: Route, msg: AnyProtocolMsg, peerId?: string): string {
+  const m = msg as Record<string, unknown>;
+  const parts: unknown[] = [route];
+  if (peerId !== undefined) parts.push(peerId);
+  parts.push(m.type);
+  if (m.settingType !== undefined) parts.push(m.settingType);
+  if (m.band !== undefined) parts.push(m.band);
+  return parts.join(':');
+}
+
+function enqueue(route: Route, msg: AnyProtocolMsg, immediate: boolean, peerId?: string): void {
+  _pending.set(controlKey(route, msg, peerId), { route, msg, peerId });
+
+  if (immediate || _flushInterval === 0) {
+    flushControl();
+  } else if (!getManagedTimer(FLUSH_TIMER)) {
+    // Not re-armed per message: a continuous drag still flushes every interval
+    setManagedTimer(FLUSH_TIMER, flushControl, _flushInterval);
+  }
+}
+
+/**
+ * Host: queue a control message for every connected peer.
+ */
+export function queueBroadcast(msg: AnyProtocolMsg, immediate = false): void {
+  enqueue('broadcast', msg, immediate);
+}
+
+/**
+ * Host: queue a control message for one peer (a per-peer wire format).
+ */
+export function queueToPeer(peerId: string, msg: AnyProtocolMsg, immediate = false): void {
+  enqueue('peer', msg, immediate, peerId);
+}
+
+/**
+ * Guest: queue a control message (e.g. OP request-setting) for the host.
+ */
+export function queueToHost(msg: AnyProtocolMsg, immediate = false): void {
+  enqueue('host', msg, immediate);
+}
+
+export function hasPendingControl(): boolean {
+  return _pending.size > 0;
+}
+
+/**
+ * Drop queued messages without sending them (session left).
+ */
+export function clearControlQueue(): void {
+  _pending.clear();
+  clearManagedTimer(FLUSH_TIMER);
+}
+
+// ─── Flush ──────────────────────────────────────────────────────────
+
+function sendNow(conn: DataConnection | null | undefined, msg: AnyProtocolMsg): void {
+  if (!conn || !conn.open) return;
+  recordOutbound(msg, conn.peer);
+  try {
+    conn.send(msg);
+  } catch (e) {
+    log.warn(`[Coalesce] Send failed for ${conn.peer}:`, e);
+  }
+}
+
+/**
+ * Send everything queued now. Called by the flush timer, by broadcast() and
+ * sendToHost() before their own message, and by bulk senders before a chunk.
+ */
+export function flushControl(): void {
+  clearManagedTimer(FLUSH_TIMER);
+  if (_pending.size === 0) return;
+
+  const entries = [..._pending.values()];
+  _pending.clear();
+
+  const peers = getState('network.connectedPeers').filter(p => p.status === 'connected' && p.conn);
+  const hostConn = getState('network.hostConn');
+  for (const { route, msg, peerId } of entries) {
+    if (route === 'host') {
+      sendNow(hostConn, msg);
+    } else if (route === 'peer') {
+      sendNow(peers.find(p => p.id === peerId)?.conn as DataConnection | undefined, msg);
+    } else {
+      peers.forEach(p => sendNow(p.conn as DataConnection, msg));
+    }
+  }
+}
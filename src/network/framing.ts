@@ -0,0 +1,170 @@
+/**
+ * MUSIXQUARE 2.0 — Binary Chunk Framing
+ *
+ * Manages: the compact wire format for file-chunk / preload-chunk. Peers that
+ * negotiated CAP.BINARY_CHUNKS get one binary frame per chunk (fixed header +
+ * raw payload) instead of a BinaryPack object repeating name/total/keys on
+ * every CHUNK_SIZE chunk; everyone else keeps receiving the object form.
+ * handleData decodes frames back into the same message objects, so schema
+ * validation and the chunk handlers see no difference.
+ *
+ * Frame layout (big-endian, FRAME_HEADER_BYTES):
+ *   0   u8[2]  magic 'M' 'X'
+ *   2   u8     FRAME_VERSION
+ *   3   u8     kind (FRAME_KIND)
+ *   4   u8     flags (FRAME_FLAG)
+ *   5   u8[3]  reserved (0)
+ *   8   f64    transfer session id
+ *   16  u32    chunk index
+ *   20  u32    total chunks (0 = not sent)
+ *   24  ...    payload
+ */
+
+import { MSG, CAP } from '../core/constants.ts';
+import { negotiateCapabilities } from './version.ts';
+import { recordOutbound } from './recorder.ts';
+import type { DataConnection, ProtocolMap } from '../types/index.ts';
+
+// ─── Format ─────────────────────────────────────────────────────────
+
+export const FRAME_HEADER_BYTES = 24;
+export const FRAME_VERSION = 1;
+
+const MAGIC_0 = 0x4d; // 'M'
+const MAGIC_1 = 0x58; // 'X'
+
+export const FRAME_KIND = {
+  FILE_CHUNK: 1,
+  PRELOAD_CHUNK: 2,
+} as const;
+
+export const FRAME_FLAG = {
+  /** Final chunk of the transfer */
+  LAST: 0x01,
+} as const;
+
+export type ChunkMsgType = typeof MSG.FILE_CHUNK | typeof MSG.PRELOAD_CHUNK;
+
+/** What a frame carries: the chunk message minus the per-file metadata */
+export interface ChunkFrameMsg {
+  type: ChunkMsgType;
+  chunk: Uint8Array;
+  index: number;
+  sessionId: number;
+  total?: number;
+}
+
+// ─── Encode / Decode ────────────────────────────────────────────────
+
+/**
+ * Encode a chunk message as a frame. `total` is kept for file chunks
+ * (progress / meta recovery), dropped for preload chunks.
+ */
+export function encodeChunkFrame(msg: ChunkFrameMsg): Uint8Array {
+  const payload = msg.chunk;
+  const frame = new Uint8Array(FRAME_HEADER_BYTES + payload.byteLength);
+  const view = new DataView(frame.buffer);
+  const isFile = msg.type === MSG.FILE_CHUNK;
+  const total = isFile ? Math.max(0, Number(msg.total) || 0) : 0;
+
+  frame[0] = MAGIC_0;
+  frame[1] = MAGIC_1;
+  frame[2] = FRAME_VERSION;
+  frame[3] = isFile ? FRAME_KIND.FILE_CHUNK : FRAME_KIND.PRELOAD_CHUNK;
+  frame[4] = total > 0 && msg.index === total - 1 ? FRAME_FLAG.LAST : 0;
+  view.setFloat64(8, msg.sessionId);
+  view.setUint32(16, msg.index);
+  view.setUint32(20, total);
+  frame.set(payload, FRAME_HEADER_BYTES);
+  return frame;
+}
+
+function asBytes(data: unknown): Uint8Array | null {
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  // instanceof fails across realms (workers, structuredClone in tests)
+  if (Object.prototype.toString.call(data) === '[object ArrayBuffer]') return new Uint8Array(data as ArrayBuffer);
+  return null;
+}
+
+/**
+ * Cheap check for handleData: binary data starting with the frame magic.
+ */
+export function isChunkFrame(data: unknown): boolean {
+  if (!data || typeof data !== 'object') return false;
+  const bytes = asBytes(data);
+  return !!bytes && bytes.byteLength >= FRAME_HEADER_BYTES && bytes[0] === MAGIC_0 && bytes[1] === MAGIC_1;
+}
+
+/**
+ * Decode a frame into its chunk message (payload is a view, not a copy).
+ * Null for malformed frames or versions/kinds this build does not know.
+ */
+export function decodeChunkFrame(data: unknown): ChunkFrameMsg | null {
+  if (!isChunkFrame(data)) return null;
+  const bytes = asBytes(data)!;
+  if (bytes[2] !== FRAME_VERSION) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const sessionId = view.getFloat64(8);
+  const index = view.getUint32(16);
+  const total = view.getUint32(20);
+  const chunk = bytes.subarray(FRAME_HEADER_BYTES);
+
+  switch (bytes[3]) {
+    case FRAME_KIND.FILE_CHUNK: {
+      const msg: ChunkFrameMsg = { type: MSG.FILE_CHUNK, chunk, index, sessionId };
+      if (total > 0) msg.total = total;
+      return msg;
+    }
+    case FRAME_KIND.PRELOAD_CHUNK:
+      return { type: MSG.PRELOAD_CHUNK, chunk, index, sessionId };
+    default:
+      return null;
+  }
+}
+
+// ─── Sending ────────────────────────────────────────────────────────
+
+/**
+ * Did the peer on the other end of `conn` advertise frame support? Guests
+ * advertise in their handshake metadata, downstream relay peers in the relay
+ * connection's metadata.
+ */
+export function supportsChunkFrames(conn: DataConnection | null | undefined): boolean {
+  const caps = conn?.metadata?.caps;
+  return Array.isArray(caps) && negotiateCapabilities(caps).includes(CAP.BINARY_CHUNKS);
+}
+
+/**
+ * Prepare one chunk for several connections: the frame is encoded once, on
+ * first use, and only peers without frame support get the object form.
+ */
+export function prepareChunk<T extends ChunkMsgType>(
+  msg: { type: T } & ProtocolMap[T],
+): (conn: DataConnection) => unknown {
+  let frame: Uint8Array | null = null;
+  return (conn) => {
+    if (!supportsChunkFrames(conn)) return msg;
+    frame ??= encodeChunkFrame(msg as ChunkFrameMsg);
+    return frame;
+  };
+}
+
+/**
+ * Send one chunk to one connection in the form it understands. Pass the
+ * prepareChunk() result when the same chunk goes to several connections.
+ */
+export function sendChunk<T extends ChunkMsgType>(
+  conn: DataConnection | null | undefined,
+  msg: { type: T } & ProtocolMap[T],
+  payloadFor: (conn: DataConnection) => unknown = prepareChunk(msg),
+): boolean {
+  if (!conn || !conn.open) return false;
+  recordOutbound(msg, conn.peer);
+  try {
+    conn.send(payloadFor(conn));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * MUSIXQUARE 2.0 — Peer Connection Health (Host)
+ *
+ * Manages: periodic RTCPeerConnection.getStats() sampling of every guest's
+ * DataChannel (RTT, bytes sent/received, bufferedAmount, selected candidate
+ * pair type), merged with heartbeat age and pong-latency RTT into a 0–100
+ * health score per device. Scores ride along in the device list so every
+ * device can see which phone is about to drop.
+ *
+ * Transports without an RTCPeerConnection (loopback) score on heartbeat and
+ * pong timing alone.
+ */
+
+import { log } from '../core/log.ts';
+import { bus } from '../core/events.ts';
+import { getState, setState } from '../core/state.ts';
+import { DELAY } from '../core/constants.ts';
+import { setManagedTimer, clearManagedTimer } from '../core/timers.ts';
+import type { DataConnection, PeerHealth, HealthLevel } from '../types/index.ts';
+import { broadcastDeviceList } from './peer.ts';
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+/** One getStats() reading of a guest's connection */
+export interface LinkStats {
+  /** Selected candidate pair RTT in ms, -1 when not reported */
+  rttMs: number;
+  bytesSent: number;
+  bytesReceived: number;
+  /** 'host' | 'srflx' | 'prflx' | 'relay', null when unknown */
+  candidateType: string | null;
+  /** performance.now() at sampling, for throughput deltas */
+  at: number;
+}
+
+export interface HealthInput {
+  /** Worst of stats RTT and pong RTT (ms, -1 = unknown) */
+  rttMs: number;
+  /** ms since the guest's last heartbeat */
+  heartbeatAgeMs: number;
+  bufferedAmount: number;
+  candidateType: string | null;
+}
+
+const HEALTH_TIMER = 'peerHealth';
+
+/** RTT at or below this costs nothing; every 5 ms above costs a point (max 40) */
+const RTT_GOOD_MS = 50;
+const RTT_MAX_PENALTY = 40;
+/** Guests heartbeat every second; silence past the grace costs a point per 100 ms (max 50) */
+const HEARTBEAT_GRACE_MS = 2000;
+const HEARTBEAT_MAX_PENALTY = 50;
+/** DataChannel backlog above the transfer low-water mark, scaled to 1 MB (max 20) */
+const BUFFER_GOOD_BYTES = 64 * 1024;
+const BUFFER_BAD_BYTES = 1024 * 1024;
+const BUFFER_MAX_PENALTY = 20;
+/** TURN relay adds a hop and is the first path to go on flaky mobile data */
+const RELAY_PENALTY = 10;
+
+const GOOD_SCORE = 70;
+const FAIR_SCORE = 40;
+
+/** Previous sample per guest, for throughput */
+const _lastStats = new Map<string, LinkStats>();
+
+// ─── Scoring ────────────────────────────────────────────────────────
+
+function clamp(v: number, lo: number, hi: number): number {
+  return Math.min(hi, Math.max(lo, v));
+}
+
+/**
+ * Health score 0–100 (higher is better). Pure, for the UI and tests.
+ */
+export function scoreHealth(h: HealthInput): number {
+  let score = 100;
+  if (h.rttMs >= 0) score -= clamp((h.rttMs - RTT_GOOD_MS) / 5, 0, RTT_MAX_PENALTY);
+  score -= clamp((h.heartbeatAgeMs - HEARTBEAT_GRACE_MS) / 100, 0, HEARTBEAT_MAX_PENALTY);
+  score -= clamp(
+    (h.bufferedAmount - BUFFER_GOOD_BYTES) / (BUFFER_BAD_BYTES - BUFFER_GOOD_BYTES) * BUFFER_MAX_PENALTY,
+    0, BUFFER_MAX_PENALTY,
+  );
+  if (h.candidateType === 'relay') score -= RELAY_PENALTY;
+  return Math.round(clamp(score, 0, 100));
+}
+
+export function healthLevel(score: number): HealthLevel {
+  if (score >= GOOD_SCORE) return 'good';
+  if (score >= FAIR_SCORE) return 'fair';
+  return 'poor';
+}
+
+function kbps(bytes: number, ms: number): number {
+  return ms > 0 && bytes >= 0 ? Math.round(bytes * 8 / ms) : 0;
+}
+
+/**
+ * Merge a stats sample (and the previous one, for throughput) with the
+ * guest's pong RTT and heartbeat age.
+ */
+export function summarizeHealth(
+  stats: LinkStats | null,
+  prev: LinkStats | null,
+  pongRttMs: number,
+  heartbeatAgeMs: number,
+  bufferedAmount: number,
+): PeerHealth {
+  // Pong RTT includes the guest's main-thread stalls; stats RTT is the wire alone
+  const rttMs = Math.max(stats?.rttMs ?? -1, pongRttMs);
+  const candidateType = stats?.candidateType ?? null;
+  const elapsed = stats && prev ? stats.at - prev.at : 0;
+  const score = scoreHealth({ rttMs, heartbeatAgeMs, bufferedAmount, candidateType });
+
+  return {
+    score,
+    level: healthLevel(score),
+    rttMs: Math.round(rttMs),
+    bufferedAmount,
+    candidateType,
+    sendKbps: stats && prev ? kbps(stats.bytesSent - prev.bytesSent, elapsed) : 0,
+    recvKbps: stats && prev ? kbps(stats.bytesReceived - prev.bytesReceived, elapsed) : 0,
+    heartbeatAgeMs: Math.max(0, Math.round(heartbeatAgeMs)),
+  };
+}
+
+// ─── Stats Collection ───────────────────────────────────────────────
+
+/**
+ * Read the selected candidate pair of `conn`'s RTCPeerConnection.
+ * Null when the transport has none or stats are unavailable.
+ */
+export async function readLinkStats(conn: DataConnection): Promise<LinkStats | null> {
+  const pc = conn.peerConnection;
+  if (!pc || typeof pc.getStats !== 'function') return null;
+
+  try {
+    const stats = await pc.getStats();
+    let pair: Record<string, any> | undefined;
+
+    stats.forEach((report) => {
+      if (report.type === 'transport' && report.selectedCandidatePairId) {
+        pair = stats.get(report.selectedCandidatePairId) ?? pair;
+      }
+    });
+    if (!pair) {
+      stats.forEach((report) => {
+        if (report.type !== 'candidate-pair' || report.state !== 'succeeded') return;
+        if (!pair || report.nominated) pair = report;
+      });
+    }
+    if (!pair) return null;
+
+    const local = stats.get(pair.localCandidateId);
+    const remote = stats.get(pair.remoteCandidateId);
+    const types = [local?.candidateType, remote?.candidateType];
+    const candidateType = types.includes('relay') ? 'relay' : (local?.candidateType ?? null);
+
+    return {
+      rttMs: typeof pair.currentRoundTripTime === 'number' ? pair.currentRoundTripTime * 1000 : -1,
+      bytesSent: Number(pair.bytesSent) || 0,
+      bytesReceived: Number(pair.bytesReceived) || 0,
+      candidateType,
+      at: performance.now(),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sample every connected guest, store the result on its connectedPeers entry
+ * and push the updated device list.
+ */
+export async function samplePeerHealth(): Promise<void> {
+  const peers = getState('network.connectedPeers');
+  if (peers.length === 0) {
+    clearManagedTimer(HEALTH_TIMER);
+    _lastStats.clear();
+    return;
+  }
+
+  const live = peers.filter(p => p.status === 'connected' && p.conn);
+  const samples = await Promise.all(live.map(p => readLinkStats(p.conn as DataConnection)));
+
+  const now = Date.now();
+  live.forEach((p, i) => {
+    const stats = samples[i];
+    const conn = p.conn as DataConnection;
+    p.health = summarizeHealth(
+      stats,
+      _lastStats.get(p.id) ?? null,
+      p.rttMs,
+      now - p.lastHeartbeat,
+      conn.dataChannel?.bufferedAmount ?? 0,
+    );
+    if (stats) _lastStats.set(p.id, stats);
+  });
+
+  setState('network.connectedPeers', [...getState('network.connectedPeers')]);
+  broadcastDeviceList();
+}
+
+// ─── Initialize Health ──────────────────────────────────────────────
+
+export function initHealth(): void {
+  // Host: start sampling once the first guest is in
+  bus.on('network:peer-connected', () => {
+    if (getState('network.hostConn')) return;
+    setManagedTimer(HEALTH_TIMER, () => { samplePeerHealth().catch(e => log.warn('[Health] Sampling failed:', e)); },
+      DELAY.PEER_HEALTH, { interval: true });
+  });
+
+  bus.on('network:peer-disconnected', (peerId: string) => {
+    _lastStats.delete(peerId);
+  });
+
+  log.info('[Health] Handlers registered');
+}
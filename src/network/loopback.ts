@@ -0,0 +1,318 @@
+/**
+ * MUSIXQUARE 2.0 — Loopback Transport
+ *
+ * Manages: PeerJS-compatible peers and data connections that talk over an
+ * in-page message hub, or a BroadcastChannel shared by local tabs. No
+ * signaling server or WebRTC is involved, so a host and several guests can
+ * run inside vitest or side by side in one browser.
+ *
+ * Signaling mirrors PeerJS closely enough for peer.ts: an ID already in use
+ * fails with 'unavailable-id', connecting to an unknown ID fails with
+ * 'peer-unavailable', and every delivery is asynchronous.
+ */
+
+import { log } from '../core/log.ts';
+import type { DataConnection, PeerInstance } from '../types/index.ts';
+import type { Transport } from './transport.ts';
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface LoopbackOptions {
+  /** Share peers with other tabs over this BroadcastChannel (in-page only when omitted) */
+  channelName?: string;
+  /** One-way delivery delay per message (ms) */
+  latencyMs?: number;
+  /** How long ID claims and connection attempts wait for an answer (ms) */
+  signalWindowMs?: number;
+}
+
+type Envelope =
+  | { kind: 'claim'; from: string; nonce: string }
+  | { kind: 'taken'; nonce: string }
+  | { kind: 'connect'; from: string; to: string; connId: string; metadata: Record<string, unknown> | undefined }
+  | { kind: 'accept'; to: string; connId: string }
+  | { kind: 'data'; to: string; connId: string; payload: unknown }
+  | { kind: 'close'; to: string; connId: string };
+
+interface Channel {
+  postMessage(msg: Envelope): void;
+  onmessage: ((e: { data: Envelope }) => void) | null;
+  close(): void;
+}
+
+type Listener = (...args: any[]) => void;
+
+const DEFAULT_SIGNAL_WINDOW = 30;
+
+function randomId(): string {
+  return typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : Date.now().toString(36) + Math.random().toString(36).slice(2, 11);
+}
+
+function cloneForWire(data: unknown): unknown {
+  return typeof structuredClone === 'function' ? structuredClone(data) : data;
+}
+
+// ─── In-page Hub ────────────────────────────────────────────────────
+
+/** BroadcastChannel stand-in: delivers to every other endpoint with the same name */
+class MemoryChannel implements Channel {
+  private static _hubs = new Map<string, Set<MemoryChannel>>();
+  onmessage: ((e: { data: Envelope }) => void) | null = null;
+
+  constructor(private readonly _name: string) {
+    let hub = MemoryChannel._hubs.get(_name);
+    if (!hub) {
+      hub = new Set();
+      MemoryChannel._hubs.set(_name, hub);
+    }
+    hub.add(this);
+  }
+
+  postMessage(msg: Envelope): void {
+    const hub = MemoryChannel._hubs.get(this._name);
+    if (!hub) return;
+    for (const endpoint of hub) {
+      if (endpoint === this) continue;
+      const data = cloneForWire(msg) as Envelope;
+      setTimeout(() => endpoint.onmessage?.({ data }), 0);
+    }
+  }
+
+  close(): void {
+    const hub = MemoryChannel._hubs.get(this._name);
+    if (!hub) return;
+    hub.delete(this);
+    if (hub.size === 0) MemoryChannel._hubs.delete(this._name);
+  }
+}
+
+// ─── Emitter ────────────────────────────────────────────────────────
+
+class Emitter {
+  private _listeners = new Map<string, Set<Listener>>();
+
+  on(event: string, fn: Listener): void {
+    let set = this._listeners.get(event);
+    if (!set) {
+      set = new Set();
+      this._listeners.set(event, set);
+    }
+    set.add(fn);
+  }
+
+  once(event: string, fn: Listener): void {
+    const wrapper: Listener = (...args) => {
+      this.off(event, wrapper);
+      fn(...args);
+    };
+    this.on(event, wrapper);
+  }
+
+  off(event: string, fn: Listener): void {
+    this._listeners.get(event)?.delete(fn);
+  }
+
+  protected emit(event: string, ...args: unknown[]): void {
+    const set = this._listeners.get(event);
+    if (!set) return;
+    for (const fn of [...set]) {
+      try { fn(...args); } catch (e) { log.error(`[Loopback] Listener for '${event}' threw`, e); }
+    }
+  }
+}
+
+// ─── Connection ─────────────────────────────────────────────────────
+
+class LoopbackConnection extends Emitter implements DataConnection {
+  open = false;
+  private _closed = false;
+
+  constructor(
+    private readonly _owner: LoopbackPeer,
+    readonly peer: string,
+    readonly connectionId: string,
+    readonly metadata: Record<string, unknown> | undefined,
+  ) {
+    super();
+  }
+
+  send(data: unknown): void {
+    if (!this.open) {
+      log.debug(`[Loopback] Dropped send on closed connection to ${this.peer}`);
+      return;
+    }
+    this._owner._post({ kind: 'data', to: this.peer, connId: this.connectionId, payload: data });
+  }
+
+  close(): void {
+    if (this._closed) return;
+    this._owner._post({ kind: 'close', to: this.peer, connId: this.connectionId });
+    this._dispose();
+  }
+
+  /** @internal */
+  _markOpen(): void {
+    if (this._closed || this.open) return;
+    this.open = true;
+    this.emit('open');
+  }
+
+  /** @internal */
+  _receive(payload: unknown): void {
+    if (this.open) this.emit('data', payload);
+  }
+
+  /** @internal Closed locally or by the remote side */
+  _dispose(): void {
+    if (this._closed) return;
+    this._closed = true;
+    this.open = false;
+    this._owner._forget(this.connectionId);
+    this.emit('close');
+  }
+}
+
+// ─── Peer ───────────────────────────────────────────────────────────
+
+class LoopbackPeer extends Emitter implements PeerInstance {
+  readonly id: string;
+  open = false;
+  private _destroyed = false;
+  private _claimNonce: string | null = null;
+  private _conns = new Map<string, LoopbackConnection>();
+  private readonly _channel: Channel;
+
+  constructor(id: string | null, private readonly _opts: Required<Omit<LoopbackOptions, 'channelName'>>, channel: Channel) {
+    super();
+    this.id = id || randomId();
+    this._channel = channel;
+    this._channel.onmessage = (e) => this._handle(e.data);
+    this._claim();
+  }
+
+  connect(id: string, options: Record<string, unknown> = {}): DataConnection {
+    const conn = new LoopbackConnection(this, id, randomId(), options.metadata as Record<string, unknown> | undefined);
+    this._conns.set(conn.connectionId, conn);
+    this._post({ kind: 'connect', from: this.id, to: id, connId: conn.connectionId, metadata: conn.metadata });
+
+    setTimeout(() => {
+      if (conn.open || !this._conns.has(conn.connectionId)) return;
+      this._forget(conn.connectionId);
+      this.emit('error', Object.assign(new Error(`Could not connect to peer ${id}`), { type: 'peer-unavailable' }));
+    }, this._opts.signalWindowMs + this._opts.latencyMs * 2);
+    return conn;
+  }
+
+  disconnect(): void {
+    if (!this.open) return;
+    this.open = false;
+    this.emit('disconnected', this.id);
+  }
+
+  reconnect(): void {
+    if (this._destroyed || this.open) return;
+    this._claim();
+  }
+
+  destroy(): void {
+    if (this._destroyed) return;
+    for (const conn of [...this._conns.values()]) conn.close();
+    this.disconnect();
+    this._destroyed = true;
+    this._channel.close();
+    this.emit('close');
+  }
+
+  /** @internal */
+  _post(msg: Envelope): void {
+    if (this._destroyed) return;
+    if (this._opts.latencyMs > 0) setTimeout(() => this._channel.postMessage(msg), this._opts.latencyMs);
+    else this._channel.postMessage(msg);
+  }
+
+  /** @internal */
+  _forget(connId: string): void {
+    this._conns.delete(connId);
+  }
+
+  private _claim(): void {
+    const nonce = randomId();
+    this._claimNonce = nonce;
+    this._post({ kind: 'claim', from: this.id, nonce });
+    setTimeout(() => {
+      if (this._destroyed || this._claimNonce !== nonce) return;
+      this._claimNonce = null;
+      this.open = true;
+      this.emit('open', this.id);
+    }, this._opts.signalWindowMs + this._opts.latencyMs * 2);
+  }
+
+  private _handle(msg: Envelope): void {
+    if (this._destroyed) return;
+
+    switch (msg.kind) {
+      case 'claim':
+        if (msg.from === this.id && this.open) this._post({ kind: 'taken', nonce: msg.nonce });
+        return;
+      case 'taken':
+        if (msg.nonce !== this._claimNonce) return;
+        this._claimNonce = null;
+        this.emit('error', Object.assign(new Error(`ID "${this.id}" is taken`), { type: 'unavailable-id' }));
+        return;
+      case 'connect': {
+        if (msg.to !== this.id || !this.open) return;
+        const conn = new LoopbackConnection(this, msg.from, msg.connId, msg.metadata);
+        this._conns.set(conn.connectionId, conn);
+        this.emit('connection', conn);
+        this._post({ kind: 'accept', to: msg.from, connId: msg.connId });
+        // Listeners attach inside the 'connection' handler; open on the next turn like PeerJS
+        setTimeout(() => conn._markOpen(), 0);
+        return;
+      }
+      case 'accept':
+        if (msg.to === this.id) this._conns.get(msg.connId)?._markOpen();
+        return;
+      case 'data':
+        if (msg.to === this.id) this._conns.get(msg.connId)?._receive(msg.payload);
+        return;
+      case 'close':
+        if (msg.to === this.id) this._conns.get(msg.connId)?._dispose();
+        return;
+    }
+  }
+}
+
+// ─── Transport Factory ──────────────────────────────────────────────
+
+/**
+ * Create a loopback network. Without `channelName` every call returns an
+ * isolated in-page network, so tests cannot see each other's peers.
+ */
+export function createLoopbackTransport(options: LoopbackOptions = {}): Transport {
+  const opts = {
+    latencyMs: Math.max(0, options.latencyMs ?? 0),
+    signalWindowMs: Math.max(0, options.signalWindowMs ?? DEFAULT_SIGNAL_WINDOW),
+  };
+  const hubName = options.channelName || `loopback-${randomId()}`;
+  const useBroadcastChannel = !!options.channelName && typeof BroadcastChannel === 'function';
+  if (options.channelName && !useBroadcastChannel) {
+    log.warn('[Loopback] BroadcastChannel unavailable — peers stay within this page');
+  }
+
+  const openChannel = (): Channel => useBroadcastChannel
+    ? new BroadcastChannel(hubName) as unknown as Channel
+    : new MemoryChannel(hubName);
+
+  return {
+    name: useBroadcastChannel ? `loopback:${hubName}` : 'loopback',
+    usesIce: false,
+    createPeer(id) {
+      return new LoopbackPeer(id, opts, openChannel());
+    },
+    connectionTypeOf() {
+      return 'local';
+    },
+  };
+}
@@ -0,0 +1,416 @@
+/**
+ * MUSIXQUARE 2.0 — Host Migration
+ *
+ * Manages: successor election, planned handoff (HOST_HANDOFF), takeover of
+ * the 6-digit session code by the promoted guest, and reconnection of the
+ * remaining guests to it.
+ *
+ * Guests mirror the host's playlist, position, FX and device list, so when the
+ * host vanishes without a handoff every guest elects the same successor from
+ * its last device list and the successor rebuilds the snapshot locally.
+ * Local files the successor never received stay metadata-only.
+ */
+
+import { log } from '../core/log.ts';
+import { t } from '../i18n/index.ts';
+import { bus } from '../core/events.ts';
+import { getState, setState, batchSetState } from '../core/state.ts';
+import {
+  MSG, APP_STATE, DELAY, MIGRATION_TIMEOUT, MIGRATION_RESERVATION_TTL,
+} from '../core/constants.ts';
+import { setManagedTimer, clearManagedTimer } from '../core/timers.ts';
+import { registerHandlers, readPermissions } from './protocol.ts';
+import {
+  broadcast, broadcastDeviceList, joinSession, claimSessionCode,
+  reservePeerSlots, releaseUnclaimedReservations,
+} from './peer.ts';
+import { sanitizeEqBands, toFixedEqGains, fromFixedEqGains } from '../audio/eq.ts';
+import type { DataConnection, DeviceInfo, HostSnapshot, PlaylistItem } from '../types/index.ts';
+
+/** Guest: schedules the next rejoin attempt while reconnecting to a new host */
+let _retryRejoin: (() => void) | null = null;
+
+/** Guest: rejoining the old host with our resume token before electing a successor */
+let _probingOldHost = false;
+
+// ─── Election ───────────────────────────────────────────────────────
+
+/**
+ * Pick the next host from a device list: connected, migration-capable guests
+ * in join order, operators first. Deterministic so every guest agrees.
+ */
+export function electNewHost(list: DeviceInfo[] | null, excludeIds: string[] = []): string | null {
+  const candidates = (list || []).filter(d =>
+    d && !d.isHost && d.canHost && d.status === 'connected' && !excludeIds.includes(d.id),
+  );
+  const pick = candidates.find(d => d.isOp) || candidates[0];
+  return pick ? pick.id : null;
+}
+
+// ─── Snapshot ───────────────────────────────────────────────────────
+
+/**
+ * Capture host state for a successor. Works on the host and on guests
+ * (whose state mirrors the host; the roster then comes from the device list).
+ */
+export function buildHostSnapshot(): HostSnapshot {
+  const playlist = getState('playlist.items') || [];
+  const appState = getState('appState');
+
+  let time = getState('player.pausedAt') || 0;
+  bus.emit('sync:get-position', (pos: number) => { time = pos; });
+
+  const isHost = getState('network.appRole') === 'host' && !getState('network.hostConn');
+  const peers = isHost
+    ? getState('network.connectedPeers')
+      .filter(p => !p.spectator) // spectators rejoin outside the slot table
+      .map(p => ({ id: p.id, label: p.label, slot: p.slot, isOp: p.isOp, perms: p.isOp ? p.perms : undefined }))
+    : (getState('network.lastKnownDeviceList') || [])
+      .filter(d => d && !d.isHost && !d.spectator)
+      .map(d => ({ id: d.id, label: d.label, slot: Number(d.slot) || 0, isOp: !!d.isOp, perms: d.isOp ? d.perms : undefined }));
+
+  return {
+    code: getState('network.sessionCode') || getState('network.lastJoinCode'),
+    playlistMeta: playlist.map(item => ({
+      type: item.type,
+      name: item.name,
+      title: item.title || item.name,
+      videoId: item.videoId || null,
+      playlistId: item.playlistId || null,
+    })),
+    currentTrackIndex: getState('playlist.currentTrackIndex'),
+    repeatMode: getState('playlist.repeatMode') || 0,
+    isShuffle: getState('playlist.isShuffle'),
+    time,
+    isPlaying: appState === APP_STATE.PLAYING_AUDIO ||
+               appState === APP_STATE.PLAYING_VIDEO ||
+               appState === APP_STATE.PLAYING_YOUTUBE,
+    fx: {
+      masterVolume: getState('audio.masterVolume'),
+      eqBands: getState('audio.eqBands').map(b => ({ ...b })),
+      eqValues: toFixedEqGains(getState('audio.eqBands')),
+      userPreampGain: getState('audio.userPreampGain'),
+      reverbMix: getState('audio.reverbMix'),
+      reverbDecay: getState('audio.reverbDecay'),
+      reverbPreDelay: getState('audio.reverbPreDelay'),
+      reverbLowCut: getState('audio.reverbLowCut'),
+      reverbHighCut: getState('audio.reverbHighCut'),
+      stereoWidth: getState('audio.stereoWidth'),
+      virtualBass: getState('audio.virtualBass'),
+    },
+    peers,
+    // Only the host knows who it banned; a guest-built snapshot starts clean
+    ...(isHost ? { banned: [...getState('network.bannedPeerIds')], locked: getState('network.sessionLocked') } : {}),
+  };
+}
+
+/**
+ * Apply a snapshot on the new host. Keeps files already held locally
+ * (current + preloaded track) attached to their playlist entries.
+ */
+function applyHostSnapshot(snap: HostSnapshot): void {
+  const prev = getState('playlist.items') || [];
+  const currentBlob = getState('files.currentFileBlob');
+  const nextBlob = getState('preload.nextFileBlob');
+  const nextIndex = getState('preload.nextTrackIndex');
+
+  const items: PlaylistItem[] = snap.playlistMeta.map((m, i) => {
+    const name = String(m.name || '');
+    const item: PlaylistItem = {
+      type: m.type === 'youtube' ? 'youtube' : 'file',
+      name,
+      title: m.title ? String(m.title) : name,
+      videoId: (m.videoId as string | null) ?? null,
+      playlistId: (m.playlistId as string | null) ?? null,
+    };
+    if (item.type === 'file') {
+      const blob = i === snap.currentTrackIndex ? currentBlob : (i === nextIndex ? nextBlob : null);
+      if (prev[i]?.file && prev[i].name === name) item.file = prev[i].file;
+      else if (blob) item.file = new File([blob], name, { type: blob.type });
+    }
+    return item;
+  });
+
+  const fx = snap.fx;
+  batchSetState({
+    'playlist.items': items,
+    'playlist.currentTrackIndex': snap.currentTrackIndex,
+    'audio.eqBands': fx.eqBands.map(b => ({ ...b })),
+    'audio.userPreampGain': fx.userPreampGain,
+    'audio.reverbMix': fx.reverbMix,
+    'audio.reverbDecay': fx.reverbDecay,
+    'audio.reverbPreDelay': fx.reverbPreDelay,
+    'audio.reverbLowCut': fx.reverbLowCut,
+    'audio.reverbHighCut': fx.reverbHighCut,
+    'audio.stereoWidth': fx.stereoWidth,
+    'audio.virtualBass': fx.virtualBass,
+    'network.bannedPeerIds': new Set(snap.banned || []),
+    'network.sessionLocked': !!snap.locked,
+  });
+
+  // Not playing locally: resume from where the old host was
+  const appState = getState('appState');
+  if (appState === APP_STATE.IDLE || appState === APP_STATE.PAUSED) {
+    setState('player.pausedAt', snap.time);
+  }
+
+  bus.emit('playlist:set-repeat-mode', snap.repeatMode, false);
+  bus.emit('playlist:set-shuffle', snap.isShuffle, false);
+  bus.emit('audio:set-volume', fx.masterVolume);
+  bus.emit('audio:apply-settings');
+  bus.emit('ui:update-playlist');
+}
+
+/**
+ * Validate the loosely-typed snapshot from HOST_HANDOFF.
+ */
+function readSnapshot(raw: unknown): HostSnapshot | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const s = raw as Record<string, unknown>;
+  const fx = s.fx as Record<string, unknown> | undefined;
+  if (typeof s.code !== 'string' || !Array.isArray(s.playlistMeta) || !fx) return null;
+  // A host without CAP.PARAMETRIC_EQ sends only the fixed-band gains
+  const eqBands = Array.isArray(fx.eqBands) ? sanitizeEqBands(fx.eqBands)
+    : Array.isArray(fx.eqValues) ? fromFixedEqGains(fx.eqValues)
+    : null;
+  if (!eqBands) return null;
+
+  const num = (v: unknown, fallback: number) => (typeof v === 'number' && Number.isFinite(v) ? v : fallback);
+  return {
+    code: s.code,
+    playlistMeta: (s.playlistMeta as unknown[]).filter(m => m && typeof m === 'object') as Array<Record<string, unknown>>,
+    currentTrackIndex: num(s.currentTrackIndex, -1),
+    repeatMode: num(s.repeatMode, 0),
+    isShuffle: !!s.isShuffle,
+    time: num(s.time, 0),
+    isPlaying: !!s.isPlaying,
+    fx: {
+      masterVolume: num(fx.masterVolume, getState('audio.masterVolume')),
+      eqBands,
+      eqValues: toFixedEqGains(eqBands),
+      userPreampGain: num(fx.userPreampGain, 1),
+      reverbMix: num(fx.reverbMix, 0),
+      reverbDecay: num(fx.reverbDecay, getState('audio.reverbDecay')),
+      reverbPreDelay: num(fx.reverbPreDelay, getState('audio.reverbPreDelay')),
+      reverbLowCut: num(fx.reverbLowCut, 0),
+      reverbHighCut: num(fx.reverbHighCut, 0),
+      stereoWidth: num(fx.stereoWidth, 1),
+      virtualBass: num(fx.virtualBass, 0),
+    },
+    peers: (Array.isArray(s.peers) ? s.peers as Array<Record<string, unknown>> : [])
+      .filter(p => p && typeof p.id === 'string')
+      .map(p => ({
+        id: String(p.id), label: String(p.label || ''), slot: num(p.slot, 0), isOp: !!p.isOp,
+        perms: p.isOp && Array.isArray(p.perms) ? readPermissions(p.perms) : undefined,
+      })),
+    banned: Array.isArray(s.banned) ? (s.banned as unknown[]).filter((id): id is string => typeof id === 'string') : [],
+    locked: s.locked === true,
+  };
+}
+
+// ─── Host: Planned Handoff ──────────────────────────────────────────
+
+/**
+ * Host: promote a guest (elected when `targetId` is omitted) and send it the
+ * session snapshot. Every guest receives the handoff so they can follow.
+ * Returns the new host's peer ID, or null if no guest can take over.
+ */
+export function handOffHost(targetId?: string): string | null {
+  if (getState('network.hostConn') || getState('network.appRole') !== 'host') return null;
+
+  const newHostId = targetId || electNewHost(getState('network.lastKnownDeviceList'));
+  if (!newHostId) return null;
+
+  log.info(`[Migration] Handing host role to ${newHostId}`);
+  broadcast({ type: MSG.HOST_HANDOFF, newHostId, snapshot: buildHostSnapshot() });
+  return newHostId;
+}
+
+// ─── Guest: Migration ───────────────────────────────────────────────
+
+/** Drop the old host link and any relay links; the new host rebuilds the tree */
+function detachFromOldHost(): void {
+  setState('network.isIntentionalDisconnect', true);
+  const hostConn = getState('network.hostConn');
+  if (hostConn) {
+    try { hostConn.close(); } catch { /* noop */ }
+  }
+
+  const upstream = getState('relay.upstreamDataConn');
+  if (upstream) {
+    try { upstream.close(); } catch { /* noop */ }
+  }
+  getState('relay.downstreamDataPeers').forEach(p => {
+    try { p.close(); } catch { /* noop */ }
+  });
+
+  batchSetState({
+    'network.hostConn': null,
+    'network.isOperator': false,
+    'network.opPermissions': [],
+    'relay.upstreamDataConn': null,
+    'relay.downstreamDataPeers': [],
+  });
+
+  bus.emit('worker:sync-command', { command: 'STOP_TIMER', id: 'heartbeat' });
+  bus.emit('worker:sync-command', { command: 'STOP_TIMER', id: 'ping' });
+  bus.emit('worker:sync-command', { command: 'STOP_TIMER', id: 'clock' });
+}
+
+function failMigration(reason: unknown): void {
+  log.warn('[Migration] Failed:', reason);
+  clearManagedTimer('migrationRejoin');
+  _retryRejoin = null;
+  batchSetState({
+    'network.migratingTo': null,
+    'network.isConnecting': false,
+  });
+  bus.emit('network:error', new Error('HOST_DISCONNECTED'));
+}
+
+/**
+ * Guest: switch to `newHostId` — take over the session code ourselves or
+ * reconnect to whoever does.
+ */
+export function beginHostMigration(newHostId: string | null, snapshot: HostSnapshot | null = null): void {
+  if (getState('network.migratingTo')) return;
+
+  const code = snapshot?.code || getState('network.lastJoinCode');
+  if (!newHostId || !code) {
+    failMigration('no eligible successor');
+    return;
+  }
+
+  const myId = getState('network.myId');
+  setState('network.migratingTo', newHostId);
+  detachFromOldHost();
+  bus.emit('ui:show-toast', t('network.migration_started'));
+  log.info(`[Migration] New host: ${newHostId}${newHostId === myId ? ' (self)' : ''}`);
+
+  if (newHostId === myId) {
+    takeOverAsHost(code, snapshot || buildHostSnapshot(), myId).catch(failMigration);
+  } else {
+    reconnectToNewHost(code);
+  }
+}
+
+async function takeOverAsHost(code: string, snapshot: HostSnapshot, previousId: string): Promise<void> {
+  try {
+    await claimSessionCode(code, Math.ceil(MIGRATION_TIMEOUT / DELAY.MIGRATION_RETRY), DELAY.MIGRATION_RETRY);
+  } catch (e) {
+    failMigration(e);
+    return;
+  }
+  // Left the session while claiming
+  if (!getState('network.migratingTo')) return;
+
+  batchSetState({
+    'network.appRole': 'host',
+    'network.sessionCode': code,
+    'network.myDeviceLabel': 'HOST',
+    'network.connectedPeers': [],
+    'network.sessionCaps': [],
+    'network.lastKnownDeviceList': null,
+    'network.isIntentionalDisconnect': false,
+    'network.migratingTo': null,
+    // Late joiners get the current file under the session ID we received it with
+    'transfer.currentSessionId': getState('transfer.localSessionId'),
+  });
+
+  applyHostSnapshot(snapshot);
+  reservePeerSlots(snapshot.peers.filter(p => p.id !== previousId));
+  setManagedTimer('migrationReservations', releaseUnclaimedReservations, MIGRATION_RESERVATION_TTL);
+
+  broadcastDeviceList();
+  bus.emit('network:host-migrated', code);
+  bus.emit('network:role-badge-update');
+  bus.emit('ui:show-toast', t('network.migration_now_host'));
+  log.info(`[Migration] Took over session ${code}`);
+}
+
+function reconnectToNewHost(code: string): void {
+  const deadline = Date.now() + MIGRATION_TIMEOUT;
+
+  const attempt = () => {
+    if (!getState('network.migratingTo') || getState('network.hostConn')) return;
+    if (Date.now() > deadline) {
+      failMigration('new host unreachable');
+      return;
+    }
+    joinSession(code);
+  };
+  _retryRejoin = () => setManagedTimer('migrationRejoin', attempt, DELAY.MIGRATION_RETRY);
+
+  // Give the successor a head start on claiming the code
+  _retryRejoin();
+}
+
+/**
+ * A blip on our side looks the same as the host leaving. With a resume token,
+ * try the old host once; elect a successor only if that fails.
+ */
+function probeOldHost(hostId: string): void {
+  log.info(`[Migration] Host link lost — trying to resume with ${hostId}`);
+  _probingOldHost = true;
+  setState('network.migratingTo', hostId);
+  _retryRejoin = () => {
+    _probingOldHost = false;
+    _retryRejoin = null;
+    setState('network.migratingTo', null);
+    beginHostMigration(electNewHost(getState('network.lastKnownDeviceList'), [hostId]));
+  };
+  joinSession(hostId);
+}
+
+// ─── Protocol Handlers ──────────────────────────────────────────────
+
+function handleHostHandoff(data: Record<string, unknown>, conn: DataConnection): void {
+  if (!conn || conn !== getState('network.hostConn')) return;
+  beginHostMigration(String(data.newHostId), readSnapshot(data.snapshot));
+}
+
+// ─── Initialize Migration ───────────────────────────────────────────
+
+export function initMigration(): void {
+  registerHandlers({
+    [MSG.HOST_HANDOFF]: handleHostHandoff,
+  });
+
+  // Guest: host connection dropped without a handoff
+  bus.on('network:host-lost', () => {
+    const hostId = getState('network.lastJoinCode');
+    if (getState('network.resumeToken')) {
+      probeOldHost(hostId);
+      return;
+    }
+    beginHostMigration(electNewHost(getState('network.lastKnownDeviceList'), [hostId]));
+  });
+
+  // Host: leaving (tab close / back to main) — promote a guest first
+  bus.on('network:before-leave', () => {
+    _probingOldHost = false;
+    if (getState('network.connectedPeers').length > 0) handOffHost();
+  });
+
+  // Guest: rejoin attempt failed — retry until the deadline
+  bus.on('network:error', () => {
+    if (getState('network.migratingTo') && _retryRejoin) _retryRejoin();
+  });
+
+  // Guest: reconnected to the new host
+  bus.on('setup:guest-join-success', () => {
+    if (!getState('network.migratingTo')) return;
+    clearManagedTimer('migrationRejoin');
+    _retryRejoin = null;
+    setState('network.migratingTo', null);
+    if (_probingOldHost) {
+      // Same host after all; WELCOME reports whether our slot was resumed
+      _probingOldHost = false;
+      return;
+    }
+    bus.emit('network:host-migrated', getState('network.lastJoinCode'));
+    bus.emit('ui:show-toast', t('network.migration_done'));
+  });
+
+  log.info('[Migration] Handlers registered');
+}
@@ -0,0 +1,257 @@
+/**
+ * MUSIXQUARE 2.0 — Per-Device Output Profiles
+ *
+ * Manages: named output setups saved on this device ("phone speaker",
+ * "JBL over BT"), each with a sync offset, channel role and trim gain, in
+ * localStorage. The selected profile's role is preselected in the join
+ * flow and its offset and trim are applied once the guest is in; its
+ * offset is also the baseline that sync resets return to. The host is told
+ * the profile name (join handshake, then OUTPUT_PROFILE) for the device list.
+ */
+
+import { log } from '../core/log.ts';
+import { t } from '../i18n/index.ts';
+import { bus } from '../core/events.ts';
+import { getState, setState } from '../core/state.ts';
+import { MSG, CAP, MAX_OUTPUT_PROFILES, OUTPUT_OFFSET_MAX_MS, TRIM_GAIN_MAX_DB } from '../core/constants.ts';
+import { registerHandler } from './protocol.ts';
+import { sendToHost, broadcastDeviceList } from './peer.ts';
+import { sessionHasCapability } from './version.ts';
+import { sanitizeDisplayName, formatPeerName } from './profile.ts';
+import type { DataConnection, OutputProfile } from '../types/index.ts';
+
+const OUTPUT_PROFILES_STORAGE_KEY = 'musixquare-output-profiles';
+
+const ROLES = [0, -1, 1, 2];
+
+/** Profile offset already applied for this session (a migration rejoin keeps nudges) */
+let _appliedThisSession = false;
+
+// ─── Sanitizing ─────────────────────────────────────────────────────
+
+function clamp(value: unknown, max: number, fallback = 0): number {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(-max, Math.min(max, n)) : fallback;
+}
+
+/**
+ * A stored or received profile with every field in range, or null when it
+ * has no usable id or name.
+ */
+export function sanitizeOutputProfile(raw: unknown): OutputProfile | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const r = raw as Record<string, unknown>;
+  const id = typeof r.id === 'string' ? r.id.slice(0, 32) : '';
+  const name = sanitizeDisplayName(r.name);
+  if (!id || !name) return null;
+
+  return {
+    id,
+    name,
+    offsetMs: Math.round(clamp(r.offsetMs, OUTPUT_OFFSET_MAX_MS)),
+    role: ROLES.includes(r.role as number) ? r.role as number : 0,
+    trimDb: Math.round(clamp(r.trimDb, TRIM_GAIN_MAX_DB) * 10) / 10,
+  };
+}
+
+// ─── Storage ────────────────────────────────────────────────────────
+
+function loadOutputProfiles(): void {
+  let profiles: OutputProfile[] = [];
+  let active: string | null = null;
+  try {
+    const raw = localStorage.getItem(OUTPUT_PROFILES_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) as Record<string, unknown> : null;
+    if (Array.isArray(parsed?.profiles)) {
+      profiles = parsed.profiles
+        .map(sanitizeOutputProfile)
+        .filter((p): p is OutputProfile => !!p)
+        .slice(0, MAX_OUTPUT_PROFILES);
+    }
+    if (typeof parsed?.active === 'string' && profiles.some(p => p.id === parsed.active)) {
+      active = parsed.active;
+    }
+  } catch { /* ignore */ }
+
+  setState('sync.outputProfiles', profiles);
+  setState('sync.activeOutputProfile', active);
+}
+
+function persist(): void {
+  const data = {
+    profiles: getState('sync.outputProfiles'),
+    active: getState('sync.activeOutputProfile'),
+  };
+  try { localStorage.setItem(OUTPUT_PROFILES_STORAGE_KEY, JSON.stringify(data)); } catch { /* ignore */ }
+  bus.emit('sync:output-profiles-changed');
+}
+
+function createProfileId(): string {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// ─── Guest: Profiles ────────────────────────────────────────────────
+
+export function getActiveOutputProfile(): OutputProfile | null {
+  const id = getState('sync.activeOutputProfile');
+  return getState('sync.outputProfiles').find(p => p.id === id) ?? null;
+}
+
+/**
+ * Offset (s) that guest sync resets return to: the selected profile's,
+ * else 0. Always 0 on the host (the reference).
+ */
+export function getBaseSyncOffset(): number {
+  if (!getState('network.hostConn')) return 0;
+  return (getActiveOutputProfile()?.offsetMs ?? 0) / 1000;
+}
+
+/**
+ * Join handshake field (only with a profile selected).
+ */
+export function getOutputProfileMetadata(): { outputProfile?: string } {
+  const profile = getActiveOutputProfile();
+  return profile ? { outputProfile: profile.name } : {};
+}
+
+function announceOutputProfile(): void {
+  if (!getState('network.hostConn') || !sessionHasCapability(CAP.OUTPUT_PROFILES)) return;
+  sendToHost({ type: MSG.OUTPUT_PROFILE, name: getActiveOutputProfile()?.name ?? '' });
+}
+
+function applyOffset(offsetMs: number): void {
+  setState('sync.localOffset', offsetMs / 1000);
+  bus.emit('sync:display-update');
+  bus.emit('sync:nudge-apply', offsetMs);
+}
+
+/**
+ * Save the current offset, role and trim under `name` (replacing a profile
+ * of the same name) and select it. Null when the name is unusable or the
+ * list is full.
+ */
+export function saveOutputProfile(name: string): OutputProfile | null {
+  const profiles = getState('sync.outputProfiles');
+  const clean = sanitizeDisplayName(name);
+  if (!clean) return null;
+  const existing = profiles.find(p => p.name.toLowerCase() === clean.toLowerCase());
+  if (!existing && profiles.length >= MAX_OUTPUT_PROFILES) return null;
+
+  const profile = sanitizeOutputProfile({
+    id: existing?.id ?? createProfileId(),
+    name: clean,
+    offsetMs: Math.round((getState('sync.localOffset') || 0) * 1000),
+    role: getState('audio.channelMode'),
+    trimDb: getState('audio.trimDb'),
+  });
+  if (!profile) return null;
+
+  setState('sync.outputProfiles', existing
+    ? profiles.map(p => (p.id === existing.id ? profile : p))
+    : [...profiles, profile]);
+  setState('sync.activeOutputProfile', profile.id);
+  persist();
+  announceOutputProfile();
+  log.info(`[OutputProfile] Saved "${profile.name}" (${profile.offsetMs}ms, role ${profile.role}, ${profile.trimDb}dB)`);
+  return profile;
+}
+
+/**
+ * Select a profile (null = none) and apply its offset, role and trim.
+ * Deselecting leaves the current values as they are.
+ */
+export function selectOutputProfile(id: string | null): OutputProfile | null {
+  const profile = id ? getState('sync.outputProfiles').find(p => p.id === id) ?? null : null;
+  if (id && !profile) return null;
+
+  setState('sync.activeOutputProfile', profile?.id ?? null);
+  persist();
+  announceOutputProfile();
+  if (!profile) return null;
+
+  if (!getState('network.isSpectator')) bus.emit('audio:set-channel-mode', profile.role);
+  bus.emit('audio:set-trim', profile.trimDb);
+  applyOffset(profile.offsetMs);
+  log.info(`[OutputProfile] Selected "${profile.name}"`);
+  return profile;
+}
+
+export function deleteOutputProfile(id: string): boolean {
+  const profiles = getState('sync.outputProfiles');
+  if (!profiles.some(p => p.id === id)) return false;
+
+  const wasActive = getState('sync.activeOutputProfile') === id;
+  setState('sync.outputProfiles', profiles.filter(p => p.id !== id));
+  if (wasActive) setState('sync.activeOutputProfile', null);
+  persist();
+  if (wasActive) announceOutputProfile();
+  return true;
+}
+
+/**
+ * Guest joined: apply the selected profile's offset and trim (the role was
+ * preselected in the join flow). Once per session, so a migration rejoin
+ * keeps whatever was nudged since.
+ */
+function applyOnJoin(): void {
+  if (_appliedThisSession) return;
+  _appliedThisSession = true;
+
+  const profile = getActiveOutputProfile();
+  if (!profile) return;
+  bus.emit('audio:set-trim', profile.trimDb);
+  applyOffset(profile.offsetMs);
+  log.info(`[OutputProfile] Applied "${profile.name}" on join`);
+}
+
+// ─── Host: Device List ──────────────────────────────────────────────
+
+/**
+ * Profile name from the join handshake or OUTPUT_PROFILE ('' = none).
+ */
+export function readOutputProfileName(raw: unknown): string {
+  return sanitizeDisplayName(raw);
+}
+
+function handleOutputProfile(data: Record<string, unknown>, conn: DataConnection): void {
+  if (getState('network.hostConn')) return; // Only Host
+
+  const peers = getState('network.connectedPeers');
+  const p = peers.find(x => x.id === conn?.peer);
+  if (!p || p.conn !== conn) return;
+
+  const name = readOutputProfileName(data.name);
+  if ((p.outputProfile || '') === name) return;
+
+  p.outputProfile = name || undefined;
+  setState('network.connectedPeers', [...peers]);
+  broadcastDeviceList();
+  log.info(`[OutputProfile] ${formatPeerName(p)} is using "${name || '-'}"`);
+}
+
+// ─── Initialize Output Profiles ─────────────────────────────────────
+
+export function initOutputProfiles(): void {
+  loadOutputProfiles();
+  registerHandler(MSG.OUTPUT_PROFILE, handleOutputProfile);
+
+  bus.on('sync:save-output-profile', (name) => {
+    if (!sanitizeDisplayName(name)) return;
+    const profile = saveOutputProfile(name);
+    bus.emit('ui:show-toast', profile
+      ? t('toast.output_profile_saved', { name: profile.name })
+      : t('toast.output_profile_full', { max: MAX_OUTPUT_PROFILES }));
+  });
+  bus.on('sync:select-output-profile', (id) => {
+    const profile = selectOutputProfile(id);
+    if (profile) bus.emit('ui:show-toast', t('toast.output_profile_applied', { name: profile.name }));
+  });
+  bus.on('sync:delete-output-profile', (id) => {
+    deleteOutputProfile(id);
+  });
+
+  bus.on('setup:guest-join-success', applyOnJoin);
+  bus.on('network:before-leave', () => { _appliedThisSession = false; });
+
+  log.info('[OutputProfile] Handlers registered');
+}
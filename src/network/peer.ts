@@ -2,35 +2,56 @@
  * MUSIXQUARE 2.0 — PeerJS Initialization & Connection Management
  * Extracted from original app.js lines 6097-6794
  *
- * Manages: PeerJS instance, session creation/joining, peer slot allocation,
- * host incoming connections, guest outbound connection, leave/cleanup.
+ * Manages: peer instance (created by the selected transport, see transport.ts),
+ * session creation/joining, peer slot allocation, host incoming connections
+ * (including resumed guests and slotless spectators), guest outbound
+ * connection, leave/cleanup.
  */
 
 import { log } from '../core/log.ts';
 import { t } from '../i18n/index.ts';
 import { bus } from '../core/events.ts';
 import { getState, setState, batchSetState } from '../core/state.ts';
-import { MSG, MAX_GUEST_SLOTS, PEER_NAME_PREFIX, APP_STATE, TRANSFER_STATE } from '../core/constants.ts';
+import {
+  MSG, MAX_GUEST_SLOTS, MAX_SPECTATORS, PEER_NAME_PREFIX, SPECTATOR_NAME_PREFIX, APP_STATE, TRANSFER_STATE,
+  PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, CAP, DELAY, OP_PERMISSIONS,
+} from '../core/constants.ts';
+import type { OpPermission } from '../core/constants.ts';
 import { clearAllManagedTimers } from '../core/timers.ts';
-import { registerHandlers } from './protocol.ts';
+import { registerHandlers, peerPermissions, readPermissions } from './protocol.ts';
+import {
+  getHandshakeMetadata, readProtocolVersion, checkProtocolCompat, negotiateCapabilities,
+  sessionHasCapability,
+} from './version.ts';
+import {
+  createResumeToken, parkPeer, claimParkedPeer, takeExpiredParkedPeers,
+  getResumeMetadata, handleResumeWelcome,
+} from './resume.ts';
+import type { ParkedPeer } from './resume.ts';
+import { getTransport } from './transport.ts';
+import { resolvePeerServer } from './signaling.ts';
+import { flushControl, clearControlQueue } from './coalesce.ts';
+import { recordOutbound } from './recorder.ts';
+import { readProfile, getProfileMetadata, formatPeerName } from './profile.ts';
+import { readOutputProfileName, getOutputProfileMetadata } from './output-profile.ts';
 import { stopBackgroundWorkerTimers } from '../storage/opfs.ts';
-import type { DataConnection, PeerInstance, DeviceInfo, AnyProtocolMsg } from '../types/index.ts';
-
-// PeerJS — imported as `any` to keep our custom PeerInstance/DataConnection stubs.
-// eslint-disable-next-line @typescript-eslint/no-explicit-any
-import { Peer as _Peer } from 'peerjs';
-// eslint-disable-next-line @typescript-eslint/no-explicit-any
-const Peer: any = _Peer;
+import type { DataConnection, PeerInstance, DeviceInfo, AnyProtocolMsg, HostSnapshot } from '../types/index.ts';
 
 // ─── Module-scoped state ────────────────────────────────────────────
 let peer: PeerInstance | null = null;
 
+/** Host: former operators (previous host) whose permissions are restored on reconnect */
+const _restoredOperators = new Map<string, OpPermission[] | undefined>();
+
 // ─── Public Getters ─────────────────────────────────────────────────
 export function getPeer(): PeerInstance | null { return peer; }
 
 // ─── ICE Connection Type Detection ──────────────────────────────────
 
 async function detectConnectionType(conn: DataConnection): Promise<'local' | 'remote'> {
+  const known = getTransport().connectionTypeOf(conn);
+  if (known) return known;
+
   try {
     // eslint-disable-next-line @typescript-eslint/no-explicit-any
     const pc = (conn as any).peerConnection as RTCPeerConnection | undefined;
@@ -67,6 +88,17 @@ function getPeerLabelBySlot(slot: number): string {
   return `${PEER_NAME_PREFIX} ${slot}`;
 }
 
+/**
+ * Spectators sit outside the slot table; they are numbered separately
+ * ("Spectator N", lowest free number).
+ */
+function getSpectatorLabel(): string {
+  const used = new Set(getState('network.connectedPeers').filter(p => p.spectator).map(p => p.label));
+  let n = 1;
+  while (used.has(`${SPECTATOR_NAME_PREFIX} ${n}`)) n++;
+  return `${SPECTATOR_NAME_PREFIX} ${n}`;
+}
+
 function getAvailablePeerSlot(preferredSlot: number | null, peerId: string | null): number | null {
   const peerSlots = getState('network.peerSlots');
   const pref = Number(preferredSlot);
@@ -105,17 +137,85 @@ function releasePeerSlot(peerId: string): void {
   map.delete(peerId);
 }
 
+/**
+ * Host migration: hold the previous host's slots (and OP flags) for guests
+ * that are about to reconnect, so they keep their "Peer N" labels.
+ */
+export function reservePeerSlots(peers: HostSnapshot['peers']): void {
+  for (const p of peers) {
+    if (!p.id) continue;
+    const slot = getAvailablePeerSlot(p.slot, p.id);
+    if (slot) assignPeerSlot(p.id, slot);
+    if (p.isOp) _restoredOperators.set(p.id, p.perms);
+  }
+}
+
+/**
+ * Host migration: free reservations of guests that never reconnected.
+ */
+export function releaseUnclaimedReservations(): void {
+  const connectedIds = new Set(getState('network.connectedPeers').map(p => p.id));
+  const reserved = [...getState('network.peerSlotByPeerId').keys()];
+  for (const peerId of reserved) {
+    if (!connectedIds.has(peerId)) releasePeerSlot(peerId);
+  }
+  _restoredOperators.clear();
+}
+
+/**
+ * Resume: hand a returning guest the slot and flags its token was issued
+ * with. After a reload the guest has a new peer ID, so the slot moves over;
+ * in-memory preloads are gone then and start empty.
+ */
+function reclaimResumedPeer(token: string, peerId: string): ParkedPeer | null {
+  const peers = getState('network.connectedPeers');
+  const live = peers.find(p => p.resumeToken === token);
+  let entry: ParkedPeer | null;
+
+  if (live) {
+    // The old link has not closed on our side yet
+    entry = {
+      peerId: live.id, slot: live.slot, isOp: live.isOp, perms: live.perms,
+      preloadedIndexes: [...live.preloadedIndexes], expiresAt: 0,
+    };
+    if (live.id !== peerId) {
+      getState('network.activeHostConnByPeerId').delete(live.id);
+      try { live.conn?.close(); } catch { /* noop */ }
+      setState('network.connectedPeers', peers.filter(p => p !== live));
+      bus.emit('network:peer-disconnected', live.id);
+    }
+  } else {
+    entry = claimParkedPeer(token);
+  }
+  if (!entry) return null;
+
+  if (entry.peerId !== peerId) {
+    releasePeerSlot(entry.peerId);
+    delete getState('network.peerLabels')[entry.peerId];
+    if (getAvailablePeerSlot(entry.slot, peerId) === entry.slot) assignPeerSlot(peerId, entry.slot);
+    entry.preloadedIndexes = [];
+  }
+  return entry;
+}
+
+/**
+ * Resume: free slots held for dropped guests whose token expired.
+ */
+function releaseExpiredResumeSlots(): void {
+  const connectedIds = new Set(getState('network.connectedPeers').map(p => p.id));
+  for (const entry of takeExpiredParkedPeers()) {
+    if (!connectedIds.has(entry.peerId)) releasePeerSlot(entry.peerId);
+  }
+}
+
 // ─── Network Initialization ─────────────────────────────────────────
 
 /**
- * Initialize PeerJS with optional requested ID.
- * Returns the assigned peer ID.
+ * Initialize the network peer (PeerJS unless another transport is selected)
+ * with optional requested ID. Returns the assigned peer ID.
  */
 export async function initNetwork(requestedId: string | null = null): Promise<string> {
-  if (typeof Peer === 'undefined') {
-    log.error('[Network] PeerJS not found on window.');
-    throw new Error('PEERJS_NOT_LOADED');
-  }
+  const transport = getTransport();
 
   // Clean up existing peer instance
   if (peer) {
@@ -123,7 +223,60 @@ export async function initNetwork(requestedId: string | null = null): Promise<st
     peer = null;
   }
 
-  // ICE servers: STUN always, TURN only for remote (Metered.ca via Netlify Function)
+  peer = transport.createPeer(requestedId, transport.usesIce ? await buildIceOptions() : {});
+  setupPeerEvents();
+
+  // Wait for open (or fail fast on error)
+  const id = await new Promise<string>((resolve, reject) => {
+    const onOpen = (id: string) => { peer!.off('open', onOpen); peer!.off('error', onError); resolve(id); };
+    const onError = (err: unknown) => { peer!.off('open', onOpen); peer!.off('error', onError); reject(err); };
+    peer!.on('open', onOpen);
+    peer!.on('error', onError);
+  });
+
+  setState('network.myId', id);
+  log.info('[Network] Peer opened:', id);
+  bus.emit('network:peer-ready', id);
+  return id;
+}
+
+/**
+ * PeerJS options: STUN/TURN servers and an optional custom signaling server.
+ * A LAN signaling server (offline session) gets no STUN/TURN at all.
+ */
+async function buildIceOptions(): Promise<Record<string, unknown>> {
+  const peerServer = resolvePeerServer();
+  let iceServers: Record<string, unknown>[] = [];
+  if (peerServer?.lan) {
+    log.info(`[Network] LAN signaling server ${peerServer.host ?? ''}:${peerServer.port ?? ''} — host candidates only`);
+  } else {
+    iceServers = await buildPublicIceServers();
+  }
+
+  const peerOpts: Record<string, unknown> = {
+    debug: 2,
+    config: {
+      iceServers,
+      sdpSemantics: 'unified-plan',
+      bundlePolicy: 'max-bundle',
+      iceCandidatePoolSize: 0,
+    },
+  };
+
+  if (peerServer) {
+    if (peerServer.host) peerOpts.host = peerServer.host;
+    if (peerServer.port) peerOpts.port = peerServer.port;
+    if (peerServer.path) peerOpts.path = peerServer.path;
+    if (typeof peerServer.secure === 'boolean') peerOpts.secure = peerServer.secure;
+    if (peerServer.key) peerOpts.key = peerServer.key;
+  }
+  return peerOpts;
+}
+
+/**
+ * STUN always, TURN only for remote (Metered.ca via Netlify Function).
+ */
+async function buildPublicIceServers(): Promise<Record<string, unknown>[]> {
   const iceServers: Record<string, unknown>[] = [
     { urls: 'stun:stun.l.google.com:19302' },
     { urls: 'stun:stun.relay.metered.ca:80' },
@@ -158,43 +311,7 @@ export async function initNetwork(requestedId: string | null = null): Promise<st
   if (iceServers.length <= 2) {
     log.debug('[Network] TURN config unavailable — STUN only');
   }
-
-  const peerOpts: Record<string, unknown> = {
-    debug: 2,
-    config: {
-      iceServers,
-      sdpSemantics: 'unified-plan',
-      bundlePolicy: 'max-bundle',
-      iceCandidatePoolSize: 0,
-    },
-  };
-
-  // Allow custom PeerJS signaling server injection
-  const customPeerServer = (window as unknown as Record<string, unknown>).__MUSIXQUARE_PEER_SERVER__ as
-    Record<string, unknown> | undefined;
-  if (customPeerServer && typeof customPeerServer === 'object') {
-    if (customPeerServer.host) peerOpts.host = customPeerServer.host;
-    if (customPeerServer.port) peerOpts.port = customPeerServer.port;
-    if (customPeerServer.path) peerOpts.path = customPeerServer.path;
-    if (typeof customPeerServer.secure === 'boolean') peerOpts.secure = customPeerServer.secure;
-    if (customPeerServer.key) peerOpts.key = customPeerServer.key;
-  }
-
-  peer = new Peer(requestedId || undefined, peerOpts);
-  setupPeerEvents();
-
-  // Wait for open (or fail fast on error)
-  const id = await new Promise<string>((resolve, reject) => {
-    const onOpen = (id: string) => { peer!.off('open', onOpen); peer!.off('error', onError); resolve(id); };
-    const onError = (err: unknown) => { peer!.off('open', onOpen); peer!.off('error', onError); reject(err); };
-    peer!.on('open', onOpen);
-    peer!.on('error', onError);
-  });
-
-  setState('network.myId', id);
-  log.info('[Network] Peer opened:', id);
-  bus.emit('network:peer-ready', id);
-  return id;
+  return iceServers;
 }
 
 // ─── Session Code ───────────────────────────────────────────────────
@@ -203,6 +320,13 @@ function generateSessionCode(): string {
   return String(Math.floor(100000 + Math.random() * 900000));
 }
 
+/** PeerJS reports a registered ID as 'unavailable-id'; older builds used 'id-taken' */
+function isIdTakenError(err: unknown): boolean {
+  if (!err || typeof err !== 'object') return false;
+  const type = (err as Record<string, unknown>).type;
+  return type === 'unavailable-id' || type === 'id-taken';
+}
+
 /**
  * Create a host session with a short 6-digit code.
  * Retries up to maxAttempts if ID is taken.
@@ -214,15 +338,32 @@ export async function createHostSessionWithShortCode(maxAttempts = 12): Promise<
       await initNetwork(code);
       return code;
     } catch (err) {
-      if (err && typeof err === 'object' && (err as Record<string, unknown>).type === 'id-taken') {
-        continue;
-      }
+      if (isIdTakenError(err)) continue;
       throw err;
     }
   }
   throw new Error('SESSION_CODE_UNAVAILABLE');
 }
 
+/**
+ * Re-open this device under an existing session code (host migration).
+ * The previous host's ID can linger on the signaling server until its socket
+ * times out, so a taken ID is retried every `retryDelay` ms.
+ */
+export async function claimSessionCode(code: string, maxAttempts: number, retryDelay: number): Promise<string> {
+  for (let i = 0; i < maxAttempts; i++) {
+    try {
+      await initNetwork(code);
+      return code;
+    } catch (err) {
+      if (!isIdTakenError(err)) throw err;
+      log.debug(`[Network] Session code ${code} still taken (attempt ${i + 1}/${maxAttempts})`);
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+    }
+  }
+  throw new Error('SESSION_CODE_UNAVAILABLE');
+}
+
 // ─── PeerJS Event Setup ─────────────────────────────────────────────
 
 function setupPeerEvents(): void {
@@ -234,15 +375,19 @@ function setupPeerEvents(): void {
     const hostConn = getState('network.hostConn');
 
     if (appRole === 'host' && !hostConn) {
-      if (err && typeof err === 'object' && (err as Record<string, unknown>).type === 'id-taken') {
-        return; // Handled by retry loop
-      }
+      if (isIdTakenError(err)) return; // Handled by retry loop
       bus.emit('network:error', err);
     }
   });
 
   peer.on('disconnected', () => {
     log.warn('[PeerJS] Disconnected from signaling server');
+    // A Wi-Fi blip drops the signaling socket too; without it we cannot rejoin or accept guests
+    const disconnectedPeer = peer;
+    setTimeout(() => {
+      if (!disconnectedPeer || disconnectedPeer !== peer || getState('network.appRole') === 'idle') return;
+      try { disconnectedPeer.reconnect(); } catch (e) { log.warn('[PeerJS] Reconnect failed', e); }
+    }, DELAY.SIGNAL_RECONNECT);
   });
 
   peer.on('connection', (conn: DataConnection) => {
@@ -270,15 +415,46 @@ function handleHostIncomingConnection(conn: DataConnection): void {
   const connectedPeers = getState('network.connectedPeers');
   const activeHostConnByPeerId = getState('network.activeHostConnByPeerId');
 
+  // Versioned handshake: reject peers we cannot talk to before touching slots
+  const connMeta = (conn.metadata || {}) as Record<string, unknown>;
+  const peerVersion = readProtocolVersion(connMeta.protocolVersion);
+  const compat = checkProtocolCompat(peerVersion, readProtocolVersion(connMeta.minProtocolVersion));
+  if (compat !== 'ok') {
+    log.warn(`[Host] Rejecting ${peerId}: protocol v${peerVersion} (${compat})`);
+    refuseConnection(conn, {
+      type: MSG.VERSION_MISMATCH,
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: MIN_PROTOCOL_VERSION,
+    });
+    return;
+  }
+  if (getState('network.bannedPeerIds').has(peerId)) {
+    log.warn(`[Host] Refusing banned peer ${peerId}`);
+    refuseConnection(conn, { type: MSG.KICKED, banned: true });
+    return;
+  }
+  const peerCaps = negotiateCapabilities(connMeta.caps);
+  const spectator = connMeta.spectator === true;
+  const profile = readProfile(connMeta);
+  const outputProfile = readOutputProfileName(connMeta.outputProfile);
+
+  // Resume: a returning guest reclaims its slot, OP flag and preloads
+  releaseExpiredResumeSlots();
+  const presentedToken = typeof connMeta.resumeToken === 'string' && !spectator ? connMeta.resumeToken : '';
+  const resumed = presentedToken ? reclaimResumedPeer(presentedToken, peerId) : null;
+
+  // Locked: only guests already in the session (resuming or reconnecting) get in
+  if (getState('network.sessionLocked') && !resumed && !activeHostConnByPeerId.has(peerId)) {
+    log.info(`[Host] Session locked — refusing ${peerId}`);
+    refuseConnection(conn, { type: MSG.SESSION_LOCKED });
+    return;
+  }
+
   // Duplicate connection handling
   const existingActiveConn = activeHostConnByPeerId.get(peerId);
   if (existingActiveConn && existingActiveConn !== conn) {
     activeHostConnByPeerId.set(peerId, conn);
-    try {
-      if (existingActiveConn.open) {
-        existingActiveConn.send({ type: MSG.FORCE_CLOSE_DUPLICATE });
-      }
-    } catch { /* noop */ }
+    safeSend(existingActiveConn, { type: MSG.FORCE_CLOSE_DUPLICATE });
     try { existingActiveConn.close(); } catch { /* noop */ }
   }
 
@@ -286,37 +462,28 @@ function handleHostIncomingConnection(conn: DataConnection): void {
   const filtered = connectedPeers.filter(p => p.id !== peerId);
   setState('network.connectedPeers', filtered);
 
-  // Enforce max guests
-  if (filtered.length >= MAX_GUEST_SLOTS) {
-    const sendFullAndClose = () => {
-      try {
-        conn.send({
-          type: MSG.SESSION_FULL,
-          message: t('network.session_full_detail'),
-        });
-      } catch { /* noop */ }
-      setTimeout(() => { try { conn.close(); } catch { /* noop */ } }, 500);
-    };
-    if (conn.open) sendFullAndClose();
-    else conn.on('open', sendFullAndClose);
+  // Enforce max guests (spectators have their own cap)
+  const sameKind = filtered.filter(p => !!p.spectator === spectator).length;
+  if (sameKind >= (spectator ? MAX_SPECTATORS : MAX_GUEST_SLOTS)) {
+    refuseConnection(conn, { type: MSG.SESSION_FULL, message: t('network.session_full_detail') });
     return;
   }
 
-  // Allocate slot
+  // Allocate slot (spectators: slot 0, outside the table)
   const peerSlotByPeerId = getState('network.peerSlotByPeerId');
   const preferredSlot = peerSlotByPeerId.get(peerId) || null;
-  const slot = getAvailablePeerSlot(preferredSlot, peerId);
-  if (!slot) {
+  const slot = spectator ? 0 : getAvailablePeerSlot(preferredSlot, peerId);
+  if (slot === null) {
     const sendFullAndClose = () => {
-      try { conn.send({ type: MSG.SESSION_FULL, message: t('network.session_full_detail') }); } catch { /* noop */ }
+      safeSend(conn, { type: MSG.SESSION_FULL, message: t('network.session_full_detail') });
       try { conn.close(); } catch { /* noop */ }
     };
     if (conn.open) sendFullAndClose();
     else conn.on('open', sendFullAndClose);
     return;
   }
-  assignPeerSlot(peerId, slot);
-  const deviceName = getPeerLabelBySlot(slot);
+  if (!spectator) assignPeerSlot(peerId, slot);
+  const deviceName = spectator ? getSpectatorLabel() : getPeerLabelBySlot(slot);
 
   // Track label
   const peerLabels = getState('network.peerLabels');
@@ -325,18 +492,36 @@ function handleHostIncomingConnection(conn: DataConnection): void {
   // New connection becomes active
   activeHostConnByPeerId.set(peerId, conn);
 
+  // Operator carried over from the previous host (migration) or the resumed slot
+  const restoredOp = _restoredOperators.has(peerId)
+    ? { isOp: true, perms: _restoredOperators.get(peerId) }
+    : resumed;
+  _restoredOperators.delete(peerId);
+
   const peerObj = {
     id: peerId,
     slot,
     label: deviceName,
     status: 'connecting' as string,
     conn,
-    isOp: false,
-    isDataTarget: true,
-    joinOrder: slot,
+    isOp: !!restoredOp?.isOp,
+    perms: restoredOp?.isOp ? restoredOp.perms : undefined,
+    isDataTarget: !spectator,
+    dataSourceId: null as string | null,
+    joinOrder: spectator ? MAX_GUEST_SLOTS + 1 : slot, // spectators list after players
     lastHeartbeat: Date.now(),
-    preloadedIndexes: new Set<number>(),
+    rttMs: -1,
+    protocolVersion: peerVersion,
+    caps: peerCaps as string[],
+    flagged: false,
+    resumeToken: spectator ? '' : resumed ? presentedToken : createResumeToken(),
+    heldSessionId: resumed ? Number(connMeta.heldSessionId) || 0 : 0,
+    preloadedIndexes: new Set<number>(resumed?.preloadedIndexes),
     connectionType: 'unknown' as 'local' | 'remote' | 'unknown',
+    spectator,
+    displayName: profile.displayName || undefined,
+    avatar: profile.avatar || undefined,
+    outputProfile: outputProfile || undefined,
   };
 
   setState('network.connectedPeers', [...getState('network.connectedPeers'), peerObj]);
@@ -346,16 +531,22 @@ function handleHostIncomingConnection(conn: DataConnection): void {
     peerObj.lastHeartbeat = Date.now();
 
     // Welcome message with host-assigned label
-    try {
-      conn.send({
-        type: MSG.WELCOME,
-        lockChannel: false,
-        label: deviceName,
-      });
-    } catch { /* noop */ }
+    safeSend(conn, {
+      type: MSG.WELCOME,
+      lockChannel: false,
+      label: deviceName,
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: MIN_PROTOCOL_VERSION,
+      caps: peerCaps,
+      resumeToken: peerObj.resumeToken,
+      resumed: !!resumed,
+    });
+    // Operator carried over from the previous host or the resumed slot
+    if (peerObj.isOp) safeSend(conn, { type: MSG.OPERATOR_GRANT, perms: peerPermissions(peerObj) });
 
-    bus.emit('ui:show-toast', t('toast.device_connected', { name: deviceName }));
-    bus.emit('chat:system-message', t('chat.peer_connected', { name: deviceName }));
+    const shownName = formatPeerName(peerObj);
+    bus.emit('ui:show-toast', t(resumed ? 'toast.device_resumed' : 'toast.device_connected', { name: shownName }));
+    bus.emit('chat:system-message', t('chat.peer_connected', { name: shownName }));
 
     // Emit event for other modules to send late-join bootstrap data
     bus.emit('network:peer-connected', conn);
@@ -371,6 +562,8 @@ function handleHostIncomingConnection(conn: DataConnection): void {
       }
       log.info(`[Host] ${deviceName} connection type: ${type}`);
       broadcastDeviceList();
+      // Place the guest in the relay tree once we know it can carry file data
+      bus.emit('relay:rebalance');
     }, 1500);
 
     // Broadcast updated device list to all peers
@@ -391,7 +584,9 @@ function handleHostIncomingConnection(conn: DataConnection): void {
     if (activeHostConnByPeerId.get(peerId) !== conn) return;
 
     activeHostConnByPeerId.delete(peerId);
-    releasePeerSlot(peerId);
+    // Live record: operator toggles replace the peer object
+    const livePeer = getState('network.connectedPeers').find(p => p.id === peerId) || peerObj;
+    parkPeerSlot(livePeer);
 
     const peerLabelsOnClose = getState('network.peerLabels');
     if (peerLabelsOnClose) {
@@ -406,8 +601,8 @@ function handleHostIncomingConnection(conn: DataConnection): void {
 
     const sessionStarted = getState('setup.sessionStarted');
     if (sessionStarted) {
-      bus.emit('ui:show-toast', t('toast.device_disconnected', { name: deviceName }));
-      bus.emit('chat:system-message', t('chat.peer_disconnected', { name: deviceName }));
+      bus.emit('ui:show-toast', t('toast.device_disconnected', { name: formatPeerName(livePeer) }));
+      bus.emit('chat:system-message', t('chat.peer_disconnected', { name: formatPeerName(livePeer) }));
     }
     log.info(`[Host] ${deviceName} disconnected`);
   });
@@ -421,7 +616,8 @@ function handleHostIncomingConnection(conn: DataConnection): void {
     }
 
     activeHostConnByPeerId.delete(peerId);
-    releasePeerSlot(peerId);
+    const livePeer = getState('network.connectedPeers').find(p => p.id === peerId) || peerObj;
+    parkPeerSlot(livePeer);
 
     const peerLabelsOnError = getState('network.peerLabels');
     if (peerLabelsOnError) {
@@ -436,13 +632,44 @@ function handleHostIncomingConnection(conn: DataConnection): void {
 
     const sessionStarted = getState('setup.sessionStarted');
     if (sessionStarted) {
-      bus.emit('ui:show-toast', t('toast.device_conn_error', { name: deviceName }));
-      bus.emit('chat:system-message', t('chat.peer_disconnected', { name: deviceName }));
+      bus.emit('ui:show-toast', t('toast.device_conn_error', { name: formatPeerName(livePeer) }));
+      bus.emit('chat:system-message', t('chat.peer_disconnected', { name: formatPeerName(livePeer) }));
     }
     try { conn.close(); } catch { /* noop */ }
   });
 }
 
+/**
+ * Host: tell a joiner why it is refused, then close once the message is out.
+ */
+function refuseConnection(conn: DataConnection, msg: AnyProtocolMsg): void {
+  const sendAndClose = () => {
+    safeSend(conn, msg);
+    setTimeout(() => { try { conn.close(); } catch { /* noop */ } }, 500);
+  };
+  if (conn.open) sendAndClose();
+  else conn.on('open', sendAndClose);
+}
+
+/**
+ * Host: keep a dropped guest's slot for its resume token instead of freeing it.
+ */
+function parkPeerSlot(peerObj: {
+  id: string; slot: number; isOp: boolean; perms?: OpPermission[]; resumeToken: string; preloadedIndexes: Set<number>;
+}): void {
+  if (!peerObj.resumeToken) {
+    releasePeerSlot(peerObj.id);
+    return;
+  }
+  parkPeer(peerObj.resumeToken, {
+    peerId: peerObj.id,
+    slot: peerObj.slot,
+    isOp: peerObj.isOp,
+    perms: peerObj.perms,
+    preloadedIndexes: [...peerObj.preloadedIndexes],
+  });
+}
+
 // ─── Guest: Join Session ────────────────────────────────────────────
 
 /**
@@ -497,7 +724,9 @@ export function joinSession(hostId: string, retryAttempt = 0): void {
     const channelMode = getState('audio.channelMode');
     conn = peer.connect(hostId, {
       reliable: true,
-      metadata: { label: `mode-${channelMode}` },
+      metadata: getState('network.isSpectator')
+        ? { label: 'spectator', spectator: true, ...getHandshakeMetadata(), ...getProfileMetadata(), ...getOutputProfileMetadata() }
+        : { label: `mode-${channelMode}`, ...getHandshakeMetadata(), ...getResumeMetadata(), ...getProfileMetadata(), ...getOutputProfileMetadata() },
     });
   } catch (e) {
     log.error('[Join] peer.connect failed', e);
@@ -509,8 +738,21 @@ export function joinSession(hostId: string, retryAttempt = 0): void {
   // Own flag — don't trust conn.open (PeerJS can set it true before 'open' event fires)
   let dataChannelOpened = false;
 
+  // Host code not registered (host gone): fail now rather than at the timeout
+  const joinPeer = peer;
+  const onPeerUnavailable = (err: unknown) => {
+    if (dataChannelOpened || (err as Record<string, unknown> | null)?.type !== 'peer-unavailable') return;
+    clearTimeout(timeoutId);
+    joinPeer.off('error', onPeerUnavailable);
+    try { conn.close(); } catch { /* noop */ }
+    setState('network.isConnecting', false);
+    bus.emit('network:error', err);
+  };
+  joinPeer.on('error', onPeerUnavailable);
+
   // Timeout if host is unreachable (15s to allow TURN relay negotiation)
   const timeoutId = setTimeout(() => {
+    joinPeer.off('error', onPeerUnavailable);
     if (dataChannelOpened || getState('network.hostConn')) return;
     log.warn('[Join] Connection timeout — data channel did not open in 15s');
     try { conn.close(); } catch { /* noop */ }
@@ -521,6 +763,7 @@ export function joinSession(hostId: string, retryAttempt = 0): void {
   conn.on('open', () => {
     dataChannelOpened = true;
     clearTimeout(timeoutId);
+    joinPeer.off('error', onPeerUnavailable);
     log.info('[Join] Connected to host:', hostId);
 
     setState('network.hostConn', conn);
@@ -535,6 +778,9 @@ export function joinSession(hostId: string, retryAttempt = 0): void {
 
     conn.on('close', () => {
       log.warn('[Join] Host connection closed');
+      // Stale link (old host after a migration) must not clear the new one
+      const currentHostConn = getState('network.hostConn');
+      if (currentHostConn && currentHostConn !== conn) return;
       setState('network.hostConn', null);
       setState('network.isConnecting', false);
 
@@ -546,25 +792,31 @@ export function joinSession(hostId: string, retryAttempt = 0): void {
 
       const isIntentional = getState('network.isIntentionalDisconnect');
       if (!isIntentional) {
-        bus.emit('network:error', new Error('HOST_DISCONNECTED'));
+        // Host vanished: elect a successor when the session supports it
+        if (sessionHasCapability(CAP.HOST_MIGRATION)) bus.emit('network:host-lost');
+        else bus.emit('network:error', new Error('HOST_DISCONNECTED'));
       }
       setState('network.isIntentionalDisconnect', false);
     });
 
     conn.on('error', (err: unknown) => {
       log.error('[Join] Host connection error', err);
+      const currentHostConn = getState('network.hostConn');
+      if (currentHostConn && currentHostConn !== conn) return;
       setState('network.hostConn', null);
       setState('network.isConnecting', false);
 
       if ((conn as unknown as Record<string, unknown>)._errorHandled) return;
       (conn as unknown as Record<string, unknown>)._errorHandled = true;
 
-      bus.emit('network:error', new Error('HOST_CONNECTION_ERROR'));
+      if (sessionHasCapability(CAP.HOST_MIGRATION)) bus.emit('network:host-lost');
+      else bus.emit('network:error', new Error('HOST_CONNECTION_ERROR'));
     });
 
-    // Start heartbeat & ping timers for guest
+    // Start heartbeat, ping & clock-sync timers for guest
     bus.emit('worker:sync-command', { command: 'START_TIMER', id: 'heartbeat', interval: 1000 });
     bus.emit('worker:sync-command', { command: 'START_TIMER', id: 'ping', interval: 2000 });
+    bus.emit('worker:sync-command', { command: 'START_TIMER', id: 'clock', interval: DELAY.CLOCK_SYNC });
 
     // Detect local vs remote connection after ICE stabilizes
     setTimeout(async () => {
@@ -581,17 +833,46 @@ export function joinSession(hostId: string, retryAttempt = 0): void {
 
 // ─── Leave / Cleanup ────────────────────────────────────────────────
 
+/**
+ * Close `conns`, then destroy `oldPeer`, once every send buffer is empty or
+ * DELAY.LEAVE_DRAIN has passed. Plain timeouts: leaveSession() clears the
+ * managed ones.
+ */
+function closeWhenDrained(conns: DataConnection[], oldPeer: PeerInstance | null): void {
+  const deadline = Date.now() + DELAY.LEAVE_DRAIN;
+  const poll = () => {
+    const buffered = conns.some(c => c.open && (c.dataChannel?.bufferedAmount ?? 0) > 0);
+    if (buffered && Date.now() < deadline) {
+      setTimeout(poll, DELAY.BACKPRESSURE);
+      return;
+    }
+    conns.forEach(c => {
+      try { c.close(); } catch { /* noop */ }
+    });
+    // Destroy peer AFTER all connections are closed
+    if (oldPeer) {
+      try { oldPeer.destroy(); } catch { /* noop */ }
+    }
+  };
+  // One tick first: the transport may still be handing the last send to the channel
+  setTimeout(poll, DELAY.BACKPRESSURE);
+}
+
 /**
  * Leave the current session and clean up all network state.
  */
 export function leaveSession(): void {
   log.debug('[Network] Leaving session — full cleanup...');
 
+  // Host: hand the party to a guest before connections close
+  bus.emit('network:before-leave');
+
   setState('network.isIntentionalDisconnect', true);
 
   // ── 1. Stop all background timers ──
   stopBackgroundWorkerTimers();
   clearAllManagedTimers();
+  clearControlQueue();
 
   // ── 2. Stop media playback ──
   bus.emit('player:stop-all-media');
@@ -602,25 +883,23 @@ export function leaveSession(): void {
     try { hostConn.close(); } catch { /* noop */ }
   }
 
-  const connectedPeers = getState('network.connectedPeers');
-  connectedPeers.forEach(p => {
-    try {
-      const conn = p.conn as DataConnection | null;
-      if (conn) conn.close();
-    } catch { /* noop */ }
-  });
-
   // Close downstream relay connections
   const downstreamDataPeers = getState('relay.downstreamDataPeers');
   downstreamDataPeers.forEach(p => {
     try { p.close(); } catch { /* noop */ }
   });
 
-  // Destroy peer AFTER all connections are closed
-  if (peer) {
+  // Host: guests still have HOST_HANDOFF in flight — close once it is out.
+  // Their close handlers find the cleared peer maps below and stand down.
+  const guestConns = getState('network.connectedPeers')
+    .map(p => p.conn as DataConnection | null)
+    .filter((c): c is DataConnection => !!c);
+  if (guestConns.length > 0) {
+    closeWhenDrained(guestConns, peer);
+  } else if (peer) {
     try { peer.destroy(); } catch { /* noop */ }
-    peer = null;
   }
+  peer = null;
 
   // ── 4. Clear peer slots and maps ──
   const activeHostConnByPeerId = getState('network.activeHostConnByPeerId');
@@ -629,6 +908,7 @@ export function leaveSession(): void {
   peerSlotByPeerId.clear();
   const peerSlots = getState('network.peerSlots');
   for (let i = 1; i <= MAX_GUEST_SLOTS; i++) peerSlots[i] = null;
+  _restoredOperators.clear();
 
   // ── 5. Clear transfer state ──
   // Note: file/preload reorder buffers are module-local in transfer.ts/preload.ts
@@ -649,10 +929,16 @@ export function leaveSession(): void {
     'network.hostConn': null,
     'network.connectedPeers': [],
     'network.isOperator': false,
+    'network.opPermissions': [],
     'network.isConnecting': false,
     'network.lastKnownDeviceList': null,
     'network.peerLabels': {},
     'network.isIntentionalDisconnect': false,
+    'network.sessionCaps': [],
+    'network.migratingTo': null,
+    'network.resumeToken': null,
+    'network.bannedPeerIds': new Set<string>(),
+    'network.sessionLocked': false,
     // Relay
     'relay.upstreamDataConn': null,
     'relay.downstreamDataPeers': [],
@@ -692,6 +978,8 @@ export function leaveSession(): void {
  * Broadcast a message to all connected peers.
  */
 export function broadcast(msg: AnyProtocolMsg, isDataOnly = false): void {
+  flushControl(); // Queued control values first, so they cannot overwrite this one
+  recordOutbound(msg, '*');
   const connectedPeers = getState('network.connectedPeers');
   connectedPeers.forEach(p => {
     try {
@@ -713,6 +1001,8 @@ export function broadcast(msg: AnyProtocolMsg, isDataOnly = false): void {
  * Broadcast to all peers except one (used for chat relays).
  */
 export function broadcastExcept(excludePeerId: string, msg: AnyProtocolMsg, isDataOnly = false): void {
+  flushControl();
+  recordOutbound(msg, '*', excludePeerId);
   const connectedPeers = getState('network.connectedPeers');
   connectedPeers.forEach(p => {
     try {
@@ -748,7 +1038,17 @@ export function broadcastDeviceList(): void {
         status: p.status,
         isHost: false,
         isOp: p.isOp,
+        perms: p.isOp ? peerPermissions(p) : undefined,
         connectionType: (p.connectionType as string) || 'unknown',
+        dataSourceId: p.dataSourceId || null,
+        flagged: p.flagged || undefined,
+        slot: p.slot,
+        canHost: !p.spectator && p.caps.includes(CAP.HOST_MIGRATION),
+        health: p.health,
+        spectator: p.spectator || undefined,
+        displayName: p.displayName,
+        avatar: p.avatar,
+        outputProfile: p.outputProfile,
       })),
   ];
 
@@ -765,6 +1065,7 @@ export function broadcastDeviceList(): void {
  */
 export function safeSend(conn: DataConnection | null | undefined, msg: AnyProtocolMsg): boolean {
   if (!conn || !conn.open) return false;
+  recordOutbound(msg, conn.peer);
   try {
     conn.send(msg);
     return true;
@@ -774,6 +1075,7 @@ export function safeSend(conn: DataConnection | null | undefined, msg: AnyProtoc
 }
 
 export function sendToHost(msg: AnyProtocolMsg): boolean {
+  flushControl();
   const hostConn = getState('network.hostConn');
   return safeSend(hostConn, msg);
 }
@@ -782,16 +1084,13 @@ export function sendToHost(msg: AnyProtocolMsg): boolean {
  * Send pause state to a single connection.
  */
 export function sendPauseState(conn: DataConnection, time: number): void {
-  try {
-    if (!conn || !conn.open) return;
-    conn.send({
-      type: MSG.PAUSE,
-      time,
-      index: getState('playlist.currentTrackIndex'),
-      state: getState('appState'),
-      timestamp: Date.now(),
-    });
-  } catch { /* noop */ }
+  safeSend(conn, {
+    type: MSG.PAUSE,
+    time,
+    index: getState('playlist.currentTrackIndex'),
+    state: getState('appState'),
+    timestamp: Date.now(),
+  });
 }
 
 // ─── Transport Guard (Remote File Transfer Blocking) ────────────
@@ -830,9 +1129,14 @@ function waitForPeerConnectionType(
  */
 export async function canSendFileTo(conn: DataConnection): Promise<boolean> {
   if (!conn || !conn.open) return false;
+
+  // Relay node: downstream peers were vetted by the host before assignment
+  const downstreamDataPeers = getState('relay.downstreamDataPeers');
+  if (downstreamDataPeers.includes(conn)) return true;
+
   const connectedPeers = getState('network.connectedPeers');
   const peerObj = connectedPeers.find(p => p.conn === conn);
-  if (!peerObj) return false;
+  if (!peerObj || peerObj.spectator) return false;
 
   const type = peerObj.connectionType as string | undefined;
   if (type === 'local') return true;
@@ -854,10 +1158,27 @@ export function filterEligiblePeers(): Array<Record<string, unknown>> {
     p.status === 'connected' &&
     (p.conn as DataConnection)?.open &&
     p.isDataTarget !== false &&
+    !p.spectator &&
     p.connectionType === 'local',
   );
 }
 
+/**
+ * Host-side: is this peer fed file data by a relay guest instead of the host?
+ */
+export function isRelayedDataPeer(conn: DataConnection): boolean {
+  const connectedPeers = getState('network.connectedPeers');
+  const peerObj = connectedPeers.find(p => p.conn === conn);
+  return !!peerObj && peerObj.isDataTarget === false;
+}
+
+/**
+ * Guest-side: did I join as a listen-only spectator? (no audio, no file data)
+ */
+export function isSpectator(): boolean {
+  return getState('network.isSpectator');
+}
+
 /**
  * Guest-side: am I a remote guest? (remote or unknown = true)
  */
@@ -888,6 +1209,73 @@ export function waitForGuestConnectionType(timeout: number): Promise<'local' | '
   });
 }
 
+// ─── Host: Operator Permissions ─────────────────────────────────
+
+/**
+ * Host: replace a guest's operator permissions and tell it. An empty set
+ * revokes OP; the full set is stored as a plain grant. Returns false when
+ * the guest is unknown or we are not the host.
+ */
+export function setOperatorPermissions(peerId: string, perms: readonly OpPermission[]): boolean {
+  if (getState('network.hostConn')) return false;
+
+  const connectedPeers = getState('network.connectedPeers');
+  const p = connectedPeers.find(x => x.id === peerId);
+  if (!p) return false;
+
+  const next = OP_PERMISSIONS.filter(perm => perms.includes(perm));
+  const isOp = next.length > 0;
+  const stored = isOp && next.length < OP_PERMISSIONS.length ? next : undefined;
+  setState('network.connectedPeers', connectedPeers.map(peer => peer.id === peerId ? { ...peer, isOp, perms: stored } : peer));
+
+  if (!safeSend(p.conn, isOp ? { type: MSG.OPERATOR_GRANT, perms: next } : { type: MSG.OPERATOR_REVOKE })) {
+    log.warn(`[OP] Cannot notify peer ${peerId} — connection not open`);
+  }
+  broadcastDeviceList();
+  return true;
+}
+
+// ─── Host: Kick / Ban / Lock ────────────────────────────────────
+
+/**
+ * Host: disconnect a guest. Its slot is freed rather than parked, so the
+ * resume token dies with it; `ban` also refuses its peer ID until the
+ * session ends.
+ */
+export function kickPeer(peerId: string, ban = false): void {
+  if (getState('network.hostConn')) return;
+
+  const connectedPeers = getState('network.connectedPeers');
+  const p = connectedPeers.find(x => x.id === peerId);
+  if (!p) return;
+
+  if (ban) getState('network.bannedPeerIds').add(peerId);
+  // No token → the close handler releases the slot instead of parking it
+  setState('network.connectedPeers', connectedPeers.map(peer => peer.id === peerId ? { ...peer, resumeToken: '' } : peer));
+
+  const conn = p.conn as DataConnection | null;
+  safeSend(conn, { type: MSG.KICKED, banned: ban });
+  // Give the reason a moment to arrive before the link drops
+  setTimeout(() => { try { conn?.close(); } catch { /* noop */ } }, 500);
+
+  log.info(`[Host] ${ban ? 'Banned' : 'Kicked'} ${p.label} (peer: ${peerId})`);
+  bus.emit('ui:show-toast', t(ban ? 'toast.peer_banned' : 'toast.peer_kicked', { label: formatPeerName(p) }));
+}
+
+/**
+ * Host: refuse (or again accept) new joiners. Guests already in the session
+ * can still resume after a drop.
+ */
+export function setSessionLocked(locked: boolean): void {
+  if (getState('network.hostConn')) return;
+  if (getState('network.sessionLocked') === locked) return;
+
+  setState('network.sessionLocked', locked);
+  // Lock state is host-local; just redraw our device list
+  bus.emit('network:device-list-update', getState('network.lastKnownDeviceList') || []);
+  bus.emit('ui:show-toast', t(locked ? 'toast.session_locked' : 'toast.session_unlocked'));
+}
+
 // ─── Bus Event Handlers ─────────────────────────────────────────
 
 bus.on('network:broadcast', (data) => {
@@ -902,28 +1290,55 @@ bus.on('network:broadcast-except', (peerId, data) => {
 bus.on('network:toggle-operator', (peerId) => {
   if (!peerId) return;
 
-  // Only Host can toggle operator
-  const hostConn = getState('network.hostConn');
-  if (hostConn) return;
+  const p = getState('network.connectedPeers').find(x => x.id === peerId);
+  if (!p || getState('network.hostConn')) return;
 
-  const connectedPeers = getState('network.connectedPeers');
-  const idx = connectedPeers.findIndex(x => x.id === peerId);
-  if (idx !== -1) {
-    const p = connectedPeers[idx];
-    const newOp = !p.isOp;
-    const updated = connectedPeers.map((peer, i) => i === idx ? { ...peer, isOp: newOp } : peer);
-    setState('network.connectedPeers', updated);
-    const conn = p.conn as DataConnection;
-    if (conn && conn.open) {
-      conn.send({ type: newOp ? MSG.OPERATOR_GRANT : MSG.OPERATOR_REVOKE });
-    } else {
-      log.warn(`[OP] Cannot notify peer ${peerId} — connection not open`);
-    }
-    broadcastDeviceList();
-    bus.emit('ui:show-toast', t('toast.op_status', { label: p.label, status: newOp ? t('common.granted') : t('common.revoked') }));
+  const newOp = !p.isOp;
+  if (setOperatorPermissions(peerId, newOp ? [...OP_PERMISSIONS] : [])) {
+    bus.emit('ui:show-toast', t('toast.op_status', { label: formatPeerName(p), status: newOp ? t('common.granted') : t('common.revoked') }));
   }
 });
 
+// Host: Toggle a single operator permission on a peer
+bus.on('network:toggle-permission', (peerId, perm) => {
+  const p = getState('network.connectedPeers').find(x => x.id === peerId);
+  if (!p || getState('network.hostConn')) return;
+
+  const current = peerPermissions(p);
+  const granted = !current.includes(perm);
+  const next = granted ? [...current, perm] : current.filter(x => x !== perm);
+  if (setOperatorPermissions(peerId, next)) {
+    bus.emit('ui:show-toast', t('toast.op_permission', {
+      label: formatPeerName(p),
+      perm: t(`settings.perm_${perm}`),
+      status: granted ? t('common.granted') : t('common.revoked'),
+    }));
+  }
+});
+
+// Host: Remove a guest, optionally banning its peer ID
+bus.on('network:kick-peer', (peerId, ban) => {
+  if (peerId) kickPeer(peerId, ban);
+});
+
+// Host: Lock or unlock the session to new joiners
+bus.on('network:set-session-lock', (locked) => {
+  setSessionLocked(locked);
+});
+
+// Host: Mark a guest that keeps sending malformed messages
+bus.on('network:peer-flagged', (peerId, rejections) => {
+  if (getState('network.hostConn')) return;
+
+  const connectedPeers = getState('network.connectedPeers');
+  const p = connectedPeers.find(x => x.id === peerId);
+  if (!p || p.flagged) return;
+
+  setState('network.connectedPeers', connectedPeers.map(peer => peer.id === peerId ? { ...peer, flagged: true } : peer));
+  broadcastDeviceList();
+  bus.emit('ui:show-toast', t('toast.peer_flagged', { label: formatPeerName(p), count: rejections }));
+});
+
 // Expose toggleOperator globally for device-list UI buttons
 (window as unknown as Record<string, unknown>).toggleOperator = (peerId: string) => {
   bus.emit('network:toggle-operator', peerId);
@@ -939,15 +1354,28 @@ bus.on('network:device-list', (list) => {
 // ─── Guest Protocol Handlers ──────────────────────────────────────
 
 function handleWelcome(data: Record<string, unknown>): void {
+  // Legacy hosts omit version fields — treat as LEGACY_PROTOCOL_VERSION
+  const hostVersion = readProtocolVersion(data.protocolVersion);
+  const compat = checkProtocolCompat(hostVersion, readProtocolVersion(data.minProtocolVersion));
+  if (compat !== 'ok') {
+    handleVersionMismatch({ protocolVersion: hostVersion, minProtocolVersion: data.minProtocolVersion });
+    return;
+  }
+  setState('network.sessionCaps', negotiateCapabilities(data.caps));
+  log.info(`[Peer] Host protocol v${hostVersion}, caps: ${getState('network.sessionCaps').join(',')}`);
+
   if (data.label) {
     setState('network.myDeviceLabel', String(data.label));
   }
+  handleResumeWelcome(typeof data.resumeToken === 'string' ? data.resumeToken : null, data.resumed === true);
   bus.emit('network:role-badge-update');
 }
 
-function handleSessionFull(data: Record<string, unknown>): void {
-  const msg = data.message ? String(data.message) : t('network.session_full');
-
+/**
+ * Guest: the host refused or removed us — drop the link without treating it
+ * as a host loss.
+ */
+function abandonHostConn(): void {
   setState('network.isIntentionalDisconnect', true);
 
   const hostConn = getState('network.hostConn');
@@ -957,9 +1385,37 @@ function handleSessionFull(data: Record<string, unknown>): void {
   }
   setState('network.isConnecting', false);
   bus.emit('network:role-badge-update');
+}
+
+function handleVersionMismatch(data: Record<string, unknown>): void {
+  const hostVersion = readProtocolVersion(data.protocolVersion);
+  const compat = checkProtocolCompat(hostVersion, readProtocolVersion(data.minProtocolVersion));
+  log.warn(`[Guest] Protocol mismatch: host v${hostVersion}, local v${PROTOCOL_VERSION} (${compat})`);
+
+  abandonHostConn();
+  // 'peer-outdated' from our side means the host is too old; anything else → update this app
+  bus.emit('network:version-mismatch', compat === 'peer-outdated' ? 'host' : 'self');
+}
+
+function handleSessionFull(data: Record<string, unknown>): void {
+  const msg = data.message ? String(data.message) : t('network.session_full');
+  abandonHostConn();
   bus.emit('network:session-full', msg);
 }
 
+function handleSessionLocked(): void {
+  log.warn('[Guest] Host session is locked');
+  abandonHostConn();
+  bus.emit('network:session-full', t('network.session_locked'));
+}
+
+function handleKicked(data: Record<string, unknown>): void {
+  const banned = data.banned === true;
+  log.warn(`[Guest] Removed by host${banned ? ' (banned)' : ''}`);
+  abandonHostConn();
+  bus.emit('network:removed-by-host', banned);
+}
+
 function handleDeviceListUpdateMsg(data: Record<string, unknown>): void {
   const list = Array.isArray(data.list) ? data.list as DeviceInfo[] : [];
   setState('network.lastKnownDeviceList', list);
@@ -995,15 +1451,17 @@ function handleSysToast(data: Record<string, unknown>): void {
   }
 }
 
-function handleOperatorGrant(): void {
-  setState('network.isOperator', true);
-  bus.emit('ui:show-toast', t('network.op_granted'));
-  bus.emit('ui:play-btn-state', true);
+function handleOperatorGrant(data: Record<string, unknown>): void {
+  const wasOperator = getState('network.isOperator');
+  const perms = readPermissions(data.perms);
+  batchSetState({ 'network.isOperator': perms.length > 0, 'network.opPermissions': perms });
+  bus.emit('ui:show-toast', t(wasOperator ? 'network.op_perms_changed' : 'network.op_granted'));
+  bus.emit('ui:play-btn-state', perms.includes('transport'));
   bus.emit('network:role-badge-update');
 }
 
 function handleOperatorRevoke(): void {
-  setState('network.isOperator', false);
+  batchSetState({ 'network.isOperator': false, 'network.opPermissions': [] });
   bus.emit('ui:show-toast', t('network.op_revoked'));
   bus.emit('network:role-badge-update');
 }
@@ -1021,6 +1479,9 @@ export function initPeerHandlers(): void {
   registerHandlers({
     [MSG.WELCOME]: handleWelcome,
     [MSG.SESSION_FULL]: handleSessionFull,
+    [MSG.SESSION_LOCKED]: handleSessionLocked,
+    [MSG.KICKED]: handleKicked,
+    [MSG.VERSION_MISMATCH]: handleVersionMismatch,
     [MSG.SESSION_START]: handleSessionStart,
     [MSG.DEVICE_LIST_UPDATE]: handleDeviceListUpdateMsg,
     [MSG.FORCE_CLOSE_DUPLICATE]: handleForceCloseDuplicate,
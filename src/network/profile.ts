@@ -0,0 +1,142 @@
+/**
+ * MUSIXQUARE 2.0 — Guest Display Names & Avatars
+ *
+ * Manages: the guest's self-chosen name and emoji (persisted in
+ * localStorage), sent in the join handshake and, mid-session, as
+ * PROFILE_UPDATE. The host sanitizes both and carries them in the device
+ * list; the slot label ("Peer N") stays the guest's identity everywhere
+ * else (speaker roles, relay tree, migration).
+ */
+
+import { log } from '../core/log.ts';
+import { t } from '../i18n/index.ts';
+import { bus } from '../core/events.ts';
+import { getState, setState } from '../core/state.ts';
+import { MSG, CAP, DISPLAY_NAME_MAX } from '../core/constants.ts';
+import { registerHandler } from './protocol.ts';
+import { sendToHost, broadcastDeviceList } from './peer.ts';
+import { sessionHasCapability } from './version.ts';
+import type { DataConnection, PeerProfile } from '../types/index.ts';
+
+const PROFILE_STORAGE_KEY = 'musixquare-profile';
+
+/** Longest ZWJ family / flag sequences fit comfortably */
+const AVATAR_MAX_LENGTH = 16;
+const EMOJI_START = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator})/u;
+/** Control characters and bidi overrides (name spoofing) */
+const UNSAFE_CHARS = /[\p{Cc}\u202A-\u202E\u2066-\u2069]/gu;
+
+// ─── Sanitizing ─────────────────────────────────────────────────────
+
+/**
+ * Trimmed, single-spaced, at most DISPLAY_NAME_MAX characters.
+ * '' for anything unusable (including a guest calling itself HOST).
+ */
+export function sanitizeDisplayName(raw: unknown): string {
+  if (typeof raw !== 'string') return '';
+  const clean = raw.replace(UNSAFE_CHARS, ' ').replace(/\s+/g, ' ').trim();
+  const name = [...clean].slice(0, DISPLAY_NAME_MAX).join('').trim();
+  return name.toUpperCase() === 'HOST' ? '' : name;
+}
+
+/**
+ * A single emoji (one grapheme), or '' when `raw` is anything else.
+ */
+export function sanitizeAvatar(raw: unknown): string {
+  if (typeof raw !== 'string') return '';
+  const avatar = raw.trim();
+  if (!avatar || avatar.length > AVATAR_MAX_LENGTH || /\s/.test(avatar) || !EMOJI_START.test(avatar)) return '';
+  if (typeof Intl.Segmenter === 'function' && [...new Intl.Segmenter().segment(avatar)].length !== 1) return '';
+  return avatar;
+}
+
+export function readProfile(raw: Record<string, unknown> | null | undefined): PeerProfile {
+  return {
+    displayName: sanitizeDisplayName(raw?.displayName),
+    avatar: sanitizeAvatar(raw?.avatar),
+  };
+}
+
+/**
+ * How a device is named on screen: "🎸 Alice", falling back to the slot label.
+ */
+export function formatPeerName(p: { label?: string; displayName?: string; avatar?: string }): string {
+  return [p.avatar, p.displayName || p.label].filter(Boolean).join(' ');
+}
+
+// ─── Guest: Own Profile ─────────────────────────────────────────────
+
+function loadProfile(): PeerProfile {
+  try {
+    const raw = localStorage.getItem(PROFILE_STORAGE_KEY);
+    return readProfile(raw ? JSON.parse(raw) : null);
+  } catch {
+    return { displayName: '', avatar: '' };
+  }
+}
+
+/**
+ * Join handshake fields (only the ones the guest has set).
+ */
+export function getProfileMetadata(): Partial<PeerProfile> {
+  const { displayName, avatar } = getState('network.myProfile');
+  return {
+    ...(displayName ? { displayName } : {}),
+    ...(avatar ? { avatar } : {}),
+  };
+}
+
+/**
+ * Guest: change (and persist) this device's name and avatar. In a session,
+ * the host is told so every device list picks it up.
+ */
+export function setMyProfile(profile: Partial<PeerProfile>): PeerProfile {
+  const current = getState('network.myProfile');
+  const next = readProfile({ ...current, ...profile });
+  if (next.displayName === current.displayName && next.avatar === current.avatar) return current;
+
+  setState('network.myProfile', next);
+  try { localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(next)); } catch { /* ignore */ }
+
+  if (getState('network.hostConn') && sessionHasCapability(CAP.PROFILES)) {
+    sendToHost({ type: MSG.PROFILE_UPDATE, ...next });
+  }
+  return next;
+}
+
+// ─── Host: Profile Updates ──────────────────────────────────────────
+
+function handleProfileUpdate(data: Record<string, unknown>, conn: DataConnection): void {
+  if (getState('network.hostConn')) return; // Only Host
+
+  const peers = getState('network.connectedPeers');
+  const p = peers.find(x => x.id === conn?.peer);
+  if (!p || p.conn !== conn) return;
+
+  const { displayName, avatar } = readProfile(data);
+  if ((p.displayName || '') === displayName && (p.avatar || '') === avatar) return;
+
+  const before = formatPeerName(p);
+  p.displayName = displayName || undefined;
+  p.avatar = avatar || undefined;
+  setState('network.connectedPeers', [...peers]);
+  broadcastDeviceList();
+
+  log.info(`[Profile] ${p.label} is now "${formatPeerName(p)}"`);
+  bus.emit('ui:show-toast', t('toast.peer_renamed', { old: before, name: formatPeerName(p) }));
+}
+
+// ─── Initialize Profile ─────────────────────────────────────────────
+
+export function initProfile(): void {
+  setState('network.myProfile', loadProfile());
+  registerHandler(MSG.PROFILE_UPDATE, handleProfileUpdate);
+
+  bus.on('network:set-profile', (profile) => {
+    const before = getState('network.myProfile');
+    const after = setMyProfile(profile);
+    if (after !== before && getState('network.hostConn')) bus.emit('ui:show-toast', t('toast.profile_saved'));
+  });
+
+  log.info('[Profile] Handlers registered');
+}
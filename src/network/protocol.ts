@@ -2,16 +2,20 @@
  * MUSIXQUARE 2.0 — Message Protocol & Dispatch
  * Extracted from original app.js lines 8935-9027, 9175-9223
  *
- * Manages: Message validation, handler registry, dispatch (handleData),
- * relay command routing (upstream/downstream), RELAYABLE_COMMANDS list.
+ * Manages: Message validation, binary chunk frame decoding, traffic recording, payload schema
+ * enforcement + per-peer rejection tracking, handler registry, dispatch (handleData),
+ * relay command routing (upstream/downstream), RELAYABLE_COMMANDS list, operator permission checks.
  */
 
 import { log } from '../core/log.ts';
 import { bus } from '../core/events.ts';
 import { getState } from '../core/state.ts';
-import { MSG } from '../core/constants.ts';
-import type { MsgType } from '../core/constants.ts';
-import { sendToHost } from './peer.ts';
+import { MSG, SCHEMA_REJECT_WINDOW, SCHEMA_REJECT_THRESHOLD, OP_PERMISSIONS } from '../core/constants.ts';
+import type { MsgType, OpPermission } from '../core/constants.ts';
+import { safeSend, sendToHost } from './peer.ts';
+import { validatePayload } from './schema.ts';
+import { isChunkFrame, decodeChunkFrame } from './framing.ts';
+import { recordInbound } from './recorder.ts';
 import type { DataConnection, ProtocolMsg, AnyProtocolMsg } from '../types/index.ts';
 
 // ─── Message Validation ─────────────────────────────────────────────
@@ -33,12 +37,66 @@ export function validateMessage(data: unknown, requiredFields: string[] = []): d
   return true;
 }
 
+// ─── Schema Rejections ──────────────────────────────────────────────
+
+interface RejectionRecord {
+  recent: number[];   // timestamps within SCHEMA_REJECT_WINDOW
+  total: number;
+  flagged: boolean;
+}
+
+const _rejections = new Map<string, RejectionRecord>();
+
+/**
+ * Count a schema rejection against `peerId`. Emits `network:peer-flagged`
+ * once when the peer crosses SCHEMA_REJECT_THRESHOLD within the window.
+ */
+function recordRejection(peerId: string): void {
+  const now = Date.now();
+  let rec = _rejections.get(peerId);
+  if (!rec) {
+    rec = { recent: [], total: 0, flagged: false };
+    _rejections.set(peerId, rec);
+  }
+  rec.recent = rec.recent.filter(t => now - t < SCHEMA_REJECT_WINDOW);
+  rec.recent.push(now);
+  rec.total++;
+
+  if (!rec.flagged && rec.recent.length >= SCHEMA_REJECT_THRESHOLD) {
+    rec.flagged = true;
+    log.warn(`[Protocol] Peer ${peerId} flagged: ${rec.recent.length} invalid messages in ${SCHEMA_REJECT_WINDOW / 1000}s`);
+    bus.emit('network:peer-flagged', peerId, rec.total);
+  }
+}
+
+/**
+ * Schema rejection counters for a peer (total since join, flagged state).
+ */
+export function getRejectionStats(peerId: string): { total: number; recent: number; flagged: boolean } {
+  const rec = _rejections.get(peerId);
+  if (!rec) return { total: 0, recent: 0, flagged: false };
+  const now = Date.now();
+  return {
+    total: rec.total,
+    recent: rec.recent.filter(t => now - t < SCHEMA_REJECT_WINDOW).length,
+    flagged: rec.flagged,
+  };
+}
+
+/**
+ * Forget rejection counters for one peer (on disconnect) or all peers.
+ */
+export function clearRejectionStats(peerId?: string): void {
+  if (peerId) _rejections.delete(peerId);
+  else _rejections.clear();
+}
+
 // ─── Relayable Commands ─────────────────────────────────────────────
 
 /** Commands that should be automatically relayed through the chain */
 export const RELAYABLE_COMMANDS: MsgType[] = [
   MSG.PLAY, MSG.PAUSE, MSG.VOLUME,
-  MSG.EQ_UPDATE, MSG.PREAMP, MSG.EQ_RESET,
+  MSG.EQ_UPDATE, MSG.PREAMP, MSG.EQ_RESET, MSG.FX_PRESET,
   MSG.REVERB, MSG.REVERB_TYPE, MSG.REVERB_DECAY,
   MSG.REVERB_PREDELAY, MSG.REVERB_LOWCUT, MSG.REVERB_HIGHCUT,
   MSG.STEREO_WIDTH, MSG.VBASS,
@@ -90,12 +148,35 @@ export function hasHandler(type: MsgType): boolean {
  * then handles relay routing (downstream/upstream).
  */
 export async function handleData(data: unknown, conn: DataConnection): Promise<void> {
+  // Binary chunk frame (CAP.BINARY_CHUNKS) → the chunk message it encodes
+  if (isChunkFrame(data)) {
+    const frame = decodeChunkFrame(data);
+    if (!frame) {
+      const peerId = conn?.peer || 'unknown';
+      log.warn(`[Protocol] Rejected malformed chunk frame from ${peerId}`);
+      recordRejection(peerId);
+      return;
+    }
+    data = frame;
+  }
+
+  recordInbound(data, conn?.peer);
+
   // Generic validation
   if (!validateMessage(data, [])) return;
 
   const msg = data as Record<string, unknown>;
   const msgType = msg.type as MsgType;
 
+  // Payload schema — drop before dispatch and before relaying it on
+  const schemaError = validatePayload(msg);
+  if (schemaError) {
+    const peerId = conn?.peer || 'unknown';
+    log.warn(`[Protocol] Rejected ${msgType} from ${peerId} (${schemaError})`);
+    recordRejection(peerId);
+    return;
+  }
+
   // Dispatch to registered handler
   const handler = _handlers.get(msgType);
   if (handler) {
@@ -112,13 +193,14 @@ export async function handleData(data: unknown, conn: DataConnection): Promise<v
   if (!hostConn) return;
 
   // 1. RELAY DOWNSTREAM (Control commands from Upstream → Downstream)
+  //    Skipped for data-only downstream peers that hear control from the host directly.
   const downstreamDataPeers = getState('relay.downstreamDataPeers');
   if (downstreamDataPeers.length > 0 && (RELAYABLE_COMMANDS as string[]).includes(msgType)) {
     downstreamDataPeers.forEach(p => {
+      const meta = p.metadata as Record<string, unknown> | undefined;
+      if (meta?.controlViaHost) return;
       // Prevent infinite loop: do not relay back to sender (compare by peer ID, not reference)
-      if (p.open && p.peer !== conn?.peer) {
-        try { p.send(data); } catch { /* peer might have closed */ }
-      }
+      if (p.peer !== conn?.peer) safeSend(p, msg as unknown as AnyProtocolMsg);
     });
   }
 
@@ -137,16 +219,40 @@ export async function handleData(data: unknown, conn: DataConnection): Promise<v
 // ─── Operator Verification ──────────────────────────────────────────
 
 /**
- * Check whether the peer behind `conn` has been granted Operator privileges.
+ * Permissions an operator entry carries. `perms` absent (plain GRANT,
+ * legacy snapshots) means all of them.
+ */
+export function peerPermissions(p: { isOp: boolean; perms?: readonly OpPermission[] }): OpPermission[] {
+  if (!p.isOp) return [];
+  return [...(p.perms ?? OP_PERMISSIONS)];
+}
+
+/**
+ * Sanitize a permission list from the wire; absent means all of them.
+ */
+export function readPermissions(raw: unknown): OpPermission[] {
+  if (!Array.isArray(raw)) return [...OP_PERMISSIONS];
+  return OP_PERMISSIONS.filter(perm => raw.includes(perm));
+}
+
+/**
+ * Check whether the peer behind `conn` has been granted `perm`.
  * Called by Host-side `request-*` handlers before executing commands.
  * When `data` contains `_originPeer` (relay-forwarded), verify the original sender.
  */
-export function verifyOperator(conn: DataConnection, data?: Record<string, unknown>): boolean {
+export function verifyOperator(conn: DataConnection, data: Record<string, unknown> | undefined, perm: OpPermission): boolean {
   const peerId = (typeof data?._originPeer === 'string' && data._originPeer) || conn?.peer;
   if (!peerId) return false;
   const connectedPeers = getState('network.connectedPeers');
   const peer = connectedPeers.find(p => p.id === peerId);
-  return !!(peer && peer.isOp);
+  return !!peer && peerPermissions(peer).includes(perm);
+}
+
+/**
+ * Guest: whether the host granted us `perm` (false when not an operator).
+ */
+export function hasOpPermission(perm: OpPermission): boolean {
+  return getState('network.isOperator') && getState('network.opPermissions').includes(perm);
 }
 
 // ─── Initialize Protocol ────────────────────────────────────────────
@@ -162,5 +268,7 @@ export function initProtocol(): void {
     );
   });
 
+  bus.on('network:peer-disconnected', (peerId: string) => clearRejectionStats(peerId));
+
   log.info('[Protocol] Message router initialized');
 }
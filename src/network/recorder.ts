@@ -0,0 +1,257 @@
+/**
+ * MUSIXQUARE 2.0 — Protocol Traffic Recorder
+ *
+ * Manages: an opt-in capture of every protocol message this device receives
+ * (handleData) or sends (broadcast, broadcastExcept, safeSend / sendToHost,
+ * the control coalescer, chunk sends) into a downloadable JSON trace. Binary
+ * fields are replaced by their length and an FNV-1a hash, so a trace of a
+ * full file transfer stays small and carries no audio.
+ *
+ * Off by default; `?record=1` starts it at boot and `window.__MXQR_TRACE`
+ * exposes start / stop / download for a party guest to use from the console.
+ * replay.ts feeds a trace back through the registered handlers.
+ */
+
+import { log } from '../core/log.ts';
+import { getState } from '../core/state.ts';
+import { PROTOCOL_VERSION, TRACE_MAX_ENTRIES } from '../core/constants.ts';
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export const TRACE_FORMAT = 'musixquare-trace';
+export const TRACE_VERSION = 1;
+
+/** Stand-in for an elided binary field */
+export interface ElidedBinary {
+  $bin: number;
+  fnv: string;
+}
+
+export interface TraceEntry {
+  /** ms since recording started */
+  t: number;
+  dir: 'in' | 'out';
+  /** Remote peer id; '*' for a broadcast */
+  peer: string;
+  /** Broadcast that skipped this peer (broadcastExcept) */
+  except?: string;
+  msg: unknown;
+}
+
+/** Guest as seen by the host, enough to rebuild connectedPeers for replay */
+export interface TracePeer {
+  id: string;
+  slot: number;
+  label: string;
+  isOp: boolean;
+  protocolVersion: number;
+  caps: string[];
+}
+
+export interface Trace {
+  format: typeof TRACE_FORMAT;
+  version: typeof TRACE_VERSION;
+  protocolVersion: number;
+  /** Epoch ms when recording started */
+  startedAt: number;
+  role: 'host' | 'guest' | 'idle';
+  myId: string | null;
+  hostId: string | null;
+  peers: TracePeer[];
+  /** Oldest entries dropped to stay under TRACE_MAX_ENTRIES */
+  dropped: number;
+  entries: TraceEntry[];
+}
+
+interface Session {
+  role: Trace['role'];
+  myId: string | null;
+  hostId: string | null;
+}
+
+let _recording = false;
+let _startedAt = 0;
+let _t0 = 0;
+let _entries: TraceEntry[] = [];
+let _dropped = 0;
+let _session: Session = { role: 'idle', myId: null, hostId: null };
+const _peers = new Map<string, TracePeer>();
+
+// ─── Payload Elision ────────────────────────────────────────────────
+
+function asBytes(value: unknown): Uint8Array | null {
+  if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  if (Object.prototype.toString.call(value) === '[object ArrayBuffer]') return new Uint8Array(value as ArrayBuffer);
+  return null;
+}
+
+/**
+ * 32-bit FNV-1a of `bytes` as 8 hex digits.
+ */
+export function fnv1a(bytes: Uint8Array): string {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    h ^= bytes[i];
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+export function isElidedBinary(value: unknown): value is ElidedBinary {
+  return !!value && typeof value === 'object' &&
+    typeof (value as ElidedBinary).$bin === 'number' && typeof (value as ElidedBinary).fnv === 'string';
+}
+
+/**
+ * JSON-safe copy of a message with every binary field elided.
+ */
+export function elidePayload(value: unknown, depth = 0): unknown {
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' ? undefined : value;
+  }
+  const bytes = asBytes(value);
+  if (bytes) return { $bin: bytes.byteLength, fnv: fnv1a(bytes) } satisfies ElidedBinary;
+  if (depth >= 8) return '[depth]';
+  if (Array.isArray(value)) return value.map(v => elidePayload(v, depth + 1));
+  if (value instanceof Set) return [...value].map(v => elidePayload(v, depth + 1));
+
+  const out: Record<string, unknown> = {};
+  for (const [k, v] of Object.entries(value)) {
+    const copy = elidePayload(v, depth + 1);
+    if (copy !== undefined) out[k] = copy;
+  }
+  return out;
+}
+
+// ─── Capture ────────────────────────────────────────────────────────
+
+function refreshSession(): void {
+  const role = getState('network.appRole');
+  if (role === 'idle') return; // keep the session we saw after leaving it
+  _session = {
+    role,
+    myId: getState('network.myId'),
+    hostId: getState('network.hostConn')?.peer ?? null,
+  };
+  for (const p of getState('network.connectedPeers')) {
+    _peers.set(p.id, {
+      id: p.id, slot: p.slot, label: p.label, isOp: p.isOp,
+      protocolVersion: p.protocolVersion, caps: [...p.caps],
+    });
+  }
+}
+
+function push(entry: TraceEntry): void {
+  _entries.push(entry);
+  if (_entries.length > TRACE_MAX_ENTRIES) {
+    _entries.shift();
+    _dropped++;
+  }
+}
+
+export function isRecording(): boolean {
+  return _recording;
+}
+
+/**
+ * Start a new trace (discards the previous one).
+ */
+export function startRecording(): void {
+  _recording = true;
+  _startedAt = Date.now();
+  _t0 = performance.now();
+  _entries = [];
+  _dropped = 0;
+  _session = { role: 'idle', myId: null, hostId: null };
+  _peers.clear();
+  refreshSession();
+  log.info('[Recorder] Recording protocol traffic');
+}
+
+/**
+ * Stop capturing; the trace stays available until the next start.
+ */
+export function stopRecording(): Trace | null {
+  if (!_recording) return getTrace();
+  refreshSession();
+  _recording = false;
+  log.info(`[Recorder] Stopped (${_entries.length} messages)`);
+  return getTrace();
+}
+
+/**
+ * Message received by handleData (after chunk frame decoding).
+ */
+export function recordInbound(msg: unknown, peerId: string | undefined): void {
+  if (!_recording) return;
+  push({ t: Math.round(performance.now() - _t0), dir: 'in', peer: peerId || 'unknown', msg: elidePayload(msg) });
+}
+
+/**
+ * Message sent to `peerId`, or to every peer ('*') except `except`.
+ */
+export function recordOutbound(msg: unknown, peerId: string | undefined, except?: string): void {
+  if (!_recording) return;
+  const entry: TraceEntry = {
+    t: Math.round(performance.now() - _t0), dir: 'out', peer: peerId || 'unknown', msg: elidePayload(msg),
+  };
+  if (except) entry.except = except;
+  push(entry);
+}
+
+// ─── Export ─────────────────────────────────────────────────────────
+
+/**
+ * The current (or last) trace, or null if nothing was ever recorded.
+ */
+export function getTrace(): Trace | null {
+  if (!_startedAt) return null;
+  if (_recording) refreshSession();
+  return {
+    format: TRACE_FORMAT,
+    version: TRACE_VERSION,
+    protocolVersion: PROTOCOL_VERSION,
+    startedAt: _startedAt,
+    ..._session,
+    peers: [..._peers.values()],
+    dropped: _dropped,
+    entries: [..._entries],
+  };
+}
+
+/**
+ * Save the trace as `musixquare-trace-<role>-<time>.json`.
+ */
+export function downloadTrace(trace: Trace | null = getTrace()): boolean {
+  if (!trace) return false;
+  try {
+    const blob = new Blob([JSON.stringify(trace)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `musixquare-trace-${trace.role}-${new Date(trace.startedAt).toISOString().replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return true;
+  } catch (e) {
+    log.warn('[Recorder] Download failed:', e);
+    return false;
+  }
+}
+
+// ─── Init ───────────────────────────────────────────────────────────
+
+export function initRecorder(): void {
+  (window as unknown as Record<string, unknown>).__MXQR_TRACE = {
+    start: startRecording,
+    stop: stopRecording,
+    download: () => downloadTrace(),
+    get: getTrace,
+  };
+
+  try {
+    if (new URLSearchParams(window.location.search).get('record') === '1') startRecording();
+  } catch { /* noop */ }
+}
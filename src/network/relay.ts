@@ -5,9 +5,9 @@
  * Manages: Upstream relay connection, downstream data peers,
  * relay file serving, preload relay, OPFS catch-up streaming.
  *
- * NOTE: 현재 MAX_GUEST_SLOTS=3 직결 구조로 운영 중이며 릴레이는 비활성 상태.
- * 호스트가 ASSIGN_DATA_SOURCE 메시지를 보내지 않으므로 이 모듈은 실행되지 않음.
- * 추후 안정성 확보 후 4인 이상 지원 시 릴레이 시스템 검토 예정.
+ * NOTE: 호스트(topology.ts)가 직결 데이터 피어 MAX_DIRECT_DATA_PEERS대를 넘는
+ * 게스트에게 ASSIGN_DATA_SOURCE로 릴레이를 지정함. 모든 게스트는 호스트와의
+ * 제어 연결을 유지하므로 릴레이 연결은 파일/프리로드 데이터 전용.
  */
 
 import { log } from '../core/log.ts';
@@ -19,6 +19,8 @@ import { validateSessionId } from '../core/session.ts';
 import type { DataConnection } from '../types/index.ts';
 import { registerHandlers } from './protocol.ts';
 import { getPeer, safeSend, sendToHost } from './peer.ts';
+import { getHandshakeMetadata } from './version.ts';
+import { prepareChunk, sendChunk } from './framing.ts';
 import { unicastFile } from '../storage/transfer.ts';
 import { ensureNamedFile, postWorkerCommand } from '../storage/opfs.ts';
 
@@ -203,7 +205,9 @@ export function connectToRelay(targetId: string): void {
 
   const myId = getState('network.myId');
   const conn = peer.connect(targetId, {
-    metadata: { type: MSG.DATA_RELAY, label: myId },
+    // controlViaHost: we keep our own host link, so the relay must not forward control
+    // caps: lets the relay send us binary chunk frames
+    metadata: { type: MSG.DATA_RELAY, label: myId, controlViaHost: true, caps: getHandshakeMetadata().caps },
   });
 
   const FAIL_TIMEOUT = 10000;
@@ -355,7 +359,8 @@ export async function relayPreloadFromCache(
     const chunk = new Uint8Array(await blob.slice(start, end).arrayBuffer());
 
     const chunkMsg = { type: MSG.PRELOAD_CHUNK, chunk, index: i, sessionId };
-    activeDownstream.forEach(p => safeSend(p, chunkMsg));
+    const payloadFor = prepareChunk(chunkMsg);
+    activeDownstream.forEach(p => sendChunk(p, chunkMsg, payloadFor));
 
     // Backpressure: yield every 10 chunks
     if (i % 10 === 0) await new Promise(r => setTimeout(r, 40));
@@ -417,6 +422,7 @@ export function initRelay(): void {
     const meta = getState('transfer.meta');
     const nextMeta = getState('preload.meta');
     const currentTrackIndex = getState('playlist.currentTrackIndex');
+    const localSid = getState('transfer.localSessionId');
 
     // Try to match current file
     const isMatchCurrent = currentFileBlob && (!reqName || (meta && meta.name === reqName));
@@ -430,11 +436,17 @@ export function initRelay(): void {
     if (isMatchCurrent) {
       log.debug(`[Relay] Serving current file to ${conn.peer}: ${meta?.name}`);
       const file = ensureNamedFile(currentFileBlob, (meta?.name as string) || 'Track');
-      if (file) unicastFile(conn, file, 0).catch(e => log.error('[Relay] unicast current failed:', e));
+      if (file) {
+        unicastFile(conn, file, 0, (meta?.sessionId as number) || localSid)
+          .catch(e => log.error('[Relay] unicast current failed:', e));
+      }
     } else if (isMatchPreload) {
       log.debug(`[Relay] Serving preloaded file to ${conn.peer}: ${nextMeta?.name}`);
       const file = ensureNamedFile(nextFileBlob, (nextMeta?.name as string) || 'Track');
-      if (file) unicastFile(conn, file, 0).catch(e => log.error('[Relay] unicast preload failed:', e));
+      if (file) {
+        unicastFile(conn, file, 0, (nextMeta?.sessionId as number) || localSid)
+          .catch(e => log.error('[Relay] unicast preload failed:', e));
+      }
     } else if (meta?.name) {
       // Mid-download relay: send header + trigger OPFS catch-up
       const receivedCount = getState('transfer.receivedCount');
@@ -527,18 +539,15 @@ export function initRelay(): void {
     const dConn = downstreamDataPeers.find(p => p.peer === peerId);
     if (dConn && dConn.open) {
       const meta = getState('transfer.meta');
-      try {
-        dConn.send({
-          type: MSG.FILE_CHUNK,
-          chunk,
-          index,
-          sessionId,
-          total: meta?.total,
-          name: (meta?.name as string) || filename,
-        });
-      } catch (e) {
-        log.warn(`[Relay] Send chunk to ${peerId} failed:`, e);
-      }
+      const sent = sendChunk(dConn, {
+        type: MSG.FILE_CHUNK,
+        chunk,
+        index,
+        sessionId,
+        total: meta?.total as number | undefined,
+        name: (meta?.name as string) || filename,
+      });
+      if (!sent) log.warn(`[Relay] Send chunk to ${peerId} failed`);
     }
 
     // Advance the catch-up pump (sequential: wait for response before next read)
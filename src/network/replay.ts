@@ -0,0 +1,149 @@
+/**
+ * MUSIXQUARE 2.0 — Protocol Trace Replay
+ *
+ * Manages: feeding a recorder trace back through handleData against a fresh
+ * state, so a field report can be reproduced locally and pinned down as a
+ * vitest case. Connections are stubs that capture what the handlers send
+ * back; elided binary fields come back as zero-filled bytes of the recorded
+ * length. Handlers must be registered (initProtocol, initPeerHandlers, ...)
+ * before replaying.
+ */
+
+import { resetState, setState } from '../core/state.ts';
+import { handleData } from './protocol.ts';
+import { TRACE_FORMAT, TRACE_VERSION, isElidedBinary } from './recorder.ts';
+import type { Trace } from './recorder.ts';
+import type { DataConnection } from '../types/index.ts';
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface ReplayOptions {
+  /** Called with the trace-time gap before each message, e.g. `ms => vi.advanceTimersByTime(ms)` */
+  advance?: (ms: number) => void | Promise<void>;
+  /** Stop after this many ms of trace time */
+  until?: number;
+  /** Keep the caller's state instead of resetState() + the trace header */
+  keepState?: boolean;
+}
+
+export interface ReplaySend {
+  peer: string;
+  msg: unknown;
+}
+
+export interface ReplayResult {
+  /** Inbound messages fed to handleData */
+  delivered: number;
+  /** Everything the handlers sent on the stub connections, in order */
+  sent: ReplaySend[];
+}
+
+// ─── Parsing ────────────────────────────────────────────────────────
+
+/**
+ * Parse a downloaded trace. Throws on anything that is not a trace this
+ * build can read.
+ */
+export function parseTrace(text: string): Trace {
+  const trace = JSON.parse(text) as Partial<Trace>;
+  if (!trace || trace.format !== TRACE_FORMAT || !Array.isArray(trace.entries)) {
+    throw new Error('Not a MUSIXQUARE trace');
+  }
+  if (trace.version !== TRACE_VERSION) {
+    throw new Error(`Unsupported trace version ${trace.version}`);
+  }
+  return trace as Trace;
+}
+
+/**
+ * Undo elision: binary stand-ins become zero-filled bytes of the same length.
+ */
+export function restorePayload(value: unknown): unknown {
+  if (value === null || typeof value !== 'object') return value;
+  if (isElidedBinary(value)) return new Uint8Array(value.$bin);
+  if (Array.isArray(value)) return value.map(restorePayload);
+  const out: Record<string, unknown> = {};
+  for (const [k, v] of Object.entries(value)) out[k] = restorePayload(v);
+  return out;
+}
+
+// ─── Replay ─────────────────────────────────────────────────────────
+
+function stubConn(peer: string, sent: ReplaySend[]): DataConnection {
+  return {
+    peer,
+    open: true,
+    metadata: {},
+    send: (data: unknown) => { sent.push({ peer, msg: data }); },
+    close: () => { /* noop */ },
+    on: () => { /* noop */ },
+    once: () => { /* noop */ },
+    off: () => { /* noop */ },
+  } as unknown as DataConnection;
+}
+
+function applyHeader(trace: Trace, connFor: (peer: string) => DataConnection): void {
+  resetState();
+  setState('network.appRole', trace.role);
+  setState('network.myId', trace.myId);
+  if (trace.role === 'guest' && trace.hostId) {
+    setState('network.hostConn', connFor(trace.hostId));
+  }
+  if (trace.role === 'host') {
+    setState('network.connectedPeers', (trace.peers || []).map(p => ({
+      id: p.id,
+      slot: p.slot,
+      label: p.label,
+      conn: connFor(p.id),
+      isOp: p.isOp,
+      preloadedIndexes: new Set<number>(),
+      status: 'connected',
+      isDataTarget: true,
+      dataSourceId: null,
+      joinOrder: p.slot,
+      connectionType: 'unknown' as const,
+      lastHeartbeat: Date.now(),
+      rttMs: -1,
+      protocolVersion: p.protocolVersion,
+      caps: [...p.caps],
+      flagged: false,
+      resumeToken: '',
+      heldSessionId: 0,
+    })));
+  }
+}
+
+/**
+ * Replay the inbound half of `trace` in order. Outbound entries are not
+ * re-sent; compare them with `result.sent` to spot divergence.
+ */
+export async function replayTrace(trace: Trace, opts: ReplayOptions = {}): Promise<ReplayResult> {
+  const sent: ReplaySend[] = [];
+  const conns = new Map<string, DataConnection>();
+  const connFor = (peer: string): DataConnection => {
+    let conn = conns.get(peer);
+    if (!conn) {
+      conn = stubConn(peer, sent);
+      conns.set(peer, conn);
+    }
+    return conn;
+  };
+
+  if (!opts.keepState) applyHeader(trace, connFor);
+
+  let delivered = 0;
+  let lastT = 0;
+  for (const entry of trace.entries) {
+    if (opts.until !== undefined && entry.t > opts.until) break;
+    if (entry.dir !== 'in') continue;
+
+    const gap = Math.max(0, entry.t - lastT);
+    lastT = entry.t;
+    if (gap > 0 && opts.advance) await opts.advance(gap);
+
+    await handleData(restorePayload(entry.msg), connFor(entry.peer));
+    delivered++;
+  }
+
+  return { delivered, sent };
+}
@@ -0,0 +1,168 @@
+/**
+ * MUSIXQUARE 2.0 — Guest Request Correlation
+ *
+ * Manages: request ids on guest `request-*` commands and the host's
+ * COMMAND_RESULT reply (ack or REQUEST_ERROR code). requestHost() wraps
+ * sendToHost in a promise with a timeout; requestFromControl() adds the
+ * pending indicator and an error toast for UI controls. Hosts without
+ * CAP.REQUEST_ACK never reply, so their requests resolve once sent.
+ *
+ * Slider drags stay fire-and-forget through the coalescing queue: a
+ * coalesced message may be superseded before it is sent, so nothing could
+ * answer its id.
+ */
+
+import { log } from '../core/log.ts';
+import { t } from '../i18n/index.ts';
+import { bus } from '../core/events.ts';
+import { getState } from '../core/state.ts';
+import { MSG, CAP, DELAY, REQUEST_ERROR } from '../core/constants.ts';
+import type { RequestErrorCode } from '../core/constants.ts';
+import { registerHandler } from './protocol.ts';
+import { sendToHost, safeSend } from './peer.ts';
+import { sessionHasCapability } from './version.ts';
+import type { DataConnection, AnyProtocolMsg } from '../types/index.ts';
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+interface PendingRequest {
+  type: string;
+  resolve: () => void;
+  reject: (err: Error) => void;
+  timer: ReturnType<typeof setTimeout>;
+}
+
+/** Guest: requests awaiting COMMAND_RESULT, by reqId */
+const _pending = new Map<string, PendingRequest>();
+let _seq = 0;
+
+// ─── Guest: Send & Await ────────────────────────────────────────────
+
+function nextRequestId(): string {
+  _seq = (_seq + 1) % 0x100000;
+  return `${Date.now().toString(36)}-${_seq.toString(36)}`;
+}
+
+function settle(reqId: string, code: string | null): void {
+  const req = _pending.get(reqId);
+  if (!req) return;
+  _pending.delete(reqId);
+  clearTimeout(req.timer);
+  bus.emit('network:request-pending', _pending.size);
+
+  if (code) {
+    log.warn(`[Request] ${req.type} failed: ${code}`);
+    req.reject(new Error(code));
+  } else {
+    req.resolve();
+  }
+}
+
+/**
+ * Guest: send a `request-*` command and wait for the host's verdict.
+ * Resolves on ack; rejects with an Error whose message is a REQUEST_ERROR
+ * code (including 'timeout' and 'not-connected' decided locally).
+ */
+export function requestHost(msg: AnyProtocolMsg, timeoutMs: number = DELAY.REQUEST_TIMEOUT): Promise<void> {
+  if (!sessionHasCapability(CAP.REQUEST_ACK)) {
+    // Older host: carries the command out but never answers
+    return sendToHost(msg) ? Promise.resolve() : Promise.reject(new Error(REQUEST_ERROR.NOT_CONNECTED));
+  }
+  const reqId = nextRequestId();
+  return new Promise<void>((resolve, reject) => {
+    if (!sendToHost({ ...msg, reqId } as AnyProtocolMsg)) {
+      reject(new Error(REQUEST_ERROR.NOT_CONNECTED));
+      return;
+    }
+    const timer = setTimeout(() => settle(reqId, REQUEST_ERROR.TIMEOUT), timeoutMs);
+    _pending.set(reqId, { type: msg.type, resolve, reject, timer });
+    bus.emit('network:request-pending', _pending.size);
+  });
+}
+
+/**
+ * User-facing text for a REQUEST_ERROR code.
+ */
+export function requestErrorMessage(code: string): string {
+  switch (code) {
+    case REQUEST_ERROR.NOT_OPERATOR: return t('toast.request_not_operator');
+    case REQUEST_ERROR.INVALID_INDEX: return t('toast.request_invalid_index');
+    case REQUEST_ERROR.BUSY: return t('toast.request_busy');
+    case REQUEST_ERROR.TIMEOUT: return t('toast.request_timeout');
+    case REQUEST_ERROR.NOT_CONNECTED: return t('toast.request_not_connected');
+    default: return t('toast.request_failed');
+  }
+}
+
+/**
+ * Guest: requestHost() for a UI control. A failure becomes a toast naming
+ * the reason; resolves to whether the host carried the command out.
+ */
+export async function requestFromControl(msg: AnyProtocolMsg): Promise<boolean> {
+  try {
+    await requestHost(msg);
+    return true;
+  } catch (e) {
+    bus.emit('ui:show-toast', requestErrorMessage((e as Error).message));
+    return false;
+  }
+}
+
+/**
+ * Guest: fail everything still waiting (host link gone or session left).
+ */
+export function rejectPendingRequests(code: RequestErrorCode = REQUEST_ERROR.NOT_CONNECTED): void {
+  for (const reqId of [..._pending.keys()]) settle(reqId, code);
+}
+
+export function getPendingRequestCount(): number {
+  return _pending.size;
+}
+
+function handleCommandResult(data: Record<string, unknown>, conn: DataConnection): void {
+  if (conn !== getState('network.hostConn')) return;
+  settle(String(data.reqId), data.ok === true ? null : String(data.code || 'failed'));
+}
+
+// ─── Host: Reply ────────────────────────────────────────────────────
+
+/**
+ * Host: the reply goes to the original sender of a relay-forwarded request,
+ * otherwise back on the connection it came in on.
+ */
+function replyConn(conn: DataConnection, data: Record<string, unknown>): DataConnection | null {
+  const origin = typeof data._originPeer === 'string' ? data._originPeer : '';
+  if (origin && origin !== conn?.peer) {
+    const direct = getState('network.connectedPeers').find(p => p.id === origin)?.conn;
+    if (direct) return direct;
+  }
+  return conn;
+}
+
+/**
+ * Host: confirm a guest request. No-op for requests without a reqId
+ * (legacy guests, fire-and-forget sends).
+ */
+export function ackRequest(conn: DataConnection, data: Record<string, unknown>): void {
+  if (typeof data.reqId !== 'string' || !data.reqId) return;
+  safeSend(replyConn(conn, data), { type: MSG.COMMAND_RESULT, reqId: data.reqId, ok: true });
+}
+
+/**
+ * Host: tell a guest why its request was refused. No-op without a reqId.
+ */
+export function rejectRequest(conn: DataConnection, data: Record<string, unknown>, code: RequestErrorCode): void {
+  if (typeof data.reqId !== 'string' || !data.reqId) return;
+  safeSend(replyConn(conn, data), { type: MSG.COMMAND_RESULT, reqId: data.reqId, ok: false, code });
+}
+
+// ─── Initialize Requests ────────────────────────────────────────────
+
+export function initRequests(): void {
+  registerHandler(MSG.COMMAND_RESULT, handleCommandResult);
+
+  bus.on('network:host-lost', () => rejectPendingRequests());
+  bus.on('network:before-leave', () => rejectPendingRequests());
+
+  log.info('[Request] Handlers registered');
+}
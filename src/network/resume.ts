@@ -0,0 +1,250 @@
+/**
+ * MUSIXQUARE 2.0 — Session Resume
+ *
+ * Manages: resume tokens issued by the host in WELCOME, the slots the host
+ * holds for guests that dropped, and the guest-side record (sessionStorage)
+ * that lets a reloaded page rejoin with its slot and reuse the current file
+ * it already wrote to OPFS.
+ */
+
+import { log } from '../core/log.ts';
+import { t } from '../i18n/index.ts';
+import { bus } from '../core/events.ts';
+import { getState, setState } from '../core/state.ts';
+import { RESUME_TOKEN_TTL } from '../core/constants.ts';
+import type { OpPermission } from '../core/constants.ts';
+import { buildSafeOpfsName, readOpfsEntry } from '../storage/opfs.ts';
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+/** Host: what a dropped guest held, kept until its token expires */
+export interface ParkedPeer {
+  peerId: string;
+  slot: number;
+  isOp: boolean;
+  /** Narrowed operator permissions (absent with isOp = all) */
+  perms?: OpPermission[];
+  preloadedIndexes: number[];
+  expiresAt: number;
+}
+
+/** Guest: the current file as it was written to OPFS */
+export interface ResumeFile {
+  opfsName: string;
+  name: string;
+  index: number;
+  sessionId: number;
+  size: number;
+  mime: string;
+}
+
+/** Guest: everything a reloaded page needs to rejoin where it left off */
+export interface ResumeRecord {
+  code: string;
+  token: string;
+  role: number;
+  savedAt: number;
+  file: ResumeFile | null;
+}
+
+const RESUME_STORAGE_KEY = 'musixquare-resume';
+
+/** Host: resume token → dropped guest */
+const _parkedPeers = new Map<string, ParkedPeer>();
+
+/** Guest: live copy of the stored record (the stored one only matters after a reload) */
+let _record: ResumeRecord | null = null;
+
+/** Guest: OPFS copy verified before rejoining, loaded once the host honours the token */
+let _restoredFile: (ResumeFile & { file: File }) | null = null;
+
+// ─── Host: Tokens & Parked Peers ────────────────────────────────────
+
+export function createResumeToken(): string {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hold a dropped guest's slot and flags under its token for RESUME_TOKEN_TTL.
+ */
+export function parkPeer(token: string, entry: Omit<ParkedPeer, 'expiresAt'>): void {
+  _parkedPeers.set(token, { ...entry, expiresAt: Date.now() + RESUME_TOKEN_TTL });
+}
+
+/**
+ * Take the parked entry for a token. Expired entries stay parked so
+ * takeExpiredParkedPeers() can release their slots.
+ */
+export function claimParkedPeer(token: string, now = Date.now()): ParkedPeer | null {
+  const entry = _parkedPeers.get(token);
+  if (!entry || entry.expiresAt <= now) return null;
+  _parkedPeers.delete(token);
+  return entry;
+}
+
+/**
+ * Remove and return entries whose token has expired.
+ */
+export function takeExpiredParkedPeers(now = Date.now()): ParkedPeer[] {
+  const expired: ParkedPeer[] = [];
+  for (const [token, entry] of _parkedPeers) {
+    if (entry.expiresAt > now) continue;
+    _parkedPeers.delete(token);
+    expired.push(entry);
+  }
+  return expired;
+}
+
+export function clearParkedPeers(): void {
+  _parkedPeers.clear();
+}
+
+// ─── Guest: Resume Record ───────────────────────────────────────────
+
+/**
+ * Read the record left by this tab's previous page. Null when missing,
+ * malformed, or older than RESUME_TOKEN_TTL.
+ */
+export function loadResumeRecord(now = Date.now()): ResumeRecord | null {
+  try {
+    const raw = sessionStorage.getItem(RESUME_STORAGE_KEY);
+    if (!raw) return null;
+    const record = JSON.parse(raw) as ResumeRecord;
+    if (!record || typeof record.code !== 'string' || typeof record.token !== 'string') return null;
+    if (!Number.isFinite(record.savedAt) || now - record.savedAt > RESUME_TOKEN_TTL) return null;
+    return { ...record, role: Number(record.role) || 0, file: record.file || null };
+  } catch {
+    return null;
+  }
+}
+
+export function saveResumeRecord(record: ResumeRecord): void {
+  _record = record;
+  try { sessionStorage.setItem(RESUME_STORAGE_KEY, JSON.stringify(record)); } catch { /* ignore */ }
+}
+
+export function clearResumeRecord(): void {
+  _record = null;
+  _restoredFile = null;
+  try { sessionStorage.removeItem(RESUME_STORAGE_KEY); } catch { /* ignore */ }
+}
+
+/**
+ * Handshake fields for joinSession: the token plus the transfer session of the
+ * complete file we already hold, so the host can skip re-sending it.
+ */
+export function getResumeMetadata(): Record<string, unknown> {
+  const resumeToken = getState('network.resumeToken');
+  if (!resumeToken) return {};
+  const meta = getState('transfer.meta');
+  const heldSessionId = getState('files.currentFileBlob')
+    ? Number(meta?.sessionId) || 0
+    : _restoredFile?.sessionId || 0;
+  return { resumeToken, heldSessionId };
+}
+
+/**
+ * After a reload: verify the previous page's OPFS copy of the current file
+ * (same size as recorded) so it can be reused instead of re-downloaded.
+ */
+export async function restoreResumeFile(record: ResumeRecord): Promise<boolean> {
+  _restoredFile = null;
+  const entry = record.file;
+  if (!entry) return false;
+
+  const file = await readOpfsEntry(entry.opfsName);
+  if (!file || file.size !== entry.size) {
+    log.warn(`[Resume] OPFS copy of ${entry.name} is missing or incomplete`);
+    return false;
+  }
+  _restoredFile = { ...entry, file: new File([file], entry.name, { type: entry.mime || file.type }) };
+  return true;
+}
+
+/**
+ * WELCOME: store the host's token and, when it resumed our slot, load the
+ * OPFS copy verified before rejoining.
+ */
+export function handleResumeWelcome(token: string | null, resumed: boolean): void {
+  if (!token) {
+    // Legacy host: nothing to resume with
+    setState('network.resumeToken', null);
+    clearResumeRecord();
+    return;
+  }
+
+  const code = getState('network.lastJoinCode');
+  const restored = _restoredFile;
+  _restoredFile = null;
+
+  let heldFile: ResumeFile | null = null;
+  if (resumed && restored) {
+    const { file: _file, ...entry } = restored;
+    heldFile = entry;
+  } else if (resumed && _record?.code === code) {
+    heldFile = _record.file;
+  }
+
+  setState('network.resumeToken', token);
+  saveResumeRecord({ code, token, role: getState('audio.channelMode'), savedAt: Date.now(), file: heldFile });
+  if (!resumed) return;
+
+  log.info(`[Resume] Session ${code} resumed`);
+  bus.emit('ui:show-toast', t('network.session_resumed'));
+
+  if (restored && !getState('files.currentFileBlob')) {
+    // Claim the track before the host's PLAY arrives so it is queued, not re-requested
+    setState('transfer.localSessionId', restored.sessionId);
+    setState('transfer.meta', {
+      name: restored.name,
+      index: restored.index,
+      size: restored.size,
+      mime: restored.mime,
+      sessionId: restored.sessionId,
+    });
+    setState('playlist.currentTrackIndex', restored.index);
+    bus.emit('ui:update-playlist');
+    bus.emit('player:load-guest-file', restored.file);
+  }
+}
+
+// ─── Initialize Resume ──────────────────────────────────────────────
+
+export function initResume(): void {
+  // Guest: remember the finished current file so a reload can reuse it
+  bus.on('opfs:file-ready', (filename, sessionId, isPreload) => {
+    if (isPreload || !getState('network.hostConn') || !_record) return;
+    const meta = getState('transfer.meta');
+    saveResumeRecord({
+      ..._record,
+      savedAt: Date.now(),
+      file: {
+        opfsName: buildSafeOpfsName(filename, false),
+        name: meta?.name || filename,
+        index: Number(meta?.index ?? getState('playlist.currentTrackIndex')),
+        sessionId,
+        size: Number(meta?.size) || 0,
+        mime: meta?.mime || '',
+      },
+    });
+  });
+
+  // Explicit leave: the next page load starts from the setup screen
+  bus.on('app:return-to-main', () => {
+    clearResumeRecord();
+  });
+
+  bus.on('network:before-leave', () => {
+    clearParkedPeers();
+  });
+
+  // Reload: refresh the record so the TTL counts from when the page went away
+  // (runs after beforeunload's leaveSession, so read the live record rather than state)
+  window.addEventListener('pagehide', () => {
+    if (_record) saveResumeRecord({ ..._record, role: getState('audio.channelMode'), savedAt: Date.now() });
+  });
+
+  log.info('[Resume] Handlers registered');
+}
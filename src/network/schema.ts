@@ -0,0 +1,424 @@
+/**
+ * MUSIXQUARE 2.0 — Protocol Payload Schema
+ *
+ * Manages: declarative per-MsgType field rules (derived from ProtocolMap so
+ * every message and field must be covered), payload validation.
+ *
+ * handleData runs validatePayload() before dispatch; handlers can then rely
+ * on field types and ranges instead of coercing `Number(data.value)`.
+ */
+
+import { MSG, CHUNK_SIZE, EQ_FREQUENCIES, EQ_FILTER_TYPES, EQ_LIMITS } from '../core/constants.ts';
+import type { MsgType } from '../core/constants.ts';
+import type { ProtocolMap } from '../types/index.ts';
+
+// ─── Rule Types ─────────────────────────────────────────────────────
+
+export interface FieldRule {
+  type: 'number' | 'string' | 'boolean' | 'array' | 'binary' | 'object' | 'any';
+  optional?: boolean;
+  nullable?: boolean;
+  /** number: inclusive range */
+  min?: number;
+  max?: number;
+  integer?: boolean;
+  /** string: chars, array: items, binary: bytes */
+  maxLength?: number;
+  oneOf?: readonly (string | number)[];
+}
+
+/** Every field of the payload (optional ones included) needs a rule */
+type PayloadRules<P> = { [K in keyof P]-?: FieldRule };
+
+export interface MessageSchema<P> {
+  fields: PayloadRules<P>;
+  /** Cross-field check after field rules pass; return an error string to reject */
+  refine?: (msg: Record<string, unknown>) => string | null;
+}
+
+export type ProtocolSchema = { [T in MsgType]: MessageSchema<ProtocolMap[T]> };
+
+// ─── Rule Builders ──────────────────────────────────────────────────
+
+const num = (min: number, max: number, extra: Partial<FieldRule> = {}): FieldRule =>
+  ({ type: 'number', min, max, ...extra });
+const int = (min: number, max: number, extra: Partial<FieldRule> = {}): FieldRule =>
+  ({ type: 'number', integer: true, min, max, ...extra });
+const str = (maxLength = 256, extra: Partial<FieldRule> = {}): FieldRule =>
+  ({ type: 'string', maxLength, ...extra });
+const bool = (extra: Partial<FieldRule> = {}): FieldRule => ({ type: 'boolean', ...extra });
+const arr = (maxLength: number, extra: Partial<FieldRule> = {}): FieldRule =>
+  ({ type: 'array', maxLength, ...extra });
+const bin = (maxLength: number): FieldRule => ({ type: 'binary', maxLength });
+const any = (extra: Partial<FieldRule> = {}): FieldRule => ({ type: 'any', ...extra });
+// BinaryPack (PeerJS default serialization) encodes `undefined` as nil, so an
+// omitted-but-present optional field arrives as null — optional implies nullable.
+const opt = (rule: FieldRule): FieldRule => ({ ...rule, optional: true, nullable: true });
+const nil = (rule: FieldRule): FieldRule => ({ ...rule, nullable: true });
+
+// Shared ranges
+const TRACK_INDEX = int(-1, 9999);
+const SESSION_ID = int(0, Number.MAX_SAFE_INTEGER);
+const POSITION = num(-3600, 24 * 3600);      // seconds; small negatives from offset math
+const TIMESTAMP = num(0, Number.MAX_SAFE_INTEGER);
+const CHUNK_INDEX = int(0, 10_000_000);
+const BYTE_SIZE = int(0, Number.MAX_SAFE_INTEGER);
+const FILE_NAME = str(512);
+const MIME = str(128);
+const PEER_ID = str(128);
+const LIST = arr(5000);
+const REQ_ID = opt(str(64));
+
+/** Audio ranges mirror the settings sliders / applySettings clamps */
+export const AUDIO_RANGES = {
+  volume: num(0, 1),
+  eqBands: arr(EQ_LIMITS.MAX_BANDS),
+  eqBand: int(0, EQ_FREQUENCIES.length - 1),
+  eqGain: num(-EQ_LIMITS.GAIN_DB, EQ_LIMITS.GAIN_DB),
+  preamp: num(-12, 12),
+  reverbMix: num(0, 100),
+  reverbType: str(16, { oneOf: ['room', 'hall', 'space'] }),
+  reverbDecay: num(0.1, 30),
+  reverbPreDelay: num(0, 1),
+  reverbCut: num(0, 100),
+  stereoWidth: num(0, 200),
+  vbass: num(0, 100),
+  subFreq: num(20, 500),
+  repeatMode: int(0, 2),
+} as const;
+
+/** Fields of each eq-update / request-setting 'eq' band */
+const EQ_BAND_RULES: Record<string, FieldRule> = {
+  type: str(16, { oneOf: EQ_FILTER_TYPES }),
+  frequency: num(EQ_LIMITS.FREQ_MIN, EQ_LIMITS.FREQ_MAX),
+  Q: num(EQ_LIMITS.Q_MIN, EQ_LIMITS.Q_MAX),
+  gain: num(-EQ_LIMITS.GAIN_DB, EQ_LIMITS.GAIN_DB),
+};
+
+function checkEqBands(bands: unknown): string | null {
+  const err = checkField(bands, AUDIO_RANGES.eqBands);
+  if (err) return err;
+  for (const [i, band] of (bands as unknown[]).entries()) {
+    const bandErr = checkField(band, { type: 'object' });
+    if (bandErr) return `[${i}] ${bandErr}`;
+    for (const [field, rule] of Object.entries(EQ_BAND_RULES)) {
+      const fieldErr = checkField((band as Record<string, unknown>)[field], rule);
+      if (fieldErr) return `[${i}].${field}: ${fieldErr}`;
+    }
+  }
+  return null;
+}
+
+/** fx-preset / request-fx-preset settings, in state units (eqBands: checkEqBands) */
+const FX_SETTINGS_RULES: Record<string, FieldRule> = {
+  userPreampGain: num(0, 4),
+  reverbMix: num(0, 1),
+  reverbDecay: AUDIO_RANGES.reverbDecay,
+  reverbPreDelay: AUDIO_RANGES.reverbPreDelay,
+  reverbLowCut: AUDIO_RANGES.reverbCut,
+  reverbHighCut: AUDIO_RANGES.reverbCut,
+  stereoWidth: num(0, 2),
+  virtualBass: num(0, 1),
+  subFreq: AUDIO_RANGES.subFreq,
+};
+
+function checkFxSettings(fx: unknown): string | null {
+  for (const [field, rule] of Object.entries(FX_SETTINGS_RULES)) {
+    const err = checkField((fx as Record<string, unknown>)[field], rule);
+    if (err) return `${field}: ${err}`;
+  }
+  const err = checkEqBands((fx as Record<string, unknown>).eqBands);
+  return err ? `eqBands: ${err}` : null;
+}
+
+const PRESET_NAME = str(96);
+
+/** request-setting: value rule per settingType */
+const SETTING_VALUE_RULES: Record<string, FieldRule> = {
+  'repeat-mode': AUDIO_RANGES.repeatMode,
+  'shuffle-mode': bool(),
+  'eq': AUDIO_RANGES.eqBands,
+  'stereo': AUDIO_RANGES.stereoWidth,
+  [MSG.PREAMP]: AUDIO_RANGES.preamp,
+  [MSG.VBASS]: AUDIO_RANGES.vbass,
+  [MSG.REVERB]: AUDIO_RANGES.reverbMix,
+  [MSG.REVERB_TYPE]: AUDIO_RANGES.reverbType,
+  [MSG.REVERB_DECAY]: AUDIO_RANGES.reverbDecay,
+  [MSG.REVERB_PREDELAY]: AUDIO_RANGES.reverbPreDelay,
+  [MSG.REVERB_LOWCUT]: AUDIO_RANGES.reverbCut,
+  [MSG.REVERB_HIGHCUT]: AUDIO_RANGES.reverbCut,
+};
+
+// ─── Schema Table ───────────────────────────────────────────────────
+
+export const PROTOCOL_SCHEMA: ProtocolSchema = {
+  // Handshake / Session
+  [MSG.WELCOME]: {
+    fields: {
+      lockChannel: bool(), label: str(64),
+      protocolVersion: opt(int(1, 1000)), minProtocolVersion: opt(int(1, 1000)), caps: opt(arr(32)),
+      resumeToken: opt(str(64)), resumed: opt(bool()),
+    },
+  },
+  [MSG.SESSION_FULL]: { fields: { message: str(512) } },
+  [MSG.SESSION_LOCKED]: { fields: {} },
+  [MSG.KICKED]: { fields: { banned: bool() } },
+  [MSG.VERSION_MISMATCH]: { fields: { protocolVersion: int(1, 1000), minProtocolVersion: int(1, 1000) } },
+  [MSG.HOST_HANDOFF]: { fields: { newHostId: PEER_ID, snapshot: { type: 'object' } } },
+  [MSG.SESSION_START]: { fields: {} },
+  [MSG.FORCE_CLOSE_DUPLICATE]: { fields: {} },
+  [MSG.PROFILE_UPDATE]: { fields: { displayName: str(96), avatar: str(32) } },
+  [MSG.OUTPUT_PROFILE]: { fields: { name: str(96) } },
+  [MSG.SPEAKER_ROLE]: { fields: { woofer: bool(), subFreq: AUDIO_RANGES.subFreq } },
+
+  // Audio Control
+  [MSG.VOLUME]: { fields: { value: AUDIO_RANGES.volume } },
+  [MSG.EQ_UPDATE]: {
+    // The band list, or one fixed band's gain from / for peers without CAP.PARAMETRIC_EQ
+    fields: { bands: opt(AUDIO_RANGES.eqBands), band: opt(AUDIO_RANGES.eqBand), value: opt(AUDIO_RANGES.eqGain) },
+    refine: (msg) => {
+      if (msg.bands === undefined) return msg.band === undefined || msg.value === undefined ? 'bands: missing' : null;
+      const err = checkEqBands(msg.bands);
+      return err ? `bands: ${err}` : null;
+    },
+  },
+  [MSG.EQ_RESET]: { fields: {} },
+  [MSG.CROSSOVER]: { fields: { freq: num(0, 500) } },
+  [MSG.FX_PRESET]: {
+    fields: { name: PRESET_NAME, fx: { type: 'object' } },
+    refine: (msg) => {
+      const err = checkFxSettings(msg.fx);
+      return err ? `fx.${err}` : null;
+    },
+  },
+  [MSG.PREAMP]: { fields: { value: AUDIO_RANGES.preamp } },
+  [MSG.REVERB]: { fields: { value: AUDIO_RANGES.reverbMix } },
+  [MSG.REVERB_TYPE]: { fields: { value: AUDIO_RANGES.reverbType } },
+  [MSG.REVERB_DECAY]: { fields: { value: AUDIO_RANGES.reverbDecay } },
+  [MSG.REVERB_PREDELAY]: { fields: { value: AUDIO_RANGES.reverbPreDelay } },
+  [MSG.REVERB_LOWCUT]: { fields: { value: AUDIO_RANGES.reverbCut } },
+  [MSG.REVERB_HIGHCUT]: { fields: { value: AUDIO_RANGES.reverbCut } },
+  [MSG.STEREO_WIDTH]: { fields: { value: AUDIO_RANGES.stereoWidth } },
+  [MSG.VBASS]: { fields: { value: AUDIO_RANGES.vbass } },
+
+  // Playback
+  [MSG.PLAY]: {
+    fields: {
+      time: POSITION, index: TRACK_INDEX, name: opt(FILE_NAME), state: opt(str(32)), timestamp: opt(TIMESTAMP),
+      startAt: opt(TIMESTAMP),
+    },
+  },
+  [MSG.PAUSE]: {
+    fields: { time: POSITION, index: opt(TRACK_INDEX), state: opt(str(32)), timestamp: opt(TIMESTAMP) },
+  },
+  [MSG.PLAY_PRELOADED]: {
+    fields: { index: TRACK_INDEX, name: FILE_NAME, mime: opt(MIME), retryAttempt: opt(int(0, 100)) },
+  },
+  [MSG.FILE_PREPARE]: {
+    fields: { name: FILE_NAME, index: TRACK_INDEX, sessionId: SESSION_ID, mime: MIME, size: opt(BYTE_SIZE) },
+  },
+  [MSG.FORCE_SYNC_PLAY]: { fields: { time: POSITION, index: opt(TRACK_INDEX) } },
+  [MSG.STATUS_SYNC]: {
+    fields: { playlistMeta: LIST, currentTrackIndex: TRACK_INDEX, repeatMode: opt(AUDIO_RANGES.repeatMode), isShuffle: opt(bool()) },
+  },
+
+  // Playlist
+  [MSG.PLAYLIST_UPDATE]: { fields: { list: LIST, currentTrackIndex: opt(TRACK_INDEX), index: opt(TRACK_INDEX) } },
+  [MSG.PLAYLIST]: { fields: { list: LIST, currentTrackIndex: opt(TRACK_INDEX), index: opt(TRACK_INDEX) } },
+  [MSG.REPEAT_MODE]: { fields: { value: AUDIO_RANGES.repeatMode } },
+  [MSG.SHUFFLE_MODE]: { fields: { value: bool() } },
+
+  // File Transfer
+  [MSG.FILE_START]: {
+    fields: {
+      name: FILE_NAME, mime: opt(MIME), total: opt(CHUNK_INDEX), size: opt(BYTE_SIZE),
+      index: opt(TRACK_INDEX), sessionId: SESSION_ID,
+    },
+  },
+  [MSG.FILE_CHUNK]: {
+    fields: {
+      chunk: bin(CHUNK_SIZE), index: CHUNK_INDEX, sessionId: SESSION_ID,
+      total: opt(CHUNK_INDEX), name: opt(FILE_NAME), size: opt(BYTE_SIZE), mime: opt(MIME),
+    },
+  },
+  [MSG.FILE_END]: { fields: { name: FILE_NAME, mime: MIME, sessionId: SESSION_ID } },
+  [MSG.FILE_WAIT]: { fields: { message: str(512) } },
+  [MSG.FILE_RESUME]: {
+    fields: {
+      name: FILE_NAME, mime: opt(MIME), total: CHUNK_INDEX, size: BYTE_SIZE,
+      startChunk: CHUNK_INDEX, sessionId: SESSION_ID, index: opt(TRACK_INDEX),
+    },
+  },
+
+  // Preload
+  [MSG.PRELOAD_START]: {
+    fields: {
+      name: FILE_NAME, mime: opt(MIME), total: CHUNK_INDEX, size: BYTE_SIZE,
+      index: TRACK_INDEX, sessionId: SESSION_ID, skipped: opt(bool()),
+    },
+  },
+  [MSG.PRELOAD_CHUNK]: { fields: { chunk: bin(CHUNK_SIZE), index: CHUNK_INDEX, sessionId: SESSION_ID } },
+  [MSG.PRELOAD_END]: { fields: { name: FILE_NAME, index: TRACK_INDEX, sessionId: SESSION_ID } },
+  [MSG.PRELOAD_ACK]: { fields: { index: TRACK_INDEX } },
+  [MSG.DECODE_READY]: { fields: { index: TRACK_INDEX } },
+
+  // Sync / Timing
+  [MSG.HEARTBEAT]: { fields: {} },
+  [MSG.HEARTBEAT_ACK]: { fields: {} },
+  [MSG.PING_LATENCY]: { fields: { timestamp: TIMESTAMP } },
+  [MSG.PONG_LATENCY]: { fields: { timestamp: TIMESTAMP } },
+  [MSG.SYNC_RESPONSE]: { fields: { time: POSITION, isPlaying: bool(), reqTs: TIMESTAMP } },
+  [MSG.GET_SYNC_TIME]: { fields: { ts: TIMESTAMP } },
+  [MSG.GLOBAL_RESYNC_REQUEST]: { fields: {} },
+  [MSG.CLOCK_PING]: { fields: { t0: TIMESTAMP } },
+  [MSG.CALIBRATION_CHIRP]: { fields: { at: TIMESTAMP } },
+  [MSG.CALIBRATION_RESULT]: { fields: { offsetMs: num(-2000, 2000) } },
+  [MSG.CLOCK_PONG]: {
+    fields: {
+      t0: TIMESTAMP, t1: TIMESTAMP, t2: TIMESTAMP,
+      pos: POSITION, playing: bool(), index: TRACK_INDEX,
+    },
+  },
+  [MSG.SYNC_REPORT]: {
+    fields: {
+      hostAt: TIMESTAMP, pos: POSITION, index: TRACK_INDEX, playing: bool(),
+      clockOffsetMs: num(-86_400_000, 86_400_000), rttMs: num(0, 60_000), localOffsetMs: num(-10_000, 10_000),
+    },
+  },
+
+  // Network / Relay
+  [MSG.DEVICE_LIST_UPDATE]: { fields: { list: arr(64) } },
+  [MSG.ASSIGN_DATA_SOURCE]: { fields: { targetId: opt(PEER_ID) } },
+  [MSG.DATA_RELAY]: { fields: {} },
+  [MSG.SYS_TOAST]: { fields: { message: str(512) } },
+  [MSG.OPERATOR_GRANT]: { fields: { perms: opt(arr(8)) } },
+  [MSG.OPERATOR_REVOKE]: { fields: {} },
+
+  // Guest Requests
+  [MSG.REQUEST_PLAY]: { fields: { time: opt(POSITION), reqId: REQ_ID } },
+  [MSG.REQUEST_PAUSE]: { fields: { reqId: REQ_ID } },
+  [MSG.REQUEST_SEEK]: { fields: { time: POSITION, reqId: REQ_ID } },
+  [MSG.REQUEST_SKIP_TIME]: { fields: { sec: num(-3600, 3600), reqId: REQ_ID } },
+  [MSG.REQUEST_NEXT_TRACK]: { fields: { reqId: REQ_ID } },
+  [MSG.REQUEST_PREV_TRACK]: { fields: { reqId: REQ_ID } },
+  [MSG.REQUEST_TRACK_CHANGE]: { fields: { index: int(0, 9999), reqId: REQ_ID } },
+  [MSG.REQUEST_SETTING]: {
+    fields: {
+      settingType: str(32, { oneOf: Object.keys(SETTING_VALUE_RULES) }),
+      value: opt(any()),
+      band: opt(AUDIO_RANGES.eqBand),
+      reqId: REQ_ID,
+    },
+    refine: (msg) => {
+      const rule = SETTING_VALUE_RULES[msg.settingType as string];
+      const err = msg.settingType !== 'eq' ? checkField(msg.value, rule)
+        : msg.band !== undefined ? checkField(msg.value, AUDIO_RANGES.eqGain) // Fixed band (older operator)
+        : checkEqBands(msg.value);
+      return err ? `value: ${err}` : null;
+    },
+  },
+  [MSG.REQUEST_EQ_RESET]: { fields: { reqId: REQ_ID } },
+  [MSG.REQUEST_FX_PRESET]: {
+    fields: { name: PRESET_NAME, fx: { type: 'object' }, reqId: REQ_ID },
+    refine: (msg) => {
+      const err = checkFxSettings(msg.fx);
+      return err ? `fx.${err}` : null;
+    },
+  },
+  [MSG.REQUEST_REVERB_RESET]: { fields: { reqId: REQ_ID } },
+  [MSG.REQUEST_CURRENT_FILE]: { fields: { name: opt(FILE_NAME), index: opt(TRACK_INDEX), reason: opt(str(64)), reqId: REQ_ID } },
+  [MSG.REQUEST_DATA_RECOVERY]: {
+    fields: { nextChunk: CHUNK_INDEX, fileName: str(512), index: TRACK_INDEX, sessionId: opt(SESSION_ID), reqId: REQ_ID },
+  },
+  [MSG.REQUEST_YOUTUBE_PLAY]: { fields: { reqId: REQ_ID } },
+  [MSG.REQUEST_YOUTUBE_PAUSE]: { fields: { reqId: REQ_ID } },
+  [MSG.REQUEST_YOUTUBE_SUB_SEEK]: {
+    fields: { subIdx: int(0, 9999), playlistId: opt(str(128)), playlistIdx: opt(TRACK_INDEX), reqId: REQ_ID },
+  },
+  [MSG.REQUEST_YOUTUBE_PLAYLIST_INFO]: { fields: { playlistId: str(128), reqId: REQ_ID } },
+  [MSG.COMMAND_RESULT]: { fields: { reqId: str(64), ok: bool(), code: opt(str(32)) } },
+
+  // YouTube
+  [MSG.YOUTUBE_PLAY]: {
+    fields: {
+      videoId: opt(str(64)), playlistId: opt(str(128)), name: opt(FILE_NAME),
+      index: TRACK_INDEX, autoplay: bool(), subIndex: opt(int(-1, 9999)),
+    },
+  },
+  [MSG.YOUTUBE_STOP]: { fields: {} },
+  [MSG.YOUTUBE_STATE]: { fields: { state: int(-1, 5), time: POSITION, subIndex: opt(int(-1, 9999)) } },
+  [MSG.YOUTUBE_SYNC]: { fields: { time: POSITION, state: int(-1, 5), subIndex: opt(int(-1, 9999)) } },
+  [MSG.YOUTUBE_SUB_TITLE_UPDATE]: { fields: { playlistId: str(128), subIdx: int(0, 9999), title: str(512) } },
+  [MSG.YOUTUBE_PLAYLIST_INFO]: { fields: { playlistId: str(128), ids: arr(5000), titles: arr(5000) } },
+
+  // Chat
+  [MSG.CHAT]: {
+    fields: {
+      senderId: nil(PEER_ID), sender: str(128), senderLabel: str(128), senderRole: str(32),
+      text: str(1000), ts: TIMESTAMP,
+    },
+  },
+};
+
+// ─── Validation ─────────────────────────────────────────────────────
+
+/**
+ * Check a single value against a rule. Returns an error string or null.
+ */
+export function checkField(value: unknown, rule: FieldRule | undefined): string | null {
+  if (!rule) return null;
+  if (value === undefined) return rule.optional ? null : 'missing';
+  if (value === null) return rule.nullable ? null : 'null';
+
+  switch (rule.type) {
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'not a finite number';
+      if (rule.integer && !Number.isInteger(value)) return 'not an integer';
+      if (rule.min !== undefined && value < rule.min) return `< ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `> ${rule.max}`;
+      break;
+    }
+    case 'string':
+      if (typeof value !== 'string') return 'not a string';
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) return 'too long';
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'not a boolean';
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return 'not an array';
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) return 'too many items';
+      break;
+    case 'binary': {
+      const bytes = value instanceof ArrayBuffer ? value.byteLength
+        : ArrayBuffer.isView(value) ? value.byteLength : -1;
+      if (bytes < 0) return 'not binary';
+      if (rule.maxLength !== undefined && bytes > rule.maxLength) return 'too large';
+      break;
+    }
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return 'not an object';
+      break;
+    case 'any':
+      break;
+  }
+
+  if (rule.oneOf && !rule.oneOf.includes(value as string | number)) return 'not allowed';
+  return null;
+}
+
+/**
+ * Validate a message payload against PROTOCOL_SCHEMA.
+ * Returns null when valid, otherwise a short reason (`field: problem`).
+ * Unknown message types pass — dispatch simply finds no handler.
+ */
+export function validatePayload(msg: Record<string, unknown>): string | null {
+  const schema = (PROTOCOL_SCHEMA as Record<string, MessageSchema<Record<string, unknown>>>)[msg.type as string];
+  if (!schema) return null;
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const err = checkField(msg[field], rule);
+    if (err) return `${field}: ${err}`;
+  }
+  return schema.refine ? schema.refine(msg) : null;
+}
@@ -0,0 +1,66 @@
+/**
+ * MUSIXQUARE 2.0 — Signaling Server Selection
+ *
+ * Manages: which PeerJS signaling server initNetwork registers with. The
+ * public PeerJS cloud is the default; server/signal-server.js injects
+ * `window.__MUSIXQUARE_PEER_SERVER__` into the page it serves, and
+ * `?signal=host[:port]` points a dev build at one by hand.
+ *
+ * A server marked `lan` means the session runs without internet: initNetwork
+ * skips the TURN fetch and public STUN and connects over host candidates only.
+ */
+
+import { log } from '../core/log.ts';
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface PeerServerConfig {
+  host?: string;
+  port?: number;
+  path?: string;
+  secure?: boolean;
+  key?: string;
+  /** Offline LAN session: no STUN/TURN */
+  lan: boolean;
+}
+
+const DEFAULT_SIGNAL_PORT = 9000;
+
+// ─── Resolution ─────────────────────────────────────────────────────
+
+/**
+ * Parse `host`, `host:port` or `[v6]:port` from the `?signal=` parameter.
+ */
+export function parseSignalParam(value: string, secure: boolean): PeerServerConfig | null {
+  const match = /^(\[[0-9a-f:.]+\]|[A-Za-z0-9.-]+)(?::(\d{1,5}))?$/i.exec(value.trim());
+  if (!match) return null;
+  const port = match[2] ? Number(match[2]) : DEFAULT_SIGNAL_PORT;
+  if (port < 1 || port > 65535) return null;
+  return { host: match[1].replace(/^\[|\]$/g, ''), port, path: '/', secure, lan: true };
+}
+
+/**
+ * The signaling server to use, or null for the PeerJS default.
+ */
+export function resolvePeerServer(): PeerServerConfig | null {
+  try {
+    const param = new URLSearchParams(window.location.search).get('signal');
+    if (param) {
+      const fromParam = parseSignalParam(param, window.location.protocol === 'https:');
+      if (fromParam) return fromParam;
+      log.warn(`[Network] Ignoring invalid ?signal=${param}`);
+    }
+  } catch { /* noop */ }
+
+  const injected = (window as unknown as Record<string, unknown>).__MUSIXQUARE_PEER_SERVER__ as
+    Record<string, unknown> | undefined;
+  if (!injected || typeof injected !== 'object') return null;
+
+  const config: PeerServerConfig = { lan: injected.lan === true };
+  if (typeof injected.host === 'string' && injected.host) config.host = injected.host;
+  if (injected.port) config.port = Number(injected.port) || undefined;
+  if (typeof injected.path === 'string' && injected.path) config.path = injected.path;
+  if (typeof injected.secure === 'boolean') config.secure = injected.secure;
+  if (typeof injected.key === 'string' && injected.key) config.key = injected.key;
+  return config;
+}
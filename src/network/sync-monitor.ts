@@ -0,0 +1,167 @@
+/**
+ * MUSIXQUARE 2.0 — Sync Quality Monitor
+ *
+ * Manages: the host's live view of how well each guest is aligned. Guests
+ * send SYNC_REPORT on the clock timer: their track position as of a
+ * host-clock instant, plus their clock estimate and applied localOffset.
+ * The host compares the position against its own at that instant and keeps
+ * a short error history per guest for the settings graph; guests past the
+ * tolerance are flagged and can be resynced one at a time.
+ */
+
+import { log } from '../core/log.ts';
+import { t } from '../i18n/index.ts';
+import { bus } from '../core/events.ts';
+import { getState, setState } from '../core/state.ts';
+import { MSG, CAP, APP_STATE, SYNC_MONITOR } from '../core/constants.ts';
+import { registerHandler } from './protocol.ts';
+import { safeSend, sendToHost } from './peer.ts';
+import { sessionHasCapability } from './version.ts';
+import { formatPeerName } from './profile.ts';
+import { CLOCK_TIMER, localNow, hostNow, isClockSynced, getClockEstimate } from './clock.ts';
+import type { DataConnection, ProtocolMap, SyncQuality } from '../types/index.ts';
+
+const TOLERANCE_STORAGE_KEY = 'musixquare-sync-tolerance';
+
+type SyncReport = ProtocolMap['sync-report'];
+
+// ─── Measurement ────────────────────────────────────────────────────
+
+/**
+ * Guest error against the host (ms, positive = guest ahead), its applied
+ * localOffset removed. `hostPos` is the host's position at `hostNowMs`.
+ * Null unless both are playing the same track.
+ */
+export function syncError(
+  report: SyncReport,
+  hostPos: number,
+  hostPlaying: boolean,
+  hostIndex: number,
+  hostNowMs: number,
+): number | null {
+  if (!report.playing || !hostPlaying || report.index !== hostIndex) return null;
+  const expected = hostPos - (hostNowMs - report.hostAt) / 1000;
+  return (report.pos - report.localOffsetMs / 1000 - expected) * 1000;
+}
+
+export function isOutOfTolerance(q: SyncQuality | undefined, toleranceMs: number): boolean {
+  return q?.errorMs != null && Math.abs(q.errorMs) > toleranceMs;
+}
+
+function isPlaying(): boolean {
+  const state = getState('appState');
+  return state === APP_STATE.PLAYING_AUDIO || state === APP_STATE.PLAYING_VIDEO;
+}
+
+function readTrackPosition(): number {
+  let pos = 0;
+  bus.emit('sync:get-position', (p: number) => { pos = p; });
+  return pos;
+}
+
+// ─── Guest: Report ──────────────────────────────────────────────────
+
+/**
+ * This guest's report, or null until the host clock is estimated.
+ */
+export function buildSyncReport(): SyncReport | null {
+  const est = getClockEstimate();
+  if (!est || !isClockSynced()) return null;
+  return {
+    hostAt: hostNow(),
+    pos: Math.max(0, readTrackPosition()),
+    index: getState('playlist.currentTrackIndex'),
+    playing: isPlaying(),
+    clockOffsetMs: Math.round(est.offsetMs * 10) / 10,
+    rttMs: Math.round(est.rttMs * 10) / 10,
+    localOffsetMs: Math.round((getState('sync.localOffset') || 0) * 1000),
+  };
+}
+
+function sendSyncReport(): void {
+  if (!getState('network.hostConn') || !sessionHasCapability(CAP.SYNC_MONITOR)) return;
+  const report = buildSyncReport();
+  if (report) sendToHost({ type: MSG.SYNC_REPORT, ...report });
+}
+
+// ─── Host: Monitor ──────────────────────────────────────────────────
+
+function handleSyncReport(data: Record<string, unknown>, conn: DataConnection): void {
+  if (getState('network.hostConn')) return; // Only Host
+
+  const p = getState('network.connectedPeers').find(x => x.id === conn?.peer);
+  if (!p || p.conn !== conn) return;
+
+  const report = data as unknown as SyncReport;
+  const errorMs = syncError(report, readTrackPosition(), isPlaying(),
+    getState('playlist.currentTrackIndex'), localNow());
+  const rounded = errorMs === null ? null : Math.round(errorMs * 10) / 10;
+
+  const tolerance = getState('sync.monitorToleranceMs');
+  const wasOut = isOutOfTolerance(p.syncQuality, tolerance);
+  const history = [...(p.syncQuality?.history ?? []), rounded].slice(-SYNC_MONITOR.HISTORY);
+  p.syncQuality = {
+    errorMs: rounded,
+    clockOffsetMs: report.clockOffsetMs,
+    rttMs: report.rttMs,
+    localOffsetMs: report.localOffsetMs,
+    history,
+  };
+
+  if (!wasOut && isOutOfTolerance(p.syncQuality, tolerance)) {
+    log.warn(`[SyncMonitor] ${formatPeerName(p)} is ${rounded}ms off (tolerance ${tolerance}ms)`);
+  }
+  bus.emit('sync:monitor-update');
+}
+
+/**
+ * Host: resync one guest (the GLOBAL_RESYNC_REQUEST flow, sent to it alone).
+ */
+export function resyncPeer(peerId: string): boolean {
+  if (getState('network.hostConn')) return false; // Only Host
+
+  const p = getState('network.connectedPeers').find(x => x.id === peerId);
+  if (!p || p.status !== 'connected' || !safeSend(p.conn, { type: MSG.GLOBAL_RESYNC_REQUEST })) return false;
+
+  bus.emit('ui:show-toast', t('toast.resync_peer', { name: formatPeerName(p) }));
+  log.info(`[SyncMonitor] Resync requested for ${formatPeerName(p)}`);
+  return true;
+}
+
+function clampTolerance(ms: number): number {
+  return Math.round(Math.max(SYNC_MONITOR.TOLERANCE_MIN_MS, Math.min(SYNC_MONITOR.TOLERANCE_MAX_MS, ms)));
+}
+
+export function setSyncTolerance(ms: number): number {
+  const clamped = clampTolerance(ms);
+  if (!Number.isFinite(clamped)) return getState('sync.monitorToleranceMs');
+
+  setState('sync.monitorToleranceMs', clamped);
+  try { localStorage.setItem(TOLERANCE_STORAGE_KEY, String(clamped)); } catch { /* ignore */ }
+  bus.emit('sync:monitor-update');
+  return clamped;
+}
+
+function loadSyncTolerance(): void {
+  try {
+    const stored = Number(localStorage.getItem(TOLERANCE_STORAGE_KEY));
+    if (stored > 0) setState('sync.monitorToleranceMs', clampTolerance(stored));
+  } catch { /* ignore */ }
+}
+
+// ─── Initialize Sync Monitor ────────────────────────────────────────
+
+export function initSyncMonitor(): void {
+  loadSyncTolerance();
+  registerHandler(MSG.SYNC_REPORT, handleSyncReport);
+
+  bus.on('worker:timer-tick', (id) => {
+    if (id === CLOCK_TIMER) sendSyncReport();
+  });
+
+  bus.on('sync:resync-peer', (peerId) => { resyncPeer(peerId); });
+  bus.on('sync:set-tolerance', (ms) => { setSyncTolerance(ms); });
+  bus.on('network:peer-disconnected', () => bus.emit('sync:monitor-update'));
+
+  log.info('[SyncMonitor] Handlers registered');
+}
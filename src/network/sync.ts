@@ -14,7 +14,8 @@ import { MSG, APP_STATE } from '../core/constants.ts';
 import { clearManagedTimer, setManagedTimer } from '../core/timers.ts';
 import type { DataConnection } from '../types/index.ts';
 import { registerHandlers } from './protocol.ts';
-import { broadcast } from './peer.ts';
+import { broadcast, safeSend } from './peer.ts';
+import { getBaseSyncOffset } from './output-profile.ts';
 
 // ─── Multi-Sample Sync State ─────────────────────────────────────────
 
@@ -37,7 +38,8 @@ let _syncTimeoutTimer: ReturnType<typeof setTimeout> | null = null;
 
 /**
  * Handle the main sync button press.
- * Host: broadcasts global resync. Guest: resets offset and requests sync time.
+ * Host: broadcasts global resync. Guest: resets offset (to its output
+ * profile's) and requests sync time.
  */
 export function handleMainSyncBtn(): void {
   const currentState = getState('appState');
@@ -50,7 +52,7 @@ export function handleMainSyncBtn(): void {
     bus.emit('ui:show-toast', t('toast.resync_all'));
   } else {
     // Guest: Perform multi-sample auto-sync
-    setState('sync.localOffset', 0);
+    setState('sync.localOffset', getBaseSyncOffset());
     setState('sync.autoSyncOffset', 0);
     bus.emit('sync:display-update');
     bus.emit('ui:show-toast', t('toast.optimal_sync'));
@@ -105,7 +107,7 @@ function startMultiSampleSync(): void {
 
 function sendSyncSample(conn: DataConnection): void {
   const ts = Date.now();
-  try { conn.send({ type: MSG.GET_SYNC_TIME, ts }); } catch { /* connection closed */ }
+  safeSend(conn, { type: MSG.GET_SYNC_TIME, ts });
 }
 
 /**
@@ -229,7 +231,7 @@ export function getTotalSyncOffsetMs(): number {
 // ─── Auto Sync ──────────────────────────────────────────────────────
 
 export function handleAutoSync(): void {
-  setState('sync.localOffset', 0);
+  setState('sync.localOffset', getBaseSyncOffset());
   setState('sync.autoSyncOffset', 0);
   bus.emit('sync:display-update');
   handleMainSyncBtn();
@@ -248,9 +250,7 @@ function handleHeartbeat(_data: Record<string, unknown>, conn: DataConnection):
   } catch { /* ignore */ }
 
   // Reply to the sender
-  if (conn && conn.open) {
-    try { conn.send({ type: MSG.HEARTBEAT_ACK }); } catch { /* connection closed */ }
-  }
+  safeSend(conn, { type: MSG.HEARTBEAT_ACK });
 }
 
 function handleHeartbeatAck(): void {
@@ -259,14 +259,20 @@ function handleHeartbeatAck(): void {
 
 function handlePingLatency(data: Record<string, unknown>, conn: DataConnection): void {
   if (typeof data.timestamp !== 'number') return;
-  if (conn && conn.open) {
-    try { conn.send({ type: MSG.PONG_LATENCY, timestamp: data.timestamp }); } catch { /* connection closed */ }
-  }
+  safeSend(conn, { type: MSG.PONG_LATENCY, timestamp: data.timestamp });
 }
 
-function handlePongLatency(data: Record<string, unknown>): void {
+function handlePongLatency(data: Record<string, unknown>, conn: DataConnection): void {
   if (typeof data.timestamp !== 'number') return;
   const ms = Date.now() - data.timestamp;
+
+  // Host: per-guest RTT (smoothed) feeds relay topology planning
+  if (!getState('network.hostConn')) {
+    const p = conn?.peer ? getState('network.connectedPeers').find(x => x.id === conn.peer) : undefined;
+    if (p && ms >= 0) p.rttMs = p.rttMs < 0 ? ms : Math.round(p.rttMs * 0.7 + ms * 0.3);
+    return;
+  }
+
   const latencyHistory = getState('sync.latencyHistory');
   const updated = [...latencyHistory, ms];
   if (updated.length > 10) updated.shift();
@@ -301,7 +307,7 @@ function handleSyncResponse(data: Record<string, unknown>): void {
 
 function handleGlobalResyncRequest(): void {
   bus.emit('ui:show-toast', t('toast.host_reset_sync'));
-  setState('sync.localOffset', 0);
+  setState('sync.localOffset', getBaseSyncOffset());
   bus.emit('sync:display-update');
   setTimeout(() => startMultiSampleSync(), 500 + Math.random() * 500);
 }
@@ -319,14 +325,12 @@ function handleGetSyncTime(data: Record<string, unknown>, conn: DataConnection):
                       currentState === APP_STATE.PLAYING_VIDEO ||
                       currentState === APP_STATE.PLAYING_YOUTUBE;
 
-    try {
-      conn.send({
-        type: MSG.SYNC_RESPONSE,
-        time: position,
-        isPlaying,
-        reqTs: (data.ts as number) || 0,
-      });
-    } catch { /* connection closed */ }
+    safeSend(conn, {
+      type: MSG.SYNC_RESPONSE,
+      time: position,
+      isPlaying,
+      reqTs: (data.ts as number) || 0,
+    });
   });
 }
 
@@ -373,9 +377,9 @@ export function initSync(): void {
     if (!hostConn || !hostConn.open) return;
 
     if (id === 'heartbeat') {
-      try { hostConn.send({ type: MSG.HEARTBEAT }); } catch { /* noop */ }
+      safeSend(hostConn, { type: MSG.HEARTBEAT });
     } else if (id === 'ping') {
-      try { hostConn.send({ type: MSG.PING_LATENCY, timestamp: Date.now() }); } catch { /* noop */ }
+      safeSend(hostConn, { type: MSG.PING_LATENCY, timestamp: Date.now() });
     }
   });
 
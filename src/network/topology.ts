@@ -0,0 +1,230 @@
+/**
+ * MUSIXQUARE 2.0 — Relay Topology (Host)
+ *
+ * Manages: latency probing of guests, relay tree planning (direct data
+ * peers + guest relays), ASSIGN_DATA_SOURCE dispatch and rebalancing.
+ *
+ * Every guest keeps its direct control connection to the host; only file and
+ * preload data flows through the tree. The host feeds up to
+ * MAX_DIRECT_DATA_PEERS guests itself and the rest hang off those guests
+ * (at most MAX_RELAY_FANOUT each).
+ */
+
+import { log } from '../core/log.ts';
+import { bus } from '../core/events.ts';
+import { getState, setState } from '../core/state.ts';
+import { MSG, CAP, DELAY, MAX_DIRECT_DATA_PEERS, MAX_RELAY_FANOUT } from '../core/constants.ts';
+import { setManagedTimer, clearManagedTimer } from '../core/timers.ts';
+import type { DataConnection } from '../types/index.ts';
+import { safeSend, broadcastDeviceList } from './peer.ts';
+
+// ─── Planner ────────────────────────────────────────────────────────
+
+export interface TopologyNode {
+  id: string;
+  /** Smoothed host RTT in ms, or -1 when not measured yet */
+  rttMs: number;
+  /** Current data source: null = host direct */
+  parentId: string | null;
+  /** Placed by an earlier plan (false: new, parentId is only the default) */
+  placed: boolean;
+  joinOrder: number;
+}
+
+export interface TopologyOptions {
+  maxDirect: number;
+  maxFanout: number;
+}
+
+/** A relayed peer replaces a direct one only when it is this much faster */
+const SWAP_RTT_RATIO = 2;
+const SWAP_RTT_MIN_GAIN_MS = 30;
+
+function rttOf(n: TopologyNode): number {
+  return n.rttMs >= 0 ? n.rttMs : Number.POSITIVE_INFINITY;
+}
+
+function byLatency(a: TopologyNode, b: TopologyNode): number {
+  const ra = rttOf(a);
+  const rb = rttOf(b);
+  if (ra !== rb) return ra < rb ? -1 : 1;
+  return a.joinOrder - b.joinOrder;
+}
+
+/**
+ * Plan the data tree. Returns peerId → data source id (null = host direct).
+ *
+ * Pure and deterministic. Existing assignments are kept while still valid so
+ * rebalancing does not churn connections; new or orphaned peers go to the
+ * shallowest, least-loaded, lowest-latency relay with spare fanout.
+ */
+export function planRelayTopology(
+  nodes: TopologyNode[],
+  opts: TopologyOptions,
+): Map<string, string | null> {
+  const plan = new Map<string, string | null>();
+  const maxDirect = Math.max(1, opts.maxDirect | 0);
+  const maxFanout = Math.max(0, opts.maxFanout | 0);
+  const sorted = [...nodes].sort(byLatency);
+
+  // 1. Direct set: keep current direct peers (fastest first), then fill spare
+  //    slots. New peers take a kept slot only through the swap below.
+  const direct = sorted.filter(n => n.placed && n.parentId === null).slice(0, maxDirect);
+  for (const n of sorted) {
+    if (direct.length >= maxDirect) break;
+    if (!direct.includes(n)) direct.push(n);
+  }
+
+  // Latency rebalance: promote one much faster relayed or new peer per pass
+  const relayed = sorted.filter(n => !direct.includes(n));
+  if (relayed.length > 0 && direct.length > 0) {
+    const slowest = [...direct].sort(byLatency)[direct.length - 1];
+    const fastest = relayed[0];
+    const slow = rttOf(slowest);
+    const fast = rttOf(fastest);
+    if (Number.isFinite(slow) && Number.isFinite(fast) &&
+        slow > fast * SWAP_RTT_RATIO && slow - fast > SWAP_RTT_MIN_GAIN_MS) {
+      direct[direct.indexOf(slowest)] = fastest;
+    }
+  }
+
+  const depth = new Map<string, number>();
+  const load = new Map<string, number>();
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  for (const n of direct) {
+    plan.set(n.id, null);
+    depth.set(n.id, 1);
+    load.set(n.id, 0);
+  }
+
+  const place = (n: TopologyNode, parentId: string) => {
+    plan.set(n.id, parentId);
+    depth.set(n.id, (depth.get(parentId) || 1) + 1);
+    load.set(n.id, 0);
+    load.set(parentId, (load.get(parentId) || 0) + 1);
+  };
+
+  // 2. Keep valid existing relay assignments (repeat until no parent gets placed)
+  let pending = sorted.filter(n => !plan.has(n.id));
+  let progressed = true;
+  while (progressed) {
+    progressed = false;
+    for (const n of pending) {
+      const parentId = n.parentId;
+      if (parentId && plan.has(parentId) && (load.get(parentId) || 0) < maxFanout) {
+        place(n, parentId);
+        progressed = true;
+      }
+    }
+    pending = pending.filter(n => !plan.has(n.id));
+  }
+
+  // 3. Attach the rest breadth-first: shallowest, then least loaded, then fastest relay
+  for (const n of pending) {
+    let best: string | null = null;
+    for (const [id] of plan) {
+      if ((load.get(id) || 0) >= maxFanout) continue;
+      if (best === null) { best = id; continue; }
+      const dd = (depth.get(id) || 0) - (depth.get(best) || 0);
+      const dl = (load.get(id) || 0) - (load.get(best) || 0);
+      if (dd < 0 || (dd === 0 && dl < 0) ||
+          (dd === 0 && dl === 0 && byLatency(byId.get(id)!, byId.get(best)!) < 0)) {
+        best = id;
+      }
+    }
+    if (best === null) {
+      // No relay capacity left — fall back to host direct rather than dropping data
+      plan.set(n.id, null);
+      depth.set(n.id, 1);
+      load.set(n.id, 0);
+    } else {
+      place(n, best);
+    }
+  }
+
+  return plan;
+}
+
+// ─── Host: Apply Topology ───────────────────────────────────────────
+
+/**
+ * Recompute the relay tree from live peers and notify guests whose data
+ * source changed. Host-only; no-op on guests.
+ */
+export function rebalanceRelayTopology(): void {
+  if (getState('network.hostConn')) return;
+
+  const connectedPeers = getState('network.connectedPeers');
+  // Only LAN peers take part in file transfer (see filterEligiblePeers).
+  // Peers without the relay capability (legacy builds) always stay host-direct;
+  // spectators take no file data at all.
+  const candidates = connectedPeers.filter(p =>
+    p.status === 'connected' &&
+    !p.spectator &&
+    (p.conn as DataConnection | null)?.open &&
+    p.connectionType === 'local' &&
+    p.caps.includes(CAP.RELAY),
+  );
+
+  const plan = planRelayTopology(
+    candidates.map(p => ({
+      id: p.id,
+      rttMs: p.rttMs,
+      parentId: p.dataSourceId,
+      placed: !!p.dataSourcePlaced,
+      joinOrder: p.joinOrder,
+    })),
+    { maxDirect: MAX_DIRECT_DATA_PEERS, maxFanout: MAX_RELAY_FANOUT },
+  );
+
+  let changed = false;
+  for (const p of candidates) {
+    const next = plan.get(p.id) ?? null;
+    p.dataSourcePlaced = true;
+    if (next === p.dataSourceId) continue;
+
+    p.dataSourceId = next;
+    p.isDataTarget = next === null;
+    changed = true;
+    safeSend(p.conn, { type: MSG.ASSIGN_DATA_SOURCE, targetId: next });
+    log.info(`[Topology] ${p.label} ← ${next ? connectedPeers.find(x => x.id === next)?.label || next : 'HOST'}`);
+  }
+
+  if (changed) {
+    setState('network.connectedPeers', [...connectedPeers]);
+    broadcastDeviceList();
+  }
+}
+
+// ─── Host: Latency Probe ────────────────────────────────────────────
+
+function probeGuests(): void {
+  const connectedPeers = getState('network.connectedPeers');
+  if (connectedPeers.length === 0) {
+    clearManagedTimer('relayProbe');
+    return;
+  }
+  const now = Date.now();
+  connectedPeers.forEach(p => {
+    if (p.status === 'connected') safeSend(p.conn, { type: MSG.PING_LATENCY, timestamp: now });
+  });
+  rebalanceRelayTopology();
+}
+
+// ─── Initialize Topology ────────────────────────────────────────────
+
+export function initTopology(): void {
+  // Host: start probing once the first guest is in
+  bus.on('network:peer-connected', () => {
+    if (getState('network.hostConn')) return;
+    setManagedTimer('relayProbe', probeGuests, DELAY.RELAY_PROBE, { interval: true });
+  });
+
+  // Host: guest connection type resolved (only LAN guests join the tree)
+  bus.on('relay:rebalance', () => rebalanceRelayTopology());
+
+  // Host: orphaned children of a departed relay get a new source
+  bus.on('network:peer-disconnected', () => rebalanceRelayTopology());
+
+  log.info('[Topology] Handlers registered');
+}
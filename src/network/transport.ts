@@ -0,0 +1,82 @@
+/**
+ * MUSIXQUARE 2.0 — Transport Selection
+ *
+ * Manages: the transport that creates peers and data connections for
+ * peer.ts / relay.ts. PeerJS (WebRTC) is the default; the loopback transport
+ * (loopback.ts) connects peers in one page or across local tabs without a
+ * signaling server, for tests and multi-tab debugging.
+ *
+ * A transport's peers and connections follow PeerJS's event contract:
+ *   peer: 'open'(id), 'connection'(conn), 'disconnected', 'error'({ type })
+ *   conn: 'open', 'data'(data), 'close', 'error'(err)
+ */
+
+import { log } from '../core/log.ts';
+import { createLoopbackTransport } from './loopback.ts';
+import type { DataConnection, PeerInstance } from '../types/index.ts';
+
+// PeerJS — imported as `any` to keep our custom PeerInstance/DataConnection stubs.
+import { Peer as _Peer } from 'peerjs';
+const Peer: any = _Peer;
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface Transport {
+  readonly name: string;
+  /** WebRTC-based: initNetwork fetches ICE/TURN config and honours a custom signaling server */
+  readonly usesIce: boolean;
+  /** Create a peer registered under `id` (random when null); it emits 'open' or 'error' */
+  createPeer(id: string | null, options: Record<string, unknown>): PeerInstance;
+  /** Same-LAN check without ICE stats (null = ask the RTCPeerConnection) */
+  connectionTypeOf(conn: DataConnection): 'local' | 'remote' | null;
+}
+
+// ─── PeerJS ─────────────────────────────────────────────────────────
+
+export const peerJsTransport: Transport = {
+  name: 'peerjs',
+  usesIce: true,
+  createPeer(id, options) {
+    if (typeof Peer === 'undefined') {
+      log.error('[Network] PeerJS not found on window.');
+      throw new Error('PEERJS_NOT_LOADED');
+    }
+    return new Peer(id || undefined, options) as PeerInstance;
+  },
+  connectionTypeOf() {
+    return null;
+  },
+};
+
+// ─── Selection ──────────────────────────────────────────────────────
+
+let _transport: Transport = peerJsTransport;
+
+export function getTransport(): Transport {
+  return _transport;
+}
+
+/**
+ * Swap the transport. Takes effect on the next initNetwork().
+ */
+export function setTransport(transport: Transport): void {
+  _transport = transport;
+  log.info(`[Transport] Using ${transport.name}`);
+}
+
+/**
+ * Pick the transport from `?transport=loopback` or
+ * `window.__MUSIXQUARE_TRANSPORT__ = 'loopback'`. Loopback peers in
+ * different tabs of this origin find each other over a BroadcastChannel.
+ */
+export function initTransport(): void {
+  const override = (window as unknown as Record<string, unknown>).__MUSIXQUARE_TRANSPORT__;
+  let requested = typeof override === 'string' ? override : null;
+  try {
+    requested = new URLSearchParams(window.location.search).get('transport') || requested;
+  } catch { /* noop */ }
+
+  if (requested === 'loopback') {
+    setTransport(createLoopbackTransport({ channelName: 'musixquare-loopback' }));
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * MUSIXQUARE 2.0 — Protocol Version & Capability Negotiation
+ *
+ * Manages: handshake metadata (guest → host on connect), version
+ * compatibility checks, capability intersection and lookups.
+ *
+ * Guests send their version + capabilities as PeerJS connection metadata;
+ * the host answers in WELCOME with its own version and the negotiated set.
+ * Peers that predate the handshake are treated as LEGACY_PROTOCOL_VERSION.
+ */
+
+import { getState } from '../core/state.ts';
+import {
+  PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, LEGACY_PROTOCOL_VERSION,
+  LOCAL_CAPABILITIES, LEGACY_CAPABILITIES,
+} from '../core/constants.ts';
+import type { Capability } from '../core/constants.ts';
+
+export type ProtocolCompat = 'ok' | 'peer-outdated' | 'self-outdated';
+
+/**
+ * Handshake fields a guest attaches to its connection metadata.
+ */
+export function getHandshakeMetadata(): { protocolVersion: number; minProtocolVersion: number; caps: Capability[] } {
+  return {
+    protocolVersion: PROTOCOL_VERSION,
+    minProtocolVersion: MIN_PROTOCOL_VERSION,
+    caps: [...LOCAL_CAPABILITIES],
+  };
+}
+
+/**
+ * Read a peer-advertised protocol version (missing/invalid → legacy).
+ */
+export function readProtocolVersion(raw: unknown): number {
+  const v = Number(raw);
+  return Number.isInteger(v) && v > 0 ? v : LEGACY_PROTOCOL_VERSION;
+}
+
+/**
+ * Can we talk to a peer running `peerVersion` that requires at least `peerMinVersion`?
+ */
+export function checkProtocolCompat(peerVersion: number, peerMinVersion: number): ProtocolCompat {
+  if (peerVersion < MIN_PROTOCOL_VERSION) return 'peer-outdated';
+  if (PROTOCOL_VERSION < peerMinVersion) return 'self-outdated';
+  return 'ok';
+}
+
+/**
+ * Intersect our capabilities with what the peer advertised.
+ * Legacy peers (no `caps` array) get LEGACY_CAPABILITIES.
+ */
+export function negotiateCapabilities(remoteCaps: unknown): Capability[] {
+  const remote = Array.isArray(remoteCaps) ? remoteCaps.map(String) : LEGACY_CAPABILITIES;
+  return LOCAL_CAPABILITIES.filter(c => remote.includes(c));
+}
+
+/**
+ * Host-side: did this guest negotiate `cap`?
+ */
+export function peerHasCapability(peerId: string, cap: Capability): boolean {
+  const peerObj = getState('network.connectedPeers').find(p => p.id === peerId);
+  return !!peerObj && peerObj.caps.includes(cap);
+}
+
+/**
+ * Guest-side: did the host enable `cap` for this session?
+ */
+export function sessionHasCapability(cap: Capability): boolean {
+  return getState('network.sessionCaps').includes(cap);
+}
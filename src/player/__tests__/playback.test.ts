@@ -1,8 +1,40 @@
 /**
  * @vitest-environment jsdom
  */
-import { describe, it, expect } from 'vitest';
-import { fmtTime } from '../playback.ts';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resetState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { SOFT_SYNC } from '../../core/constants.ts';
+import {
+  fmtTime, play, softSeek, getTrackPosition, getAudioPosition, getTrimRate, setCurrentAudioBuffer, stopAllMedia,
+} from '../playback.ts';
+import { initVideo } from '../video.ts';
+
+// Tone with a hand-driven clock; every BufferSource created is kept for inspection
+const tone = vi.hoisted(() => ({ now: 0, sources: [] as any[] }));
+
+vi.mock('tone', () => {
+  class BufferSource {
+    playbackRate = { setValueAtTime: vi.fn() };
+    onended: (() => void) | null = null;
+    start = vi.fn();
+    stop = vi.fn();
+    connect = vi.fn();
+    disconnect = vi.fn();
+    dispose = vi.fn();
+    constructor() { tone.sources.push(this); }
+  }
+  return {
+    now: () => tone.now,
+    context: { state: 'running', resume: async () => {} },
+    BufferSource,
+  };
+});
+
+vi.mock('../../audio/engine.ts', () => ({
+  initAudio: async () => {},
+  getWidener: () => null,
+}));
 
 describe('fmtTime', () => {
   it('formats 0 seconds', () => {
@@ -41,3 +73,88 @@ describe('fmtTime', () => {
     expect(typeof result).toBe('string');
   });
 });
+
+// ─── Soft Sync ───────────────────────────────────────────────────────
+
+describe('softSeek', () => {
+  let video: HTMLVideoElement;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    resetState();
+    bus.clear();
+    tone.now = 100;
+    tone.sources.length = 0;
+    document.body.innerHTML = '<video id="main-video"></video>';
+    initVideo();
+    video = document.getElementById('main-video') as HTMLVideoElement;
+    setCurrentAudioBuffer({ duration: 300 } as AudioBuffer);
+    setState('sync.softCorrection', true);
+
+    await play(10);
+    await vi.advanceTimersByTimeAsync(20); // play() lock release
+  });
+
+  afterEach(() => {
+    stopAllMedia();
+    setCurrentAudioBuffer(null);
+    vi.useRealTimers();
+  });
+
+  /** Advance the Tone clock and the fake timers together */
+  function advance(ms: number): void {
+    for (let t = 0; t < ms; t += SOFT_SYNC.TICK) {
+      tone.now += SOFT_SYNC.TICK / 1000;
+      vi.advanceTimersByTime(SOFT_SYNC.TICK);
+    }
+  }
+
+  it('trims the rate of the running source instead of restarting it', () => {
+    const [source] = tone.sources;
+
+    softSeek(getTrackPosition() + 0.1);
+
+    expect(tone.sources).toHaveLength(1);
+    expect(source.start).toHaveBeenCalledTimes(1);
+    expect(source.stop).not.toHaveBeenCalled();
+    const rate = 1 + SOFT_SYNC.MAX_RATE_DEVIATION;
+    expect(getTrimRate()).toBeCloseTo(rate, 9);
+    expect(source.playbackRate.setValueAtTime).toHaveBeenLastCalledWith(getTrimRate(), tone.now);
+    expect(video.playbackRate).toBeCloseTo(rate, 9);
+  });
+
+  it('converges back to 1 once the source has caught up', () => {
+    const [source] = tone.sources;
+    softSeek(getTrackPosition() - 0.1);
+    expect(getTrimRate()).toBeLessThan(1);
+
+    advance(30_000);
+
+    expect(getTrimRate()).toBe(1);
+    expect(source.playbackRate.setValueAtTime).toHaveBeenLastCalledWith(1, expect.any(Number));
+    expect(video.playbackRate).toBe(1);
+    expect(Math.abs(getAudioPosition() - getTrackPosition())).toBeLessThanOrEqual(SOFT_SYNC.DEADBAND_SEC);
+    expect(tone.sources).toHaveLength(1);
+  });
+
+  it('falls back to play() past the hard-seek threshold', async () => {
+    const target = getTrackPosition() + SOFT_SYNC.HARD_SEEK_SEC * 2;
+
+    softSeek(target);
+    await vi.advanceTimersByTimeAsync(20);
+
+    expect(tone.sources).toHaveLength(2);
+    expect(tone.sources[0].stop).toHaveBeenCalled();
+    expect(tone.sources[1].start).toHaveBeenCalledWith(tone.now, target);
+    expect(getTrimRate()).toBe(1);
+  });
+
+  it('falls back to play() when soft correction is off', async () => {
+    setState('sync.softCorrection', false);
+
+    softSeek(getTrackPosition() + 0.1);
+    await vi.advanceTimersByTimeAsync(20);
+
+    expect(tone.sources).toHaveLength(2);
+  });
+});
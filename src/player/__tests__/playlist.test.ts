@@ -1,10 +1,13 @@
 /**
  * @vitest-environment jsdom
  */
-import { describe, it, expect, beforeEach } from 'vitest';
-import { resetState, getState } from '../../core/state.ts';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
 import { bus } from '../../core/events.ts';
-import { setRepeatMode, setShuffle, clearPreloadState } from '../playlist.ts';
+import { MSG, REQUEST_ERROR } from '../../core/constants.ts';
+import { handleData } from '../../network/protocol.ts';
+import { setRepeatMode, setShuffle, clearPreloadState, initPlaylist } from '../playlist.ts';
+import type { DataConnection } from '../../types/index.ts';
 
 beforeEach(() => {
   resetState();
@@ -47,3 +50,52 @@ describe('clearPreloadState', () => {
     expect(getState('preload.nextTrackIndex')).toBe(-1);
   });
 });
+
+describe('request-setting permissions', () => {
+  it('lets a playlist-only operator change repeat mode but not EQ', async () => {
+    initPlaylist();
+    const conn = { peer: 'dj', open: true, send: vi.fn() } as unknown as DataConnection;
+    setState('network.connectedPeers', [{ id: 'dj', isOp: true, perms: ['playlist'], conn } as never]);
+    const eqBefore = getState('audio.eqBands');
+
+    await handleData({ type: MSG.REQUEST_SETTING, settingType: 'repeat-mode', value: 2 }, conn);
+    await handleData({ type: MSG.REQUEST_SETTING, settingType: 'eq', value: [{ type: 'peaking', frequency: 60, Q: 1, gain: 12 }] }, conn);
+
+    expect(getState('playlist.repeatMode')).toBe(2);
+    expect(getState('audio.eqBands')).toBe(eqBefore);
+  });
+});
+
+describe('request replies', () => {
+  it('acks a request id and names the reason for a refusal', async () => {
+    initPlaylist();
+    const dj = { peer: 'dj', open: true, send: vi.fn() } as unknown as DataConnection & { send: ReturnType<typeof vi.fn> };
+    const guest = { peer: 'g2', open: true, send: vi.fn() } as unknown as DataConnection & { send: ReturnType<typeof vi.fn> };
+    setState('network.connectedPeers', [
+      { id: 'dj', isOp: true, conn: dj } as never,
+      { id: 'g2', isOp: false, conn: guest } as never,
+    ]);
+
+    await handleData({ type: MSG.REQUEST_SETTING, settingType: 'shuffle-mode', value: true, reqId: 'a' }, dj);
+    await handleData({ type: MSG.REQUEST_TRACK_CHANGE, index: 5, reqId: 'b' }, dj);
+    await handleData({ type: MSG.REQUEST_NEXT_TRACK, reqId: 'c' }, guest);
+
+    expect(dj.send).toHaveBeenCalledWith({ type: MSG.COMMAND_RESULT, reqId: 'a', ok: true });
+    expect(dj.send).toHaveBeenCalledWith({
+      type: MSG.COMMAND_RESULT, reqId: 'b', ok: false, code: REQUEST_ERROR.INVALID_INDEX,
+    });
+    expect(guest.send).toHaveBeenCalledWith({
+      type: MSG.COMMAND_RESULT, reqId: 'c', ok: false, code: REQUEST_ERROR.NOT_OPERATOR,
+    });
+  });
+
+  it('stays silent for requests without an id', async () => {
+    initPlaylist();
+    const dj = { peer: 'dj', open: true, send: vi.fn() } as unknown as DataConnection & { send: ReturnType<typeof vi.fn> };
+    setState('network.connectedPeers', [{ id: 'dj', isOp: true, conn: dj } as never]);
+
+    await handleData({ type: MSG.REQUEST_SETTING, settingType: 'repeat-mode', value: 1 }, dj);
+
+    expect(dj.send).not.toHaveBeenCalled();
+  });
+});
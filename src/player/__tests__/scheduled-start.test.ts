@@ -0,0 +1,110 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resetState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { MSG, CAP, SCHEDULED_START } from '../../core/constants.ts';
+import { handleData } from '../../network/protocol.ts';
+import {
+  resolveScheduledStart, waitForDecodeReady, resetDecodeReady, reportDecodeReady, initScheduledStart,
+} from '../scheduled-start.ts';
+import { fakeConn } from '../../test/fake-conn.ts';
+import type { DataConnection } from '../../types/index.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  initScheduledStart();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+function guest(id: string, extra: Record<string, unknown> = {}) {
+  return {
+    id, label: id, conn: fakeConn(id), status: 'connected', connectionType: 'local',
+    caps: [CAP.SCHEDULED_START], ...extra,
+  } as never;
+}
+
+describe('resolveScheduledStart', () => {
+  it('waits for an instant still ahead', () => {
+    const { offset, delaySec } = resolveScheduledStart(0, 10_400, 10_000, 0.12);
+    expect(offset).toBeCloseTo(0.12, 9);
+    expect(delaySec).toBeCloseTo(0.4, 9);
+  });
+
+  it('joins mid-stream once the instant has passed', () => {
+    const { offset, delaySec } = resolveScheduledStart(0, 10_000, 12_500, 0);
+    expect(offset).toBeCloseTo(2.5, 9);
+    expect(delaySec).toBe(0);
+  });
+});
+
+// ─── Host ────────────────────────────────────────────────────────────
+
+describe('waitForDecodeReady', () => {
+  it('resolves once every eligible guest reported the track', async () => {
+    const a = guest('a');
+    const b = guest('b');
+    setState('network.connectedPeers', [
+      a, b,
+      guest('remote', { connectionType: 'remote' }),
+      guest('legacy', { caps: [] }),
+      guest('spec', { spectator: true }),
+    ]);
+
+    let missing: string[] | null = null;
+    void waitForDecodeReady(3).then(m => { missing = m; });
+
+    await handleData({ type: MSG.DECODE_READY, index: 3 }, (a as { conn: DataConnection }).conn);
+    await Promise.resolve();
+    expect(missing).toBeNull();
+
+    await handleData({ type: MSG.DECODE_READY, index: 3 }, (b as { conn: DataConnection }).conn);
+    await Promise.resolve();
+    expect(missing).toEqual([]);
+  });
+
+  it('gives up after the timeout with the guests still decoding', async () => {
+    vi.useFakeTimers();
+    const a = guest('a');
+    setState('network.connectedPeers', [a, guest('slow')]);
+    const done = waitForDecodeReady(1);
+
+    await handleData({ type: MSG.DECODE_READY, index: 1 }, (a as { conn: DataConnection }).conn);
+    vi.advanceTimersByTime(SCHEDULED_START.READY_TIMEOUT);
+
+    await expect(done).resolves.toEqual(['slow']);
+  });
+
+  it('does not count a report for another track or an earlier load', async () => {
+    const a = guest('a', { decodedIndex: 2 });
+    setState('network.connectedPeers', [a]);
+    await handleData({ type: MSG.DECODE_READY, index: 1 }, (a as { conn: DataConnection }).conn);
+    resetDecodeReady();
+
+    vi.useFakeTimers();
+    const done = waitForDecodeReady(1, 100);
+    vi.advanceTimersByTime(100);
+    await expect(done).resolves.toEqual(['a']);
+  });
+});
+
+// ─── Guest ───────────────────────────────────────────────────────────
+
+describe('reportDecodeReady', () => {
+  it('only reports to a host that negotiated scheduled start', () => {
+    const host = fakeConn('host');
+    setState('network.hostConn', host);
+
+    reportDecodeReady(4);
+    expect(host.send).not.toHaveBeenCalled();
+
+    setState('network.sessionCaps', [CAP.SCHEDULED_START]);
+    reportDecodeReady(4);
+    expect(host.send).toHaveBeenCalledWith({ type: MSG.DECODE_READY, index: 4 });
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { SOFT_SYNC } from '../../core/constants.ts';
+import { trimRate, needsHardSeek } from '../soft-sync.ts';
+
+describe('trimRate', () => {
+  it('is exactly 1 inside the deadband', () => {
+    expect(trimRate(0)).toBe(1);
+    expect(trimRate(0.004)).toBe(1);
+    expect(trimRate(-0.004)).toBe(1);
+    expect(trimRate(0.05, 0.08)).toBe(1);
+  });
+
+  it('slows down when ahead and speeds up when behind', () => {
+    expect(trimRate(0.015)).toBeCloseTo(1 - 0.015 / SOFT_SYNC.CONVERGE_SEC, 9);
+    expect(trimRate(-0.015)).toBeCloseTo(1 + 0.015 / SOFT_SYNC.CONVERGE_SEC, 9);
+  });
+
+  it('caps the deviation', () => {
+    expect(trimRate(0.25)).toBeCloseTo(1 - SOFT_SYNC.MAX_RATE_DEVIATION, 9);
+    expect(trimRate(-0.25)).toBeCloseTo(1 + SOFT_SYNC.MAX_RATE_DEVIATION, 9);
+  });
+
+  it('ignores non-finite errors', () => {
+    expect(trimRate(NaN)).toBe(1);
+  });
+});
+
+describe('needsHardSeek', () => {
+  it('only for errors past the threshold', () => {
+    expect(needsHardSeek(0.1)).toBe(false);
+    expect(needsHardSeek(-SOFT_SYNC.HARD_SEEK_SEC)).toBe(false);
+    expect(needsHardSeek(SOFT_SYNC.HARD_SEEK_SEC + 0.01)).toBe(true);
+    expect(needsHardSeek(Infinity)).toBe(true);
+  });
+});
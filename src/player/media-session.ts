@@ -9,10 +9,12 @@
 import { log } from '../core/log.ts';
 import { bus } from '../core/events.ts';
 import { getState } from '../core/state.ts';
+import { hasOpPermission } from '../network/protocol.ts';
 import { APP_STATE } from '../core/constants.ts';
 import { togglePlay, stopPlayback, skipTime } from './playback.ts';
 import { isIdleOrPaused } from './video.ts';
 import type { PlaylistItem } from '../types/index.ts';
+import type { OpPermission } from '../core/constants.ts';
 
 // ─── Metadata Update ───────────────────────────────────────────────
 
@@ -57,10 +59,9 @@ export function initMediaSession(): void {
   if (!('mediaSession' in navigator)) return;
   log.debug('[MediaSession] Initializing action handlers...');
 
-  const isBlocked = (): boolean => {
+  const isBlocked = (perm: OpPermission = 'transport'): boolean => {
     const hostConn = getState('network.hostConn');
-    const isOperator = getState('network.isOperator');
-    return !!(hostConn && !isOperator);
+    return !!(hostConn && !hasOpPermission(perm));
   };
 
   navigator.mediaSession.setActionHandler('play', () => {
@@ -83,12 +84,12 @@ export function initMediaSession(): void {
   });
 
   navigator.mediaSession.setActionHandler('previoustrack', () => {
-    if (isBlocked()) return;
+    if (isBlocked('playlist')) return;
     bus.emit('playlist:prev-track');
   });
 
   navigator.mediaSession.setActionHandler('nexttrack', () => {
-    if (isBlocked()) return;
+    if (isBlocked('playlist')) return;
     bus.emit('playlist:next-track');
   });
 
@@ -10,17 +10,21 @@ import { log } from '../core/log.ts';
 import { t } from '../i18n/index.ts';
 import { bus } from '../core/events.ts';
 import { getState, setState } from '../core/state.ts';
-import { MSG, APP_STATE, TRANSFER_STATE } from '../core/constants.ts';
-import { clearManagedTimer, getManagedTimer } from '../core/timers.ts';
+import { MSG, APP_STATE, TRANSFER_STATE, REQUEST_ERROR, SOFT_SYNC, SCHEDULED_START } from '../core/constants.ts';
+import { clearManagedTimer, getManagedTimer, setManagedTimer } from '../core/timers.ts';
 import { BlobURLManager } from '../core/blob-manager.ts';
 import { initAudio, getWidener } from '../audio/engine.ts';
-import { getVideoElement, isIdleOrPaused, isMediaVideo, setEngineMode } from './video.ts';
+import { getVideoElement, isIdleOrPaused, isMediaVideo, setEngineMode, setVideoRate } from './video.ts';
+import { trimRate, needsHardSeek } from './soft-sync.ts';
+import { resolveScheduledStart, waitForDecodeReady, reportDecodeReady } from './scheduled-start.ts';
 import { postWorkerCommand, cleanupOPFSInWorker, readFileFromOpfs } from '../storage/opfs.ts';
 import { broadcastFile, unicastFile } from '../storage/transfer.ts';
 import { schedulePreload, unicastPreload } from '../storage/preload.ts';
-import { broadcast, sendToHost, isRemoteGuest } from '../network/peer.ts';
+import { broadcast, safeSend, sendToHost, isRemoteGuest, isSpectator, canSendFileTo, isRelayedDataPeer } from '../network/peer.ts';
 import { requestGlobalResyncDelayed } from '../network/sync.ts';
-import { registerHandlers, validateMessage, verifyOperator } from '../network/protocol.ts';
+import { localNow, hostNow, isClockSynced } from '../network/clock.ts';
+import { registerHandlers, validateMessage, verifyOperator, hasOpPermission } from '../network/protocol.ts';
+import { requestFromControl, ackRequest, rejectRequest } from '../network/requests.ts';
 import type { DataConnection, PlaylistItem } from '../types/index.ts';
 
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
@@ -35,11 +39,19 @@ let _playerNode: any = null;
 let _currentAudioBuffer: AudioBuffer | null = null;
 let _currentLoadToken = 0;
 let _activeLoadSessionId = 0;
+/** Host: a loadAndBroadcastFile() is decoding; transport requests get BUSY */
+let _isLoadingTrack = false;
 let _isPlayLocked = false;
 let _pendingPlayTime: number | undefined;
+/** Host-clock start instant of the PLAY behind _pendingPlayTime (scheduled start) */
+let _pendingStartAt: number | undefined;
 let _pendingPlayDepth = 0;
 let _playPreloadedInProgress = false;
 let _lastClearedTrackName = '';
+/** Where the buffer source actually is: `pos` at Tone time `at`, advancing at `rate` */
+let _audioAnchor = { at: 0, pos: 0, rate: 1 };
+
+const SOFT_SYNC_TIMER = 'softSync';
 
 // ─── Getters ───────────────────────────────────────────────────────
 
@@ -59,6 +71,10 @@ export function getLoadToken(): number {
   return _currentLoadToken;
 }
 
+export function isLoadingTrack(): boolean {
+  return _isLoadingTrack;
+}
+
 export function setPendingPlayTime(time: number | undefined): void {
   _pendingPlayTime = time;
 }
@@ -133,6 +149,7 @@ export function updatePlayState(playing: boolean): void {
 // ─── Stop Player Node ──────────────────────────────────────────────
 
 export function stopPlayerNode(): void {
+  resetTrim();
   if (_playerNode) {
     try {
       _playerNode.onended = null;
@@ -169,6 +186,7 @@ export function stopAllMedia(): void {
   clearManagedTimer('preloadScheduleTimer');
   clearManagedTimer('autoPlayTimer');
   _pendingPlayTime = undefined;
+  _pendingStartAt = undefined;
 
   setState('appState', APP_STATE.IDLE);
   bus.emit('player:state-changed', APP_STATE.IDLE);
@@ -187,7 +205,11 @@ export function stopAllMedia(): void {
 
 // ─── Play ──────────────────────────────────────────────────────────
 
-export async function play(offset: number): Promise<void> {
+/**
+ * Start the current media at `offset` (s). `when` (Tone context time) delays
+ * the start to that instant; one already past starts now.
+ */
+export async function play(offset: number, when?: number): Promise<void> {
   if (_isPlayLocked) {
     log.warn('[Play] Blocked: queuing play request');
     _pendingPlayTime = offset;
@@ -204,7 +226,7 @@ export async function play(offset: number): Promise<void> {
   }, 3000);
 
   try {
-    await _internalPlay(offset);
+    await _internalPlay(offset, when);
   } finally {
     clearTimeout(lockWatchdog);
     setTimeout(() => {
@@ -224,8 +246,9 @@ export async function play(offset: number): Promise<void> {
   }
 }
 
-async function _internalPlay(offset: number): Promise<void> {
+async function _internalPlay(offset: number, when?: number): Promise<void> {
   _pendingPlayTime = undefined;
+  _pendingStartAt = undefined;
 
   const currentState = getState('appState');
   if (currentState === APP_STATE.PLAYING_YOUTUBE) {
@@ -271,6 +294,8 @@ async function _internalPlay(offset: number): Promise<void> {
     if (safeOffset === duration) safeOffset = Math.max(0, duration - 0.001);
   }
 
+  const startAt = when !== undefined && when > Tone.now() ? when : Tone.now();
+
   // Buffer Mode playback
   if (_currentAudioBuffer) {
     stopPlayerNode();
@@ -297,21 +322,25 @@ async function _internalPlay(offset: number): Promise<void> {
       }
     };
 
-    _playerNode.start(Tone.now(), safeOffset);
+    _playerNode.start(startAt, safeOffset);
+    _audioAnchor = { at: startAt, pos: safeOffset, rate: 1 };
 
     // Sync visuals (muted video)
     if (videoElement?.src) {
       videoElement.currentTime = safeOffset;
       videoElement.muted = true;
       videoElement.volume = 0;
-      videoElement.play().catch(() => { /* noop */ });
+      const startVideo = () => { videoElement.play().catch(() => { /* noop */ }); };
+      const delayMs = (startAt - Tone.now()) * 1000;
+      if (delayMs > 0) setTimeout(startVideo, delayMs);
+      else startVideo();
     }
   }
 
   // Update timing
   const localOffset = getState('sync.localOffset') || 0;
   const autoSyncOffset = getState('sync.autoSyncOffset') || 0;
-  const startedAt = Tone.now() - (safeOffset - (localOffset + autoSyncOffset));
+  const startedAt = startAt - (safeOffset - (localOffset + autoSyncOffset));
   setState('player.startedAt', startedAt);
   setState('player.pausedAt', safeOffset);
   log.debug(`[BufferMode] Started at ${safeOffset}s (startedAt: ${startedAt})`);
@@ -332,6 +361,58 @@ async function _internalPlay(offset: number): Promise<void> {
   bus.emit('ui:loop-start');
 }
 
+// ─── Scheduled Start ───────────────────────────────────────────────
+
+/**
+ * Start `time` at host-clock instant `startAt`: scheduled for it when it is
+ * still ahead, otherwise mid-stream where the other devices already are.
+ */
+export function playScheduled(time: number, startAt: number): Promise<void> {
+  const localOffset = getState('sync.localOffset') || 0;
+  const { offset, delaySec } = resolveScheduledStart(time, startAt, hostNow(), localOffset);
+  log.debug(`[Play] Scheduled start at ${offset.toFixed(2)}s in ${(delaySec * 1000).toFixed(0)}ms`);
+  return play(offset, delaySec > 0 ? Tone.now() + delaySec : undefined);
+}
+
+/**
+ * Host: start a freshly loaded track on every device together. Waits for
+ * the guests' decode-ready, then broadcasts PLAY with a start instant
+ * SCHEDULED_START.LEAD_MS ahead and starts there too. Skipped (false) when
+ * another track load took over during the wait.
+ */
+export async function startTrackTogether(index: number, name: string, loadToken: number): Promise<boolean> {
+  if (!getState('sync.scheduledStart')) {
+    await play(0);
+    broadcast({ type: MSG.PLAY, time: 0, index, name });
+    return true;
+  }
+
+  const late = await waitForDecodeReady(index);
+  if (loadToken !== _currentLoadToken) return false;
+  if (late.length > 0) log.warn(`[Play] Starting without ${late.length} guest(s) still decoding`);
+
+  const startAt = localNow() + SCHEDULED_START.LEAD_MS;
+  broadcast({ type: MSG.PLAY, time: 0, index, name, startAt });
+  await playScheduled(0, startAt);
+  return true;
+}
+
+/**
+ * Guest: start a PLAY that arrived before the track was decoded. A scheduled
+ * one keeps its start instant; otherwise the saved position plus offsets.
+ */
+function playPending(time: number): void {
+  const startAt = _pendingStartAt;
+  _pendingStartAt = undefined;
+  if (startAt !== undefined && isClockSynced()) {
+    playScheduled(time, startAt);
+    return;
+  }
+  const localOffset = getState('sync.localOffset') || 0;
+  const autoSyncOffset = getState('sync.autoSyncOffset') || 0;
+  play(time + localOffset + autoSyncOffset);
+}
+
 // ─── Pause ─────────────────────────────────────────────────────────
 
 export function pause(forcedTime?: number): void {
@@ -406,7 +487,7 @@ function handleEnded(): void {
 
 export function togglePlay(): void {
   const hostConn = getState('network.hostConn');
-  const isOperator = getState('network.isOperator');
+  const isOperator = hasOpPermission('transport');
   if (hostConn && !isOperator) {
     bus.emit('ui:show-toast', t('toast.host_only_control'));
     return;
@@ -435,7 +516,7 @@ export function togglePlay(): void {
       pause();
       broadcast({ type: MSG.PAUSE, time: getState('player.pausedAt') });
     } else if (isOperator) {
-      sendToHost({ type: MSG.REQUEST_PAUSE });
+      void requestFromControl({ type: MSG.REQUEST_PAUSE });
     }
   } else {
     if (!hostConn) {
@@ -443,7 +524,7 @@ export function togglePlay(): void {
       broadcast({ type: MSG.PLAY, time: pausedAt, index: currentTrackIndex });
       requestGlobalResyncDelayed();
     } else if (isOperator) {
-      sendToHost({ type: MSG.REQUEST_PLAY, time: pausedAt });
+      void requestFromControl({ type: MSG.REQUEST_PLAY, time: pausedAt });
     }
   }
 }
@@ -452,7 +533,7 @@ export function togglePlay(): void {
 
 export function stopPlayback(): void {
   const hostConn = getState('network.hostConn');
-  const isOperator = getState('network.isOperator');
+  const isOperator = hasOpPermission('transport');
 
   if (hostConn && !isOperator) {
     bus.emit('ui:show-toast', t('toast.host_only_control'));
@@ -460,8 +541,8 @@ export function stopPlayback(): void {
   }
 
   if (hostConn && isOperator) {
-    try { hostConn.send({ type: MSG.REQUEST_SEEK, time: 0 }); } catch { /* noop */ }
-    try { hostConn.send({ type: MSG.REQUEST_PAUSE }); } catch { /* noop */ }
+    safeSend(hostConn, { type: MSG.REQUEST_SEEK, time: 0 });
+    safeSend(hostConn, { type: MSG.REQUEST_PAUSE });
     bus.emit('ui:show-toast', t('toast.stop_sent'));
     return;
   }
@@ -485,7 +566,7 @@ export function stopPlayback(): void {
 
 export function skipTime(sec: number): void {
   const hostConn = getState('network.hostConn');
-  const isOperator = getState('network.isOperator');
+  const isOperator = hasOpPermission('transport');
 
   if (hostConn && !isOperator) {
     bus.emit('ui:show-toast', t('toast.host_only_control'));
@@ -493,7 +574,7 @@ export function skipTime(sec: number): void {
   }
 
   if (hostConn && isOperator) {
-    sendToHost({ type: MSG.REQUEST_SKIP_TIME, sec });
+    void requestFromControl({ type: MSG.REQUEST_SKIP_TIME, sec });
     return;
   }
 
@@ -534,13 +615,88 @@ export function adjustSync(val: number): void {
 
   const currentState = getState('appState');
   if (!isIdleOrPaused(currentState)) {
-    play(getTrackPosition());
+    softSeek(getTrackPosition());
   } else {
     const pausedAt = getState('player.pausedAt') || 0;
     setState('player.pausedAt', pausedAt + val);
   }
 }
 
+// ─── Soft Sync (Rate Trim) ─────────────────────────────────────────
+
+/**
+ * Where the buffer source is actually playing. getTrackPosition() is the
+ * target; the two differ only while a soft correction is trimming.
+ */
+export function getAudioPosition(): number {
+  if (!_playerNode || typeof Tone === 'undefined' || !Tone?.now) return getTrackPosition();
+  return _audioAnchor.pos + (Tone.now() - _audioAnchor.at) * _audioAnchor.rate;
+}
+
+export function getTrimRate(): number {
+  return _audioAnchor.rate;
+}
+
+function setTrimRate(rate: number): void {
+  if (!_playerNode || rate === _audioAnchor.rate) return;
+  const now = Tone.now();
+  _audioAnchor = { at: now, pos: getAudioPosition(), rate };
+  try { _playerNode.playbackRate.setValueAtTime(rate, now); } catch (e) {
+    log.debug('[SoftSync] playbackRate set failed:', e);
+  }
+  setVideoRate(rate);
+}
+
+function resetTrim(): void {
+  clearManagedTimer(SOFT_SYNC_TIMER);
+  _audioAnchor = { ..._audioAnchor, rate: 1 };
+  setVideoRate(1);
+}
+
+function softSyncTick(): void {
+  const state = getState('appState');
+  if (!_playerNode || (state !== APP_STATE.PLAYING_AUDIO && state !== APP_STATE.PLAYING_VIDEO)) {
+    clearManagedTimer(SOFT_SYNC_TIMER);
+    return;
+  }
+  const rate = trimRate(getAudioPosition() - getTrackPosition());
+  setTrimRate(rate);
+  if (rate === 1) {
+    clearManagedTimer(SOFT_SYNC_TIMER);
+    log.debug('[SoftSync] Converged');
+  }
+}
+
+/**
+ * Move the playback target to `target` (seconds) without restarting the
+ * source when possible: the buffer player and video element then run up to
+ * SOFT_SYNC.MAX_RATE_DEVIATION fast or slow until they catch up. Falls back
+ * to play() when not playing from a buffer, soft correction is off, or the
+ * error is past SOFT_SYNC.HARD_SEEK_SEC.
+ */
+export function softSeek(target: number): void {
+  const state = getState('appState');
+  const canTrim = getState('sync.softCorrection') && !!_playerNode && !_isPlayLocked &&
+    (state === APP_STATE.PLAYING_AUDIO || state === APP_STATE.PLAYING_VIDEO);
+  const error = canTrim ? getAudioPosition() - target : Infinity;
+
+  if (!canTrim || needsHardSeek(error)) {
+    play(target);
+    return;
+  }
+
+  // Re-anchor the target timeline; the source keeps playing where it is
+  const localOffset = getState('sync.localOffset') || 0;
+  const autoSyncOffset = getState('sync.autoSyncOffset') || 0;
+  setState('player.startedAt', Tone.now() - (target - (localOffset + autoSyncOffset)));
+  log.debug(`[SoftSync] Trimming ${(error * 1000).toFixed(1)}ms`);
+
+  softSyncTick();
+  if (_audioAnchor.rate !== 1) {
+    setManagedTimer(SOFT_SYNC_TIMER, softSyncTick, SOFT_SYNC.TICK, { interval: true });
+  }
+}
+
 // ─── Check Video Sync ──────────────────────────────────────────────
 
 export function checkVideoSync(): void {
@@ -550,7 +706,8 @@ export function checkVideoSync(): void {
   const videoElement = getVideoElement();
   if (!videoElement?.src) return;
 
-  const targetTime = getTrackPosition();
+  // Follow the audio itself, which lags the target while a soft correction runs
+  const targetTime = getAudioPosition();
   const actualTime = videoElement.currentTime;
   const drift = Math.abs(actualTime - targetTime);
 
@@ -578,6 +735,7 @@ export async function loadAndBroadcastFile(
   _activeLoadSessionId++;
   const myLoadId = _activeLoadSessionId;
   const myToken = loadToken ?? _currentLoadToken;
+  _isLoadingTrack = true;
 
   bus.emit('ui:show-loader', true, t('toast.preparing', { name: file.name }));
   stopAllMedia();
@@ -652,7 +810,7 @@ export async function loadAndBroadcastFile(
 
     // Enable play button
     const hostConn = getState('network.hostConn');
-    const isOperator = getState('network.isOperator');
+    const isOperator = hasOpPermission('transport');
     bus.emit('ui:play-btn-state', !(hostConn && !isOperator));
 
     // Broadcast file to peers
@@ -671,13 +829,14 @@ export async function loadAndBroadcastFile(
     bus.emit('ui:show-toast', `Load Failed: ${(err as Error).message}`);
   } finally {
     if (myLoadId === _activeLoadSessionId) {
+      _isLoadingTrack = false;
       bus.emit('ui:show-loader', false);
       setState('player.pausedAt', 0);
       updatePlayState(false);
     }
 
     const hostConn = getState('network.hostConn');
-    const isOperator = getState('network.isOperator');
+    const isOperator = hasOpPermission('transport');
     bus.emit('ui:play-btn-state', !hostConn || isOperator);
   }
 }
@@ -782,14 +941,12 @@ export async function loadPreloadedTrack(
     }
 
     _playPreloadedInProgress = false;
+    reportDecodeReady(targetIndex);
 
     // Consume pending play time
-    const localOffset = getState('sync.localOffset') || 0;
-    const autoSyncOffset = getState('sync.autoSyncOffset') || 0;
     if (hostConn && _pendingPlayTime !== undefined) {
-      const target = _pendingPlayTime + localOffset + autoSyncOffset;
-      log.debug(`[Preload] Found pending play time, starting at ${target.toFixed(2)}s`);
-      play(target);
+      log.debug(`[Preload] Found pending play time ${_pendingPlayTime.toFixed(2)}s`);
+      playPending(_pendingPlayTime);
       _pendingPlayTime = undefined;
     }
 
@@ -816,9 +973,17 @@ export async function loadPreloadedTrack(
 
 // ─── Network Message Handlers ──────────────────────────────────────
 
+/** Title shown instead of a track no file will arrive for */
+function noFileTitle(): string {
+  return isSpectator() ? t('player.spectator_title') : t('toast.same_wifi_file_title');
+}
+
 function handlePlayMsg(data: Record<string, unknown>): void {
   const time = Number(data.time) || 0;
   const incomingIndex = data.index as number | undefined;
+  // Scheduled start needs the host clock; without it, start on arrival as before
+  const startAt = typeof data.startAt === 'number' && isClockSynced() ? data.startAt : undefined;
+  _pendingStartAt = startAt;
 
   // Guard: If loadPreloadedTrack is in progress, queue the play time
   if (_playPreloadedInProgress) {
@@ -846,16 +1011,16 @@ function handlePlayMsg(data: Record<string, unknown>): void {
     }
 
     // No preload — request file from host (transport guard)
-    if (isRemoteGuest()) {
+    if (isSpectator() || isRemoteGuest()) {
       const playlist = getState('playlist.items') || [];
       const name = playlist[incomingIndex]?.name || '';
       bus.emit('player:metadata-update', {
         type: 'file',
-        title: t('toast.same_wifi_file_title'),
+        title: noFileTitle(),
         name,
       });
       bus.emit('ui:show-loader', false);
-      log.info('[Guest] Remote guest — skipping file request (TURN billing prevention)');
+      log.info('[Guest] Remote guest or spectator — skipping file request');
       return;
     }
     const playlist = getState('playlist.items') || [];
@@ -876,14 +1041,15 @@ function handlePlayMsg(data: Record<string, unknown>): void {
   }
 
   if (_currentAudioBuffer || getVideoElement()?.src) {
-    play(time);
+    if (startAt !== undefined) playScheduled(time, startAt);
+    else play(time);
   } else {
-    // Remote guest: no file will arrive, show guide (transport guard)
-    if (isRemoteGuest()) {
+    // Remote guest or spectator: no file will arrive, show guide (transport guard)
+    if (isSpectator() || isRemoteGuest()) {
       const playlist2 = getState('playlist.items') || [];
       bus.emit('player:metadata-update', {
         type: 'file',
-        title: t('toast.same_wifi_file_title'),
+        title: noFileTitle(),
         name: playlist2[currentTrackIndex]?.name || '',
       });
       bus.emit('ui:show-loader', false);
@@ -905,8 +1071,13 @@ function handleRequestPlay(data: Record<string, unknown>, conn: DataConnection):
   const hostConn = getState('network.hostConn');
   if (hostConn) return; // Only Host executes
 
-  if (!verifyOperator(conn, data)) {
+  if (!verifyOperator(conn, data, 'transport')) {
     log.warn(`[Playback] Rejected request-play from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
+    return;
+  }
+  if (_isLoadingTrack) {
+    rejectRequest(conn, data, REQUEST_ERROR.BUSY);
     return;
   }
 
@@ -918,28 +1089,36 @@ function handleRequestPlay(data: Record<string, unknown>, conn: DataConnection):
   play(time);
   broadcast({ type: MSG.PLAY, time, index: currentTrackIndex });
   requestGlobalResyncDelayed();
+  ackRequest(conn, data);
 }
 
 function handleRequestPause(data: Record<string, unknown>, conn: DataConnection): void {
   const hostConn = getState('network.hostConn');
   if (hostConn) return;
 
-  if (!verifyOperator(conn, data)) {
+  if (!verifyOperator(conn, data, 'transport')) {
     log.warn(`[Playback] Rejected request-pause from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
     return;
   }
 
   clearManagedTimer('autoPlayTimer');
   pause();
   broadcast({ type: MSG.PAUSE, time: getState('player.pausedAt') });
+  ackRequest(conn, data);
 }
 
 function handleRequestSeek(data: Record<string, unknown>, conn: DataConnection): void {
   const hostConn = getState('network.hostConn');
   if (hostConn) return;
 
-  if (!verifyOperator(conn, data)) {
+  if (!verifyOperator(conn, data, 'transport')) {
     log.warn(`[Playback] Rejected request-seek from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
+    return;
+  }
+  if (_isLoadingTrack) {
+    rejectRequest(conn, data, REQUEST_ERROR.BUSY);
     return;
   }
 
@@ -950,6 +1129,7 @@ function handleRequestSeek(data: Record<string, unknown>, conn: DataConnection):
   // YouTube seek
   if (currentState === APP_STATE.PLAYING_YOUTUBE) {
     bus.emit('youtube:seek-to', time);
+    ackRequest(conn, data);
     return;
   }
 
@@ -963,19 +1143,26 @@ function handleRequestSeek(data: Record<string, unknown>, conn: DataConnection):
     broadcast({ type: MSG.PAUSE, time });
   }
   requestGlobalResyncDelayed();
+  ackRequest(conn, data);
 }
 
 function handleRequestSkipTime(data: Record<string, unknown>, conn: DataConnection): void {
   const hostConn = getState('network.hostConn');
   if (hostConn) return;
 
-  if (!verifyOperator(conn, data)) {
+  if (!verifyOperator(conn, data, 'transport')) {
     log.warn(`[Playback] Rejected request-skip-time from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
+    return;
+  }
+  if (_isLoadingTrack) {
+    rejectRequest(conn, data, REQUEST_ERROR.BUSY);
     return;
   }
 
   const sec = Number(data.sec) || 0;
   skipTime(sec);
+  ackRequest(conn, data);
 }
 
 function handleForceSyncPlay(data: Record<string, unknown>): void {
@@ -1060,11 +1247,11 @@ async function handleStatusSync(data: Record<string, unknown>): Promise<void> {
       const meta = getState('transfer.meta');
       const isWrongBlob = hasBlob && meta && (meta.name as string) !== item.name;
       if (!hasBlob || isWrongBlob) {
-        // Remote guests: don't attempt file recovery (transport guard)
-        if (isRemoteGuest()) {
+        // Remote guests and spectators: don't attempt file recovery (transport guard)
+        if (isSpectator() || isRemoteGuest()) {
           bus.emit('player:metadata-update', {
             type: 'file',
-            title: t('toast.same_wifi_file_title'),
+            title: noFileTitle(),
             name: item.name,
           });
           bus.emit('ui:show-loader', false);
@@ -1144,6 +1331,7 @@ function clearPreviousTrackState(reason = ''): void {
   stopPlayerNode();
   setState('transfer.skipIncomingFile', false);
   _pendingPlayTime = undefined;
+  _pendingStartAt = undefined;
 
   // Reset state to IDLE
   const currentState = getState('appState');
@@ -1232,22 +1420,21 @@ async function finalizeGuestFile(file: File | Blob): Promise<void> {
     clearManagedTimer('chunkWatchdog');
 
     // Consume pending play time (stale from PLAY message received before transfer).
-    // Start playback immediately at the saved position, then auto-sync with the
-    // host 1 second later to correct for time elapsed during the file transfer.
+    // Start playback immediately at the saved position (a scheduled PLAY joins
+    // mid-stream instead), then auto-sync with the host 1 second later to
+    // correct for time elapsed during the file transfer.
     const hostConn = getState('network.hostConn');
+    reportDecodeReady(getState('playlist.currentTrackIndex'));
     if (hostConn && _pendingPlayTime !== undefined) {
-      const localOffset = getState('sync.localOffset') || 0;
-      const autoSyncOffset = getState('sync.autoSyncOffset') || 0;
-      const target = _pendingPlayTime + localOffset + autoSyncOffset;
-      log.debug(`[Guest] Found pending play time after download, starting at ${target.toFixed(2)}s`);
-      play(target);
+      log.debug(`[Guest] Found pending play time after download: ${_pendingPlayTime.toFixed(2)}s`);
+      playPending(_pendingPlayTime);
       _pendingPlayTime = undefined;
 
       // Auto-sync after 1s to get accurate host position
       setTimeout(() => {
         if (hostConn.open) {
           log.debug('[Guest] Post-download auto-sync: requesting host position');
-          try { hostConn.send({ type: MSG.GET_SYNC_TIME, ts: Date.now() }); } catch { /* noop */ }
+          safeSend(hostConn, { type: MSG.GET_SYNC_TIME, ts: Date.now() });
         }
       }, 1000);
     }
@@ -1306,7 +1493,7 @@ export function initPlayback(): void {
 
     if (isPlaying) {
       if (_currentAudioBuffer || getVideoElement()?.src) {
-        play(compensatedTime);
+        softSeek(compensatedTime);
       } else {
         setState('player.pausedAt', compensatedTime);
         log.debug('[Sync] Host playing but no audio data yet, storing position');
@@ -1325,11 +1512,20 @@ export function initPlayback(): void {
     bus.emit('ui:show-toast', `${t('toast.sync_done')}${rttLabel}`);
   });
 
-  // Sync: apply nudge offset by re-seeking
+  // Clock sync: guest has drifted past the threshold while playing
+  bus.on('sync:clock-correction', (hostTime, driftMs) => {
+    const currentState = getState('appState');
+    if (currentState !== APP_STATE.PLAYING_AUDIO && currentState !== APP_STATE.PLAYING_VIDEO) return;
+    if (_isLoadingTrack || _pendingPlayTime !== undefined) return;
+    log.debug(`[Sync] Clock drift ${driftMs.toFixed(1)}ms, correcting`);
+    softSeek(hostTime + (getState('sync.localOffset') || 0));
+  });
+
+  // Sync: apply nudge offset (trimmed in when small)
   bus.on('sync:nudge-apply', (_ms) => {
     const currentState = getState('appState');
     if (currentState === APP_STATE.PLAYING_AUDIO || currentState === APP_STATE.PLAYING_VIDEO) {
-      play(getTrackPosition());
+      softSeek(getTrackPosition());
     }
   });
 
@@ -1373,6 +1569,12 @@ export function initPlayback(): void {
     await finalizeGuestFile(file);
   });
 
+  // Resumed session: finalize the OPFS copy kept from before the reload
+  bus.on('player:load-guest-file', async (file) => {
+    if (!getState('network.hostConn')) return;
+    await finalizeGuestFile(file);
+  });
+
   // Use preloaded track (skip download, decode from preload cache)
   bus.on('storage:use-preloaded', (index, name) => {
     log.debug(`[Playback] Using preloaded track for index: ${index} (${name})`);
@@ -1409,26 +1611,38 @@ export function initPlayback(): void {
     const currentTrackIndex = getState('playlist.currentTrackIndex');
     const playlist = getState('playlist.items') || [];
 
-    // Send current file to late-joining guest (if local file is loaded)
+    // Send current file to late-joining guest (if local file is loaded).
+    // Wait for the transport guard first: guests placed behind a relay fetch from it instead.
     if (currentTrackIndex >= 0 && playlist[currentTrackIndex]) {
       const item = playlist[currentTrackIndex] as unknown as Record<string, unknown>;
       if (item.type !== 'youtube') {
-        const currentFileBlob = getState('files.currentFileBlob');
-        const currentSessionId = getState('transfer.currentSessionId');
-        if (currentFileBlob) {
-          unicastFile(conn, currentFileBlob, 0, currentSessionId)
-            .catch((e: unknown) => log.error('[Host] unicastFile for late joiner failed', e));
-        }
-
-        // Also send preloaded next track
-        const nextFileBlob = getState('preload.nextFileBlob');
-        const nextMeta = getState('preload.meta');
-        const nextTrackIndex = getState('preload.nextTrackIndex');
-        if (nextFileBlob && nextMeta && nextTrackIndex >= 0) {
-          const preloadSid = (nextMeta.sessionId as number) || 0;
-          unicastPreload(conn, nextFileBlob, nextTrackIndex, preloadSid)
-            .catch((e: unknown) => log.error('[Host] unicastPreload for late joiner failed', e));
-        }
+        canSendFileTo(conn).then(ok => {
+          if (!ok) return;
+          // Place the guest in the relay tree first: the connection-type timer
+          // may not have yet, and a relayed guest fetches from its relay
+          bus.emit('relay:rebalance');
+          if (isRelayedDataPeer(conn)) return;
+
+          // Resumed guests keep what they already hold (memory or OPFS)
+          const peerRec = getState('network.connectedPeers').find(p => p.conn === conn);
+          const currentFileBlob = getState('files.currentFileBlob');
+          const currentSessionId = getState('transfer.currentSessionId');
+          const alreadyHeld = !!peerRec?.heldSessionId && peerRec.heldSessionId === currentSessionId;
+          if (currentFileBlob && !alreadyHeld) {
+            unicastFile(conn, currentFileBlob, 0, currentSessionId)
+              .catch((e: unknown) => log.error('[Host] unicastFile for late joiner failed', e));
+          }
+
+          // Also send preloaded next track
+          const nextFileBlob = getState('preload.nextFileBlob');
+          const nextMeta = getState('preload.meta');
+          const nextTrackIndex = getState('preload.nextTrackIndex');
+          if (nextFileBlob && nextMeta && nextTrackIndex >= 0 && !peerRec?.preloadedIndexes.has(nextTrackIndex)) {
+            const preloadSid = (nextMeta.sessionId as number) || 0;
+            unicastPreload(conn, nextFileBlob, nextTrackIndex, preloadSid)
+              .catch((e: unknown) => log.error('[Host] unicastPreload for late joiner failed', e));
+          }
+        }).catch((e: unknown) => log.error('[Host] late-join transport check failed', e));
       }
     }
 
@@ -1439,7 +1653,7 @@ export function initPlayback(): void {
       if (currentState === APP_STATE.PLAYING_AUDIO || currentState === APP_STATE.PLAYING_VIDEO) {
         const item = (playlist[currentTrackIndex] as unknown as Record<string, unknown>) || {};
         const itemName = (item.name || (item.file as File | undefined)?.name || null) as string | null;
-        conn.send({
+        safeSend(conn, {
           type: MSG.PLAY,
           time: nowPos,
           index: currentTrackIndex,
@@ -1449,7 +1663,7 @@ export function initPlayback(): void {
         });
       } else if (currentState !== APP_STATE.PLAYING_YOUTUBE) {
         // IDLE or PAUSED: Send pause to sync position
-        conn.send({
+        safeSend(conn, {
           type: MSG.PAUSE,
           time: nowPos,
           index: currentTrackIndex,
@@ -10,29 +10,31 @@ import { log } from '../core/log.ts';
 import { bus } from '../core/events.ts';
 import { t } from '../i18n/index.ts';
 import { getState, setState } from '../core/state.ts';
-import { MSG, APP_STATE, DEMO_FILE_NAME, DEMO_TITLE } from '../core/constants.ts';
+import { MSG, APP_STATE, DEMO_FILE_NAME, DEMO_TITLE, REQUEST_ERROR } from '../core/constants.ts';
 import { nextSessionId } from '../core/session.ts';
 import { clearManagedTimer, setManagedTimer } from '../core/timers.ts';
 import {
   play, stopAllMedia, loadAndBroadcastFile, loadPreloadedTrack,
-  getTrackPosition, incrementLoadToken,
+  getTrackPosition, incrementLoadToken, startTrackTogether,
 } from './playback.ts';
+import { resetDecodeReady } from './scheduled-start.ts';
 
 import { schedulePreload } from '../storage/preload.ts';
 import {
-  setEQ, setPreamp, setStereoWidth, setVirtualBass, setReverbParam,
+  setEQ, setFixedEQBand, broadcastEQ, setPreamp, setStereoWidth, setVirtualBass, setReverbParam,
 } from '../audio/effects.ts';
 import { postWorkerCommand } from '../storage/opfs.ts';
-import { broadcast, sendToHost } from '../network/peer.ts';
+import { broadcast, safeSend } from '../network/peer.ts';
 import { requestGlobalResyncDelayed } from '../network/sync.ts';
-import { registerHandlers, verifyOperator } from '../network/protocol.ts';
+import { registerHandlers, verifyOperator, hasOpPermission } from '../network/protocol.ts';
+import { requestFromControl, ackRequest, rejectRequest } from '../network/requests.ts';
 import type { DataConnection, PlaylistItem } from '../types/index.ts';
 
 // ─── Repeat / Shuffle ──────────────────────────────────────────────
 
 export function toggleRepeat(): void {
   const hostConn = getState('network.hostConn');
-  const isOperator = getState('network.isOperator');
+  const isOperator = hasOpPermission('playlist');
   if (hostConn && !isOperator) return;
   const repeatMode = getState('playlist.repeatMode') || 0;
   const nextMode = (repeatMode + 1) % 3;
@@ -41,7 +43,7 @@ export function toggleRepeat(): void {
   if (!hostConn) {
     broadcast({ type: MSG.REPEAT_MODE, value: nextMode });
   } else if (isOperator) {
-    sendToHost({ type: MSG.REQUEST_SETTING, settingType: 'repeat-mode', value: nextMode });
+    void requestFromControl({ type: MSG.REQUEST_SETTING, settingType: 'repeat-mode', value: nextMode });
   }
 }
 
@@ -64,7 +66,7 @@ export function setRepeatMode(mode: number, notify = true): void {
 
 export function toggleShuffle(): void {
   const hostConn = getState('network.hostConn');
-  const isOperator = getState('network.isOperator');
+  const isOperator = hasOpPermission('playlist');
   if (hostConn && !isOperator) return;
   const isShuffle = getState('playlist.isShuffle');
   const nextShuffle = !isShuffle;
@@ -73,7 +75,7 @@ export function toggleShuffle(): void {
   if (!hostConn) {
     broadcast({ type: MSG.SHUFFLE_MODE, value: nextShuffle });
   } else if (isOperator) {
-    sendToHost({ type: MSG.REQUEST_SETTING, settingType: 'shuffle-mode', value: nextShuffle });
+    void requestFromControl({ type: MSG.REQUEST_SETTING, settingType: 'shuffle-mode', value: nextShuffle });
   }
 }
 
@@ -122,6 +124,7 @@ export async function playTrack(index: number): Promise<void> {
   if (!hostConn) bus.emit('ui:switch-tab', 'play');
 
   const myLoadToken = incrementLoadToken();
+  if (!hostConn) resetDecodeReady();
 
   // Check if preloaded
   const nextTrackIndex = getState('preload.nextTrackIndex');
@@ -148,8 +151,7 @@ export async function playTrack(index: number): Promise<void> {
     broadcast({ type: MSG.PLAY_PRELOADED, index, name: fileName, mime: item?.file?.type });
 
     await loadPreloadedTrack(index, myLoadToken);
-    await play(0);
-    broadcast({ type: MSG.PLAY, time: 0, index, name: fileName });
+    if (!await startTrackTogether(index, fileName, myLoadToken)) return;
     requestGlobalResyncDelayed();
     schedulePreload();
     return;
@@ -212,11 +214,9 @@ export async function playTrack(index: number): Promise<void> {
       bus.emit('ui:show-toast', t('toast.file_ready'));
     } else {
       bus.emit('ui:show-toast', t('toast.playing_in_3s'));
-      setManagedTimer('autoPlayTimer', () => {
-        play(0);
+      setManagedTimer('autoPlayTimer', async () => {
         const currentIdx = getState('playlist.currentTrackIndex');
-        broadcast({ type: MSG.PLAY, time: 0, index: currentIdx, name: file.name });
-        requestGlobalResyncDelayed();
+        if (await startTrackTogether(currentIdx, file.name, myLoadToken)) requestGlobalResyncDelayed();
       }, 3000);
     }
   }
@@ -226,7 +226,7 @@ export async function playTrack(index: number): Promise<void> {
 
 export function playNextTrack(): void {
   const hostConn = getState('network.hostConn');
-  const isOperator = getState('network.isOperator');
+  const isOperator = hasOpPermission('playlist');
 
   if (hostConn && !isOperator) {
     bus.emit('ui:show-toast', t('toast.host_only_control'));
@@ -234,7 +234,7 @@ export function playNextTrack(): void {
   }
 
   if (hostConn && isOperator) {
-    sendToHost({ type: MSG.REQUEST_NEXT_TRACK });
+    void requestFromControl({ type: MSG.REQUEST_NEXT_TRACK });
     return;
   }
 
@@ -291,7 +291,7 @@ export function playNextTrack(): void {
 
 export function playPrevTrack(): void {
   const hostConn = getState('network.hostConn');
-  const isOperator = getState('network.isOperator');
+  const isOperator = hasOpPermission('playlist');
 
   if (hostConn && !isOperator) {
     bus.emit('ui:show-toast', t('toast.host_only_control'));
@@ -299,7 +299,7 @@ export function playPrevTrack(): void {
   }
 
   if (hostConn && isOperator) {
-    sendToHost({ type: MSG.REQUEST_PREV_TRACK });
+    void requestFromControl({ type: MSG.REQUEST_PREV_TRACK });
     return;
   }
 
@@ -371,8 +371,9 @@ function handleTrackChange(data: Record<string, unknown>, conn: DataConnection):
   const hostConn = getState('network.hostConn');
   if (hostConn) return;
 
-  if (!verifyOperator(conn, data)) {
+  if (!verifyOperator(conn, data, 'playlist')) {
     log.warn(`[Playlist] Rejected request-track-change from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
     return;
   }
 
@@ -380,44 +381,53 @@ function handleTrackChange(data: Record<string, unknown>, conn: DataConnection):
   const playlist = getState('playlist.items') || [];
   if (!Number.isFinite(index) || index < 0 || index >= playlist.length) {
     log.warn(`[Playlist] Invalid track index: ${data.index}`);
+    rejectRequest(conn, data, REQUEST_ERROR.INVALID_INDEX);
     return;
   }
   playTrack(index);
+  ackRequest(conn, data);
 }
 
 function handleRequestNextTrack(data: Record<string, unknown>, conn: DataConnection): void {
   const hostConn = getState('network.hostConn');
   if (hostConn) return;
 
-  if (!verifyOperator(conn, data)) {
+  if (!verifyOperator(conn, data, 'playlist')) {
     log.warn(`[Playlist] Rejected request-next-track from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
     return;
   }
   playNextTrack();
+  ackRequest(conn, data);
 }
 
 function handleRequestPrevTrack(data: Record<string, unknown>, conn: DataConnection): void {
   const hostConn = getState('network.hostConn');
   if (hostConn) return;
 
-  if (!verifyOperator(conn, data)) {
+  if (!verifyOperator(conn, data, 'playlist')) {
     log.warn(`[Playlist] Rejected request-prev-track from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
     return;
   }
   playPrevTrack();
+  ackRequest(conn, data);
 }
 
 function handleRequestSetting(data: Record<string, unknown>, conn: DataConnection): void {
   const hostConn = getState('network.hostConn');
   if (hostConn) return;
 
-  if (!verifyOperator(conn, data)) {
-    log.warn(`[Playlist] Rejected request-setting from non-OP: ${conn?.peer}`);
+  const st = data.settingType as string;
+  const val = data.value;
+  // Repeat/shuffle belong to the playlist; everything else here is an audio effect
+  const perm = st === 'repeat-mode' || st === 'shuffle-mode' ? 'playlist' : 'fx';
+  if (!verifyOperator(conn, data, perm)) {
+    log.warn(`[Playlist] Rejected request-setting (${st}) from peer without ${perm} permission: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
     return;
   }
 
-  const st = data.settingType as string;
-  const val = data.value;
   switch (st) {
     case 'repeat-mode': {
       const mode = Number(val) || 0;
@@ -433,10 +443,8 @@ function handleRequestSetting(data: Record<string, unknown>, conn: DataConnectio
     }
     // ─── Audio Effect Settings (OP → Host apply + broadcast) ──
     case 'eq': {
-      const band = parseInt(String(data.band), 10);
-      const v = parseFloat(String(val));
-      setEQ(band, v);
-      broadcast({ type: MSG.EQ_UPDATE, band, value: v });
+      // Older operators send one fixed band at a time
+      broadcastEQ(data.band === undefined ? setEQ(val) : setFixedEQBand(Number(data.band), Number(val)));
       break;
     }
     case MSG.PREAMP: {
@@ -465,7 +473,7 @@ function handleRequestSetting(data: Record<string, unknown>, conn: DataConnectio
     }
     case MSG.REVERB_TYPE: {
       // Reverb type preset handled via protocol handler, just broadcast
-      broadcast({ type: MSG.REVERB_TYPE, value: Number(val) });
+      broadcast({ type: MSG.REVERB_TYPE, value: String(val) });
       break;
     }
     case MSG.REVERB_DECAY: {
@@ -493,6 +501,7 @@ function handleRequestSetting(data: Record<string, unknown>, conn: DataConnectio
       break;
     }
   }
+  ackRequest(conn, data);
 }
 
 // ─── Load Demo Media ──────────────────────────────────────────────
@@ -690,11 +699,11 @@ export function initPlaylist(): void {
     try {
       // Repeat mode
       const repeatMode = getState('playlist.repeatMode') || 0;
-      conn.send({ type: MSG.REPEAT_MODE, value: repeatMode });
+      safeSend(conn, { type: MSG.REPEAT_MODE, value: repeatMode });
 
       // Shuffle mode
       const isShuffle = getState('playlist.isShuffle');
-      conn.send({ type: MSG.SHUFFLE_MODE, value: isShuffle });
+      safeSend(conn, { type: MSG.SHUFFLE_MODE, value: isShuffle });
 
       // Full playlist metadata
       const playlist = getState('playlist.items') || [];
@@ -705,7 +714,7 @@ export function initPlaylist(): void {
         videoId: item.videoId || null,
         playlistId: item.playlistId || null,
       }));
-      conn.send({ type: MSG.PLAYLIST_UPDATE, list: metaList });
+      safeSend(conn, { type: MSG.PLAYLIST_UPDATE, list: metaList });
 
       log.debug('[Playlist] Bootstrap: sent playlist state to new peer');
     } catch (e) {
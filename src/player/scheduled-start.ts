@@ -0,0 +1,127 @@
+/**
+ * MUSIXQUARE 2.0 — Scheduled Start (track changes)
+ *
+ * Manages: starting a new track on every device at the same instant. Guests
+ * report DECODE_READY once the track is decoded; the host waits for every
+ * guest that will receive the file (up to SCHEDULED_START.READY_TIMEOUT),
+ * then broadcasts PLAY with `startAt`, an instant SCHEDULED_START.LEAD_MS
+ * ahead on the host clock. Each device schedules its source for that
+ * instant through the clock-sync estimate; a guest whose decode finishes
+ * after it joins mid-stream at the offset the others have reached.
+ */
+
+import { log } from '../core/log.ts';
+import { bus } from '../core/events.ts';
+import { getState } from '../core/state.ts';
+import { MSG, CAP, SCHEDULED_START } from '../core/constants.ts';
+import { clearManagedTimer, setManagedTimer } from '../core/timers.ts';
+import { registerHandler } from '../network/protocol.ts';
+import { sendToHost } from '../network/peer.ts';
+import { peerHasCapability, sessionHasCapability } from '../network/version.ts';
+import type { DataConnection } from '../types/index.ts';
+
+const READY_WAIT_TIMER = 'decodeReadyWait';
+
+let _waiter: { index: number; finish: () => void } | null = null;
+
+// ─── Start Offset ───────────────────────────────────────────────────
+
+/**
+ * Where and when to start a PLAY scheduled at host time `startAt` (ms):
+ * `delaySec` until the instant, or 0 with `offset` advanced by however long
+ * ago it was. `localOffset` is this device's sync offset (s).
+ */
+export function resolveScheduledStart(
+  time: number,
+  startAt: number,
+  hostNowMs: number,
+  localOffset: number,
+): { offset: number; delaySec: number } {
+  const delaySec = (startAt - hostNowMs) / 1000;
+  return {
+    offset: time + localOffset + Math.max(0, -delaySec),
+    delaySec: Math.max(0, delaySec),
+  };
+}
+
+// ─── Host: Decode Readiness ─────────────────────────────────────────
+
+/**
+ * Guests that will get the file (local, not spectating) and speak the
+ * protocol, but have not reported `index` decoded yet.
+ */
+export function getUnreadyPeers(index: number): string[] {
+  return getState('network.connectedPeers')
+    .filter(p => p.status === 'connected' && p.conn?.open && !p.spectator &&
+      p.connectionType === 'local' && peerHasCapability(p.id, CAP.SCHEDULED_START) &&
+      p.decodedIndex !== index)
+    .map(p => p.id);
+}
+
+/**
+ * Forget earlier reports (a repeated track reuses its index).
+ */
+export function resetDecodeReady(): void {
+  for (const p of getState('network.connectedPeers')) p.decodedIndex = undefined;
+}
+
+/**
+ * Host: resolves once every eligible guest has decoded `index`, or after
+ * `timeoutMs`, with the ids still missing. A newer wait ends an older one.
+ */
+export function waitForDecodeReady(
+  index: number,
+  timeoutMs: number = SCHEDULED_START.READY_TIMEOUT,
+): Promise<string[]> {
+  _waiter?.finish();
+
+  return new Promise(resolve => {
+    const finish = () => {
+      clearManagedTimer(READY_WAIT_TIMER);
+      if (_waiter?.finish === finish) _waiter = null;
+      resolve(getUnreadyPeers(index));
+    };
+    if (getUnreadyPeers(index).length === 0) {
+      finish();
+      return;
+    }
+    _waiter = { index, finish };
+    setManagedTimer(READY_WAIT_TIMER, finish, timeoutMs);
+  });
+}
+
+function checkWaiter(): void {
+  if (_waiter && getUnreadyPeers(_waiter.index).length === 0) _waiter.finish();
+}
+
+function handleDecodeReady(data: Record<string, unknown>, conn: DataConnection): void {
+  if (getState('network.hostConn')) return; // Only Host
+
+  const p = getState('network.connectedPeers').find(x => x.id === conn?.peer);
+  if (!p || p.conn !== conn) return;
+
+  p.decodedIndex = data.index as number;
+  log.debug(`[ScheduledStart] ${p.label} decoded index ${p.decodedIndex}`);
+  checkWaiter();
+}
+
+// ─── Guest: Report ──────────────────────────────────────────────────
+
+/**
+ * Guest: tell the host the track at `index` is decoded and can start.
+ */
+export function reportDecodeReady(index: number): void {
+  if (!getState('network.hostConn') || !sessionHasCapability(CAP.SCHEDULED_START)) return;
+  sendToHost({ type: MSG.DECODE_READY, index });
+}
+
+// ─── Initialize Scheduled Start ─────────────────────────────────────
+
+export function initScheduledStart(): void {
+  registerHandler(MSG.DECODE_READY, handleDecodeReady);
+
+  // A guest leaving mid-wait should not hold the others back
+  bus.on('network:peer-disconnected', checkWaiter);
+
+  log.info('[ScheduledStart] Handlers registered');
+}
@@ -0,0 +1,29 @@
+/**
+ * MUSIXQUARE 2.0 — Soft Sync (Rate Trimming)
+ *
+ * Manages: the playbackRate controller shared by the buffer player, the
+ * video element and the YouTube player. A sync change moves the target
+ * position; instead of restarting the source there (an audible gap), the
+ * media runs slightly fast or slow until it catches up. Only errors past
+ * SOFT_SYNC.HARD_SEEK_SEC still re-seek.
+ */
+
+import { SOFT_SYNC } from '../core/constants.ts';
+
+/**
+ * Playback rate that closes `errorSec` (actual minus target, positive =
+ * ahead): proportional to the error, capped at ±MAX_RATE_DEVIATION, and
+ * exactly 1 inside the deadband.
+ */
+export function trimRate(errorSec: number, deadbandSec: number = SOFT_SYNC.DEADBAND_SEC): number {
+  if (!Number.isFinite(errorSec) || Math.abs(errorSec) <= deadbandSec) return 1;
+  const max = SOFT_SYNC.MAX_RATE_DEVIATION;
+  return 1 - Math.min(max, Math.max(-max, errorSec / SOFT_SYNC.CONVERGE_SEC));
+}
+
+/**
+ * Whether an error is too large to trim out in reasonable time.
+ */
+export function needsHardSeek(errorSec: number): boolean {
+  return !Number.isFinite(errorSec) || Math.abs(errorSec) > SOFT_SYNC.HARD_SEEK_SEC;
+}
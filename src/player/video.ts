@@ -22,6 +22,21 @@ export function getVideoElement(): HTMLVideoElement | null {
   return _videoElement;
 }
 
+/**
+ * Soft sync: run the video element at `rate` (1 = normal). Pitch is kept
+ * where the browser supports it, so audio through the element does not wobble.
+ */
+export function setVideoRate(rate: number): void {
+  if (!_videoElement || !Number.isFinite(rate) || rate <= 0) return;
+  if (_videoElement.playbackRate === rate) return;
+  try {
+    _videoElement.preservesPitch = true;
+    _videoElement.playbackRate = rate;
+  } catch (e) {
+    log.debug('[Video] playbackRate set failed:', e);
+  }
+}
+
 // ─── State Helpers ─────────────────────────────────────────────────
 
 export function isIdleOrPaused(state: string): boolean {
@@ -10,6 +10,14 @@ vi.mock('../../network/protocol.ts', () => ({
   registerHandlers: vi.fn(),
 }));
 
+vi.mock('../../network/peer.ts', () => ({
+  safeSend: vi.fn((conn: AnyConn, msg: unknown) => {
+    if (!conn?.open) return false;
+    conn.send(msg);
+    return true;
+  }),
+}));
+
 vi.mock('../opfs.ts', () => ({
   ensureNamedFile: vi.fn((blob: unknown, name: string) => {
     if (!blob) return null;
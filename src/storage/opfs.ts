@@ -18,7 +18,7 @@ let _transferWorker: Worker | null = null;
 let _syncWorker: Worker | null = null;
 
 // ─── Worker Timer IDs ───────────────────────────────────────────────
-const WORKER_TIMER_IDS = ['heartbeat', 'ping', 'video-sync'];
+const WORKER_TIMER_IDS = ['heartbeat', 'ping', 'clock', 'video-sync'];
 
 // ─── OPFS Instance ID (same as core session) ───────────────────────
 const OPFS_INSTANCE_ID = INSTANCE_ID;
@@ -123,14 +123,22 @@ export function cleanupOPFSInWorker(filename: string, isPreload: boolean): void
  */
 export async function readFileFromOpfs(filename: string, isPreload: boolean): Promise<File | null> {
   if (!filename) return null;
+  return readOpfsEntry(buildSafeOpfsName(filename, isPreload));
+}
+
+/**
+ * Read an OPFS entry by its stored name (e.g. one written by a previous page
+ * instance, whose INSTANCE_ID suffix differs from ours).
+ */
+export async function readOpfsEntry(safeName: string): Promise<File | null> {
+  if (!safeName) return null;
   if (!(navigator.storage && navigator.storage.getDirectory)) return null;
   try {
     const root = await navigator.storage.getDirectory();
-    const safeName = buildSafeOpfsName(filename, isPreload);
     const fileHandle = await root.getFileHandle(safeName);
     return await fileHandle.getFile();
   } catch (err) {
-    log.error('[OPFS] readFileFromOpfs failed:', err);
+    log.error('[OPFS] readOpfsEntry failed:', err);
     return null;
   }
 }
@@ -15,7 +15,9 @@ import { nextSessionId, validateSessionId } from '../core/session.ts';
 import { setManagedTimer, clearManagedTimer } from '../core/timers.ts';
 import { postWorkerCommand, readFileFromOpfs } from './opfs.ts';
 import { registerHandlers } from '../network/protocol.ts';
-import { safeSend, sendToHost, canSendFileTo, filterEligiblePeers, isRemoteGuest } from '../network/peer.ts';
+import { flushControl } from '../network/coalesce.ts';
+import { prepareChunk, sendChunk } from '../network/framing.ts';
+import { safeSend, sendToHost, canSendFileTo, filterEligiblePeers, isRemoteGuest, isSpectator } from '../network/peer.ts';
 import type { DataConnection, AnyProtocolMsg } from '../types/index.ts';
 
 // ─── Reorder Buffer ──────────────────────────────────────────────────
@@ -198,11 +200,10 @@ async function backgroundTransfer(file: File, index: number, sessionId: number):
     const chunkBuf = await file.slice(start, end).arrayBuffer();
     const chunk = new Uint8Array(chunkBuf);
     const chunkMsg = { type: MSG.PRELOAD_CHUNK, chunk, index: i, sessionId };
+    const payloadFor = prepareChunk(chunkMsg);
+    flushControl(); // Control messages go ahead of bulk data
 
-    targetsWhoNeedChunks.forEach(p => {
-      const conn = p.conn as DataConnection;
-      safeSend(conn, chunkMsg);
-    });
+    targetsWhoNeedChunks.forEach(p => sendChunk(p.conn as DataConnection, chunkMsg, payloadFor));
   }
 
   if (getState('preload.sessionId') === sessionId) {
@@ -255,7 +256,8 @@ export async function unicastPreload(
     if (!conn.open) return;
     const start = i * CHUNK;
     const chunkBuf = await file.slice(start, Math.min(start + CHUNK, file.size)).arrayBuffer();
-    safeSend(conn, { type: MSG.PRELOAD_CHUNK, chunk: new Uint8Array(chunkBuf), index: i, sessionId });
+    flushControl();
+    sendChunk(conn, { type: MSG.PRELOAD_CHUNK, chunk: new Uint8Array(chunkBuf), index: i, sessionId });
   }
 
   safeSend(conn, { type: MSG.PRELOAD_END, name: fileName, index, sessionId });
@@ -264,9 +266,9 @@ export async function unicastPreload(
 // ─── Guest: Preload Receive Handlers ────────────────────────────────
 
 function handlePreloadStart(data: Record<string, unknown>): void {
-  // Remote guests: skip preload (transport guard)
-  if (isRemoteGuest()) {
-    log.info('[Preload] Skipped — remote/unknown guest');
+  // Remote guests and spectators: skip preload (transport guard)
+  if (isSpectator() || isRemoteGuest()) {
+    log.info('[Preload] Skipped — remote/unknown guest or spectator');
     return;
   }
 
@@ -468,8 +470,8 @@ function drainPreloadReorderBuffer(sessionId: number): void {
 }
 
 function handlePreloadChunk(data: Record<string, unknown>): void {
-  // Remote guests: drop preload chunks (transport guard)
-  if (isRemoteGuest()) return;
+  // Remote guests and spectators: drop preload chunks (transport guard)
+  if (isSpectator() || isRemoteGuest()) return;
 
   // Require explicit sessionId — fallback to latestPreloadSessionId
   let sid = data.sessionId as number;
@@ -594,6 +596,12 @@ function handlePlayPreloaded(data: Record<string, unknown>): void {
     }
   }
 
+  // Spectators: title only, nothing to load or request
+  if (isSpectator()) {
+    _activePlayPreloadedIndex = undefined;
+    return;
+  }
+
   // Check if preloaded blob matches requested track
   const nextFileBlob = getState('preload.nextFileBlob');
   const nextMeta = getState('preload.meta');
@@ -15,6 +15,7 @@ import { clearManagedTimer } from '../core/timers.ts';
 import { ensureNamedFile } from './opfs.ts';
 import { unicastFile } from './transfer.ts';
 import { registerHandlers } from '../network/protocol.ts';
+import { safeSend } from '../network/peer.ts';
 import type { DataConnection } from '../types/index.ts';
 
 // ─── Guest: Send Recovery Request ───────────────────────────────────
@@ -94,17 +95,14 @@ export function sendRecoveryRequest(forceChunk: number | null = null): void {
       return;
     }
 
-    try {
-      targetConn.send({
-        type: MSG.REQUEST_DATA_RECOVERY,
-        nextChunk: chunkToAsk,
-        fileName,
-        index,
-        sessionId: currentSid,
-      });
-    } catch {
-      log.warn('[Recovery] Failed to send recovery request');
-    }
+    const sent = safeSend(targetConn, {
+      type: MSG.REQUEST_DATA_RECOVERY,
+      nextChunk: chunkToAsk,
+      fileName,
+      index,
+      sessionId: currentSid,
+    });
+    if (!sent) log.warn('[Recovery] Failed to send recovery request');
   }, backoffMs);
 }
 
@@ -119,7 +117,7 @@ async function handleRequestCurrentFile(data: Record<string, unknown>, conn: Dat
   // If Host is in YouTube mode, no local file to serve
   const currentState = getState('appState');
   if (currentState === APP_STATE.PLAYING_YOUTUBE) {
-    try { conn.send({ type: MSG.FILE_WAIT, message: 'Host is playing YouTube' }); } catch { /* noop */ }
+    safeSend(conn, { type: MSG.FILE_WAIT, message: 'Host is playing YouTube' });
     return;
   }
 
@@ -129,7 +127,7 @@ async function handleRequestCurrentFile(data: Record<string, unknown>, conn: Dat
   // Find matching blob
   const blob = findMatchingBlob(reqName, reqIndex);
   if (!blob) {
-    try { conn.send({ type: MSG.FILE_WAIT, message: 'Host file is not ready yet' }); } catch { /* noop */ }
+    safeSend(conn, { type: MSG.FILE_WAIT, message: 'Host file is not ready yet' });
     return;
   }
 
@@ -157,14 +155,14 @@ async function handleRequestDataRecovery(data: Record<string, unknown>, conn: Da
 
   const blob = findMatchingBlob(reqName, reqIndex);
   if (!blob) {
-    try { conn.send({ type: MSG.FILE_WAIT, message: 'Host has no cached file for recovery yet' }); } catch { /* noop */ }
+    safeSend(conn, { type: MSG.FILE_WAIT, message: 'Host has no cached file for recovery yet' });
     return;
   }
 
   // Clamp chunk index
   const total = Math.ceil(blob.size / CHUNK_SIZE);
   if (!Number.isFinite(total) || total <= 0) {
-    try { conn.send({ type: MSG.FILE_WAIT, message: 'Invalid file size' }); } catch { /* noop */ }
+    safeSend(conn, { type: MSG.FILE_WAIT, message: 'Invalid file size' });
     return;
   }
   if (startChunk >= total) startChunk = Math.max(0, total - 1);
@@ -16,7 +16,9 @@ import { setManagedTimer, clearManagedTimer } from '../core/timers.ts';
 import { postWorkerCommand, cleanupOPFSInWorker } from './opfs.ts';
 import { t } from '../i18n/index.ts';
 import { registerHandlers } from '../network/protocol.ts';
-import { safeSend, sendToHost, canSendFileTo, filterEligiblePeers, isRemoteGuest, waitForGuestConnectionType } from '../network/peer.ts';
+import { flushControl } from '../network/coalesce.ts';
+import { prepareChunk, sendChunk } from '../network/framing.ts';
+import { safeSend, sendToHost, canSendFileTo, filterEligiblePeers, isRemoteGuest, isSpectator, waitForGuestConnectionType } from '../network/peer.ts';
 import type { DataConnection, FileMeta, AnyProtocolMsg } from '../types/index.ts';
 
 // ─── Module State ───────────────────────────────────────────────────
@@ -109,6 +111,20 @@ function showRemoteGuideUI(data: Record<string, unknown>): void {
   log.info('[Transfer] Remote guest — file transfer skipped');
 }
 
+function showSpectatorUI(data: Record<string, unknown>): void {
+  setState('transfer.skipIncomingFile', true);
+  if (data.index !== undefined) {
+    setState('playlist.currentTrackIndex', data.index as number);
+    bus.emit('ui:update-playlist');
+  }
+  bus.emit('player:metadata-update', {
+    type: 'file',
+    title: t('player.spectator_title'),
+    name: (data.name as string) || '',
+  });
+  bus.emit('ui:show-loader', false);
+}
+
 async function handleFilePrepare(data: Record<string, unknown>): Promise<void> {
   // Demo track: fetch directly from server instead of P2P transfer
   if (data.name === DEMO_FILE_NAME) {
@@ -122,6 +138,12 @@ async function handleFilePrepare(data: Record<string, unknown>): Promise<void> {
     return;
   }
 
+  // Spectators: track info only, never file data
+  if (isSpectator()) {
+    showSpectatorUI(data);
+    return;
+  }
+
   // Remote guests: block file transfer (single guard)
   if (isRemoteGuest()) {
     const connType = getState('network.connectionType');
@@ -542,15 +564,14 @@ function handleFileChunk(data: Record<string, unknown>): void {
 
     // Relay to downstream
     if (relayCopy && downstreamPeers.length > 0) {
-      const chunkMsg = {
+      const relayMsg = {
         type: MSG.FILE_CHUNK,
         chunk: relayCopy,
         index: nextExpectedChunk,
         sessionId: incomingSid,
       };
-      downstreamPeers.forEach(p => {
-        if (p.open) try { p.send(chunkMsg); } catch { /* noop */ }
-      });
+      const payloadFor = prepareChunk(relayMsg);
+      downstreamPeers.forEach(p => sendChunk(p, relayMsg, payloadFor));
     }
 
     sessionBuffer.delete(nextExpectedChunk);
@@ -700,9 +721,7 @@ export async function broadcastFile(file: File, explicitSessionId: number | null
   if (eligiblePeers.length === 0) return;
 
   // Send header
-  eligiblePeers.forEach(p => {
-    try { (p.conn as DataConnection).send(header); } catch { /* noop */ }
-  });
+  eligiblePeers.forEach(p => safeSend(p.conn as DataConnection, header));
 
   // Send chunks
   for (let i = 0; i < total; i++) {
@@ -713,6 +732,8 @@ export async function broadcastFile(file: File, explicitSessionId: number | null
     const chunkBuf = await file.slice(start, end).arrayBuffer();
     const chunk = new Uint8Array(chunkBuf);
     const chunkMsg = { type: MSG.FILE_CHUNK, chunk, index: i, sessionId, total, name: file.name };
+    const payloadFor = prepareChunk(chunkMsg);
+    flushControl(); // Control messages go ahead of bulk data
 
     for (const p of eligiblePeers) {
       const conn = p.conn as DataConnection;
@@ -722,7 +743,7 @@ export async function broadcastFile(file: File, explicitSessionId: number | null
           await new Promise(r => setTimeout(r, DELAY.BACKPRESSURE));
           if (!conn.open) break;
         }
-        try { conn.send(chunkMsg); } catch { /* noop */ }
+        sendChunk(conn, chunkMsg, payloadFor);
       }
     }
 
@@ -731,10 +752,7 @@ export async function broadcastFile(file: File, explicitSessionId: number | null
 
   // Send end message
   const endMsg = { type: MSG.FILE_END, name: file.name, mime: file.type, sessionId };
-  eligiblePeers.forEach(p => {
-    const conn = p.conn as DataConnection;
-    if (conn?.open) try { conn.send(endMsg); } catch { /* noop */ }
-  });
+  eligiblePeers.forEach(p => safeSend(p.conn as DataConnection, endMsg));
 
   setState('transfer.activeBroadcastSession', null);
 }
@@ -759,7 +777,9 @@ export async function unicastFile(
     return;
   }
 
-  const effectiveSessionId = sessionId ?? getState('transfer.currentSessionId');
+  // Relay guests track sessions in localSessionId; the host in currentSessionId
+  const sessionKey = getState('network.hostConn') ? 'transfer.localSessionId' : 'transfer.currentSessionId';
+  const effectiveSessionId = sessionId ?? getState(sessionKey);
   const CHUNK = CHUNK_SIZE;
   const total = Math.ceil(file.size / CHUNK);
   const currentTrackIndex = getState('playlist.currentTrackIndex');
@@ -768,19 +788,18 @@ export async function unicastFile(
   const msgType = isResume ? MSG.FILE_RESUME : MSG.FILE_START;
   const fileName = 'name' in file ? file.name : 'Track';
 
-  try {
-    conn.send({
-      type: msgType,
-      name: fileName,
-      mime: file.type,
-      total,
-      size: file.size,
-      startChunk: startChunkIndex,
-      sessionId: effectiveSessionId,
-      index: currentTrackIndex,
-    });
-  } catch (e) {
-    log.error(`[Unicast] Failed to send ${msgType}:`, e);
+  const sent = safeSend(conn, {
+    type: msgType,
+    name: fileName,
+    mime: file.type,
+    total,
+    size: file.size,
+    startChunk: startChunkIndex,
+    sessionId: effectiveSessionId,
+    index: currentTrackIndex,
+  });
+  if (!sent) {
+    log.error(`[Unicast] Failed to send ${msgType}`);
     return;
   }
 
@@ -788,7 +807,7 @@ export async function unicastFile(
 
   try {
     for (let i = startChunkIndex; i < total; i++) {
-      if (getState('transfer.currentSessionId') !== effectiveSessionId) return;
+      if (getState(sessionKey) !== effectiveSessionId) return;
       if (!conn.open) return;
 
       // Backpressure
@@ -803,7 +822,8 @@ export async function unicastFile(
       const chunkBuf = await file.slice(start, end).arrayBuffer();
       const chunk = new Uint8Array(chunkBuf);
 
-      conn.send({
+      flushControl();
+      sendChunk(conn, {
         type: MSG.FILE_CHUNK,
         chunk,
         index: i,
@@ -815,8 +835,7 @@ export async function unicastFile(
       if (i % 50 === 0) await new Promise(r => setTimeout(r, DELAY.TICK));
     }
 
-    if (conn.open) {
-      conn.send({ type: MSG.FILE_END, name: fileName, mime: file.type, sessionId: effectiveSessionId });
+    if (safeSend(conn, { type: MSG.FILE_END, name: fileName, mime: file.type, sessionId: effectiveSessionId })) {
       log.debug('[Unicast] Transfer complete:', fileName);
     }
   } catch (e) {
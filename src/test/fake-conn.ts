@@ -0,0 +1,15 @@
+/**
+ * MUSIXQUARE 2.0 — Test Helpers: fake DataConnection
+ *
+ * An open connection whose `send` is a vi.fn(), for tests that drive
+ * protocol handlers directly and assert on what was sent back.
+ */
+
+import { vi } from 'vitest';
+import type { DataConnection } from '../types/index.ts';
+
+export type FakeConn = DataConnection & { send: ReturnType<typeof vi.fn> };
+
+export function fakeConn(peer: string): FakeConn {
+  return { peer, open: true, send: vi.fn() } as unknown as FakeConn;
+}
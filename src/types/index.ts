@@ -5,12 +5,51 @@
 // NOTE: AppState / TransferState live in core/constants.ts (APP_STATE, TRANSFER_STATE).
 //       Removed duplicate const enums that were never imported.
 
-import type { AppStateValue, MsgType } from '../core/constants.ts';
+import type { AppStateValue, EqFilterType, MsgType, OpPermission } from '../core/constants.ts';
 
 // ─── Channel Modes ─────────────────────────────────────────────────
 /** -1 = Left, 0 = Stereo/Original, 1 = Right, 2 = Sub/LFE */
 export type ChannelMode = -1 | 0 | 1 | 2;
 
+// ─── Equalizer ─────────────────────────────────────────────────────
+/** One parametric EQ band (gain is ignored by pass/notch types, Q by shelves) */
+export interface EqBand {
+  type: EqFilterType;
+  /** Centre / corner frequency (Hz) */
+  frequency: number;
+  Q: number;
+  /** dB */
+  gain: number;
+}
+
+/** Every session-wide effect setting, in state units (see AppState.audio) */
+export interface FxSettings {
+  eqBands: EqBand[];
+  /** Linear */
+  userPreampGain: number;
+  /** 0..1 */
+  reverbMix: number;
+  /** Seconds */
+  reverbDecay: number;
+  reverbPreDelay: number;
+  /** Damping slider positions, 0..100 */
+  reverbLowCut: number;
+  reverbHighCut: number;
+  /** 0..2 (1 = unchanged) */
+  stereoWidth: number;
+  /** 0..1 */
+  virtualBass: number;
+  /** Subwoofer cutoff (Hz) */
+  subFreq: number;
+}
+
+/** Named FX snapshot saved on this device ("Late night") */
+export interface SoundPreset {
+  id: string;
+  name: string;
+  fx: FxSettings;
+}
+
 // ─── Peer / Network ────────────────────────────────────────────────
 
  
@@ -26,6 +65,7 @@ export interface DataConnection {
   once(event: string, fn: (...args: any[]) => void): void;
   off(event: string, fn: (...args: any[]) => void): void;
   dataChannel?: RTCDataChannel;
+  peerConnection?: RTCPeerConnection;
   // Relay extensions
   _relayQueue?: unknown[];
   _relayBusy?: boolean;
@@ -118,8 +158,129 @@ export interface DeviceInfo {
   id: string;
   label: string;
   isOp: boolean;
+  /** Operator permissions (absent with isOp = all of them) */
+  perms?: OpPermission[];
   isHost: boolean;
   status: string;
+  /** Relay peer feeding this device file data (null/absent = host direct) */
+  dataSourceId?: string | null;
+  /** Host flagged this guest for repeatedly sending malformed messages */
+  flagged?: boolean;
+  /** Host-assigned slot (label number), kept across host migration */
+  slot?: number;
+  /** Guest negotiated host migration and may be elected as the next host */
+  canHost?: boolean;
+  /** Host-measured connection health (absent until the first sample) */
+  health?: PeerHealth;
+  /** Listen-only guest outside the slot table */
+  spectator?: boolean;
+  /** Guest-chosen name shown instead of the slot label */
+  displayName?: string;
+  /** Guest-chosen emoji */
+  avatar?: string;
+  /** Name of the output profile the guest has selected */
+  outputProfile?: string;
+}
+
+/** A guest's self-chosen identity, persisted on the device */
+export interface PeerProfile {
+  displayName: string;
+  avatar: string;
+}
+
+/** Saved compensation for one output setup on this device ("JBL over BT") */
+export interface OutputProfile {
+  id: string;
+  name: string;
+  /** Becomes sync.localOffset when selected */
+  offsetMs: number;
+  /** Channel mode (0=Stereo, -1=Left, 1=Right, 2=Sub) */
+  role: number;
+  /** Per-device gain on top of the host's preamp */
+  trimDb: number;
+}
+
+/** Guest's model of the host clock: hostMs = localMs + offsetMs + skew * (localMs - refAt) */
+export interface ClockEstimate {
+  /** Host minus local clock at refAt (ms) */
+  offsetMs: number;
+  /** Host clock rate relative to ours, parts per million */
+  skewPpm: number;
+  /** Local time the fit is anchored at (ms, performance timebase) */
+  refAt: number;
+  /** RMS residual of the fit (ms) */
+  errorMs: number;
+  /** Lowest round trip in the window (ms) */
+  rttMs: number;
+  /** Samples that survived the RTT filter */
+  samples: number;
+}
+
+export type HealthLevel = 'good' | 'fair' | 'poor';
+
+/** Host's view of one guest's connection, refreshed every DELAY.PEER_HEALTH */
+export interface PeerHealth {
+  /** 0–100, higher is better */
+  score: number;
+  level: HealthLevel;
+  /** Worst of WebRTC stats RTT and pong-latency RTT (ms, -1 = unknown) */
+  rttMs: number;
+  /** Host → guest DataChannel backlog (bytes) */
+  bufferedAmount: number;
+  /** Selected ICE candidate type ('host', 'srflx', 'relay', ...) */
+  candidateType: string | null;
+  sendKbps: number;
+  recvKbps: number;
+  /** ms since the guest's last heartbeat */
+  heartbeatAgeMs: number;
+}
+
+/** Host's view of one guest's playback alignment, from its SYNC_REPORTs */
+export interface SyncQuality {
+  /** Guest minus host position, its own offset removed (ms, null = not playing in step) */
+  errorMs: number | null;
+  /** Guest's host-clock estimate: host minus local clock (ms) */
+  clockOffsetMs: number;
+  rttMs: number;
+  /** Offset the guest applies on top (nudge / profile / calibration, ms) */
+  localOffsetMs: number;
+  /** Recent errorMs, oldest first (at most SYNC_MONITOR.HISTORY) */
+  history: Array<number | null>;
+}
+
+// ─── Host Migration ────────────────────────────────────────────────
+
+/**
+ * Host state handed to a promoted guest. Extends the STATUS_SYNC payload with
+ * playback position, FX and the guest roster the new host should restore.
+ */
+export interface HostSnapshot {
+  code: string;
+  playlistMeta: Array<Record<string, unknown>>;
+  currentTrackIndex: number;
+  repeatMode: number;
+  isShuffle: boolean;
+  time: number;
+  isPlaying: boolean;
+  fx: {
+    masterVolume: number;
+    eqBands: EqBand[];
+    /** Fixed-band gains, for successors without CAP.PARAMETRIC_EQ */
+    eqValues: number[];
+    userPreampGain: number;
+    reverbMix: number;
+    reverbDecay: number;
+    reverbPreDelay: number;
+    reverbLowCut: number;
+    reverbHighCut: number;
+    stereoWidth: number;
+    virtualBass: number;
+  };
+  peers: Array<{ id: string; label: string; slot: number; isOp: boolean; perms?: OpPermission[] }>;
+  /** Peer IDs the host banned (absent when built from a guest's view) */
+  banned?: string[];
+  /** Session refused new joiners */
+  locked?: boolean;
 }
 
 // ─── P2P Protocol Messages ────────────────────────────────────────
@@ -130,18 +291,49 @@ export interface DeviceInfo {
  */
 export interface ProtocolMap {
   // ── Handshake / Session ──────────────────────────────────────────
-  'welcome': { lockChannel: boolean; label: string };
+  'welcome': {
+    lockChannel: boolean;
+    label: string;
+    protocolVersion?: number;
+    minProtocolVersion?: number;
+    /** Capabilities negotiated for this guest (absent from legacy hosts) */
+    caps?: string[];
+    /** Token the guest presents to reclaim its slot after a drop or reload */
+    resumeToken?: string;
+    /** True when the guest's previous resume token was honoured */
+    resumed?: boolean;
+  };
   'session-full': { message: string };
+  /** Host refused a new joiner while the session is locked */
+  'session-locked': object;
+  /** Host removed this guest; `banned` when its peer ID is refused for the rest of the session */
+  'kicked': { banned: boolean };
+  'version-mismatch': { protocolVersion: number; minProtocolVersion: number };
+  'host-handoff': { newHostId: string; snapshot: HostSnapshot };
   'session-start': {};
   'force-close-duplicate': {};
+  /** Guest renamed itself mid-session (empty fields clear the name / avatar) */
+  'profile-update': { displayName: string; avatar: string };
+  /** Guest switched output profile ('' = none) */
+  'output-profile': { name: string };
+  /** Guest plays the woofer role (Sub or LFE), at this cutoff */
+  'speaker-role': { woofer: boolean; subFreq: number };
+  /** Session crossover: non-woofer roles high-pass here (0 = no woofer) */
+  'crossover': { freq: number };
 
   // ── Audio Control ────────────────────────────────────────────────
   'volume': { value: number };
-  'eq-update': { band: number; value: number };
+  /**
+   * The whole band list (edits, additions and removals alike), or one fixed
+   * band's gain for peers without CAP.PARAMETRIC_EQ
+   */
+  'eq-update': { bands: EqBand[] } | { band: number; value: number };
   'eq-reset': {};
+  /** Every effect at once (preset or late-join bootstrap; '' name = no toast) */
+  'fx-preset': { name: string; fx: FxSettings };
   'preamp': { value: number };
   'reverb': { value: number };
-  'reverb-type': { value: number };
+  'reverb-type': { value: string };
   'reverb-decay': { value: number };
   'reverb-predelay': { value: number };
   'reverb-lowcut': { value: number };
@@ -150,7 +342,8 @@ export interface ProtocolMap {
   'vbass': { value: number };
 
   // ── Playback ─────────────────────────────────────────────────────
-  'play': { time: number; index: number; name?: string | null; state?: string; timestamp?: number };
+  /** startAt: host-clock instant (ms) every device starts at (scheduled start) */
+  'play': { time: number; index: number; name?: string | null; state?: string; timestamp?: number; startAt?: number };
   'pause': { time: number; index?: number; state?: string; timestamp?: number };
   'play-preloaded': { index: number; name: string; mime?: string; retryAttempt?: number };
   'file-prepare': { name: string; index: number; sessionId: number; mime: string; size?: number };
@@ -180,6 +373,7 @@ export interface ProtocolMap {
   'preload-chunk': { chunk: Uint8Array; index: number; sessionId: number };
   'preload-end': { name: string; index: number; sessionId: number };
   'preload-ack': { index: number };
+  'decode-ready': { index: number };
 
   // ── Sync / Timing ────────────────────────────────────────────────
   'heartbeat': {};
@@ -189,32 +383,49 @@ export interface ProtocolMap {
   'sync-response': { time: number; isPlaying: boolean; reqTs: number };
   'get-sync-time': { ts: number };
   'global-resync-request': {};
+  /** t0 = guest send, t1/t2 = host receive/send (ms); pos = host track position at t2 */
+  'clock-ping': { t0: number };
+  'clock-pong': { t0: number; t1: number; t2: number; pos: number; playing: boolean; index: number };
+  /** Play the calibration chirp at host-clock time `at` (ms) */
+  'calibration-chirp': { at: number };
+  /** Measured acoustic latency relative to the host, becomes sync.localOffset */
+  'calibration-result': { offsetMs: number };
+  /** Guest playback position `pos` as of host-clock time `hostAt`, with its clock estimate */
+  'sync-report': {
+    hostAt: number; pos: number; index: number; playing: boolean;
+    clockOffsetMs: number; rttMs: number; localOffsetMs: number;
+  };
 
   // ── Network / Relay ──────────────────────────────────────────────
   'device-list-update': { list: Array<{ id: string | null; label: string; status: string; isHost: boolean; isOp?: boolean; connectionType?: string }> };
   'assign-data-source': { targetId?: string | null };
   'data-relay': {};
   'sys-toast': { message: string };
-  'operator-grant': {};
+  /** `perms` absent (legacy hosts) = every permission */
+  'operator-grant': { perms?: OpPermission[] };
   'operator-revoke': {};
 
   // ── Guest Requests ───────────────────────────────────────────────
-  'request-play': { time?: number };
-  'request-pause': {};
-  'request-seek': { time: number };
-  'request-skip-time': { sec: number };
-  'request-next-track': {};
-  'request-prev-track': {};
-  'request-track-change': { index: number };
-  'request-setting': { settingType: string; value?: unknown; band?: number };
-  'request-eq-reset': {};
-  'request-reverb-reset': {};
-  'request-current-file': { name?: string; index?: number; reason?: string };
-  'request-data-recovery': { nextChunk: number; fileName: string; index: number; sessionId?: number };
-  'request-youtube-play': {};
-  'request-youtube-pause': {};
-  'request-youtube-sub-seek': { subIdx: number; playlistId?: string };
-  'request-youtube-playlist-info': { playlistId: string };
+  // `reqId` (requestHost) asks the host for a COMMAND_RESULT reply
+  'request-play': { time?: number; reqId?: string };
+  'request-pause': { reqId?: string };
+  'request-seek': { time: number; reqId?: string };
+  'request-skip-time': { sec: number; reqId?: string };
+  'request-next-track': { reqId?: string };
+  'request-prev-track': { reqId?: string };
+  'request-track-change': { index: number; reqId?: string };
+  'request-setting': { settingType: string; value?: unknown; band?: number; reqId?: string };
+  'request-eq-reset': { reqId?: string };
+  'request-fx-preset': { name: string; fx: FxSettings; reqId?: string };
+  'request-reverb-reset': { reqId?: string };
+  'request-current-file': { name?: string; index?: number; reason?: string; reqId?: string };
+  'request-data-recovery': { nextChunk: number; fileName: string; index: number; sessionId?: number; reqId?: string };
+  'request-youtube-play': { reqId?: string };
+  'request-youtube-pause': { reqId?: string };
+  'request-youtube-sub-seek': { subIdx: number; playlistId?: string; playlistIdx?: number; reqId?: string };
+  'request-youtube-playlist-info': { playlistId: string; reqId?: string };
+  /** Host → guest: outcome of a request-* that carried `reqId` (not relayed: no request- prefix) */
+  'command-result': { reqId: string; ok: boolean; code?: string };
 
   // ── YouTube ──────────────────────────────────────────────────────
   'youtube-play': { videoId?: string | null; playlistId?: string | null; name?: string | null; index: number; autoplay: boolean; subIndex?: number };
@@ -248,11 +459,22 @@ export interface EventMap {
   'audio:set-surround-channel': [idx: number];
   'audio:update-effect': [type: string, param: string, value: number, isPreview?: boolean];
   'audio:set-preamp': [value: number, isPreview?: boolean];
-  'audio:set-eq': [band: number, value: number, isPreview?: boolean];
+  'audio:set-eq': [bands: EqBand[], isPreview?: boolean];
   'audio:reset-reverb': [];
   'audio:reset-eq': [];
   'audio:reset-stereo': [];
   'audio:reset-vbass': [];
+  'audio:apply-settings': [];
+  /** Many effect settings changed at once (preset); controls re-read state */
+  'audio:fx-applied': [];
+  'audio:apply-preset': [id: string];
+  'audio:save-preset': [name: string];
+  'audio:delete-preset': [id: string];
+  'audio:export-presets': [];
+  /** Contents of a chosen preset file */
+  'audio:import-presets': [json: string];
+  'audio:presets-changed': [];
+  'audio:set-trim': [db: number];
   'audio:surround-toggled': [];
 
   // ── Player ────────────────────────────────────────────────────────
@@ -265,6 +487,7 @@ export interface EventMap {
   'player:metadata-update': [item: PlaylistItem];
   'player:sync-video-volume': [volume: number];
   'player:check-ended': [];
+  'player:load-guest-file': [file: File];
 
   // ── Playlist ──────────────────────────────────────────────────────
   'playlist:prev-track': [];
@@ -322,11 +545,24 @@ export interface EventMap {
   'network:broadcast': [data: unknown];
   'network:broadcast-except': [peerId: string, data: unknown];
   'network:toggle-operator': [peerId: string];
+  'network:toggle-permission': [peerId: string, perm: OpPermission];
+  'network:kick-peer': [peerId: string, ban: boolean];
+  'network:set-session-lock': [locked: boolean];
+  /** Guest: change own display name / avatar (network/profile.ts) */
+  'network:set-profile': [profile: Partial<PeerProfile>];
   'network:device-list': [list: unknown[]];
   'network:device-list-update': [list: unknown[]];
   'network:role-badge-update': [];
   'network:session-full': [msg: unknown];
   'network:kicked-from-session': [];
+  'network:removed-by-host': [banned: boolean];
+  'network:version-mismatch': [outdated: 'self' | 'host'];
+  'network:before-leave': [];
+  'network:host-lost': [];
+  'network:host-migrated': [newHostId: string];
+  'network:peer-flagged': [peerId: string, rejections: number];
+  /** Guest: requests still waiting for the host's COMMAND_RESULT */
+  'network:request-pending': [count: number];
 
   // ── Storage / OPFS ────────────────────────────────────────────────
   'storage:transfer-progress': [progress: number, total: number];
@@ -355,11 +591,23 @@ export interface EventMap {
   'sync:response': [hostTime: number, isPlaying: boolean, oneWayLatencyMs: number];
   'sync:latency-update': [ms: number];
   'sync:youtube-nudge': [ms: number];
+  'sync:clock-update': [estimate: ClockEstimate];
+  'sync:clock-correction': [hostTime: number, driftMs: number];
+  'sync:calibrate': [];
+  'sync:calibration-state': [running: boolean];
+  'sync:save-output-profile': [name: string];
+  'sync:select-output-profile': [id: string | null];
+  'sync:delete-output-profile': [id: string];
+  'sync:output-profiles-changed': [];
+  'sync:monitor-update': [];
+  'sync:resync-peer': [peerId: string];
+  'sync:set-tolerance': [ms: number];
 
   // ── Relay ─────────────────────────────────────────────────────────
   'relay:incoming-connection': [conn: DataConnection];
   'relay:serve-current-file': [conn: DataConnection, msg: unknown];
   'relay:serve-recovery': [conn: DataConnection, msg: unknown];
+  'relay:rebalance': [];
 
   // ── Setup ─────────────────────────────────────────────────────────
   'setup:hide-overlay': [];
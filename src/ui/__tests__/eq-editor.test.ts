@@ -0,0 +1,84 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resetState, getState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { EQ_LIMITS } from '../../core/constants.ts';
+import { eqCurvePath, formatFreq, initEqEditor } from '../eq-editor.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  document.body.innerHTML = `
+    <svg id="eq-curve"></svg>
+    <div id="eq-bands"></div>
+    <div id="eq-band-editor">
+      <select id="eq-band-type"></select>
+      <button id="btn-eq-remove-band"></button>
+      <button id="btn-eq-add-band"></button>
+      <input type="range" id="eq-band-freq" min="0" max="1000">
+      <span id="val-eq-freq"></span>
+      <input type="range" id="eq-band-q" min="0.1" max="18" step="0.1">
+      <span id="val-eq-q"></span>
+    </div>`;
+});
+
+describe('eqCurvePath', () => {
+  it('is a flat middle line for a flat EQ', () => {
+    const path = eqCurvePath(getState('audio.eqBands'), 100, 40, 3);
+    expect(path).toBe('M0.0,20.0 L50.0,20.0 L100.0,20.0');
+  });
+
+  it('clips cuts to the bottom edge', () => {
+    const path = eqCurvePath([{ type: 'highpass', frequency: 20000, Q: 1, gain: 0 }], 100, 40, 2);
+    expect(path.startsWith('M0.0,40.0')).toBe(true);
+  });
+});
+
+describe('formatFreq', () => {
+  it('matches the band labels', () => {
+    expect([60, 230, 910, 3600, 14000].map(formatFreq)).toEqual(['60', '230', '910', '3.6k', '14k']);
+  });
+});
+
+describe('EQ editor', () => {
+  it('renders a slider per band and emits the edited band list', () => {
+    const emitted = vi.fn();
+    bus.on('audio:set-eq', emitted);
+    initEqEditor();
+
+    const sliders = document.querySelectorAll<HTMLInputElement>('#eq-bands .eq-slider');
+    expect(sliders).toHaveLength(5);
+
+    sliders[2].value = '4';
+    sliders[2].dispatchEvent(new Event('change'));
+    const [bands, isPreview] = emitted.mock.calls[0];
+    expect(bands[2]).toMatchObject({ frequency: 910, gain: 4 });
+    expect(isPreview).toBe(false);
+  });
+
+  it('follows band additions and removals in state', () => {
+    initEqEditor();
+    setState('audio.eqBands', [{ type: 'notch', frequency: 50, Q: 8, gain: 0 }]);
+
+    const sliders = document.querySelectorAll<HTMLInputElement>('#eq-bands .eq-slider');
+    expect(sliders).toHaveLength(1);
+    expect(sliders[0].disabled).toBe(true);
+    expect((document.getElementById('eq-band-type') as HTMLSelectElement).value).toBe('notch');
+    expect(document.getElementById('val-eq-freq')!.textContent).toBe('50Hz');
+  });
+
+  it('adds a band and offers no more at the limit', () => {
+    const emitted = vi.fn();
+    bus.on('audio:set-eq', emitted);
+    initEqEditor();
+
+    document.getElementById('btn-eq-add-band')!.click();
+    expect(emitted.mock.calls[0][0]).toHaveLength(6);
+
+    setState('audio.eqBands', Array.from({ length: EQ_LIMITS.MAX_BANDS }, (_, i) => (
+      { type: 'peaking' as const, frequency: 100 * (i + 1), Q: 1, gain: 0 })));
+    expect((document.getElementById('btn-eq-add-band') as HTMLButtonElement).disabled).toBe(true);
+  });
+});
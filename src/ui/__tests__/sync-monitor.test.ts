@@ -0,0 +1,57 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { resetState, setState } from '../../core/state.ts';
+import { bus } from '../../core/events.ts';
+import { SYNC_MONITOR } from '../../core/constants.ts';
+import { sparklineSegments, renderSyncMonitor } from '../sync-monitor.ts';
+
+beforeEach(() => {
+  resetState();
+  bus.clear();
+  document.body.innerHTML = '<div id="sync-monitor-list"></div>';
+});
+
+function quality(errorMs: number | null, history: Array<number | null> = [errorMs]) {
+  return { errorMs, clockOffsetMs: 3, rttMs: 9, localOffsetMs: 0, history };
+}
+
+describe('sparklineSegments', () => {
+  it('breaks the line where the guest was not playing in step', () => {
+    const segments = sparklineSegments([10, 20, null, -10], 40, 100, 20);
+    expect(segments).toHaveLength(2);
+    expect(segments[0].split(' ')).toHaveLength(2);
+  });
+
+  it('centres zero and right-aligns the newest sample', () => {
+    const [points] = sparklineSegments([0], 40, 100, 20);
+    expect(points).toBe('100.0,10.0');
+    const [full] = sparklineSegments(Array(SYNC_MONITOR.HISTORY).fill(0), 40, 100, 20);
+    expect(full.startsWith('0.0,10.0')).toBe(true);
+  });
+});
+
+describe('renderSyncMonitor', () => {
+  it('flags guests past the tolerance and resyncs the one tapped', () => {
+    setState('sync.monitorToleranceMs', 40);
+    setState('network.connectedPeers', [
+      { id: 'a', label: 'Peer 1', status: 'connected', syncQuality: quality(12) } as never,
+      { id: 'b', label: 'Peer 2', status: 'connected', syncQuality: quality(-75) } as never,
+      { id: 'c', label: 'Peer 3', status: 'connected' } as never,
+    ]);
+    const resync = vi.fn();
+    bus.on('sync:resync-peer', resync);
+
+    renderSyncMonitor();
+
+    const rows = document.querySelectorAll<HTMLElement>('.sync-monitor-row');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].querySelector('.d-sync-flag')).toBeNull();
+    expect(rows[1].querySelector('.d-sync-flag')).not.toBeNull();
+    expect(rows[1].querySelector('.d-sync-error')?.textContent).toBe('-75ms');
+
+    rows[1].querySelector<HTMLButtonElement>('[data-resync-peer]')!.click();
+    expect(resync).toHaveBeenCalledWith('b');
+  });
+});
@@ -12,6 +12,7 @@ import { getState } from '../core/state.ts';
 import { MSG } from '../core/constants.ts';
 import { registerHandlers } from '../network/protocol.ts';
 import { sendToHost } from '../network/peer.ts';
+import { formatPeerName } from '../network/profile.ts';
 import { escapeHtml, escapeAttr } from './dom.ts';
 import { t } from '../i18n/index.ts';
 import { getRoleLabelByChannelMode } from './player-controls.ts';
@@ -35,6 +36,15 @@ function _getChatLabelBase(): string {
   const hostConn = getState('network.hostConn');
   if (!hostConn) return 'Host';
 
+  // Guest-chosen name (and avatar) wins over the slot label
+  const profile = getState('network.myProfile');
+  if (profile.displayName || profile.avatar) {
+    return formatPeerName({ label: _getSlotChatLabel(), ...profile });
+  }
+  return _getSlotChatLabel();
+}
+
+function _getSlotChatLabel(): string {
   const myDeviceLabel = getState('network.myDeviceLabel') || '';
   const label = myDeviceLabel.trim();
 
@@ -0,0 +1,268 @@
+/**
+ * MUSIXQUARE 2.0 — Parametric EQ Editor (UI)
+ *
+ * Manages: the equalizer's settings section: one vertical gain slider per
+ * band, the selected band's type / frequency / Q controls, add & remove,
+ * and the combined frequency-response curve. Every edit emits the whole
+ * band list on `audio:set-eq`; the view redraws from `audio.eqBands`.
+ */
+
+import { bus } from '../core/events.ts';
+import { getState } from '../core/state.ts';
+import { EQ_FILTER_TYPES, EQ_LIMITS } from '../core/constants.ts';
+import type { EqFilterType } from '../core/constants.ts';
+import { t } from '../i18n/index.ts';
+import {
+  bandUsesGain, bandUsesQ, eqResponseDb, withEqBand, withoutEqBand, withAddedEqBand,
+} from '../audio/eq.ts';
+import type { EqBand } from '../types/index.ts';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CURVE_WIDTH = 300;
+const CURVE_HEIGHT = 90;
+const CURVE_POINTS = 120;
+/** dB at the curve's top / bottom edge */
+const CURVE_RANGE_DB = 18;
+/** Frequency slider steps (log scale) */
+const FREQ_STEPS = 1000;
+
+let _selected = 0;
+
+// ─── Scales ──────────────────────────────────────────────────────
+
+/** Log-frequency position (0..1) between FREQ_MIN and FREQ_MAX */
+function freqToUnit(freq: number): number {
+  return Math.log(freq / EQ_LIMITS.FREQ_MIN) / Math.log(EQ_LIMITS.FREQ_MAX / EQ_LIMITS.FREQ_MIN);
+}
+
+function unitToFreq(unit: number): number {
+  return EQ_LIMITS.FREQ_MIN * Math.pow(EQ_LIMITS.FREQ_MAX / EQ_LIMITS.FREQ_MIN, unit);
+}
+
+function dbToY(db: number, height: number): number {
+  const clamped = Math.max(-CURVE_RANGE_DB, Math.min(CURVE_RANGE_DB, db));
+  return height / 2 - (clamped / CURVE_RANGE_DB) * (height / 2);
+}
+
+export function formatFreq(freq: number): string {
+  if (freq >= 1000) return `${Number((freq / 1000).toFixed(freq >= 10000 ? 0 : 1))}k`;
+  return String(Math.round(freq));
+}
+
+function formatGain(db: number): string {
+  const rounded = Math.round(db * 10) / 10;
+  return rounded > 0 ? `+${rounded}` : String(rounded);
+}
+
+// ─── Curve ───────────────────────────────────────────────────────
+
+/**
+ * SVG path of the combined response, log-spaced from FREQ_MIN to FREQ_MAX.
+ * 0 dB is the middle line; the curve is clipped to ±CURVE_RANGE_DB.
+ */
+export function eqCurvePath(
+  bands: readonly EqBand[],
+  width: number = CURVE_WIDTH,
+  height: number = CURVE_HEIGHT,
+  points: number = CURVE_POINTS,
+): string {
+  const parts: string[] = [];
+  for (let i = 0; i < points; i++) {
+    const unit = i / (points - 1);
+    const y = dbToY(eqResponseDb(bands, unitToFreq(unit)), height);
+    parts.push(`${i === 0 ? 'M' : 'L'}${(unit * width).toFixed(1)},${y.toFixed(1)}`);
+  }
+  return parts.join(' ');
+}
+
+function renderCurve(bands: readonly EqBand[]): void {
+  const svg = document.getElementById('eq-curve');
+  if (!svg) return;
+  svg.innerHTML = '';
+
+  const zero = document.createElementNS(SVG_NS, 'line');
+  zero.setAttribute('class', 'eq-curve-zero');
+  zero.setAttribute('x1', '0');
+  zero.setAttribute('x2', String(CURVE_WIDTH));
+  zero.setAttribute('y1', String(CURVE_HEIGHT / 2));
+  zero.setAttribute('y2', String(CURVE_HEIGHT / 2));
+  svg.appendChild(zero);
+
+  const path = document.createElementNS(SVG_NS, 'path');
+  path.setAttribute('class', 'eq-curve-line');
+  path.setAttribute('d', eqCurvePath(bands));
+  svg.appendChild(path);
+
+  bands.forEach((band, i) => {
+    const dot = document.createElementNS(SVG_NS, 'circle');
+    dot.setAttribute('class', `eq-curve-dot${i === _selected ? ' selected' : ''}`);
+    dot.setAttribute('cx', (freqToUnit(band.frequency) * CURVE_WIDTH).toFixed(1));
+    dot.setAttribute('cy', dbToY(eqResponseDb(bands, band.frequency), CURVE_HEIGHT).toFixed(1));
+    dot.setAttribute('r', '4');
+    dot.addEventListener('click', () => selectBand(i));
+    svg.appendChild(dot);
+  });
+}
+
+// ─── Band Sliders ────────────────────────────────────────────────
+
+function emitBands(bands: EqBand[] | null, isPreview = false): void {
+  if (bands) bus.emit('audio:set-eq', bands, isPreview);
+}
+
+function editSelected(patch: Partial<EqBand>, isPreview = false): void {
+  emitBands(withEqBand(getState('audio.eqBands'), _selected, patch), isPreview);
+}
+
+function buildBandColumn(i: number): HTMLElement {
+  const col = document.createElement('div');
+  col.className = 'eq-band';
+
+  const val = document.createElement('span');
+  val.className = 'eq-val';
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.className = 'eq-slider';
+  slider.min = String(-EQ_LIMITS.GAIN_DB);
+  slider.max = String(EQ_LIMITS.GAIN_DB);
+  slider.step = '0.5';
+  slider.addEventListener('input', () => {
+    emitBands(withEqBand(getState('audio.eqBands'), i, { gain: Number(slider.value) }), true);
+  });
+  slider.addEventListener('change', () => {
+    emitBands(withEqBand(getState('audio.eqBands'), i, { gain: Number(slider.value) }));
+  });
+  slider.addEventListener('dblclick', () => {
+    emitBands(withEqBand(getState('audio.eqBands'), i, { gain: 0 }));
+  });
+  slider.addEventListener('pointerdown', () => selectBand(i));
+
+  const label = document.createElement('span');
+  label.className = 'eq-label';
+  label.addEventListener('click', () => selectBand(i));
+
+  col.appendChild(val);
+  col.appendChild(slider);
+  col.appendChild(label);
+  return col;
+}
+
+/**
+ * Columns are only rebuilt when the band count changes, so a slider being
+ * dragged is never replaced under the pointer.
+ */
+function renderBandColumns(bands: readonly EqBand[]): void {
+  const container = document.getElementById('eq-bands');
+  if (!container) return;
+
+  if (container.children.length !== bands.length) {
+    container.innerHTML = '';
+    bands.forEach((_, i) => container.appendChild(buildBandColumn(i)));
+  }
+
+  bands.forEach((band, i) => {
+    const col = container.children[i] as HTMLElement;
+    col.classList.toggle('selected', i === _selected);
+
+    const slider = col.querySelector<HTMLInputElement>('.eq-slider')!;
+    if (parseFloat(slider.value) !== band.gain) slider.value = String(band.gain);
+    slider.disabled = !bandUsesGain(band.type);
+    slider.setAttribute('aria-label', t('settings.eq_band_gain', { freq: formatFreq(band.frequency) }));
+
+    col.querySelector('.eq-val')!.textContent = bandUsesGain(band.type) ? formatGain(band.gain) : '-';
+    col.querySelector('.eq-label')!.textContent = formatFreq(band.frequency);
+  });
+}
+
+// ─── Selected Band ───────────────────────────────────────────────
+
+function renderBandEditor(bands: readonly EqBand[]): void {
+  const band = bands[_selected];
+  const editor = document.getElementById('eq-band-editor');
+
+  const typeSel = document.getElementById('eq-band-type') as HTMLSelectElement | null;
+  if (typeSel) {
+    if (typeSel.options.length !== EQ_FILTER_TYPES.length) {
+      typeSel.innerHTML = '';
+      for (const type of EQ_FILTER_TYPES) {
+        const opt = document.createElement('option');
+        opt.value = type;
+        typeSel.appendChild(opt);
+      }
+    }
+    Array.from(typeSel.options).forEach(opt => { opt.textContent = t(`settings.eq_type_${opt.value}`); });
+    if (band) typeSel.value = band.type;
+    typeSel.disabled = !band;
+  }
+
+  const freq = document.getElementById('eq-band-freq') as HTMLInputElement | null;
+  if (freq && band) freq.value = String(Math.round(freqToUnit(band.frequency) * FREQ_STEPS));
+  if (freq) freq.disabled = !band;
+  const freqDisp = document.getElementById('val-eq-freq');
+  if (freqDisp) freqDisp.textContent = band ? `${formatFreq(band.frequency)}Hz` : '-';
+
+  const q = document.getElementById('eq-band-q') as HTMLInputElement | null;
+  if (q && band) q.value = String(band.Q);
+  if (q) q.disabled = !band || !bandUsesQ(band.type);
+  const qDisp = document.getElementById('val-eq-q');
+  if (qDisp) qDisp.textContent = band && bandUsesQ(band.type) ? band.Q.toFixed(1) : '-';
+
+  const remove = document.getElementById('btn-eq-remove-band') as HTMLButtonElement | null;
+  if (remove) remove.disabled = !band;
+  const add = document.getElementById('btn-eq-add-band') as HTMLButtonElement | null;
+  if (add) add.disabled = bands.length >= EQ_LIMITS.MAX_BANDS;
+
+  editor?.classList.toggle('empty', !band);
+}
+
+export function renderEqEditor(): void {
+  const bands = getState('audio.eqBands');
+  if (_selected >= bands.length) _selected = Math.max(0, bands.length - 1);
+  renderBandColumns(bands);
+  renderBandEditor(bands);
+  renderCurve(bands);
+}
+
+function selectBand(i: number): void {
+  if (i === _selected) return;
+  _selected = i;
+  renderEqEditor();
+}
+
+/** Slider position → frequency, rounded to 3 significant digits */
+function sliderToFreq(value: number): number {
+  return Number(unitToFreq(value / FREQ_STEPS).toPrecision(3));
+}
+
+// ─── Init ────────────────────────────────────────────────────────
+
+export function initEqEditor(): void {
+  const typeSel = document.getElementById('eq-band-type') as HTMLSelectElement | null;
+  typeSel?.addEventListener('change', () => editSelected({ type: typeSel.value as EqFilterType }));
+
+  const freq = document.getElementById('eq-band-freq') as HTMLInputElement | null;
+  freq?.addEventListener('input', () => editSelected({ frequency: sliderToFreq(Number(freq.value)) }, true));
+  freq?.addEventListener('change', () => editSelected({ frequency: sliderToFreq(Number(freq.value)) }));
+
+  const q = document.getElementById('eq-band-q') as HTMLInputElement | null;
+  q?.addEventListener('input', () => editSelected({ Q: Number(q.value) }, true));
+  q?.addEventListener('change', () => editSelected({ Q: Number(q.value) }));
+  q?.addEventListener('dblclick', () => editSelected({ Q: EQ_LIMITS.DEFAULT_Q }));
+
+  document.getElementById('btn-eq-add-band')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    const bands = withAddedEqBand(getState('audio.eqBands'));
+    if (!bands) return;
+    _selected = bands.length - 1;
+    emitBands(bands);
+  });
+  document.getElementById('btn-eq-remove-band')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    emitBands(withoutEqBand(getState('audio.eqBands'), _selected));
+  });
+
+  bus.on('state:audio.eqBands', () => renderEqEditor());
+  bus.on('ui:settings-tab-opened', () => renderEqEditor());
+  renderEqEditor();
+}
@@ -9,6 +9,7 @@
 import { log } from '../core/log.ts';
 import { bus } from '../core/events.ts';
 import { getState, setState } from '../core/state.ts';
+import { hasOpPermission } from '../network/protocol.ts';
 import { APP_STATE, MSG } from '../core/constants.ts';
 import { IS_ANDROID } from '../core/platform.ts';
 import { t } from '../i18n/index.ts';
@@ -20,7 +21,8 @@ import { showDialog } from './dialog.ts';
 import { fmtTime, getTrackPosition, togglePlay, play } from '../player/playback.ts';
 import { toggleRepeat, toggleShuffle } from '../player/playlist.ts';
 import { isIdleOrPaused } from '../player/video.ts';
-import { broadcast, sendToHost } from '../network/peer.ts';
+import { broadcast } from '../network/peer.ts';
+import { requestFromControl } from '../network/requests.ts';
 import { requestGlobalResyncDelayed } from '../network/sync.ts';
 
 // ─── Constants ───────────────────────────────────────────────────
@@ -369,14 +371,14 @@ function initSeekBar(): void {
     const t = parseFloat(slider.value);
 
     const hostConn = getState('network.hostConn');
-    const isOperator = getState('network.isOperator');
+    const isOperator = hasOpPermission('transport');
 
     // Guest (non-OP): blocked
     if (hostConn && !isOperator) return;
 
     // OP: request Host to seek
     if (hostConn && isOperator) {
-      sendToHost({ type: MSG.REQUEST_SEEK, time: t });
+      void requestFromControl({ type: MSG.REQUEST_SEEK, time: t });
       return;
     }
 
@@ -524,6 +526,11 @@ export function initPlayerControls(): void {
     updateRoleBadge();
   });
 
+  // OP guest: spinner on the play button while a request awaits the host
+  bus.on('network:request-pending', (count) => {
+    document.body.classList.toggle('request-pending', count > 0);
+  });
+
   // Latency update → refresh role badge to show latency value
   bus.on('sync:latency-update', () => {
     updateRoleBadge();
@@ -536,6 +543,12 @@ export function initPlayerControls(): void {
     updateInviteCodeUI();
   });
 
+  // Host migration finished (we are the new host or rejoined it)
+  bus.on('network:host-migrated', () => {
+    updateRoleBadge();
+    updateInviteCodeUI();
+  });
+
   // Invite code container click delegation
   document.addEventListener('click', (e) => {
     const target = (e.target as HTMLElement)?.closest?.('.invite-code-container');
@@ -683,9 +696,9 @@ export function initPlayerControls(): void {
 
   bus.on('player:seek-to-time', (time) => {
     const hostConn = getState('network.hostConn');
-    const isOperator = getState('network.isOperator');
+    const isOperator = hasOpPermission('transport');
     if (hostConn && isOperator) {
-      sendToHost({ type: MSG.REQUEST_SEEK, time });
+      void requestFromControl({ type: MSG.REQUEST_SEEK, time });
     } else if (!hostConn) {
       const currentState = getState('appState');
       const currentTrackIndex = getState('playlist.currentTrackIndex');
@@ -9,6 +9,8 @@
 import { log } from '../core/log.ts';
 import { bus } from '../core/events.ts';
 import { getState, setState } from '../core/state.ts';
+import { hasOpPermission } from '../network/protocol.ts';
+import { requestFromControl } from '../network/requests.ts';
 import { MSG } from '../core/constants.ts';
 import { escapeHtml } from './dom.ts';
 import { updateTitleWithMarquee } from './dom.ts';
@@ -74,9 +76,9 @@ export function updatePlaylistUI(): void {
     const displayName = item.name || item.title || 'Unknown';
     li.onclick = () => {
       const hc = getState('network.hostConn');
-      const op = getState('network.isOperator');
+      const op = hasOpPermission('playlist');
       if (!hc) bus.emit('playlist:play-track', idx);
-      else if (op) hc.send({ type: MSG.REQUEST_TRACK_CHANGE, index: idx });
+      else if (op) void requestFromControl({ type: MSG.REQUEST_TRACK_CHANGE, index: idx });
     };
 
     li.innerHTML = `
@@ -127,12 +129,12 @@ export function updatePlaylistUI(): void {
           sli.onclick = (e) => {
             e.stopPropagation();
             const hc = getState('network.hostConn');
-            const op = getState('network.isOperator');
+            const op = hasOpPermission('youtube');
             if (hc && !op) return;
             if (!hc) {
               bus.emit('youtube:sub-seek', idx, sIdx, isCurrent);
             } else {
-              hc.send({ type: MSG.REQUEST_YOUTUBE_SUB_SEEK, playlistIdx: idx, subIdx: sIdx });
+              void requestFromControl({ type: MSG.REQUEST_YOUTUBE_SUB_SEEK, playlistIdx: idx, subIdx: sIdx });
             }
           };
           subUl.appendChild(sli);
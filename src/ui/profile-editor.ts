@@ -0,0 +1,82 @@
+/**
+ * MUSIXQUARE 2.0 — Profile Editor
+ *
+ * Manages: the name field + emoji picker used in the guest join flow and
+ * in Settings mid-session. Values go through setMyProfile(); this module
+ * only builds the inputs.
+ */
+
+import { getState } from '../core/state.ts';
+import { AVATAR_CHOICES, DISPLAY_NAME_MAX } from '../core/constants.ts';
+import { t } from '../i18n/index.ts';
+import type { PeerProfile } from '../types/index.ts';
+
+export interface ProfileEditor {
+  el: HTMLElement;
+  read(): PeerProfile;
+}
+
+/**
+ * Build a name input and avatar chip row, pre-filled from network.myProfile.
+ * `onChange` fires when the name field is committed or an avatar is picked.
+ */
+export function buildProfileEditor(onChange?: (profile: PeerProfile) => void): ProfileEditor {
+  const current = getState('network.myProfile');
+  let avatar = current.avatar;
+
+  const el = document.createElement('div');
+  el.className = 'profile-editor';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'profile-name-input';
+  input.maxLength = DISPLAY_NAME_MAX * 2; // surrogate pairs; sanitizing clips to characters
+  input.placeholder = t('setup.display_name_placeholder');
+  input.setAttribute('aria-label', t('setup.display_name'));
+  input.setAttribute('autocomplete', 'nickname');
+  input.enterKeyHint = 'done';
+  input.value = current.displayName;
+
+  const grid = document.createElement('div');
+  grid.className = 'avatar-grid';
+  grid.setAttribute('role', 'radiogroup');
+  grid.setAttribute('aria-label', t('setup.avatar'));
+
+  const read = (): PeerProfile => ({ displayName: input.value, avatar });
+  const commit = () => onChange?.(read());
+
+  const choices = ['', ...AVATAR_CHOICES];
+  // Keep a saved avatar that is not in the preset list selectable
+  if (avatar && !choices.includes(avatar)) choices.splice(1, 0, avatar);
+
+  const chips = choices.map((emoji) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = `avatar-opt ${emoji === avatar ? 'active' : ''}`;
+    chip.setAttribute('role', 'radio');
+    chip.setAttribute('aria-checked', String(emoji === avatar));
+    chip.textContent = emoji || '∅';
+    if (!emoji) chip.title = t('setup.avatar_none');
+    chip.addEventListener('click', (e) => {
+      e.preventDefault();
+      avatar = emoji;
+      chips.forEach((c, i) => {
+        const on = choices[i] === emoji;
+        c.classList.toggle('active', on);
+        c.setAttribute('aria-checked', String(on));
+      });
+      commit();
+    });
+    grid.appendChild(chip);
+    return chip;
+  });
+
+  input.addEventListener('change', commit);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') input.blur();
+  });
+
+  el.appendChild(input);
+  el.appendChild(grid);
+  return { el, read };
+}
@@ -3,13 +3,20 @@
  * Extracted from original app.js
  *
  * Manages: Theme, channel mode selection, EQ/reverb/stereo/vbass sliders,
- * device list rendering.
+ * sound presets, device list rendering (with per-peer health badges),
+ * output profiles.
  */
 
 import { log } from '../core/log.ts';
 import { bus } from '../core/events.ts';
 import { getState } from '../core/state.ts';
-import { setLanguageMode } from '../i18n/index.ts';
+import { t, setLanguageMode } from '../i18n/index.ts';
+import { OP_PERMISSIONS } from '../core/constants.ts';
+import type { OpPermission } from '../core/constants.ts';
+import type { HealthLevel, PeerHealth } from '../types/index.ts';
+import { formatPeerName } from '../network/profile.ts';
+import { getActiveOutputProfile } from '../network/output-profile.ts';
+import { buildProfileEditor } from './profile-editor.ts';
 
 // ─── Cached Listeners (for cleanup on reinit) ────────────────────
 let _themeChangeHandler: (() => void) | null = null;
@@ -106,11 +113,6 @@ function setPreamp(value: number, isPreview = false): void {
   bus.emit('audio:set-preamp', value, isPreview);
 }
 
-function setEQ(band: number, value: number, isPreview = false): void {
-  _setDisp(`eq-val-${band}`, value > 0 ? `+${value}` : String(value));
-  bus.emit('audio:set-eq', band, value, isPreview);
-}
-
 function resetReverb(): void {
   bus.emit('audio:reset-reverb');
   // Reset slider UI
@@ -139,11 +141,7 @@ function resetEQ(): void {
   const preamp = document.getElementById('preamp-slider') as HTMLInputElement | null;
   if (preamp) preamp.value = '0';
   _setDisp('val-preamp', '0dB');
-  for (let i = 0; i < 5; i++) {
-    const eq = document.getElementById(`eq-slider-${i}`) as HTMLInputElement | null;
-    if (eq) eq.value = '0';
-    _setDisp(`eq-val-${i}`, '0');
-  }
+  // Band sliders redraw from audio.eqBands (ui/eq-editor.ts)
 }
 
 function resetStereo(): void {
@@ -160,25 +158,216 @@ function resetVBass(): void {
   _setDisp('val-vbass', '0%');
 }
 
+/**
+ * Move every effect slider and readout to the current state (after a
+ * preset replaced them all at once). EQ bands: ui/eq-editor.ts.
+ */
+function syncEffectControls(): void {
+  const setSlider = (id: string, value: number) => {
+    const el = document.getElementById(id) as HTMLInputElement | null;
+    if (el) el.value = String(value);
+  };
+
+  const reverb: Array<[string, string, number]> = [
+    ['reverb-slider', 'mix', Math.round(getState('audio.reverbMix') * 100)],
+    ['reverb-decay-slider', 'decay', getState('audio.reverbDecay')],
+    ['reverb-predelay-slider', 'predelay', getState('audio.reverbPreDelay')],
+    ['reverb-lowcut-slider', 'lowcut', getState('audio.reverbLowCut')],
+    ['reverb-highcut-slider', 'highcut', getState('audio.reverbHighCut')],
+  ];
+  for (const [id, param, value] of reverb) {
+    setSlider(id, value);
+    formatReverbValDisp(param, value);
+  }
+
+  const preampDb = Math.round(20 * Math.log10(Math.max(getState('audio.userPreampGain'), 1e-6)));
+  setSlider('preamp-slider', preampDb);
+  _setDisp('val-preamp', (preampDb > 0 ? '+' : '') + preampDb + 'dB');
+
+  const width = Math.round(getState('audio.stereoWidth') * 100);
+  setSlider('width-slider', width);
+  _setDisp('val-width', width + '%');
+
+  const vbass = Math.round(getState('audio.virtualBass') * 100);
+  setSlider('vbass-slider', vbass);
+  _setDisp('val-vbass', vbass + '%');
+
+  const cutoff = getState('audio.subFreq');
+  setSlider('cutoff-slider', cutoff);
+  _setDisp('val-cutoff', cutoff + ' Hz');
+}
+
+// ─── Sound Presets ───────────────────────────────────────────────
+
+/**
+ * Refill the preset picker from state, keeping the selection if it still exists.
+ */
+function renderSoundPresets(): void {
+  const select = document.getElementById('preset-select') as HTMLSelectElement | null;
+  const presets = getState('audio.presets');
+  if (select) {
+    const selected = select.value;
+    select.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = t(presets.length ? 'settings.preset_choose' : 'settings.preset_none');
+    select.appendChild(none);
+    presets.forEach((preset) => {
+      const opt = document.createElement('option');
+      opt.value = preset.id;
+      opt.textContent = preset.name;
+      select.appendChild(opt);
+    });
+    select.value = presets.some(p => p.id === selected) ? selected : '';
+  }
+  syncPresetButtons();
+}
+
+function syncPresetButtons(): void {
+  const id = (document.getElementById('preset-select') as HTMLSelectElement | null)?.value;
+  for (const btnId of ['btn-preset-apply', 'btn-preset-delete']) {
+    const btn = document.getElementById(btnId) as HTMLButtonElement | null;
+    if (btn) btn.disabled = !id;
+  }
+  const exp = document.getElementById('btn-preset-export') as HTMLButtonElement | null;
+  if (exp) exp.disabled = getState('audio.presets').length === 0;
+}
+
+// ─── My Profile (Guest) ──────────────────────────────────────────
+
+let _profileEditorMounted = false;
+
+/**
+ * Guests can rename themselves mid-session; the host has no profile.
+ */
+function syncProfileSection(): void {
+  const section = document.getElementById('profile-section');
+  const slot = document.getElementById('settings-profile-editor');
+  if (!section || !slot) return;
+
+  const isGuest = getState('network.appRole') === 'guest';
+  section.style.display = isGuest ? '' : 'none';
+  if (!isGuest) {
+    _profileEditorMounted = false;
+    return;
+  }
+  if (_profileEditorMounted) return;
+
+  slot.innerHTML = '';
+  slot.appendChild(buildProfileEditor(profile => bus.emit('network:set-profile', profile)).el);
+  _profileEditorMounted = true;
+}
+
+// ─── Output Profiles (Guest) ─────────────────────────────────────
+
+function setTrim(value: number): void {
+  _setDisp('val-trim', (value > 0 ? '+' : '') + value + 'dB');
+  bus.emit('audio:set-trim', value);
+}
+
+/**
+ * Refill the profile picker and trim slider from state.
+ */
+function renderOutputProfiles(): void {
+  const select = document.getElementById('output-profile-select') as HTMLSelectElement | null;
+  if (select) {
+    const active = getState('sync.activeOutputProfile');
+    select.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = t('settings.output_profile_none');
+    select.appendChild(none);
+    getState('sync.outputProfiles').forEach((profile) => {
+      const opt = document.createElement('option');
+      opt.value = profile.id;
+      opt.textContent = profile.name;
+      select.appendChild(opt);
+    });
+    select.value = active ?? '';
+
+    const del = document.getElementById('btn-output-profile-delete') as HTMLButtonElement | null;
+    if (del) del.disabled = !active;
+  }
+
+  const trim = getState('audio.trimDb');
+  const slider = document.getElementById('trim-slider') as HTMLInputElement | null;
+  if (slider) slider.value = String(trim);
+  _setDisp('val-trim', (trim > 0 ? '+' : '') + trim + 'dB');
+}
+
+/**
+ * Profiles compensate a guest's own speaker; the host is the reference.
+ */
+function syncOutputProfileSection(): void {
+  const section = document.getElementById('output-profile-section');
+  if (!section) return;
+  const isGuest = getState('network.appRole') === 'guest';
+  section.style.display = isGuest ? '' : 'none';
+  if (isGuest) renderOutputProfiles();
+}
+
+/**
+ * Mic calibration runs from the host's phone.
+ */
+function syncCalibrationSection(): void {
+  const section = document.getElementById('calibration-section');
+  if (section) section.style.display = getState('network.appRole') === 'host' ? '' : 'none';
+}
+
 // ─── Device List ─────────────────────────────────────────────────
 
+const HEALTH_COLORS: Record<HealthLevel, string> = {
+  good: '#34c759',
+  fair: '#ff9f0a',
+  poor: '#ff3b30',
+};
+
 export function renderDeviceList(list: Array<Record<string, unknown>>): void {
   const container = document.getElementById('device-list');
   if (!container) return;
 
   container.innerHTML = '';
 
+  // Host: lock the session to new joiners
+  if (!getState('network.hostConn') && getState('network.appRole') === 'host') {
+    const locked = getState('network.sessionLocked');
+    const lockRow = document.createElement('div');
+    lockRow.className = 'section-row';
+
+    const lockLabel = document.createElement('span');
+    lockLabel.className = 'd-name';
+    lockLabel.textContent = locked ? '🔒' : '🔓';
+    lockLabel.title = t('settings.lock_hint');
+
+    const lockBtn = document.createElement('button');
+    lockBtn.id = 'btn-session-lock';
+    lockBtn.className = `btn-action ${locked ? 'active' : ''}`;
+    lockBtn.style.cssText = `font-size:10px; padding:4px 8px; ${locked ? 'background:var(--primary); color:white; border:none;' : ''}`;
+    lockBtn.textContent = t(locked ? 'settings.unlock_session' : 'settings.lock_session');
+    lockBtn.title = t('settings.lock_hint');
+    lockBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      bus.emit('network:set-session-lock', !getState('network.sessionLocked'));
+    });
+
+    lockRow.appendChild(lockLabel);
+    lockRow.appendChild(lockBtn);
+    container.appendChild(lockRow);
+  }
+
   list.forEach((p) => {
     const row = document.createElement('div');
     row.className = 'section-row';
 
     const name = document.createElement('span');
     name.className = 'd-name';
-    name.textContent = String(p.label || 'Device');
+    name.textContent = formatPeerName(p as { label?: string; displayName?: string; avatar?: string }) || 'Device';
 
+    // Named guests keep their slot label next to the short id
     const shortId = document.createElement('span');
     shortId.style.cssText = 'font-size:11px; opacity:0.5; margin-left:4px;';
-    shortId.textContent = `(${String(p.id || '').slice(-4)})`;
+    const idPart = String(p.id || '').slice(-4);
+    shortId.textContent = p.displayName ? `(${String(p.label)} · ${idPart})` : `(${idPart})`;
     name.appendChild(document.createTextNode(' '));
     name.appendChild(shortId);
 
@@ -190,6 +379,58 @@ export function renderDeviceList(list: Array<Record<string, unknown>>): void {
       name.appendChild(op);
     }
 
+    // Output profile the guest selected ("JBL over BT")
+    if (p.outputProfile) {
+      const output = document.createElement('span');
+      output.className = 'd-output-profile';
+      output.style.cssText = 'font-size:10px; opacity:0.6; margin-left:4px;';
+      output.textContent = `🔊 ${String(p.outputProfile)}`;
+      output.title = t('settings.output_profile');
+      name.appendChild(document.createTextNode(' '));
+      name.appendChild(output);
+    }
+
+    // Relay tree: show which guest feeds this device file data
+    if (p.dataSourceId) {
+      const source = list.find(x => x.id === p.dataSourceId);
+      const via = document.createElement('span');
+      via.style.cssText = 'font-size:10px; opacity:0.6; margin-left:4px;';
+      via.textContent = t('settings.via_relay', {
+        name: source ? formatPeerName(source as { label?: string; displayName?: string; avatar?: string }) : String(p.dataSourceId).slice(-4),
+      });
+      name.appendChild(document.createTextNode(' '));
+      name.appendChild(via);
+    }
+
+    // Schema enforcement: guest kept sending malformed messages
+    if (p.flagged) {
+      const warn = document.createElement('span');
+      warn.style.cssText = 'color:#ff3b30; font-size:10px; font-weight:bold; margin-left:4px;';
+      warn.textContent = '⚠';
+      warn.title = t('settings.peer_flagged');
+      name.appendChild(document.createTextNode(' '));
+      name.appendChild(warn);
+    }
+
+    // Host-measured connection health: score badge, details on hover
+    const health = p.health as PeerHealth | undefined;
+    if (health && !p.isHost) {
+      const badge = document.createElement('span');
+      badge.className = `d-health ${health.level}`;
+      badge.style.cssText = `color:${HEALTH_COLORS[health.level] || 'inherit'}; font-size:10px; font-weight:bold; margin-left:4px;`;
+      badge.textContent = `● ${health.score}`;
+      badge.title = t('settings.peer_health', {
+        rtt: health.rttMs >= 0 ? String(health.rttMs) : '-',
+        buffered: String(Math.round(health.bufferedAmount / 1024)),
+        path: health.candidateType || '-',
+        up: String(health.sendKbps),
+        down: String(health.recvKbps),
+        heartbeat: (health.heartbeatAgeMs / 1000).toFixed(1),
+      });
+      name.appendChild(document.createTextNode(' '));
+      name.appendChild(badge);
+    }
+
     const statusClass = p.status === 'connected' ? 'active' : 'inactive';
     const statusText = p.status === 'connected' ? 'Connected' : 'Disconnected';
 
@@ -220,6 +461,41 @@ export function renderDeviceList(list: Array<Record<string, unknown>>): void {
         });
 
         right.appendChild(opBtn);
+
+        // OP: narrow the grant to individual permissions
+        if (p.isOp) {
+          const perms = (p.perms as OpPermission[] | undefined) ?? OP_PERMISSIONS;
+          for (const perm of OP_PERMISSIONS) {
+            const on = perms.includes(perm);
+            const chip = document.createElement('button');
+            chip.className = `btn-action d-perm ${on ? 'active' : ''}`;
+            chip.dataset.permPeer = String(p.id || '');
+            chip.style.cssText = `font-size:10px; padding:4px 6px; ${on ? 'background:var(--primary); color:white; border:none;' : 'opacity:0.6;'}`;
+            chip.textContent = t(`settings.perm_${perm}`);
+            chip.addEventListener('click', (e) => {
+              e.preventDefault();
+              const peerId = chip.dataset.permPeer;
+              if (peerId) bus.emit('network:toggle-permission', peerId, perm);
+            });
+            right.appendChild(chip);
+          }
+        }
+
+        // Remove: KICK can rejoin with the code, BAN is refused until the session ends
+        for (const ban of [false, true]) {
+          const btn = document.createElement('button');
+          btn.className = 'btn-action';
+          btn.dataset.kickPeer = String(p.id || '');
+          btn.style.cssText = `font-size:10px; padding:4px 8px; ${ban ? 'color:#ff3b30; margin-right:8px;' : ''}`;
+          btn.textContent = t(ban ? 'settings.ban' : 'settings.kick');
+          btn.title = t(ban ? 'settings.ban_hint' : 'settings.kick_hint');
+          btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const peerId = btn.dataset.kickPeer;
+            if (peerId) bus.emit('network:kick-peer', peerId, ban);
+          });
+          right.appendChild(btn);
+        }
       }
 
       right.appendChild(status);
@@ -303,16 +579,11 @@ export function initSettings(): void {
     $on(id, 'dblclick', function (this: HTMLInputElement) { updateAudioEffect('reverb', param, resetVal); this.value = String(resetVal); });
   });
 
-  // EQ
+  // EQ (bands: ui/eq-editor.ts)
   $on('btn-reset-eq', 'click', () => resetEQ());
   $on('preamp-slider', 'input', function (this: HTMLInputElement) { setPreamp(Number(this.value), true); });
   $on('preamp-slider', 'change', function (this: HTMLInputElement) { setPreamp(Number(this.value)); });
   $on('preamp-slider', 'dblclick', () => { setPreamp(0); const el = document.getElementById('preamp-slider') as HTMLInputElement; if (el) el.value = '0'; });
-  for (let i = 0; i < 5; i++) {
-    $on(`eq-slider-${i}`, 'input', function (this: HTMLInputElement) { setEQ(i, Number(this.value), true); });
-    $on(`eq-slider-${i}`, 'change', function (this: HTMLInputElement) { setEQ(i, Number(this.value)); });
-    $on(`eq-slider-${i}`, 'dblclick', () => { setEQ(i, 0); const el = document.getElementById(`eq-slider-${i}`) as HTMLInputElement; if (el) el.value = '0'; });
-  }
 
   // Stereo Width
   $on('btn-reset-stereo', 'click', () => resetStereo());
@@ -326,6 +597,38 @@ export function initSettings(): void {
   $on('vbass-slider', 'change', function (this: HTMLInputElement) { updateAudioEffect('vbass', 'mix', Number(this.value)); });
   $on('vbass-slider', 'dblclick', () => { updateAudioEffect('vbass', 'mix', 0); const el = document.getElementById('vbass-slider') as HTMLInputElement; if (el) el.value = '0'; });
 
+  // Sound presets
+  $on('preset-select', 'change', () => syncPresetButtons());
+  $on('btn-preset-apply', 'click', () => {
+    const id = (document.getElementById('preset-select') as HTMLSelectElement | null)?.value;
+    if (id) bus.emit('audio:apply-preset', id);
+  });
+  $on('btn-preset-delete', 'click', () => {
+    const id = (document.getElementById('preset-select') as HTMLSelectElement | null)?.value;
+    if (id) bus.emit('audio:delete-preset', id);
+  });
+  $on('btn-preset-save', 'click', () => {
+    const input = document.getElementById('preset-name') as HTMLInputElement | null;
+    const name = input?.value.trim();
+    if (!name) {
+      input?.focus();
+      return;
+    }
+    bus.emit('audio:save-preset', name);
+    if (input) input.value = '';
+  });
+  $on('btn-preset-export', 'click', () => bus.emit('audio:export-presets'));
+  $on('btn-preset-import', 'click', () => document.getElementById('preset-import-file')?.click());
+  $on('preset-import-file', 'change', function (this: HTMLInputElement) {
+    const file = this.files?.[0];
+    this.value = ''; // the same file can be picked again
+    if (file) file.text().then(json => bus.emit('audio:import-presets', json)).catch(() => { /* ignore */ });
+  });
+  bus.on('audio:presets-changed', () => renderSoundPresets());
+  bus.on('audio:fx-applied', () => syncEffectControls());
+  bus.on('ui:settings-tab-opened', () => renderSoundPresets());
+  renderSoundPresets();
+
   // Manual sync popup
   $on('btn-nudge-minus10', 'click', () => bus.emit('sync:nudge', -10));
   $on('btn-nudge-minus1', 'click', () => bus.emit('sync:nudge', -1));
@@ -334,6 +637,50 @@ export function initSettings(): void {
   $on('btn-auto-sync', 'click', () => bus.emit('sync:auto-sync'));
   $on('btn-sync-done', 'click', () => bus.emit('sync:close-manual'));
 
+  // Own name and avatar (guest)
+  bus.on('network:role-badge-update', () => syncProfileSection());
+  bus.on('ui:settings-tab-opened', () => {
+    _profileEditorMounted = false; // pick up a name set in the join flow
+    syncProfileSection();
+  });
+  syncProfileSection();
+
+  // Latency calibration (host)
+  $on('btn-calibrate', 'click', () => bus.emit('sync:calibrate'));
+  bus.on('sync:calibration-state', (running) => {
+    const btn = document.getElementById('btn-calibrate') as HTMLButtonElement | null;
+    if (btn) btn.disabled = running;
+  });
+  bus.on('network:role-badge-update', () => syncCalibrationSection());
+  bus.on('ui:settings-tab-opened', () => syncCalibrationSection());
+  syncCalibrationSection();
+
+  // Output profiles (guest)
+  $on('output-profile-select', 'change', function (this: HTMLSelectElement) {
+    bus.emit('sync:select-output-profile', this.value || null);
+  });
+  $on('btn-output-profile-save', 'click', () => {
+    const input = document.getElementById('output-profile-name') as HTMLInputElement | null;
+    // An empty name re-saves the selected profile
+    const name = input?.value.trim() || getActiveOutputProfile()?.name;
+    if (!name) {
+      input?.focus();
+      return;
+    }
+    bus.emit('sync:save-output-profile', name);
+    if (input) input.value = '';
+  });
+  $on('btn-output-profile-delete', 'click', () => {
+    const id = getState('sync.activeOutputProfile');
+    if (id) bus.emit('sync:delete-output-profile', id);
+  });
+  $on('trim-slider', 'input', function (this: HTMLInputElement) { setTrim(Number(this.value)); });
+  $on('trim-slider', 'dblclick', function (this: HTMLInputElement) { setTrim(0); this.value = '0'; });
+  bus.on('sync:output-profiles-changed', () => renderOutputProfiles());
+  bus.on('network:role-badge-update', () => syncOutputProfileSection());
+  bus.on('ui:settings-tab-opened', () => syncOutputProfileSection());
+  syncOutputProfileSection();
+
   // Device list events
   bus.on('network:device-list-update', (list: unknown[]) => {
     if (Array.isArray(list)) renderDeviceList(list as Array<Record<string, unknown>>);
@@ -2,8 +2,9 @@
  * MUSIXQUARE 2.0 — Setup Flow (UI)
  * Extracted from original app.js lines 2123-3062
  *
- * Manages: Setup overlay, host/guest role selection, onboarding slider,
- * invite code display, desktop left-panel sync.
+ * Manages: Setup overlay, host/guest role selection (or listen-only
+ * spectator join), guest name/avatar, onboarding slider, invite code
+ * display, desktop left-panel sync.
  */
 
 import { log } from '../core/log.ts';
@@ -19,8 +20,13 @@ import {
   showPlacementToastForChannel,
 } from './player-controls.ts';
 import { selectStandardChannelButton } from './settings.ts';
+import { buildProfileEditor } from './profile-editor.ts';
+import type { ProfileEditor } from './profile-editor.ts';
 import { createHostSessionWithShortCode, leaveSession } from '../network/peer.ts';
 import { joinSession } from '../network/peer.ts';
+import { loadResumeRecord, restoreResumeFile } from '../network/resume.ts';
+import { getActiveOutputProfile } from '../network/output-profile.ts';
+import type { ResumeRecord } from '../network/resume.ts';
 // ─── Constants ───────────────────────────────────────────────────
 
 const PEER_NAME_PREFIX = 'Peer';
@@ -34,6 +40,7 @@ let _pendingSetupRole: number | null = null;
 let _pendingGuestRoleMode: number | null = null;
 let _hostCodeFlowId = 0;
 let _setupOverlayAbort: AbortController | null = null;
+let _profileEditor: ProfileEditor | null = null;
 
 // ─── Desktop Left Panel Sync ─────────────────────────────────────
 
@@ -330,6 +337,7 @@ function startHostFlow(): void {
   bus.emit('audio:activate');
 
   setState('network.appRole', 'host');
+  setState('network.isSpectator', false);
   setState('setup.sessionStarted', false);
   _pendingSetupRole = null;
 
@@ -439,8 +447,8 @@ function startGuestFlow(): void {
   bus.emit('audio:activate');
 
   setState('network.appRole', 'guest');
+  setState('network.isSpectator', false);
   setState('setup.sessionStarted', false);
-  _pendingSetupRole = null;
 
   updateInviteCodeUI();
 
@@ -449,9 +457,12 @@ function startGuestFlow(): void {
   setupShowWelcome(false);
   setupShowRoleArea(true);
   setupShowInstruction(false);
-  setupHighlightJoinRole(null);
   setupSetGuestJoinBusy(false);
 
+  // The selected output profile's role is the default pick
+  _pendingSetupRole = getActiveOutputProfile()?.role ?? null;
+  setupHighlightJoinRole(_pendingSetupRole);
+
   const sliderArea = setupEl('ob-slider-area');
   if (sliderArea) {
     sliderArea.style.display = 'none';
@@ -460,6 +471,7 @@ function startGuestFlow(): void {
 
   setupRenderActions([
     { id: 'btn-setup-back', html: BACK_SVG, kind: 'icon-only', onClick: () => initSetupOverlay() },
+    { id: 'btn-setup-spectate', text: t('setup.spectate_button'), kind: 'text-link', onClick: proceedToSpectatorCode },
     {
       id: 'btn-setup-next', text: t('common.next'), kind: 'primary',
       onClick: () => {
@@ -485,6 +497,14 @@ function proceedToGuestCode(mode: number): void {
     { id: 'btn-setup-confirm', text: t('common.start'), kind: 'primary', onClick: () => handleSetupJoinWithRole(_pendingGuestRoleMode!) },
   ], 'horizontal-with-back');
 
+  // Name and avatar, remembered from the last join
+  const profileSlot = setupEl('setup-profile-editor');
+  if (profileSlot) {
+    _profileEditor = buildProfileEditor();
+    profileSlot.innerHTML = '';
+    profileSlot.appendChild(_profileEditor.el);
+  }
+
   const input = setupEl('setup-join-code') as HTMLInputElement | null;
   if (input) {
     input.value = '';
@@ -492,6 +512,15 @@ function proceedToGuestCode(mode: number): void {
   }
 }
 
+/**
+ * Listen-only join: no speaker role, no slot, no file data.
+ */
+function proceedToSpectatorCode(): void {
+  setState('network.isSpectator', true);
+  setupHighlightJoinRole(null);
+  proceedToGuestCode(getState('audio.channelMode'));
+}
+
 async function handleSetupJoinWithRole(mode: number | null): Promise<void> {
   if (mode === null || mode === undefined) {
     showToast(t('setup.select_role_alt'));
@@ -514,10 +543,15 @@ async function handleSetupJoinWithRole(mode: number | null): Promise<void> {
   setState('network.lastJoinCode', code);
   updateInviteCodeUI();
 
-  try {
-    selectStandardChannelButton(mode);
-    bus.emit('audio:set-channel-mode', mode);
-  } catch (e) { log.warn('[Setup] setChannelMode failed', e); }
+  // Persisted now so the join handshake carries it
+  if (_profileEditor) bus.emit('network:set-profile', _profileEditor.read());
+
+  if (!getState('network.isSpectator')) {
+    try {
+      selectStandardChannelButton(mode);
+      bus.emit('audio:set-channel-mode', mode);
+    } catch (e) { log.warn('[Setup] setChannelMode failed', e); }
+  }
 
   setState('network.myDeviceLabel', PEER_NAME_PREFIX);
   updateRoleBadge();
@@ -534,6 +568,22 @@ async function handleSetupJoinWithRole(mode: number | null): Promise<void> {
   joinSession(code);
 }
 
+/**
+ * Page reloaded mid-session: rejoin with the previous role and resume token,
+ * through the normal guest join flow so failures fall back to the join form.
+ */
+async function resumeGuestSession(record: ResumeRecord): Promise<void> {
+  log.info(`[Setup] Resuming session ${record.code}`);
+  setState('network.resumeToken', record.token);
+  await restoreResumeFile(record);
+
+  startGuestFlow();
+  proceedToGuestCode(record.role);
+  const input = setupEl('setup-join-code') as HTMLInputElement | null;
+  if (input) input.value = record.code;
+  await handleSetupJoinWithRole(record.role);
+}
+
 // ─── Init ────────────────────────────────────────────────────────
 
 function initSetupOverlay(): void {
@@ -706,6 +756,9 @@ export function initSetup(): void {
 
   // Network error handling (connection failures, timeouts, etc.)
   bus.on('network:error', (error) => {
+    // Host migration retries its own rejoin attempts
+    if (getState('network.migratingTo')) return;
+
     const err = error as Record<string, unknown> | null;
     const msg = (err as Error | null)?.message || '';
     const peerType = (err && typeof err === 'object') ? String(err.type || '') : '';
@@ -764,6 +817,32 @@ export function initSetup(): void {
     startGuestFlow();
   });
 
+  // Protocol version mismatch: prompt to update whichever side is outdated
+  bus.on('network:version-mismatch', async (outdated) => {
+    if (outdated === 'self') {
+      const result = await showDialog({
+        title: t('network.version_update_title'),
+        message: t('network.version_self_outdated'),
+        buttonText: t('common.refresh'),
+        dismissible: true,
+      });
+      if (result && result.action === 'ok') window.location.reload();
+      else startGuestFlow();
+    } else {
+      showDialog({ title: t('network.cant_join'), message: t('network.version_host_outdated') });
+      startGuestFlow();
+    }
+  });
+
+  // Removed by the host (kick / ban): back to setup, then say why
+  bus.on('network:removed-by-host', (banned) => {
+    bus.emit('app:return-to-main');
+    showDialog({
+      title: t('network.removed_title'),
+      message: t(banned ? 'network.removed_banned' : 'network.removed_kicked'),
+    });
+  });
+
   // Kicked from session (guest removed from host device list)
   bus.on('network:kicked-from-session', () => {
     showToast(t('toast.host_ended_connection'));
@@ -773,5 +852,10 @@ export function initSetup(): void {
   // Initial overlay
   initSetupOverlay();
 
+  const resumeRecord = loadResumeRecord();
+  if (resumeRecord) {
+    resumeGuestSession(resumeRecord).catch((e: unknown) => log.warn('[Setup] Resume failed', e));
+  }
+
   log.info('[Setup] Initialized');
 }
@@ -0,0 +1,202 @@
+/**
+ * MUSIXQUARE 2.0 — Sync Monitor Panel (UI, Host)
+ *
+ * Manages: the host's settings section listing each reporting guest with
+ * its sync-error graph, current error and clock details, a flag past the
+ * tolerance and a resync button for that guest alone.
+ */
+
+import { bus } from '../core/events.ts';
+import { getState } from '../core/state.ts';
+import { SYNC_MONITOR } from '../core/constants.ts';
+import { t } from '../i18n/index.ts';
+import { formatPeerName } from '../network/profile.ts';
+import { isOutOfTolerance } from '../network/sync-monitor.ts';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const GRAPH_WIDTH = 120;
+const GRAPH_HEIGHT = 28;
+
+const FLAG_COLOR = '#ff3b30';
+const OK_COLOR = '#34c759';
+
+// ─── Graph ───────────────────────────────────────────────────────
+
+/** Error (ms) at the graph's top and bottom edge */
+function graphRange(history: Array<number | null>, toleranceMs: number): number {
+  return Math.max(toleranceMs * 2, ...history.map(v => (v === null ? 0 : Math.abs(v))));
+}
+
+/**
+ * Polyline point lists for an error history, one per unbroken run (null =
+ * not playing in step). Zero is the middle line; the scale always fits
+ * twice the tolerance so the band stays in view.
+ */
+export function sparklineSegments(
+  history: Array<number | null>,
+  toleranceMs: number,
+  width: number = GRAPH_WIDTH,
+  height: number = GRAPH_HEIGHT,
+): string[] {
+  const range = graphRange(history, toleranceMs);
+  const step = width / Math.max(1, SYNC_MONITOR.HISTORY - 1);
+  const x0 = width - (history.length - 1) * step;
+  const segments: string[] = [];
+  let current: string[] = [];
+
+  history.forEach((v, i) => {
+    if (v === null) {
+      if (current.length) segments.push(current.join(' '));
+      current = [];
+      return;
+    }
+    const y = height / 2 - (v / range) * (height / 2);
+    current.push(`${(x0 + i * step).toFixed(1)},${y.toFixed(1)}`);
+  });
+  if (current.length) segments.push(current.join(' '));
+  return segments;
+}
+
+function buildGraph(history: Array<number | null>, toleranceMs: number, flagged: boolean): SVGSVGElement {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`);
+  svg.setAttribute('width', String(GRAPH_WIDTH));
+  svg.setAttribute('height', String(GRAPH_HEIGHT));
+  svg.classList.add('sync-graph');
+
+  // Tolerance band
+  const range = graphRange(history, toleranceMs);
+  const bandHalf = (toleranceMs / range) * (GRAPH_HEIGHT / 2);
+  const band = document.createElementNS(SVG_NS, 'rect');
+  band.setAttribute('x', '0');
+  band.setAttribute('y', (GRAPH_HEIGHT / 2 - bandHalf).toFixed(1));
+  band.setAttribute('width', String(GRAPH_WIDTH));
+  band.setAttribute('height', (bandHalf * 2).toFixed(1));
+  band.setAttribute('fill', 'currentColor');
+  band.setAttribute('opacity', '0.08');
+  svg.appendChild(band);
+
+  for (const points of sparklineSegments(history, toleranceMs)) {
+    const line = document.createElementNS(SVG_NS, 'polyline');
+    line.setAttribute('points', points);
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke', flagged ? FLAG_COLOR : OK_COLOR);
+    line.setAttribute('stroke-width', '1.5');
+    svg.appendChild(line);
+  }
+  return svg;
+}
+
+// ─── Render ──────────────────────────────────────────────────────
+
+function formatMs(ms: number): string {
+  return `${ms > 0 ? '+' : ''}${Math.round(ms)}ms`;
+}
+
+export function renderSyncMonitor(): void {
+  const container = document.getElementById('sync-monitor-list');
+  if (!container) return;
+  container.innerHTML = '';
+
+  const tolerance = getState('sync.monitorToleranceMs');
+  const peers = getState('network.connectedPeers').filter(p => p.status === 'connected' && p.syncQuality);
+
+  if (peers.length === 0) {
+    const empty = document.createElement('div');
+    empty.style.cssText = 'font-size:11px; color:var(--text-sub); margin-bottom:8px;';
+    empty.textContent = t('settings.sync_monitor_empty');
+    container.appendChild(empty);
+    return;
+  }
+
+  peers.forEach((p) => {
+    const q = p.syncQuality!;
+    const flagged = isOutOfTolerance(q, tolerance);
+
+    const row = document.createElement('div');
+    row.className = `section-row sync-monitor-row${flagged ? ' flagged' : ''}`;
+    row.dataset.peer = p.id;
+
+    const name = document.createElement('span');
+    name.className = 'd-name';
+    name.textContent = formatPeerName(p);
+    if (flagged) {
+      const warn = document.createElement('span');
+      warn.className = 'd-sync-flag';
+      warn.style.cssText = `color:${FLAG_COLOR}; font-size:10px; font-weight:bold; margin-left:4px;`;
+      warn.textContent = '⚠';
+      warn.title = t('settings.sync_out_of_tolerance', { ms: tolerance });
+      name.appendChild(document.createTextNode(' '));
+      name.appendChild(warn);
+    }
+
+    const right = document.createElement('div');
+    right.style.cssText = 'display:flex; gap:6px; align-items:center;';
+
+    right.appendChild(buildGraph(q.history, tolerance, flagged));
+
+    const value = document.createElement('span');
+    value.className = 'd-sync-error';
+    value.style.cssText = `font-size:11px; min-width:48px; text-align:right; ${flagged ? `color:${FLAG_COLOR}; font-weight:bold;` : ''}`;
+    value.textContent = q.errorMs === null ? '-' : formatMs(q.errorMs);
+    value.title = t('settings.sync_details', {
+      clock: q.clockOffsetMs.toFixed(1),
+      rtt: q.rttMs.toFixed(1),
+      offset: formatMs(q.localOffsetMs),
+    });
+    right.appendChild(value);
+
+    const btn = document.createElement('button');
+    btn.className = 'btn-action';
+    btn.dataset.resyncPeer = p.id;
+    btn.style.cssText = 'font-size:10px; padding:4px 8px;';
+    btn.textContent = t('settings.sync_resync');
+    btn.addEventListener('click', (e) => {
+      e.preventDefault();
+      bus.emit('sync:resync-peer', p.id);
+    });
+    right.appendChild(btn);
+
+    row.appendChild(name);
+    row.appendChild(right);
+    container.appendChild(row);
+  });
+}
+
+function renderTolerance(): void {
+  const ms = getState('sync.monitorToleranceMs');
+  const slider = document.getElementById('sync-tolerance-slider') as HTMLInputElement | null;
+  if (slider) slider.value = String(ms);
+  const disp = document.getElementById('val-sync-tolerance');
+  if (disp) disp.textContent = `±${ms}ms`;
+}
+
+/**
+ * Only the host sees its guests' sync.
+ */
+function syncMonitorSection(): void {
+  const section = document.getElementById('sync-monitor-section');
+  if (!section) return;
+  const isHost = getState('network.appRole') === 'host';
+  section.style.display = isHost ? '' : 'none';
+  if (isHost) {
+    renderTolerance();
+    renderSyncMonitor();
+  }
+}
+
+// ─── Init ────────────────────────────────────────────────────────
+
+export function initSyncMonitorView(): void {
+  const slider = document.getElementById('sync-tolerance-slider') as HTMLInputElement | null;
+  slider?.addEventListener('input', () => bus.emit('sync:set-tolerance', Number(slider.value)));
+
+  bus.on('sync:monitor-update', () => {
+    if (getState('network.appRole') !== 'host') return;
+    renderTolerance();
+    renderSyncMonitor();
+  });
+  bus.on('network:role-badge-update', syncMonitorSection);
+  bus.on('ui:settings-tab-opened', syncMonitorSection);
+  syncMonitorSection();
+}
@@ -219,6 +219,94 @@ describe('YouTube Sync', () => {
     });
   });
 
+  describe('Soft rate trimming', () => {
+    async function syncHandler() {
+      const { registerHandlers } = await import('../../network/protocol.ts');
+      const { initYouTubeSync, resetAdDetection } = await import('../sync.ts');
+      const { MSG, APP_STATE } = await import('../../core/constants.ts');
+      (registerHandlers as ReturnType<typeof vi.fn>).mockClear();
+      resetAdDetection(); // Every test repeats host time 10, which would read as an ad
+      initYouTubeSync();
+      setState('appState', APP_STATE.PLAYING_YOUTUBE);
+      return (registerHandlers as ReturnType<typeof vi.fn>).mock.calls[0][0][MSG.YOUTUBE_SYNC];
+    }
+
+    const STANDARD_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+    async function mockPlayer(currentTime: number, rates = [0.99, 1, 1.01]) {
+      const player = {
+        getCurrentTime: () => currentTime,
+        getPlayerState: () => 1,
+        getAvailablePlaybackRates: () => rates,
+        getPlaybackRate: vi.fn(() => 1),
+        setPlaybackRate: vi.fn(),
+        seekTo: vi.fn(),
+        playVideo: vi.fn(),
+        pauseVideo: vi.fn(),
+      };
+      const playerMod = await import('../player.ts');
+      (playerMod.getYouTubePlayer as ReturnType<typeof vi.fn>).mockReturnValue(player);
+      return player;
+    }
+
+    it('slows down a guest that is slightly ahead instead of seeking', async () => {
+      const handler = await syncHandler();
+      const player = await mockPlayer(10.5);
+      handler({ time: 10, state: 1 });
+      expect(player.seekTo).not.toHaveBeenCalled();
+      expect(player.setPlaybackRate).toHaveBeenCalledWith(0.99);
+    });
+
+    it('picks the offered speed nearest the trim without overshooting it', async () => {
+      const handler = await syncHandler();
+      const player = await mockPlayer(9.5, [0.995, 1, 1.005, 1.02]);
+      handler({ time: 10, state: 1 });
+      // Trim is 1.01; 1.02 would overshoot it
+      expect(player.seekTo).not.toHaveBeenCalled();
+      expect(player.setPlaybackRate).toHaveBeenCalledWith(1.005);
+    });
+
+    it('seeks past the lower threshold when only 1.0 is on offer near the trim', async () => {
+      const handler = await syncHandler();
+      const player = await mockPlayer(10.7, STANDARD_RATES);
+      handler({ time: 10, state: 1 });
+      expect(player.seekTo).toHaveBeenCalledWith(10, true);
+      expect(player.setPlaybackRate).not.toHaveBeenCalled();
+    });
+
+    it('leaves small drift alone when it cannot trim', async () => {
+      const handler = await syncHandler();
+      const player = await mockPlayer(10.3, STANDARD_RATES);
+      handler({ time: 10, state: 1 });
+      expect(player.seekTo).not.toHaveBeenCalled();
+      expect(player.setPlaybackRate).not.toHaveBeenCalled();
+    });
+
+    it('leaves the rate alone within the deadband', async () => {
+      const handler = await syncHandler();
+      const player = await mockPlayer(10.03);
+      handler({ time: 10, state: 1 });
+      expect(player.setPlaybackRate).not.toHaveBeenCalled();
+    });
+
+    it('still seeks large drift and resets the rate', async () => {
+      const handler = await syncHandler();
+      const player = await mockPlayer(20);
+      player.getPlaybackRate.mockReturnValue(1.01);
+      handler({ time: 10, state: 1 });
+      expect(player.seekTo).toHaveBeenCalledWith(10, true);
+      expect(player.setPlaybackRate).toHaveBeenCalledWith(1);
+    });
+
+    it('does not trim when soft correction is off', async () => {
+      const handler = await syncHandler();
+      const player = await mockPlayer(10.5);
+      setState('sync.softCorrection', false);
+      handler({ time: 10, state: 1 });
+      expect(player.setPlaybackRate).not.toHaveBeenCalled();
+    });
+  });
+
   describe('initYouTubeSync()', () => {
     it('registers protocol handlers', async () => {
       const { registerHandlers } = await import('../../network/protocol.ts');
@@ -10,10 +10,11 @@ import { log } from '../core/log.ts';
 import { bus } from '../core/events.ts';
 import { t } from '../i18n/index.ts';
 import { getState, setState } from '../core/state.ts';
-import { MSG, APP_STATE } from '../core/constants.ts';
+import { MSG, APP_STATE, REQUEST_ERROR } from '../core/constants.ts';
 import { clearManagedTimer, setManagedTimer } from '../core/timers.ts';
 import { broadcast, safeSend, sendToHost } from '../network/peer.ts';
-import { registerHandlers, verifyOperator } from '../network/protocol.ts';
+import { registerHandlers, verifyOperator, hasOpPermission } from '../network/protocol.ts';
+import { requestFromControl, ackRequest, rejectRequest } from '../network/requests.ts';
 import { IS_IOS } from '../core/platform.ts';
 import { fmtTime } from '../player/playback.ts';
 import { setEngineMode } from '../player/video.ts';
@@ -462,53 +463,69 @@ function handleRequestYouTubePlay(data: Record<string, unknown>, conn: DataConne
   const hostConn = getState('network.hostConn');
   if (hostConn) return; // Only Host
 
-  if (!verifyOperator(conn, data)) {
+  if (!verifyOperator(conn, data, 'youtube')) {
     log.warn(`[YouTube] Rejected request-youtube-play from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
     return;
   }
 
-  if (_youtubePlayer?.playVideo) {
-    _youtubePlayer.playVideo();
-    broadcast({
-      type: MSG.YOUTUBE_STATE,
-      state: 1,
-      time: _youtubePlayer.getCurrentTime?.() || 0,
-    });
+  if (!_youtubePlayer?.playVideo) {
+    rejectRequest(conn, data, REQUEST_ERROR.BUSY);
+    return;
   }
+  _youtubePlayer.playVideo();
+  broadcast({
+    type: MSG.YOUTUBE_STATE,
+    state: 1,
+    time: _youtubePlayer.getCurrentTime?.() || 0,
+  });
+  ackRequest(conn, data);
 }
 
 function handleRequestYouTubePause(data: Record<string, unknown>, conn: DataConnection): void {
   const hostConn = getState('network.hostConn');
   if (hostConn) return;
 
-  if (!verifyOperator(conn, data)) {
+  if (!verifyOperator(conn, data, 'youtube')) {
     log.warn(`[YouTube] Rejected request-youtube-pause from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
     return;
   }
 
-  if (_youtubePlayer?.pauseVideo) {
-    _youtubePlayer.pauseVideo();
-    broadcast({
-      type: MSG.YOUTUBE_STATE,
-      state: 2,
-      time: _youtubePlayer.getCurrentTime?.() || 0,
-    });
+  if (!_youtubePlayer?.pauseVideo) {
+    rejectRequest(conn, data, REQUEST_ERROR.BUSY);
+    return;
   }
+  _youtubePlayer.pauseVideo();
+  broadcast({
+    type: MSG.YOUTUBE_STATE,
+    state: 2,
+    time: _youtubePlayer.getCurrentTime?.() || 0,
+  });
+  ackRequest(conn, data);
 }
 
 function handleRequestYouTubeSubSeek(data: Record<string, unknown>, conn: DataConnection): void {
   const hostConn = getState('network.hostConn');
   if (hostConn) return;
 
-  if (!verifyOperator(conn, data)) {
+  if (!verifyOperator(conn, data, 'youtube')) {
     log.warn(`[YouTube] Rejected request-youtube-sub-seek from non-OP: ${conn?.peer}`);
+    rejectRequest(conn, data, REQUEST_ERROR.NOT_OPERATOR);
     return;
   }
 
   const subIdx = data.subIdx as number;
-  if (_youtubePlayer?.playVideoAt && typeof subIdx === 'number') {
-    _youtubePlayer.playVideoAt(subIdx);
+  if (typeof subIdx !== 'number') {
+    rejectRequest(conn, data, REQUEST_ERROR.INVALID_INDEX);
+    return;
+  }
+  if (!_youtubePlayer?.playVideoAt) {
+    rejectRequest(conn, data, REQUEST_ERROR.BUSY);
+    return;
   }
+  _youtubePlayer.playVideoAt(subIdx);
+  ackRequest(conn, data);
 }
 
 /**
@@ -553,16 +570,16 @@ export function initYouTube(): void {
 
   bus.on('youtube:toggle-play', () => {
     const hostConn = getState('network.hostConn');
-    const isOperator = getState('network.isOperator');
+    const isOperator = hasOpPermission('youtube');
 
     if (hostConn && isOperator) {
       // OP requests
       try {
         const state = _youtubePlayer?.getPlayerState?.();
         if (state === YT.PlayerState.PLAYING) {
-          hostConn.send({ type: MSG.REQUEST_YOUTUBE_PAUSE });
+          void requestFromControl({ type: MSG.REQUEST_YOUTUBE_PAUSE });
         } else {
-          hostConn.send({ type: MSG.REQUEST_YOUTUBE_PLAY });
+          void requestFromControl({ type: MSG.REQUEST_YOUTUBE_PLAY });
         }
       } catch (e) {
         log.error('[YouTube] OP toggle error:', e);
@@ -799,7 +816,8 @@ export function initYouTube(): void {
   // YouTube set volume (from audio engine)
   bus.on('youtube:set-volume', (volumePercent) => {
     if (_youtubePlayer?.setVolume && Number.isFinite(volumePercent)) {
-      _youtubePlayer.setVolume(volumePercent);
+      // Spectators follow along muted
+      _youtubePlayer.setVolume(getState('network.isSpectator') ? 0 : volumePercent);
     }
   });
 
@@ -971,7 +989,7 @@ export function initYouTube(): void {
       const subIdx = (currentSubIndex >= 0) ? currentSubIndex : 0;
 
       // Send YouTube play command so guest enters YouTube mode
-      conn.send({
+      safeSend(conn, {
         type: MSG.YOUTUBE_PLAY,
         videoId: item.videoId || null,
         playlistId: item.playlistId || null,
@@ -982,7 +1000,7 @@ export function initYouTube(): void {
       });
 
       // Also send an immediate sync frame
-      conn.send({
+      safeSend(conn, {
         type: MSG.YOUTUBE_SYNC,
         time: ytTime,
         state: ytState,
@@ -10,11 +10,12 @@ import { log } from '../core/log.ts';
 import { bus } from '../core/events.ts';
 import { t } from '../i18n/index.ts';
 import { getState, setState } from '../core/state.ts';
-import { MSG, APP_STATE } from '../core/constants.ts';
+import { MSG, APP_STATE, SOFT_SYNC } from '../core/constants.ts';
 import { broadcast } from '../network/peer.ts';
 import { registerHandlers } from '../network/protocol.ts';
 import { getYouTubePlayer } from './player.ts';
 import { fetchPlaylistSubTitles } from './search.ts';
+import { trimRate } from '../player/soft-sync.ts';
 
 // ─── Broadcast YouTube Sync (Host) ────────────────────────────────
 
@@ -175,11 +176,23 @@ function handleYouTubeSync(data: Record<string, unknown>): void {
     const compensatedTime = hostTime + autoSyncOffset + localOffset;
 
     const currentTime = player.getCurrentTime();
-    const drift = Math.abs(currentTime - compensatedTime);
+    const error = currentTime - compensatedTime;
+    const drift = Math.abs(error);
 
     if (drift > 2 && player.seekTo) {
       log.debug(`[YouTube Sync] Drift ${drift.toFixed(1)}s, seeking to ${compensatedTime.toFixed(1)}s`);
       player.seekTo(compensatedTime, true);
+      setYouTubeRate(player, 1);
+    } else if (hostState === 1 && getState('sync.softCorrection')) {
+      // Soft sync below the seek threshold, with a speed the player offers
+      const rate = youTubeRateToward(player, trimRate(error, SOFT_SYNC.YOUTUBE_DEADBAND_SEC));
+      if (rate === null && drift > SOFT_SYNC.YOUTUBE_SEEK_SEC && player.seekTo) {
+        log.debug(`[YouTube Sync] Drift ${drift.toFixed(2)}s and no speed to trim with, seeking`);
+        player.seekTo(compensatedTime, true);
+      }
+      setYouTubeRate(player, rate ?? 1);
+    } else {
+      setYouTubeRate(player, 1);
     }
 
     // State sync
@@ -193,6 +206,24 @@ function handleYouTubeSync(data: Record<string, unknown>): void {
   }
 }
 
+/**
+ * The offered speed closest to `target` that does not overshoot it (the
+ * iframe player rounds any other rate to one of these), or null when none
+ * lies between 1.0 and `target`.
+ */
+function youTubeRateToward(player: any, target: number): number | null {
+  if (target === 1) return 1;
+  const rates: number[] = player.getAvailablePlaybackRates?.() ?? [];
+  const usable = rates.filter(r => (r - 1) * (target - 1) > 0 && Math.abs(r - 1) <= Math.abs(target - 1) + 1e-9);
+  if (!usable.length) return null;
+  return usable.reduce((best, r) => (Math.abs(r - target) < Math.abs(best - target) ? r : best));
+}
+
+function setYouTubeRate(player: any, rate: number): void {
+  if (!player.setPlaybackRate || player.getPlaybackRate?.() === rate) return;
+  try { player.setPlaybackRate(rate); } catch { /* noop */ }
+}
+
 // ─── Handle YouTube State (Host→Guest broadcast) ──────────────────
 
 function handleYouTubeState(data: Record<string, unknown>): void {